@@ -0,0 +1,3 @@
+import jsonld from "./lib/index-browser.js";
+const JSONLD = jsonld;
+export { JSONLD };
@@ -1,3 +1,3 @@
-import jsonld from "./lib/jsonld.js";
+import jsonld from "./lib/index.js";
 const JSONLD = jsonld;
 export { JSONLD };
@@ -7,13 +7,12 @@ import util from './util.js';
 import url from './url.js';
 import { JsonLdError } from "./JsonLdError.js";
 import { ResolvedContext } from "./ResolvedContext.js";
+import limits from "./limits.js";
 
 const [_isArray, _isObject, _isString] = [types.isArray, types.isObject, types.isString];
 const _asArray = util.asArray;
 const prependBase = url.prependBase;
 
-const MAX_CONTEXT_URLS = 10;
-
 class ContextResolver {
   /**
    * Creates a ContextResolver.
@@ -26,7 +25,8 @@ class ContextResolver {
   }
 
   async resolve({
-    activeCtx, context, documentLoader, base, cycles = new Set()
+    activeCtx, context, documentLoader, base, cycles = new Set(),
+    maxRemoteContexts = limits.DEFAULT_LIMITS.maxRemoteContexts, url = null
   }) {
     // process `@context`
     if(context && _isObject(context) && context['@context']) {
@@ -44,8 +44,10 @@ class ContextResolver {
         let resolved = this._get(ctx);
         if(!resolved) {
           // not resolved yet, resolve
-          resolved = await this._resolveRemoteContext(
-            {activeCtx, url: ctx, documentLoader, base, cycles});
+          resolved = await this._resolveRemoteContext({
+            activeCtx, url: ctx, documentLoader, base, cycles,
+            maxRemoteContexts
+          });
         }
 
         // add to output and continue
@@ -64,12 +66,15 @@ class ContextResolver {
       if(!_isObject(ctx)) {
         _throwInvalidLocalContext(context);
       }
-      // context is an object, get/create `ResolvedContext` for it
-      const key = JSON.stringify(ctx);
+      // context is an object, get/create `ResolvedContext` for it; key
+      // contexts from a remote document by its URL too so errors can
+      // report where their terms are defined
+      const key = url === null ?
+        JSON.stringify(ctx) : JSON.stringify([url, ctx]);
       let resolved = this._get(key);
       if(!resolved) {
         // create a new static `ResolvedContext` and cache it
-        resolved = new ResolvedContext({document: ctx});
+        resolved = new ResolvedContext({document: ctx, url});
         this._cacheResolvedContext({key, resolved, tag: 'static'});
       }
       allResolved.push(resolved);
@@ -108,26 +113,31 @@ class ContextResolver {
     return resolved;
   }
 
-  async _resolveRemoteContext({activeCtx, url, documentLoader, base, cycles}) {
+  async _resolveRemoteContext({
+    activeCtx, url, documentLoader, base, cycles, maxRemoteContexts
+  }) {
     // resolve relative URL and fetch context
     url = prependBase(base, url);
     const {context, remoteDoc} = await this._fetchContext(
-      {activeCtx, url, documentLoader, cycles});
+      {activeCtx, url, documentLoader, cycles, maxRemoteContexts});
 
     // update base according to remote document and resolve any relative URLs
     base = remoteDoc.documentUrl || url;
     _resolveContextUrls({context, base});
 
     // resolve, cache, and return context
-    const resolved = await this.resolve(
-      {activeCtx, context, documentLoader, base, cycles});
+    const resolved = await this.resolve({
+      activeCtx, context, documentLoader, base, cycles, maxRemoteContexts, url
+    });
     this._cacheResolvedContext({key: url, resolved, tag: remoteDoc.tag});
     return resolved;
   }
 
-  async _fetchContext({activeCtx, url, documentLoader, cycles}) {
+  async _fetchContext({
+    activeCtx, url, documentLoader, cycles, maxRemoteContexts
+  }) {
     // check for max context URLs fetched during a resolve operation
-    if(cycles.size > MAX_CONTEXT_URLS) {
+    if(cycles.size >= maxRemoteContexts) {
       throw new JsonLdError(
         'Maximum number of @context URLs exceeded.',
         'jsonld.ContextUrlError',
@@ -135,7 +145,8 @@ class ContextResolver {
           code: activeCtx.processingMode === 'json-ld-1.0' ?
             'loading remote context failed' :
             'context overflow',
-          max: MAX_CONTEXT_URLS
+          limit: 'maxRemoteContexts',
+          max: maxRemoteContexts
         });
     }
 
@@ -167,6 +178,10 @@ class ContextResolver {
         context = JSON.parse(context);
       }
     } catch(e) {
+      if(e instanceof JsonLdError &&
+        e.details.code === 'url policy violation') {
+        throw e;
+      }
       throw new JsonLdError(
         'Dereferencing a URL did not result in a valid JSON-LD object. ' +
         'Possible causes are an inaccessible URL perhaps due to ' +
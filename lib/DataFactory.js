@@ -0,0 +1,160 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import {
+  RDF_LANGSTRING,
+  XSD_STRING
+} from './constants.js';
+
+class NamedNode {
+  constructor(value) {
+    this.termType = 'NamedNode';
+    this.value = value;
+  }
+
+  equals(other) {
+    return !!other && other.termType === this.termType &&
+      other.value === this.value;
+  }
+};
+
+class BlankNode {
+  constructor(value) {
+    this.termType = 'BlankNode';
+    this.value = value;
+  }
+
+  equals(other) {
+    return !!other && other.termType === this.termType &&
+      other.value === this.value;
+  }
+};
+
+class Literal {
+  constructor(value, language, datatype) {
+    this.termType = 'Literal';
+    this.value = value;
+    this.language = language;
+    this.datatype = datatype;
+  }
+
+  equals(other) {
+    return !!other && other.termType === this.termType &&
+      other.value === this.value && other.language === this.language &&
+      this.datatype.equals(other.datatype);
+  }
+};
+
+class DefaultGraph {
+  constructor() {
+    this.termType = 'DefaultGraph';
+    this.value = '';
+  }
+
+  equals(other) {
+    return !!other && other.termType === this.termType;
+  }
+};
+
+class Quad {
+  constructor(subject, predicate, object, graph) {
+    this.termType = 'Quad';
+    this.value = '';
+    this.subject = subject;
+    this.predicate = predicate;
+    this.object = object;
+    this.graph = graph;
+  }
+
+  equals(other) {
+    return !!other && other.termType === this.termType &&
+      this.subject.equals(other.subject) &&
+      this.predicate.equals(other.predicate) &&
+      this.object.equals(other.object) &&
+      this.graph.equals(other.graph);
+  }
+};
+
+const DEFAULT_GRAPH = new DefaultGraph();
+const XSD_STRING_TERM = new NamedNode(XSD_STRING);
+const RDF_LANGSTRING_TERM = new NamedNode(RDF_LANGSTRING);
+
+class DataFactory {
+  /**
+   * Creates a factory for the terms and quads of the RDF/JS data model
+   * (https://rdf.js.org/data-model-spec/), for use as the `dataFactory`
+   * option of `jsonld.toRDF`. Blank node values have no `_:` prefix.
+   */
+  constructor() {
+    this.blankNodeCounter = 0;
+  }
+
+  namedNode(value) {
+    return new NamedNode(value);
+  }
+
+  blankNode(value) {
+    return new BlankNode(
+      value === undefined ? `df${this.blankNodeCounter++}` : value);
+  }
+
+  literal(value, languageOrDatatype) {
+    if(typeof languageOrDatatype === 'string') {
+      return new Literal(value, languageOrDatatype, RDF_LANGSTRING_TERM);
+    }
+    return new Literal(value, '', languageOrDatatype ?
+      this.fromTerm(languageOrDatatype) : XSD_STRING_TERM);
+  }
+
+  defaultGraph() {
+    return DEFAULT_GRAPH;
+  }
+
+  quad(subject, predicate, object, graph = DEFAULT_GRAPH) {
+    return new Quad(subject, predicate, object, graph);
+  }
+
+  /**
+   * Creates a copy of a term with this factory.
+   *
+   * @param term the RDF/JS term.
+   *
+   * @return the new term.
+   */
+  fromTerm(term) {
+    switch(term.termType) {
+      case 'NamedNode':
+        return this.namedNode(term.value);
+      case 'BlankNode':
+        return this.blankNode(term.value);
+      case 'Literal':
+        return term.language ?
+          this.literal(term.value, term.language) :
+          this.literal(term.value, term.datatype);
+      case 'DefaultGraph':
+        return this.defaultGraph();
+      case 'Quad':
+        return this.fromQuad(term);
+      default:
+        throw new TypeError(`Unsupported term type "${term.termType}".`);
+    }
+  }
+
+  /**
+   * Creates a copy of a quad with this factory.
+   *
+   * @param quad the RDF/JS quad.
+   *
+   * @return the new quad.
+   */
+  fromQuad(quad) {
+    return this.quad(
+      this.fromTerm(quad.subject),
+      this.fromTerm(quad.predicate),
+      this.fromTerm(quad.object),
+      this.fromTerm(quad.graph));
+  }
+};
+
+export { DataFactory };
@@ -0,0 +1,77 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+class FileCacheStore {
+  /**
+   * Creates a file system store for the `cache` document loader. Each entry
+   * is kept in its own JSON file so the cache survives process restarts.
+   *
+   * @param directory the directory to store entries in, it is created if
+   *          it does not exist.
+   */
+  constructor({directory}) {
+    if(typeof directory !== 'string') {
+      throw new TypeError('"directory" must be a string.');
+    }
+    this.directory = directory;
+  }
+
+  async get(key) {
+    let data;
+    try {
+      data = await fs.readFile(this._filename(key), 'utf8');
+    } catch(e) {
+      if(e.code === 'ENOENT') {
+        return null;
+      }
+      throw e;
+    }
+    try {
+      const {key: storedKey, entry} = JSON.parse(data);
+      // guard against hash collisions
+      return storedKey === key ? entry : null;
+    } catch(e) {
+      // ignore corrupt entries, they will be overwritten
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.mkdir(this.directory, {recursive: true});
+    // write to a temporary file first so readers never see partial entries
+    const filename = this._filename(key);
+    const tmp = `${filename}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({key, entry}), 'utf8');
+    await fs.rename(tmp, filename);
+  }
+
+  async delete(key) {
+    await fs.rm(this._filename(key), {force: true});
+  }
+
+  async clear() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch(e) {
+      if(e.code === 'ENOENT') {
+        return;
+      }
+      throw e;
+    }
+    await Promise.all(files.filter(f => f.endsWith('.json')).map(
+      f => fs.rm(path.join(this.directory, f), {force: true})));
+  }
+
+  _filename(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+};
+
+export { FileCacheStore };
@@ -0,0 +1,55 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import { createReadStream } from "node:fs";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import readline from "node:readline";
+
+let _nextId = 0;
+
+class FileSpillStore {
+  /**
+   * Creates a file system store for the sorted runs of quads that
+   * `jsonld.fromRDFStream` spills when its input is not sorted. Each run is
+   * written to its own N-Quads file and read back one line at a time.
+   *
+   * @param [directory] the directory to write runs to, it is created if it
+   *          does not exist (default: the operating system's temporary
+   *          directory).
+   */
+  constructor({directory = os.tmpdir()} = {}) {
+    if(typeof directory !== 'string') {
+      throw new TypeError('"directory" must be a string.');
+    }
+    this.directory = directory;
+  }
+
+  async write(lines) {
+    await fs.mkdir(this.directory, {recursive: true});
+    const id = path.join(this.directory,
+      `jsonld-spill-${process.pid}-${Date.now()}-${_nextId++}.nq`);
+    await fs.writeFile(id, lines.join(''), 'utf8');
+    return id;
+  }
+
+  async* read(id) {
+    const input = createReadStream(id, {encoding: 'utf8'});
+    try {
+      for await (const line of readline.createInterface(
+        {input, crlfDelay: Infinity})) {
+        yield line + '\n';
+      }
+    } finally {
+      input.destroy();
+    }
+  }
+
+  async delete(id) {
+    await fs.rm(id, {force: true});
+  }
+};
+
+export { FileSpillStore };
@@ -0,0 +1,244 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import context from "./context.js";
+import nodeMap from "./nodeMap.js";
+import types from "./types.js";
+import util from "./util.js";
+
+const isKeyword = context.isKeyword;
+const _createNodeMap = nodeMap.createNodeMap;
+const _mergeNodeMapGraphs = nodeMap.mergeNodeMapGraphs;
+
+class FramingIndex {
+  /**
+   * Creates an index of expanded JSON-LD to frame it many times without
+   * expanding it and building its node map each time: pass the index as the
+   * input of `jsonld.frame`. Nodes may be added and removed after the index
+   * is created.
+   *
+   * The index has:
+   * - `graphMap`: the node map, the nodes of each graph by `@id`, with the
+   *   `@merged` graph of the nodes of all graphs that framing uses by
+   *   default.
+   * - `typeIndex`: a Map of each type to the Set of the ids of the nodes of
+   *   the merged graph that have it.
+   * - `propertyIndex`: a Map of each property to the Set of the ids of the
+   *   nodes of the merged graph that have a value for it.
+   *
+   * These must not be modified other than with `add` and `remove`.
+   *
+   * @param [input] the expanded JSON-LD to index.
+   */
+  constructor(input = []) {
+    this.graphMap = {'@default': {}, '@merged': {}};
+    this.typeIndex = new Map();
+    this.propertyIndex = new Map();
+    // the counter of the issued blank node identifiers
+    this._counter = 0;
+    // the reverse indexes built while framing each graph
+    this._reverseIndexes = {};
+    this.add(input);
+  }
+
+  /**
+   * Adds expanded JSON-LD to the index. The properties of nodes that are
+   * already in the index are merged. Blank nodes are labeled like in the
+   * node map of `jsonld.frame`, with identifiers that are unique in the
+   * index, so blank nodes of different inputs are different nodes.
+   *
+   * @param input the expanded JSON-LD to add.
+   *
+   * @return the ids of the nodes that were added or changed.
+   */
+  add(input) {
+    // build the node map of the input, labeling its blank nodes after those
+    // already in the index
+    const graphs = {'@default': {}};
+    const issuer = new util.IdentifierIssuer('_:b', new Map(), this._counter);
+    _createNodeMap(util.clone(input), graphs, '@default', issuer);
+    this._counter = issuer.counter;
+
+    // merge it in the node map
+    const ids = new Set();
+    for(const name of Object.keys(graphs)) {
+      const graph = this.graphMap[name] = this.graphMap[name] || {};
+      for(const id of Object.keys(graphs[name])) {
+        ids.add(id);
+        const node = graphs[name][id];
+        if(!(id in graph)) {
+          graph[id] = node;
+          continue;
+        }
+        for(const property of Object.keys(node)) {
+          if(isKeyword(property) && property !== '@type') {
+            graph[id][property] = node[property];
+          } else {
+            util.addValue(graph[id], property, node[property],
+              {propertyIsArray: true, allowDuplicate: false});
+          }
+        }
+      }
+    }
+
+    this._updateMerged(ids);
+    return [...ids].sort();
+  }
+
+  /**
+   * Removes nodes from every graph of the index. A node that other nodes of
+   * its graph still reference is kept with only its `@id`, as in the node
+   * map of `jsonld.frame`.
+   *
+   * @param ids the ids of the nodes, as labeled in the index for blank
+   *          nodes.
+   *
+   * @return the ids of the nodes that were removed.
+   */
+  remove(ids) {
+    const removed = new Set();
+    for(const name of Object.keys(this.graphMap)) {
+      if(name === '@merged') {
+        continue;
+      }
+      const graph = this.graphMap[name];
+      const deleted = new Set();
+      for(const id of util.asArray(ids)) {
+        if(id in graph) {
+          delete graph[id];
+          deleted.add(id);
+          removed.add(id);
+        }
+      }
+      if(deleted.size === 0) {
+        continue;
+      }
+      // keep the nodes that are still referenced
+      for(const node of Object.values(graph)) {
+        for(const property of Object.keys(node)) {
+          if(property !== '@id' && property !== '@type') {
+            _addReferences(node[property], deleted, graph);
+          }
+        }
+      }
+    }
+
+    this._updateMerged(removed);
+    return [...removed].sort();
+  }
+
+  /**
+   * Gets the index of the nodes that reference each node, by property, for
+   * a graph; it is filled while framing and cleared when the index changes.
+   *
+   * @param graph the name of the graph.
+   *
+   * @return the reverse index.
+   */
+  getReverseIndex(graph) {
+    if(!(graph in this._reverseIndexes)) {
+      this._reverseIndexes[graph] = {};
+    }
+    return this._reverseIndexes[graph];
+  }
+
+  /**
+   * Merges nodes of every graph in the merged graph again and updates the
+   * type and property indexes for them.
+   *
+   * @param ids the ids of the nodes that changed.
+   */
+  _updateMerged(ids) {
+    if(ids.size === 0) {
+      return;
+    }
+    this._reverseIndexes = {};
+
+    // merge the nodes that changed
+    const graphs = {};
+    for(const name of Object.keys(this.graphMap)) {
+      if(name === '@merged') {
+        continue;
+      }
+      graphs[name] = {};
+      for(const id of ids) {
+        if(id in this.graphMap[name]) {
+          graphs[name][id] = this.graphMap[name][id];
+        }
+      }
+    }
+    const nodes = _mergeNodeMapGraphs(graphs);
+
+    const merged = this.graphMap['@merged'];
+    for(const id of ids) {
+      if(id in merged) {
+        this._unindex(merged[id]);
+        delete merged[id];
+      }
+      if(id in nodes) {
+        merged[id] = nodes[id];
+        this._index(nodes[id]);
+      }
+    }
+  }
+
+  _index(node) {
+    const id = node['@id'];
+    for(const type of util.getValues(node, '@type')) {
+      _addToIndex(this.typeIndex, type, id);
+    }
+    for(const property of Object.keys(node)) {
+      if(!isKeyword(property)) {
+        _addToIndex(this.propertyIndex, property, id);
+      }
+    }
+  }
+
+  _unindex(node) {
+    const id = node['@id'];
+    for(const type of util.getValues(node, '@type')) {
+      _removeFromIndex(this.typeIndex, type, id);
+    }
+    for(const property of Object.keys(node)) {
+      if(!isKeyword(property)) {
+        _removeFromIndex(this.propertyIndex, property, id);
+      }
+    }
+  }
+};
+
+// adds nodes with only an `@id` to a graph for the deleted ids referenced
+// by values
+function _addReferences(values, deleted, graph) {
+  for(const value of util.asArray(values)) {
+    if(types.isObject(value)) {
+      if('@list' in value) {
+        _addReferences(value['@list'], deleted, graph);
+      } else if(deleted.has(value['@id']) && !(value['@id'] in graph)) {
+        graph[value['@id']] = {'@id': value['@id']};
+      }
+    }
+  }
+}
+
+function _addToIndex(index, key, id) {
+  const ids = index.get(key);
+  if(ids) {
+    ids.add(id);
+  } else {
+    index.set(key, new Set([id]));
+  }
+}
+
+function _removeFromIndex(index, key, id) {
+  const ids = index.get(key);
+  if(ids) {
+    ids.delete(id);
+    if(ids.size === 0) {
+      index.delete(key);
+    }
+  }
+}
+
+export { FramingIndex };
@@ -19,6 +19,30 @@ class JsonLdError extends Error {
     this.message = message;
     this.details = details;
   }
+
+  /**
+   * Gets a description of the error with the location of the data that
+   * caused it, if known.
+   *
+   * @return the description.
+   */
+  toString() {
+    let rval = `${this.name}: ${this.message}`;
+    const {path, activePropertyChain, term, contextUrl} = this.details || {};
+    if(path !== undefined) {
+      rval += `\n  at path: ${path === '' ? '(root)' : path}`;
+    }
+    if(activePropertyChain && activePropertyChain.length > 0) {
+      rval += `\n  active properties: ${activePropertyChain.join(' > ')}`;
+    }
+    if(term !== undefined) {
+      rval += `\n  in term definition: ${term}`;
+    }
+    if(contextUrl !== undefined) {
+      rval += `\n  in context: ${contextUrl}`;
+    }
+    return rval;
+  }
 };
 
 export { JsonLdError };
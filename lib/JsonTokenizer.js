@@ -0,0 +1,313 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import { JsonLdError } from "./JsonLdError.js";
+
+// a character of a string, unescaped or escaped
+const STRING_CHAR =
+  /(?:[^"\\\u0000-\u001F]|\\(?:["\\/bfnrt]|u[0-9A-Fa-f]{4}))/.source;
+
+const REGEX = {
+  ws: /[ \t\n\r]*/y,
+  stringChars: new RegExp(`${STRING_CHAR}*`, 'y'),
+  // the end of a string that may be completed by the next chunk
+  partialString: /(?:\\(?:u[0-9A-Fa-f]{0,3})?)?$/y,
+  number: /^-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?$/,
+  numberChars: /[-+0-9.eE]+/y,
+  literal: /[a-z]+/y,
+  newline: /\n/g
+};
+
+const LITERALS = {true: true, false: false, null: null};
+
+class JsonTokenizer {
+  /**
+   * Creates a tokenizer for a JSON document that is read in chunks, so
+   * that its values can be processed before the whole document is read.
+   */
+  constructor() {
+    this.buffer = '';
+    this.pos = 0;
+    // the offset of the buffer in the document
+    this.offset = 0;
+    // the line and the offset of the line of the start of the buffer
+    this.line = 1;
+    this.lineOffset = 0;
+    // the containers being read, each with the next expected token
+    this.stack = [];
+    // a string that continues in the next chunk: its offset and the parts
+    // of it that were read from the previous chunks
+    this.string = null;
+    this.done = false;
+    this.ended = false;
+  }
+
+  /**
+   * Splits the next chunk of the document into tokens. A token that may
+   * continue in the next chunk, such as a number, is only returned once
+   * that chunk is written.
+   *
+   * Tokens are `{type, offset}` where the type is one of 'startObject',
+   * 'endObject', 'startArray' and 'endArray', `{type: 'key', value,
+   * offset}` for the keys of objects and `{type: 'value', value, offset}`
+   * for strings, numbers, booleans and null. The `offset` of each token is
+   * its offset in the document.
+   *
+   * @param chunk the next string of the document.
+   *
+   * @return the tokens.
+   */
+  write(chunk) {
+    if(this.ended) {
+      throw new Error('Cannot write to a JsonTokenizer that has ended.');
+    }
+    this._advance();
+    this.buffer += chunk;
+    return this._tokenize();
+  }
+
+  /**
+   * Splits the rest of the document into tokens and checks that it is
+   * complete.
+   *
+   * @return the tokens.
+   */
+  end() {
+    if(this.ended) {
+      return [];
+    }
+    this.ended = true;
+    const tokens = this._tokenize();
+    if(!this.done) {
+      this._error('unexpected end of input');
+    }
+    return tokens;
+  }
+
+  /**
+   * Gets the line and column of an offset in the document, the offset must
+   * not be before the part of the document being tokenized.
+   *
+   * @param offset the offset.
+   *
+   * @return the line and the column, starting from 1.
+   */
+  location(offset) {
+    let line = this.line;
+    let lineOffset = this.lineOffset;
+    const text = this.buffer.slice(0, offset - this.offset);
+    REGEX.newline.lastIndex = 0;
+    while(REGEX.newline.exec(text)) {
+      line++;
+      lineOffset = this.offset + REGEX.newline.lastIndex;
+    }
+    return {line, column: offset - lineOffset + 1};
+  }
+
+  _tokenize() {
+    const tokens = [];
+    for(;;) {
+      if(!this.string) {
+        this._skip(REGEX.ws);
+        if(this.pos === this.buffer.length) {
+          return tokens;
+        }
+        if(this.done) {
+          this._error('unexpected data after the end of the document');
+        }
+      }
+      const offset = this.string ? this.string.offset : this.offset + this.pos;
+      const c = this.string ? '"' : this.buffer[this.pos];
+      let token;
+      if(c === '{' || c === '[') {
+        this._expectValue();
+        this.pos++;
+        token = {type: c === '{' ? 'startObject' : 'startArray', offset};
+        this.stack.push({
+          object: c === '{',
+          expect: c === '{' ? 'firstKey' : 'firstValue'
+        });
+      } else if(c === '}' || c === ']') {
+        const top = this.stack[this.stack.length - 1];
+        if(!top || top.object !== (c === '}') ||
+          !['firstKey', 'firstValue', 'comma'].includes(top.expect)) {
+          this._error(`unexpected "${c}"`);
+        }
+        this.pos++;
+        this.stack.pop();
+        this._valueRead();
+        token = {type: c === '}' ? 'endObject' : 'endArray', offset};
+      } else if(c === ',') {
+        const top = this.stack[this.stack.length - 1];
+        if(!top || top.expect !== 'comma') {
+          this._error('unexpected ","');
+        }
+        this.pos++;
+        top.expect = top.object ? 'key' : 'value';
+        continue;
+      } else if(c === ':') {
+        const top = this.stack[this.stack.length - 1];
+        if(!top || top.expect !== 'colon') {
+          this._error('unexpected ":"');
+        }
+        this.pos++;
+        top.expect = 'value';
+        continue;
+      } else {
+        const value = this._scalar();
+        if(value === undefined) {
+          // wait for the next chunk
+          return tokens;
+        }
+        const top = this.stack[this.stack.length - 1];
+        if(top && (top.expect === 'firstKey' || top.expect === 'key')) {
+          if(typeof value.value !== 'string') {
+            this._error('expected a string key', offset);
+          }
+          top.expect = 'colon';
+          token = {type: 'key', value: value.value, offset};
+        } else {
+          this._expectValue(offset);
+          this._valueRead();
+          token = {type: 'value', value: value.value, offset};
+        }
+      }
+      tokens.push(token);
+    }
+  }
+
+  /**
+   * Reads a string, number or literal.
+   *
+   * @return `{value}`, or undefined if it may continue in the next chunk.
+   */
+  _scalar() {
+    if(this.string || this.buffer[this.pos] === '"') {
+      return this._string();
+    }
+    const c = this.buffer[this.pos];
+    let match;
+    if((match = this._peek(REGEX.numberChars))) {
+      if(!this.ended && this.pos + match[0].length === this.buffer.length) {
+        return;
+      }
+      if(!REGEX.number.test(match[0])) {
+        this._error(`invalid number "${match[0]}"`);
+      }
+      this.pos += match[0].length;
+      return {value: Number(match[0])};
+    }
+    if((match = this._peek(REGEX.literal))) {
+      if(!this.ended && this.pos + match[0].length === this.buffer.length) {
+        return;
+      }
+      if(!(match[0] in LITERALS)) {
+        this._error(`unexpected "${match[0]}"`);
+      }
+      this.pos += match[0].length;
+      return {value: LITERALS[match[0]]};
+    }
+    this._error(`unexpected "${c}"`);
+  }
+
+  /**
+   * Reads a string, or the part of it in the buffer if it may continue in
+   * the next chunk, so that each chunk of a long string is only scanned once.
+   *
+   * @return `{value}`, or undefined if it may continue in the next chunk.
+   */
+  _string() {
+    if(!this.string) {
+      const top = this.stack[this.stack.length - 1];
+      if(!top || !['firstKey', 'key'].includes(top.expect)) {
+        // check the value now, the start of the string may leave the buffer
+        this._expectValue();
+      }
+      this.string = {offset: this.offset + this.pos, parts: ['"']};
+      this.pos++;
+    }
+    const {parts} = this.string;
+    const start = this.pos;
+    this._skip(REGEX.stringChars);
+    if(this.buffer[this.pos] === '"') {
+      parts.push(this.buffer.slice(start, ++this.pos));
+      this.string = null;
+      return {value: JSON.parse(parts.join(''))};
+    }
+    if(!this.ended && this._test(REGEX.partialString)) {
+      // keep a partial escape in the buffer to read it with the next chunk
+      parts.push(this.buffer.slice(start, this.pos));
+      return;
+    }
+    this._error('invalid string');
+  }
+
+  _expectValue(offset) {
+    const top = this.stack[this.stack.length - 1];
+    if(top && !['firstValue', 'value'].includes(top.expect)) {
+      this._error(
+        top.expect === 'colon' ? 'expected ":"' :
+          top.expect === 'comma' ? 'expected "," or the end of the ' +
+            (top.object ? 'object' : 'array') :
+            'expected a string key',
+        offset);
+    }
+  }
+
+  _valueRead() {
+    const top = this.stack[this.stack.length - 1];
+    if(top) {
+      top.expect = 'comma';
+    } else {
+      this.done = true;
+    }
+  }
+
+  // drops the tokenized part of the buffer, counting its lines
+  _advance() {
+    const consumed = this.buffer.slice(0, this.pos);
+    REGEX.newline.lastIndex = 0;
+    while(REGEX.newline.exec(consumed)) {
+      this.line++;
+      this.lineOffset = this.offset + REGEX.newline.lastIndex;
+    }
+    this.offset += this.pos;
+    this.buffer = this.buffer.slice(this.pos);
+    this.pos = 0;
+  }
+
+  _skip(regex) {
+    regex.lastIndex = this.pos;
+    regex.test(this.buffer);
+    this.pos = regex.lastIndex;
+  }
+
+  _peek(regex) {
+    regex.lastIndex = this.pos;
+    return regex.exec(this.buffer);
+  }
+
+  _test(regex) {
+    regex.lastIndex = this.pos;
+    return regex.test(this.buffer);
+  }
+
+  _match(regex) {
+    const match = this._peek(regex);
+    if(match) {
+      this.pos = regex.lastIndex;
+    }
+    return match;
+  }
+
+  _error(message, offset = this.offset + this.pos) {
+    const {line, column} = this.location(offset);
+    throw new JsonLdError(
+      `JSON parse error on line ${line}, column ${column}; ${message}.`,
+      'jsonld.SyntaxError',
+      {code: 'invalid JSON', line, column});
+  }
+};
+
+export { JsonTokenizer };
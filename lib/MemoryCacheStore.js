@@ -0,0 +1,37 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import { LRUCache as LRU } from "./vendor/lru-cache/LRUCache.js";
+
+const MAX_ENTRIES = 100;
+
+class MemoryCacheStore {
+  /**
+   * Creates an in-memory store for the `cache` document loader.
+   *
+   * @param [max] the maximum number of entries to keep, the least recently
+   *          used entries are removed first.
+   */
+  constructor({max = MAX_ENTRIES} = {}) {
+    this.cache = new LRU({max});
+  }
+
+  async get(key) {
+    return this.cache.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this.cache.set(key, entry);
+  }
+
+  async delete(key) {
+    this.cache.del(key);
+  }
+
+  async clear() {
+    this.cache.reset();
+  }
+};
+
+export { MemoryCacheStore };
@@ -0,0 +1,31 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+class MemorySpillStore {
+  /**
+   * Creates an in-memory store for the sorted runs of quads that
+   * `jsonld.fromRDFStream` spills when its input is not sorted. It is used
+   * where there is no file system, memory use is not bounded.
+   */
+  constructor() {
+    this.runs = new Map();
+    this.nextId = 0;
+  }
+
+  async write(lines) {
+    const id = this.nextId++;
+    this.runs.set(id, lines);
+    return id;
+  }
+
+  async* read(id) {
+    yield* this.runs.get(id) || [];
+  }
+
+  async delete(id) {
+    this.runs.delete(id);
+  }
+};
+
+export { MemorySpillStore };
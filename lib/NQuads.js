@@ -3,4 +3,4 @@
  */
 
 // TODO: move `NQuads` to its own package
-export { NQuads } from "https://taisukef.github.io/rdf-canonize-es/lib/NQuads.js";
+export { NQuads } from "./vendor/rdf-canonize/lib/NQuads.js";
@@ -0,0 +1,268 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import { JsonLdError } from "./JsonLdError.js";
+
+import {
+  RDF_LANGSTRING,
+  XSD_STRING
+} from './constants.js';
+
+const PN_CHARS_U = 'A-Za-z_\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF' +
+  '\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F' +
+  '\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD';
+const PN_CHARS = PN_CHARS_U + '\\-0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040';
+
+const REGEX = {
+  ws: /[ \t]*/y,
+  eoln: /\r\n|\n|\r/,
+  iri: /<([^:>]+:[^>]*)>/y,
+  blankNode: new RegExp(
+    `_:[${PN_CHARS_U}0-9](?:[${PN_CHARS}.]*[${PN_CHARS}])?`, 'y'),
+  literal: new RegExp(
+    '"([^"\\\\]*(?:\\\\.[^"\\\\]*)*)"' +
+    '(?:\\^\\^<([^:>]+:[^>]*)>|@([a-zA-Z]+(?:-[a-zA-Z0-9]+)*))?', 'y'),
+  escape: /["\\\n\r]/g,
+  unescape:
+    /\\([tbnrf"'\\])|\\u([0-9A-Fa-f]{4})|\\U([0-9A-Fa-f]{8})/g
+};
+
+const ESCAPES = {
+  '"': '\\"', '\\': '\\\\', '\n': '\\n', '\r': '\\r'
+};
+
+const UNESCAPES = {
+  t: '\t', b: '\b', n: '\n', r: '\r', f: '\f', '"': '"', '\'': '\'', '\\': '\\'
+};
+
+// parses a line of N-Quads-star
+class _LineParser {
+  constructor(line, lineNumber) {
+    this.line = line;
+    this.lineNumber = lineNumber;
+    this.pos = 0;
+  }
+
+  // parses the quad of the line, null for an empty line
+  parse() {
+    this._skip();
+    if(this.pos === this.line.length) {
+      return null;
+    }
+    const quad = this._triple();
+    this._skip();
+    if(this.line[this.pos] !== '.') {
+      quad.graph = this._resource('graph name');
+      this._skip();
+    } else {
+      quad.graph = {termType: 'DefaultGraph', value: ''};
+    }
+    if(this.line[this.pos] !== '.') {
+      this._error('expected "."');
+    }
+    this.pos++;
+    this._skip();
+    if(this.pos !== this.line.length) {
+      this._error('expected the end of the line');
+    }
+    return quad;
+  }
+
+  _triple() {
+    const subject = this._resource('subject', true);
+    this._skip();
+    const match = this._match(REGEX.iri);
+    if(!match) {
+      this._error('expected an IRI predicate');
+    }
+    const predicate = {termType: 'NamedNode', value: match[1]};
+    this._skip();
+    const object = this._object();
+    return {subject, predicate, object};
+  }
+
+  _resource(name, quoted = false) {
+    let match;
+    if(quoted && this.line.startsWith('<<', this.pos)) {
+      return this._quotedTriple();
+    }
+    if((match = this._match(REGEX.iri))) {
+      return {termType: 'NamedNode', value: match[1]};
+    }
+    if((match = this._match(REGEX.blankNode))) {
+      return {termType: 'BlankNode', value: match[0]};
+    }
+    this._error(`expected a ${name}`);
+  }
+
+  _object() {
+    const match = this._match(REGEX.literal);
+    if(!match) {
+      return this._resource('object', true);
+    }
+    const literal = {
+      termType: 'Literal',
+      value: match[1].replace(REGEX.unescape, _unescape),
+      datatype: {termType: 'NamedNode', value: match[2] || XSD_STRING}
+    };
+    if(match[3] !== undefined) {
+      literal.datatype.value = RDF_LANGSTRING;
+      literal.language = match[3];
+    }
+    return literal;
+  }
+
+  _quotedTriple() {
+    this.pos += 2;
+    this._skip();
+    const triple = this._triple();
+    this._skip();
+    if(!this.line.startsWith('>>', this.pos)) {
+      this._error('expected ">>"');
+    }
+    this.pos += 2;
+    return {
+      termType: 'Quad',
+      value: '',
+      ...triple,
+      graph: {termType: 'DefaultGraph', value: ''}
+    };
+  }
+
+  _skip() {
+    REGEX.ws.lastIndex = this.pos;
+    REGEX.ws.test(this.line);
+    this.pos = REGEX.ws.lastIndex;
+  }
+
+  _match(regex) {
+    regex.lastIndex = this.pos;
+    const match = regex.exec(this.line);
+    if(match) {
+      this.pos = regex.lastIndex;
+    }
+    return match;
+  }
+
+  _error(message) {
+    const line = this.lineNumber;
+    const column = this.pos + 1;
+    throw new JsonLdError(
+      `N-Quads-star parse error on line ${line}, column ${column}; ` +
+      `${message}.`,
+      'jsonld.SyntaxError',
+      {code: 'invalid RDF syntax', format: 'n-quads-star', line, column});
+  }
+};
+
+class NQuadsStar {
+  /**
+   * Parses RDF in the form of N-Quads-star, N-Quads where the subject and
+   * object of a quad may be a quoted triple `<< subject predicate object >>`.
+   * Quoted triples are terms with the `Quad` term type and the default
+   * graph, as in RDF/JS.
+   *
+   * @param input the N-Quads-star input to parse.
+   *
+   * @return an RDF dataset (an array of quads).
+   */
+  static parse(input) {
+    const dataset = [];
+    const keys = new Set();
+    const lines = input.split(REGEX.eoln);
+    for(let i = 0; i < lines.length; ++i) {
+      const parser = new _LineParser(lines[i], i + 1);
+      const quad = parser.parse();
+      if(!quad) {
+        continue;
+      }
+      // skip duplicate quads
+      const key = NQuadsStar.serializeQuad(quad);
+      if(!keys.has(key)) {
+        keys.add(key);
+        dataset.push(quad);
+      }
+    }
+    return dataset;
+  }
+
+  /**
+   * Converts an RDF dataset to sorted N-Quads-star.
+   *
+   * @param dataset the RDF dataset (an array of quads).
+   *
+   * @return the N-Quads-star string.
+   */
+  static serialize(dataset) {
+    return dataset.map(NQuadsStar.serializeQuad).sort().join('');
+  }
+
+  /**
+   * Converts an RDF quad to an N-Quads-star line.
+   *
+   * @param quad the RDF quad.
+   *
+   * @return the N-Quads-star line.
+   */
+  static serializeQuad(quad) {
+    let nquad = NQuadsStar.serializeTriple(quad);
+    if(quad.graph.termType !== 'DefaultGraph') {
+      nquad += ' ' + NQuadsStar.serializeTerm(quad.graph);
+    }
+    return nquad + ' .\n';
+  }
+
+  /**
+   * Converts the subject, predicate and object of an RDF quad to
+   * N-Quads-star.
+   *
+   * @param quad the RDF quad or quoted triple.
+   *
+   * @return the N-Quads-star string.
+   */
+  static serializeTriple({subject, predicate, object}) {
+    return NQuadsStar.serializeTerm(subject) + ' ' +
+      NQuadsStar.serializeTerm(predicate) + ' ' +
+      NQuadsStar.serializeTerm(object);
+  }
+
+  /**
+   * Converts an RDF term to N-Quads-star.
+   *
+   * @param term the RDF term.
+   *
+   * @return the N-Quads-star string.
+   */
+  static serializeTerm(term) {
+    switch(term.termType) {
+      case 'NamedNode':
+        return `<${term.value}>`;
+      case 'BlankNode':
+        return term.value;
+      case 'Quad':
+        return `<< ${NQuadsStar.serializeTriple(term)} >>`;
+      default: {
+        let literal =
+          `"${term.value.replace(REGEX.escape, c => ESCAPES[c])}"`;
+        if(term.datatype.value === RDF_LANGSTRING) {
+          if(term.language) {
+            literal += `@${term.language}`;
+          }
+        } else if(term.datatype.value !== XSD_STRING) {
+          literal += `^^<${term.datatype.value}>`;
+        }
+        return literal;
+      }
+    }
+  }
+};
+
+function _unescape(match, code, u, U) {
+  if(code) {
+    return UNESCAPES[code];
+  }
+  return String.fromCodePoint(parseInt(u || U, 16));
+}
+
+export { NQuadsStar };
@@ -0,0 +1,244 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import { JsonLdError } from "./JsonLdError.js";
+import { NQuads } from "./NQuads.js";
+import {
+  RDF,
+  RDF_LANGSTRING,
+  RDF_XML_LITERAL,
+  XSD_STRING
+} from "./constants.js";
+
+const TYPE_BLANK_NODE = 'BlankNode';
+const TYPE_DEFAULT_GRAPH = 'DefaultGraph';
+const TYPE_LITERAL = 'Literal';
+const TYPE_NAMED_NODE = 'NamedNode';
+
+const INDENT = '  ';
+
+const REGEX_NCNAME = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+// the longest NCName at the end of an IRI
+const REGEX_LOCAL_NAME = /[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+class RdfXml {
+  /**
+   * Converts an RDF dataset to RDF/XML.
+   *
+   * Each subject is written as an `rdf:Description` and blank nodes are
+   * labelled with `rdf:nodeID`.
+   *
+   * @param dataset (array of quads) the RDF dataset to convert.
+   * @param [options] the options to use:
+   *          [prefixes] a map of prefix to IRI used for the XML namespaces
+   *            of the predicates.
+   *
+   * @return the RDF/XML string.
+   */
+  static serialize(dataset, {prefixes = {}} = {}) {
+    if(!Array.isArray(dataset)) {
+      dataset = NQuads.legacyDatasetToQuads(dataset);
+    }
+
+    const state = {
+      namespaces: _getNamespaces(prefixes),
+      used: new Map([[RDF, 'rdf']])
+    };
+
+    // group the triples by subject
+    const subjects = new Map();
+    for(const {subject, predicate, object, graph} of dataset) {
+      if(graph.termType !== TYPE_DEFAULT_GRAPH) {
+        throw new JsonLdError(
+          'RDF/XML cannot represent named graphs.',
+          'jsonld.SyntaxError',
+          {code: 'named graph in RDF/XML', graph: graph.value});
+      }
+      const key = `${subject.termType}:${subject.value}`;
+      let node = subjects.get(key);
+      if(!node) {
+        node = {subject, properties: []};
+        subjects.set(key, node);
+      }
+      node.properties.push(_serializeProperty(state, predicate, object));
+    }
+
+    let body = '';
+    for(const {subject, properties} of subjects.values()) {
+      body += `${INDENT}<rdf:Description ${_serializeNode(subject)}>\n`;
+      for(const property of properties) {
+        body += `${INDENT}${INDENT}${property}\n`;
+      }
+      body += `${INDENT}</rdf:Description>\n`;
+    }
+
+    const xmlns = [...state.used]
+      .map(([iri, prefix]) => `xmlns:${prefix}="${_escapeAttribute(iri)}"`);
+    return '<?xml version="1.0" encoding="utf-8"?>\n' +
+      `<rdf:RDF ${xmlns.join(`\n${INDENT}${INDENT}`)}>\n` +
+      body +
+      '</rdf:RDF>\n';
+  }
+}
+
+/**
+ * Gets the namespaces that can be used as XML namespaces, longest first so
+ * the most specific prefix is used.
+ *
+ * @param prefixes the map of prefix to IRI.
+ *
+ * @return the namespaces, as `{prefix, iri}`.
+ */
+function _getNamespaces(prefixes) {
+  return Object.keys(prefixes)
+    .filter(prefix => REGEX_NCNAME.test(prefix) && prefix !== 'rdf' &&
+      !prefix.toLowerCase().startsWith('xml') &&
+      typeof prefixes[prefix] === 'string' && prefixes[prefix].length > 0)
+    .map(prefix => ({prefix, iri: prefixes[prefix]}))
+    .sort((a, b) => b.iri.length - a.iri.length ||
+      (a.prefix < b.prefix ? -1 : 1));
+}
+
+/**
+ * Serializes a predicate and object as a property element.
+ *
+ * @param state the serialization state.
+ * @param predicate the predicate.
+ * @param object the object.
+ *
+ * @return the property element.
+ */
+function _serializeProperty(state, predicate, object) {
+  if(predicate.termType !== TYPE_NAMED_NODE) {
+    throw new JsonLdError(
+      'RDF/XML cannot represent a predicate that is not an IRI.',
+      'jsonld.SyntaxError',
+      {code: 'invalid predicate', predicate: predicate.value});
+  }
+  const name = _getQName(state, predicate.value);
+  if(object.termType !== TYPE_LITERAL) {
+    return `<${name} ${_serializeNode(object, 'rdf:resource')}/>`;
+  }
+
+  const datatype = object.datatype.value;
+  let attribute = '';
+  let value = _escapeText(object.value);
+  if(datatype === RDF_LANGSTRING) {
+    attribute = ` xml:lang="${_escapeAttribute(object.language)}"`;
+  } else if(datatype === RDF_XML_LITERAL) {
+    attribute = ' rdf:parseType="Literal"';
+    value = object.value;
+  } else if(datatype !== XSD_STRING) {
+    attribute = ` rdf:datatype="${_escapeAttribute(datatype)}"`;
+  }
+  return `<${name}${attribute}>${value}</${name}>`;
+}
+
+/**
+ * Serializes the attribute that identifies a subject or object node.
+ *
+ * @param term the IRI or blank node.
+ * @param [attribute] the attribute for an IRI (default: 'rdf:about').
+ *
+ * @return the attribute.
+ */
+function _serializeNode(term, attribute = 'rdf:about') {
+  if(term.termType === TYPE_BLANK_NODE) {
+    return `rdf:nodeID="${_escapeAttribute(term.value.substr(2))}"`;
+  }
+  if(term.termType !== TYPE_NAMED_NODE) {
+    throw new JsonLdError(
+      `RDF/XML cannot represent a "${term.termType}" term.`,
+      'jsonld.SyntaxError',
+      {code: 'invalid term', term});
+  }
+  return `${attribute}="${_escapeAttribute(term.value)}"`;
+}
+
+/**
+ * Gets the qualified name of a predicate, splitting it into an XML
+ * namespace, declared with a prefix from the options if one matches it,
+ * and a local name.
+ *
+ * @param state the serialization state.
+ * @param iri the predicate IRI.
+ *
+ * @return the qualified name.
+ */
+function _getQName(state, iri) {
+  let namespace;
+  let local;
+  const prefixes = new Set(state.used.values());
+  for(const {prefix, iri: prefixIri} of state.namespaces) {
+    if(iri.startsWith(prefixIri) &&
+      REGEX_NCNAME.test(iri.substr(prefixIri.length)) &&
+      !state.used.has(prefixIri) && !prefixes.has(prefix)) {
+      state.used.set(prefixIri, prefix);
+      prefixes.add(prefix);
+      break;
+    }
+  }
+  for(const [prefixIri] of state.used) {
+    if(iri.startsWith(prefixIri) &&
+      REGEX_NCNAME.test(iri.substr(prefixIri.length))) {
+      namespace = prefixIri;
+      local = iri.substr(prefixIri.length);
+      break;
+    }
+  }
+  if(namespace === undefined) {
+    const match = REGEX_LOCAL_NAME.exec(iri);
+    if(!match || match.index === 0) {
+      throw new JsonLdError(
+        'RDF/XML cannot represent a predicate that does not end with an ' +
+        'XML name.',
+        'jsonld.SyntaxError',
+        {code: 'invalid predicate', predicate: iri});
+    }
+    namespace = iri.substr(0, match.index);
+    local = match[0];
+    if(!state.used.has(namespace)) {
+      let i = 0;
+      while(prefixes.has(`ns${i}`)) {
+        ++i;
+      }
+      state.used.set(namespace, `ns${i}`);
+    }
+  }
+  return `${state.used.get(namespace)}:${local}`;
+}
+
+const _escapeTextRegex = /[&<>\r]/g;
+/**
+ * Escape string to XML text
+ */
+function _escapeText(s) {
+  return s.replace(_escapeTextRegex, function(match) {
+    switch(match) {
+      case '&': return '&amp;';
+      case '<': return '&lt;';
+      case '>': return '&gt;';
+      case '\r': return '&#xD;';
+    }
+  });
+}
+
+const _escapeAttributeRegex = /[&<"\t\n\r]/g;
+/**
+ * Escape string to XML attribute value
+ */
+function _escapeAttribute(s) {
+  return s.replace(_escapeAttributeRegex, function(match) {
+    switch(match) {
+      case '&': return '&amp;';
+      case '<': return '&lt;';
+      case '"': return '&quot;';
+      case '\t': return '&#x9;';
+      case '\n': return '&#xA;';
+      case '\r': return '&#xD;';
+    }
+  });
+}
+
+export { RdfXml };
@@ -0,0 +1,422 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import { JsonLdError } from "./JsonLdError.js";
+import { NQuads } from "./NQuads.js";
+import { XmlTokenizer } from "./XmlTokenizer.js";
+import url from "./url.js";
+import util from "./util.js";
+import {
+  RDF,
+  RDF_FIRST,
+  RDF_LANGSTRING,
+  RDF_NIL,
+  RDF_OBJECT,
+  RDF_REST,
+  RDF_TYPE,
+  RDF_XML_LITERAL,
+  XSD_STRING
+} from "./constants.js";
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const RDF_DESCRIPTION = RDF + 'Description';
+const RDF_LI = RDF + 'li';
+const RDF_STATEMENT = RDF + 'Statement';
+const RDF_SUBJECT = RDF + 'subject';
+const RDF_PREDICATE = RDF + 'predicate';
+
+const TYPE_BLANK_NODE = 'BlankNode';
+const TYPE_DEFAULT_GRAPH = 'DefaultGraph';
+const TYPE_LITERAL = 'Literal';
+const TYPE_NAMED_NODE = 'NamedNode';
+
+const DEFAULT_GRAPH = {termType: TYPE_DEFAULT_GRAPH, value: ''};
+
+// attributes in the RDF namespace that are not property attributes
+const SYNTAX_ATTRIBUTES = new Set([
+  'about', 'ID', 'nodeID', 'resource', 'datatype', 'parseType'
+]);
+// names in the RDF namespace that cannot be used for elements
+const INVALID_NODE_ELEMENTS = new Set([
+  'RDF', 'ID', 'about', 'bagID', 'parseType', 'resource', 'nodeID', 'li',
+  'aboutEach', 'aboutEachPrefix', 'datatype'
+]);
+const INVALID_PROPERTY_ELEMENTS = new Set([
+  'Description', 'RDF', 'ID', 'about', 'bagID', 'parseType', 'resource',
+  'nodeID', 'aboutEach', 'aboutEachPrefix', 'datatype'
+]);
+const INVALID_ATTRIBUTES = new Set([
+  'li', 'aboutEach', 'aboutEachPrefix', 'bagID', 'Description', 'RDF'
+]);
+
+const REGEX_NCNAME =
+  /^[A-Za-z_\u00C0-\uFFFF][A-Za-z0-9_.\-\u00B7\u00C0-\uFFFF]*$/;
+
+class RdfXmlParser {
+  /**
+   * Creates a parser for RDF/XML.
+   *
+   * @param [base] the base IRI to resolve relative IRIs against, null to
+   *          keep them relative (default: null).
+   */
+  constructor({base = null} = {}) {
+    this.base = base;
+  }
+
+  /**
+   * Parses RDF/XML.
+   *
+   * The value of an `rdf:parseType="Literal"` property is the XML content
+   * of the property element as written, it is not canonicalized.
+   *
+   * @param input the RDF/XML string.
+   *
+   * @return an RDF dataset (an array of quads per http://rdf.js.org/).
+   */
+  parse(input) {
+    this.tokenizer = new XmlTokenizer(input);
+    this.issuer = new util.IdentifierIssuer('_:b');
+    this.dataset = [];
+    this.quads = new Set();
+
+    const root = _buildTree(this.tokenizer.tokenize());
+    const scope = {base: this.base, language: null};
+    if(root.iri === RDF + 'RDF') {
+      const rdfScope = this._scope(root, scope);
+      for(const element of this._elements(root)) {
+        this._nodeElement(element, rdfScope);
+      }
+    } else {
+      this._nodeElement(root, scope);
+    }
+    return this.dataset;
+  }
+
+  _nodeElement(element, parentScope) {
+    if(_isRdf(element.iri, INVALID_NODE_ELEMENTS)) {
+      this._error(`"${element.name}" is not a valid node element`, element);
+    }
+    const scope = this._scope(element, parentScope);
+    const {syntax, properties} = this._attributes(element);
+    if(['about', 'ID', 'nodeID'].filter(a => a in syntax).length > 1) {
+      this._error(
+        'only one of "rdf:about", "rdf:ID" and "rdf:nodeID" may be used',
+        element);
+    }
+
+    let subject;
+    if('ID' in syntax) {
+      subject = this._id(syntax.ID, scope, element);
+    } else if('nodeID' in syntax) {
+      subject = this._blankNode(syntax.nodeID, element);
+    } else if('about' in syntax) {
+      subject = _namedNode(_resolve(syntax.about, scope));
+    } else {
+      subject = this._blankNode();
+    }
+
+    if(element.iri !== RDF_DESCRIPTION) {
+      this._add(subject, _namedNode(RDF_TYPE), _namedNode(element.iri));
+    }
+    this._propertyAttributes(subject, properties, scope);
+    this._propertyElements(element, subject, scope);
+    return subject;
+  }
+
+  _propertyElements(element, subject, scope) {
+    let li = 1;
+    for(const child of this._elements(element)) {
+      let predicate = child.iri;
+      if(predicate === RDF_LI) {
+        predicate = RDF + '_' + li++;
+      }
+      this._propertyElement(child, subject, predicate, scope);
+    }
+  }
+
+  _propertyElement(element, subject, predicate, parentScope) {
+    if(_isRdf(element.iri, INVALID_PROPERTY_ELEMENTS)) {
+      this._error(
+        `"${element.name}" is not a valid property element`, element);
+    }
+    const scope = this._scope(element, parentScope);
+    const {syntax, properties} = this._attributes(element);
+    const elements = element.children.filter(c => c.type === 'element');
+    const text = element.children.filter(c => c.type === 'text')
+      .map(c => c.value).join('');
+    predicate = _namedNode(predicate);
+
+    let object;
+    if('parseType' in syntax) {
+      if(syntax.parseType === 'Resource') {
+        object = this._blankNode();
+        this._add(subject, predicate, object);
+        this._propertyElements(element, object, scope);
+      } else if(syntax.parseType === 'Collection') {
+        object = this._collection(this._elements(element)
+          .map(e => this._nodeElement(e, scope)));
+        this._add(subject, predicate, object);
+      } else {
+        // any other parse type is an XML literal
+        const [start, end] = element.content;
+        object = _literal(
+          this.tokenizer.input.slice(start, end), RDF_XML_LITERAL);
+        this._add(subject, predicate, object);
+      }
+    } else if(elements.length > 0) {
+      if(elements.length > 1 || text.trim()) {
+        this._error(
+          'a property element must contain only one node element', element);
+      }
+      object = this._nodeElement(elements[0], scope);
+      this._add(subject, predicate, object);
+    } else if(element.children.length === 0 && ('resource' in syntax ||
+      'nodeID' in syntax || properties.length > 0)) {
+      if('resource' in syntax && 'nodeID' in syntax) {
+        this._error(
+          'only one of "rdf:resource" and "rdf:nodeID" may be used', element);
+      }
+      if('resource' in syntax) {
+        object = _namedNode(_resolve(syntax.resource, scope));
+      } else if('nodeID' in syntax) {
+        object = this._blankNode(syntax.nodeID, element);
+      } else {
+        object = this._blankNode();
+      }
+      this._add(subject, predicate, object);
+      this._propertyAttributes(object, properties, scope);
+    } else {
+      if('resource' in syntax || 'nodeID' in syntax ||
+        properties.length > 0) {
+        this._error(
+          'a property element with text cannot have ' +
+          '"rdf:resource", "rdf:nodeID" or property attributes', element);
+      }
+      if('datatype' in syntax) {
+        object = _literal(text, _resolve(syntax.datatype, scope));
+      } else if(scope.language) {
+        object = _literal(text, RDF_LANGSTRING, scope.language);
+      } else {
+        object = _literal(text, XSD_STRING);
+      }
+      this._add(subject, predicate, object);
+    }
+
+    // reify the statement
+    if('ID' in syntax) {
+      const statement = this._id(syntax.ID, scope, element);
+      this._add(statement, _namedNode(RDF_TYPE), _namedNode(RDF_STATEMENT));
+      this._add(statement, _namedNode(RDF_SUBJECT), subject);
+      this._add(statement, _namedNode(RDF_PREDICATE), predicate);
+      this._add(statement, _namedNode(RDF_OBJECT), object);
+    }
+  }
+
+  _propertyAttributes(subject, properties, scope) {
+    for(const {iri, value} of properties) {
+      if(iri === RDF_TYPE) {
+        this._add(subject, _namedNode(iri), _namedNode(_resolve(value, scope)));
+      } else if(scope.language) {
+        this._add(subject, _namedNode(iri),
+          _literal(value, RDF_LANGSTRING, scope.language));
+      } else {
+        this._add(subject, _namedNode(iri), _literal(value, XSD_STRING));
+      }
+    }
+  }
+
+  _collection(items) {
+    if(items.length === 0) {
+      return _namedNode(RDF_NIL);
+    }
+    const nodes = items.map(() => this._blankNode());
+    for(let i = 0; i < items.length; ++i) {
+      this._add(nodes[i], _namedNode(RDF_FIRST), items[i]);
+      this._add(nodes[i], _namedNode(RDF_REST),
+        i + 1 < items.length ? nodes[i + 1] : _namedNode(RDF_NIL));
+    }
+    return nodes[0];
+  }
+
+  _scope(element, parentScope) {
+    const scope = {...parentScope};
+    for(const attribute of element.attributes) {
+      if(attribute.namespace !== XML_NAMESPACE) {
+        continue;
+      }
+      if(attribute.localName === 'base') {
+        scope.base = _resolve(attribute.value, parentScope);
+      } else if(attribute.localName === 'lang') {
+        scope.language = attribute.value || null;
+      }
+    }
+    return scope;
+  }
+
+  _attributes(element) {
+    const syntax = {};
+    const properties = [];
+    for(const attribute of element.attributes) {
+      const {namespace, localName, name, value} = attribute;
+      // skip unqualified and reserved xml attributes
+      if(namespace === null || namespace === XML_NAMESPACE ||
+        name.toLowerCase().startsWith('xml')) {
+        continue;
+      }
+      if(namespace === RDF) {
+        if(SYNTAX_ATTRIBUTES.has(localName)) {
+          syntax[localName] = value;
+          continue;
+        }
+        if(INVALID_ATTRIBUTES.has(localName)) {
+          this._error(`"${name}" is not a valid attribute`, element);
+        }
+      }
+      properties.push({iri: namespace + localName, value});
+    }
+    return {syntax, properties};
+  }
+
+  _elements(element) {
+    const elements = [];
+    for(const child of element.children) {
+      if(child.type === 'element') {
+        elements.push(child);
+      } else if(child.value.trim()) {
+        this._error(`unexpected text in "${element.name}"`, child);
+      }
+    }
+    return elements;
+  }
+
+  _id(id, scope, element) {
+    if(!REGEX_NCNAME.test(id)) {
+      this._error(`"${id}" is not a valid "rdf:ID"`, element);
+    }
+    return _namedNode(_resolve('#' + id, scope));
+  }
+
+  _blankNode(id, element) {
+    if(id === undefined) {
+      return {termType: TYPE_BLANK_NODE, value: this.issuer.getId()};
+    }
+    if(!REGEX_NCNAME.test(id)) {
+      this._error(`"${id}" is not a valid "rdf:nodeID"`, element);
+    }
+    return {termType: TYPE_BLANK_NODE, value: this.issuer.getId(id)};
+  }
+
+  _add(subject, predicate, object) {
+    const quad = {subject, predicate, object, graph: DEFAULT_GRAPH};
+    // only add quad if it is unique
+    const key = NQuads.serializeQuad(quad);
+    if(!this.quads.has(key)) {
+      this.quads.add(key);
+      this.dataset.push(quad);
+    }
+  }
+
+  _error(message, node) {
+    const {line, column} = this.tokenizer.location(node.start);
+    throw new JsonLdError(
+      `RDF/XML parse error on line ${line}, column ${column}; ${message}.`,
+      'jsonld.SyntaxError',
+      {code: 'invalid RDF syntax', format: 'rdf+xml', line, column});
+  }
+};
+
+/**
+ * Builds a tree of elements from XML tokens.
+ *
+ * @param tokens the tokens.
+ *
+ * @return the root element, as `{type: 'element', name, iri, attributes,
+ *   children, start, content}` where `content` is the `[start, end]` offsets
+ *   of the content of the element, its children are elements or the text
+ *   tokens.
+ */
+function _buildTree(tokens) {
+  const stack = [{children: []}];
+  for(const token of tokens) {
+    const parent = stack[stack.length - 1];
+    if(token.type === 'text') {
+      parent.children.push(token);
+    } else if(token.type === 'start') {
+      const element = {
+        type: 'element',
+        name: token.name,
+        iri: (token.namespace || '') + token.localName,
+        attributes: token.attributes,
+        children: [],
+        start: token.start,
+        content: [token.end, token.end]
+      };
+      parent.children.push(element);
+      if(!token.selfClosing) {
+        stack.push(element);
+      }
+    } else {
+      stack.pop().content[1] = token.start;
+    }
+  }
+  return stack[0].children[0];
+}
+
+/**
+ * Checks if an IRI is one of the given names in the RDF namespace.
+ *
+ * @param iri the IRI.
+ * @param names the set of local names.
+ *
+ * @return true if the IRI is in the set, false if not.
+ */
+function _isRdf(iri, names) {
+  return iri.startsWith(RDF) && names.has(iri.substr(RDF.length));
+}
+
+/**
+ * Resolves an IRI against the base IRI of a scope.
+ *
+ * @param iri the IRI.
+ * @param scope the scope.
+ *
+ * @return the resolved IRI.
+ */
+function _resolve(iri, scope) {
+  return scope.base === null ? iri : url.prependBase(scope.base, iri);
+}
+
+/**
+ * Creates a named node term.
+ *
+ * @param value the IRI.
+ *
+ * @return the named node.
+ */
+function _namedNode(value) {
+  return {termType: TYPE_NAMED_NODE, value};
+}
+
+/**
+ * Creates a literal term.
+ *
+ * @param value the lexical form.
+ * @param datatype the datatype IRI.
+ * @param [language] the language tag.
+ *
+ * @return the literal.
+ */
+function _literal(value, datatype, language) {
+  const literal = {
+    termType: TYPE_LITERAL,
+    value,
+    datatype: _namedNode(datatype)
+  };
+  if(language !== undefined) {
+    literal.language = language;
+  }
+  return literal;
+}
+
+export { RdfXmlParser };
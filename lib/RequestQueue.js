@@ -13,12 +13,18 @@ class RequestQueue {
   wrapLoader(loader) {
     const self = this;
     self._loader = loader;
-    return function(/* url */) {
+    return function(/* url, options */) {
       return self.add.apply(self, arguments);
     };
   }
 
-  async add(url) {
+  async add(url, options) {
+    if(options) {
+      // requests with options (eg: conditional requests or a URL policy) may
+      // get a different response, do not share them
+      return this._loader(url, options);
+    }
+
     let promise = this._requests[url];
     if(promise) {
       // URL already queued, wait for it to load
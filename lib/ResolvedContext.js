@@ -3,7 +3,7 @@
  */
 'use strict';
 
-import { LRUCache as LRU } from "https://taisukef.github.io/lru-cache-es/LRUCache.js";
+import { LRUCache as LRU } from "./vendor/lru-cache/LRUCache.js";
 
 const MAX_ACTIVE_CONTEXTS = 10;
 
@@ -12,9 +12,11 @@ class ResolvedContext {
    * Creates a ResolvedContext.
    *
    * @param document the context document.
+   * @param [url] the URL of the remote context the document is from, if any.
    */
-  constructor({document}) {
+  constructor({document, url = null}) {
     this.document = document;
+    this.url = url;
     // TODO: enable customization of processed context cache
     // TODO: limit based on size of processed contexts vs. number of them
     this.cache = new LRU({max: MAX_ACTIVE_CONTEXTS});
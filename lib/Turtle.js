@@ -0,0 +1,460 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import { JsonLdError } from "./JsonLdError.js";
+import { NQuads } from "./NQuads.js";
+import {
+  RDF_FIRST,
+  RDF_LANGSTRING,
+  RDF_NIL,
+  RDF_REST,
+  RDF_TYPE,
+  XSD_BOOLEAN,
+  XSD_DOUBLE,
+  XSD_INTEGER,
+  XSD_STRING
+} from "./constants.js";
+
+const XSD_DECIMAL = 'http://www.w3.org/2001/XMLSchema#decimal';
+
+const TYPE_BLANK_NODE = 'BlankNode';
+const TYPE_DEFAULT_GRAPH = 'DefaultGraph';
+const TYPE_LITERAL = 'Literal';
+const TYPE_NAMED_NODE = 'NamedNode';
+
+const INDENT = '  ';
+
+const REGEX_PREFIX = /^(?:[A-Za-z](?:[A-Za-z0-9_.-]*[A-Za-z0-9_-])?)?$/;
+const REGEX_LOCAL_NAME = /^(?:[A-Za-z0-9_](?:[A-Za-z0-9_.-]*[A-Za-z0-9_-])?)?$/;
+const REGEX_INTEGER = /^[+-]?[0-9]+$/;
+const REGEX_DECIMAL = /^[+-]?[0-9]*\.[0-9]+$/;
+const REGEX_DOUBLE =
+  /^[+-]?(?:[0-9]+\.[0-9]*|\.[0-9]+|[0-9]+)[eE][+-]?[0-9]+$/;
+
+class Turtle {
+  /**
+   * Converts an RDF dataset to Turtle, or to TriG to include named graphs.
+   *
+   * Blank nodes that are the object of a single triple are nested as
+   * `[ ... ]` and well-formed lists are abbreviated as `( ... )`, unless
+   * blank nodes are labelled.
+   *
+   * @param dataset (array of quads) the RDF dataset to convert.
+   * @param [options] the options to use:
+   *          [prefixes] a map of prefix to IRI used to abbreviate IRIs, the
+   *            empty prefix is written as `:`.
+   *          [trig] true to output TriG, false to output Turtle
+   *            (default: false).
+   *          [labelBlankNodes] true to write every blank node with its
+   *            label, eg: to keep canonical labels, false to nest them
+   *            (default: false).
+   *
+   * @return the Turtle or TriG string.
+   */
+  static serialize(dataset, {
+    prefixes = {}, trig = false, labelBlankNodes = false
+  } = {}) {
+    if(!Array.isArray(dataset)) {
+      dataset = NQuads.legacyDatasetToQuads(dataset);
+    }
+
+    const state = {
+      namespaces: _getNamespaces(prefixes),
+      used: new Set(),
+      graphs: new Map(),
+      blankNodes: new Map(),
+      labelBlankNodes
+    };
+    _index(state, dataset, trig);
+
+    // write default graph first, then named graphs
+    const blocks = [];
+    for(const [key, graph] of state.graphs) {
+      if(key === '') {
+        blocks.push(..._serializeGraph(state, graph, ''));
+        continue;
+      }
+      const name = _serializeTerm(state, graph.name);
+      const body = _serializeGraph(state, graph, INDENT).join('\n');
+      blocks.push(`${name} {\n${body}}\n`);
+    }
+
+    let rval = '';
+    const used = [...state.used].sort();
+    for(const prefix of used) {
+      rval += `@prefix ${prefix}: <${_escapeIri(prefixes[prefix])}> .\n`;
+    }
+    if(used.length > 0 && blocks.length > 0) {
+      rval += '\n';
+    }
+    return rval + blocks.join('\n');
+  }
+}
+
+/**
+ * Gets the namespaces to abbreviate IRIs with, longest first so the most
+ * specific prefix is used.
+ *
+ * @param prefixes the map of prefix to IRI.
+ *
+ * @return the namespaces, as `{prefix, iri}`.
+ */
+function _getNamespaces(prefixes) {
+  return Object.keys(prefixes)
+    .filter(prefix => REGEX_PREFIX.test(prefix) &&
+      typeof prefixes[prefix] === 'string' && prefixes[prefix].length > 0)
+    .map(prefix => ({prefix, iri: prefixes[prefix]}))
+    .sort((a, b) => b.iri.length - a.iri.length ||
+      (a.prefix < b.prefix ? -1 : 1));
+}
+
+/**
+ * Groups the quads by graph and subject, and counts the references to each
+ * blank node to find those that can be nested.
+ *
+ * @param state the serialization state.
+ * @param dataset the quads.
+ * @param trig true if named graphs may be written.
+ */
+function _index(state, dataset, trig) {
+  const {graphs} = state;
+  graphs.set('', {name: null, subjects: new Map()});
+  for(const quad of dataset) {
+    const {subject, predicate, object, graph} = quad;
+    if(predicate.termType !== TYPE_NAMED_NODE) {
+      throw new JsonLdError(
+        'Turtle cannot represent a predicate that is not an IRI.',
+        'jsonld.SyntaxError',
+        {code: 'invalid predicate', predicate: predicate.value});
+    }
+    const graphKey = graph.termType === TYPE_DEFAULT_GRAPH ? '' : graph.value;
+    if(graphKey !== '' && !trig) {
+      throw new JsonLdError(
+        'Turtle cannot represent named graphs; use "application/trig".',
+        'jsonld.SyntaxError',
+        {code: 'named graph in turtle', graph: graph.value});
+    }
+    if(!graphs.has(graphKey)) {
+      graphs.set(graphKey, {name: graph, subjects: new Map()});
+    }
+    const {subjects} = graphs.get(graphKey);
+
+    const subjectKey = _termKey(subject);
+    let node = subjects.get(subjectKey);
+    if(!node) {
+      node = {term: subject, properties: new Map()};
+      subjects.set(subjectKey, node);
+    }
+    let objects = node.properties.get(predicate.value);
+    if(!objects) {
+      objects = [];
+      node.properties.set(predicate.value, objects);
+    }
+    objects.push(object);
+
+    if(subject.termType === TYPE_BLANK_NODE) {
+      _getBlankNode(state, subject.value).graphs.add(graphKey);
+    }
+    if(object.termType === TYPE_BLANK_NODE) {
+      const info = _getBlankNode(state, object.value);
+      info.references++;
+      info.graphs.add(graphKey);
+    }
+    if(graph.termType === TYPE_BLANK_NODE) {
+      _getBlankNode(state, graph.value).isGraphName = true;
+    }
+  }
+  if(graphs.get('').subjects.size === 0) {
+    graphs.delete('');
+  }
+}
+
+/**
+ * Gets the reference information for a blank node.
+ *
+ * @param state the serialization state.
+ * @param id the blank node identifier.
+ *
+ * @return the information: the number of `references` to it as an object,
+ *   the keys of the `graphs` it is used in, and whether it `isGraphName`.
+ */
+function _getBlankNode(state, id) {
+  let info = state.blankNodes.get(id);
+  if(!info) {
+    info = {references: 0, graphs: new Set(), isGraphName: false};
+    state.blankNodes.set(id, info);
+  }
+  return info;
+}
+
+/**
+ * Serializes the subjects of a graph that are not nested in other subjects.
+ *
+ * @param state the serialization state.
+ * @param graph the graph.
+ * @param indent the indentation of the subjects.
+ *
+ * @return the serialized subjects, each ending with a newline.
+ */
+function _serializeGraph(state, graph, indent) {
+  const blocks = [];
+  state.graph = graph;
+  // the subjects written or nested in this graph, the same subject may have
+  // triples in other graphs
+  state.written = new Set();
+  for(const [key, node] of graph.subjects) {
+    // skip subjects nested in a subject written above
+    if(!state.written.has(key) && !_canNest(state, node.term)) {
+      blocks.push(_serializeSubject(state, key, node, indent));
+    }
+  }
+  // subjects that only reference each other in a cycle are not nested in a
+  // subject written above, write the first of each cycle with its label
+  for(const [key, node] of graph.subjects) {
+    if(!state.written.has(key)) {
+      _getBlankNode(state, node.term.value).references = Infinity;
+      blocks.push(_serializeSubject(state, key, node, indent));
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Serializes a subject and its properties as a triples statement.
+ *
+ * @param state the serialization state.
+ * @param key the subject key.
+ * @param node the subject and its properties.
+ * @param indent the indentation of the statement.
+ *
+ * @return the statement.
+ */
+function _serializeSubject(state, key, node, indent) {
+  state.written.add(key);
+  let subject;
+  const {term} = node;
+  if(term.termType === TYPE_BLANK_NODE) {
+    const info = _getBlankNode(state, term.value);
+    // use an anonymous blank node if nothing else refers to it
+    subject = (info.references === 0 && !info.isGraphName &&
+      info.graphs.size === 1 && !state.labelBlankNodes) ? '[]' : term.value;
+  } else {
+    subject = _serializeTerm(state, term);
+  }
+  return `${indent}${subject} ` +
+    `${_serializeProperties(state, node, indent + INDENT)} .\n`;
+}
+
+/**
+ * Serializes the predicates and objects of a subject.
+ *
+ * @param state the serialization state.
+ * @param node the subject and its properties.
+ * @param indent the indentation of the predicates after the first.
+ *
+ * @return the predicate object list.
+ */
+function _serializeProperties(state, node, indent) {
+  // write rdf:type first
+  const predicates = [...node.properties.keys()].sort(
+    (a, b) => (b === RDF_TYPE) - (a === RDF_TYPE));
+  return predicates.map(predicate => {
+    const objects = node.properties.get(predicate)
+      .map(object => _serializeObject(state, object, indent));
+    const p = predicate === RDF_TYPE ?
+      'a' : _serializeIri(state, predicate);
+    return `${p} ${objects.join(', ')}`;
+  }).join(` ;\n${indent}`);
+}
+
+/**
+ * Serializes an object, nesting blank nodes and lists where possible.
+ *
+ * @param state the serialization state.
+ * @param object the object.
+ * @param indent the indentation of the predicate of the object.
+ *
+ * @return the serialized object.
+ */
+function _serializeObject(state, object, indent) {
+  if(object.termType === TYPE_NAMED_NODE && object.value === RDF_NIL) {
+    return '()';
+  }
+  if(!_canNest(state, object)) {
+    return _serializeTerm(state, object);
+  }
+
+  const items = _getListItems(state, object);
+  if(items) {
+    return '( ' + items.map(
+      item => _serializeObject(state, item, indent)).join(' ') + ' )';
+  }
+
+  const key = _termKey(object);
+  const node = state.graph.subjects.get(key);
+  state.written.add(key);
+  if(!node) {
+    return '[]';
+  }
+  const inner = indent + INDENT;
+  return `[\n${inner}${_serializeProperties(state, node, inner)}\n${indent}]`;
+}
+
+/**
+ * Checks if a blank node can be nested where it is used as an object: blank
+ * nodes are not labelled, it is the object of no other triple, it is not used
+ * in another graph or as a graph name, and it has not been written yet.
+ *
+ * @param state the serialization state.
+ * @param term the term.
+ *
+ * @return true if the term can be nested, false if not.
+ */
+function _canNest(state, term) {
+  if(term.termType !== TYPE_BLANK_NODE || state.labelBlankNodes) {
+    return false;
+  }
+  const info = _getBlankNode(state, term.value);
+  return info.references === 1 && !info.isGraphName &&
+    info.graphs.size === 1 && !state.written.has(_termKey(term));
+}
+
+/**
+ * Gets the items of a well-formed list that starts at the given blank node:
+ * each node of the list has only one `rdf:first` and one `rdf:rest` and can
+ * be nested.
+ *
+ * @param state the serialization state.
+ * @param head the first node of the list.
+ *
+ * @return the items of the list, or null if it is not a well-formed list.
+ */
+function _getListItems(state, head) {
+  const items = [];
+  const keys = [];
+  let node = head;
+  while(!(node.termType === TYPE_NAMED_NODE && node.value === RDF_NIL)) {
+    const key = _termKey(node);
+    if(!_canNest(state, node) || keys.includes(key)) {
+      return null;
+    }
+    const subject = state.graph.subjects.get(key);
+    if(!subject || subject.properties.size !== 2) {
+      return null;
+    }
+    const first = subject.properties.get(RDF_FIRST);
+    const rest = subject.properties.get(RDF_REST);
+    if(!first || !rest || first.length !== 1 || rest.length !== 1) {
+      return null;
+    }
+    items.push(first[0]);
+    keys.push(key);
+    node = rest[0];
+  }
+  for(const key of keys) {
+    state.written.add(key);
+  }
+  return items;
+}
+
+/**
+ * Serializes an IRI, blank node or literal term.
+ *
+ * @param state the serialization state.
+ * @param term the term.
+ *
+ * @return the serialized term.
+ */
+function _serializeTerm(state, term) {
+  if(term.termType === TYPE_NAMED_NODE) {
+    return _serializeIri(state, term.value);
+  }
+  if(term.termType === TYPE_BLANK_NODE) {
+    return term.value;
+  }
+  if(term.termType !== TYPE_LITERAL) {
+    throw new JsonLdError(
+      `Turtle cannot represent a "${term.termType}" term.`,
+      'jsonld.SyntaxError',
+      {code: 'invalid term', term});
+  }
+
+  const {value} = term;
+  const datatype = term.datatype.value;
+  if(datatype === XSD_STRING) {
+    return `"${_escapeString(value)}"`;
+  }
+  if(datatype === RDF_LANGSTRING) {
+    return `"${_escapeString(value)}"@${term.language}`;
+  }
+  // use shorthand for numbers and booleans written in Turtle syntax
+  if((datatype === XSD_INTEGER && REGEX_INTEGER.test(value)) ||
+    (datatype === XSD_DECIMAL && REGEX_DECIMAL.test(value)) ||
+    (datatype === XSD_DOUBLE && REGEX_DOUBLE.test(value)) ||
+    (datatype === XSD_BOOLEAN && (value === 'true' || value === 'false'))) {
+    return value;
+  }
+  return `"${_escapeString(value)}"^^${_serializeIri(state, datatype)}`;
+}
+
+/**
+ * Serializes an IRI, as a prefixed name if a prefix matches it.
+ *
+ * @param state the serialization state.
+ * @param iri the IRI.
+ *
+ * @return the serialized IRI.
+ */
+function _serializeIri(state, iri) {
+  for(const {prefix, iri: namespace} of state.namespaces) {
+    if(iri.startsWith(namespace)) {
+      const local = iri.substr(namespace.length);
+      if(REGEX_LOCAL_NAME.test(local)) {
+        state.used.add(prefix);
+        return `${prefix}:${local}`;
+      }
+    }
+  }
+  return `<${_escapeIri(iri)}>`;
+}
+
+/**
+ * Gets a key for a subject or object term that is unique in a graph.
+ *
+ * @param term the term.
+ *
+ * @return the key.
+ */
+function _termKey(term) {
+  return term.termType === TYPE_BLANK_NODE ? term.value : `<${term.value}>`;
+}
+
+const _escapeIriRegex = /[\x00-\x20<>"{}|^`\\]/g;
+/**
+ * Escape IRI to Turtle IRI reference
+ */
+function _escapeIri(s) {
+  return s.replace(_escapeIriRegex, match =>
+    '\\u' + match.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0'));
+}
+
+const _escapeStringRegex = /["\\\n\r\t\b\f]/g;
+/**
+ * Escape string to Turtle literal
+ */
+function _escapeString(s) {
+  return s.replace(_escapeStringRegex, function(match) {
+    switch(match) {
+      case '"': return '\\"';
+      case '\\': return '\\\\';
+      case '\n': return '\\n';
+      case '\r': return '\\r';
+      case '\t': return '\\t';
+      case '\b': return '\\b';
+      case '\f': return '\\f';
+    }
+  });
+}
+
+export { Turtle };
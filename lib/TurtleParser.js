@@ -0,0 +1,526 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import { JsonLdError } from "./JsonLdError.js";
+import { NQuads } from "./NQuads.js";
+import url from "./url.js";
+import util from "./util.js";
+import {
+  RDF_FIRST,
+  RDF_LANGSTRING,
+  RDF_NIL,
+  RDF_REST,
+  RDF_TYPE,
+  XSD_BOOLEAN,
+  XSD_DOUBLE,
+  XSD_INTEGER,
+  XSD_STRING
+} from "./constants.js";
+
+const XSD_DECIMAL = 'http://www.w3.org/2001/XMLSchema#decimal';
+
+const TYPE_BLANK_NODE = 'BlankNode';
+const TYPE_DEFAULT_GRAPH = 'DefaultGraph';
+const TYPE_LITERAL = 'Literal';
+const TYPE_NAMED_NODE = 'NamedNode';
+
+const DEFAULT_GRAPH = {termType: TYPE_DEFAULT_GRAPH, value: ''};
+
+// the features of each syntax
+const FORMATS = {
+  turtle: {name: 'Turtle', abbreviations: true, graphs: false},
+  trig: {name: 'TriG', abbreviations: true, graphs: true},
+  'n-triples': {name: 'N-Triples', abbreviations: false, graphs: false}
+};
+
+// build regexes, see https://www.w3.org/TR/turtle/#sec-grammar-grammar
+const REGEX = {};
+(() => {
+  const PN_CHARS_BASE =
+    'A-Za-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D' +
+    '\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF' +
+    '\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\u{10000}-\\u{EFFFF}';
+  const PN_CHARS_U = PN_CHARS_BASE + '_';
+  const PN_CHARS = PN_CHARS_U + '\\-0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040';
+  const PLX = '(?:%[0-9A-Fa-f]{2}|\\\\[_~.\\-!$&\'()*+,;=/?#@%])';
+  const PN_PREFIX =
+    `[${PN_CHARS_BASE}](?:[${PN_CHARS}.]*[${PN_CHARS}])?`;
+  const PN_LOCAL =
+    `(?:[${PN_CHARS_U}:0-9]|${PLX})` +
+    `(?:(?:[${PN_CHARS}.:]|${PLX})*(?:[${PN_CHARS}:]|${PLX}))?`;
+
+  const UCHAR = '\\\\u[0-9A-Fa-f]{4}|\\\\U[0-9A-Fa-f]{8}';
+
+  REGEX.ws = /(?:\s|#[^\n\r]*)*/y;
+  REGEX.iri = new RegExp(`<((?:[^\\x00-\\x20<>"{}|^\`\\\\]|${UCHAR})*)>`, 'y');
+  REGEX.pname = new RegExp(`(${PN_PREFIX})?:(${PN_LOCAL})?`, 'uy');
+  REGEX.blankNode = new RegExp(
+    `_:((?:[${PN_CHARS_U}0-9])(?:[${PN_CHARS}.]*[${PN_CHARS}])?)`, 'uy');
+  REGEX.anon = /\[(?:\s|#[^\n\r]*)*\]/y;
+  REGEX.language = /@([a-zA-Z]+(?:-[a-zA-Z0-9]+)*)/y;
+  REGEX.double =
+    /[+-]?(?:[0-9]+\.[0-9]*|\.[0-9]+|[0-9]+)[eE][+-]?[0-9]+/y;
+  REGEX.decimal = /[+-]?[0-9]*\.[0-9]+/y;
+  REGEX.integer = /[+-]?[0-9]+/y;
+  REGEX.boolean = new RegExp(`(?:true|false)(?![${PN_CHARS}:])`, 'uy');
+  REGEX.type = new RegExp(`a(?![${PN_CHARS}:])`, 'uy');
+  REGEX.prefix = /@prefix\b/y;
+  REGEX.base = /@base\b/y;
+  REGEX.sparqlPrefix = /PREFIX(?=\s)/iy;
+  REGEX.sparqlBase = /BASE(?=\s)/iy;
+  REGEX.graph = /GRAPH(?=\s|<|\[|_:)/iy;
+  REGEX.strings = [
+    /"""((?:"{0,2}(?:[^"\\]|\\[\s\S]))*)"""/y,
+    /'''((?:'{0,2}(?:[^'\\]|\\[\s\S]))*)'''/y,
+    /"((?:[^"\\\n\r]|\\[\s\S])*)"/y,
+    /'((?:[^'\\\n\r]|\\[\s\S])*)'/y
+  ];
+  REGEX.localEscape = /\\([_~.\-!$&'()*+,;=/?#@%])/g;
+  REGEX.escape =
+    /\\(?:u([0-9A-Fa-f]{4})|U([0-9A-Fa-f]{8})|([tbnrf"'\\])|[\s\S])/g;
+  REGEX.eoln = /\r\n|\n|\r/;
+})();
+
+const ECHAR = {
+  t: '\t', b: '\b', n: '\n', r: '\r', f: '\f', '"': '"', '\'': '\'', '\\': '\\'
+};
+
+class TurtleParser {
+  /**
+   * Creates a parser for Turtle, TriG or N-Triples.
+   *
+   * @param [format] the syntax: 'turtle', 'trig' or 'n-triples'
+   *          (default: 'turtle').
+   * @param [base] the base IRI to resolve relative IRIs against, null if
+   *          there is none and relative IRIs are an error (default: null).
+   */
+  constructor({format = 'turtle', base = null} = {}) {
+    if(!(format in FORMATS)) {
+      throw new JsonLdError(
+        'Unknown input format.',
+        'jsonld.UnknownFormat', {format});
+    }
+    this.format = format;
+    this.base = base;
+  }
+
+  /**
+   * Parses RDF in the syntax of this parser.
+   *
+   * @param input the string to parse.
+   *
+   * @return an RDF dataset (an array of quads per http://rdf.js.org/).
+   */
+  parse(input) {
+    this.input = input;
+    this.pos = 0;
+    this.syntax = FORMATS[this.format];
+    this.prefixes = {};
+    this.issuer = new util.IdentifierIssuer('_:b');
+    this.graph = DEFAULT_GRAPH;
+    this.dataset = [];
+    this.quads = new Set();
+
+    this._skip();
+    while(this.pos < this.input.length) {
+      this._statement();
+      this._skip();
+    }
+    return this.dataset;
+  }
+
+  _statement() {
+    if(this.syntax.abbreviations) {
+      if(this._match(REGEX.prefix)) {
+        this._prefix();
+        return this._expect('.');
+      }
+      if(this._match(REGEX.base)) {
+        this._base();
+        return this._expect('.');
+      }
+      if(this._match(REGEX.sparqlPrefix)) {
+        return this._prefix();
+      }
+      if(this._match(REGEX.sparqlBase)) {
+        return this._base();
+      }
+    }
+    if(this.syntax.graphs) {
+      if(this._match(REGEX.graph)) {
+        this._skip();
+        return this._wrappedGraph(this._graphLabel());
+      }
+      if(this._peek('{')) {
+        return this._wrappedGraph(DEFAULT_GRAPH);
+      }
+      if(!this._peek('(') && (!this._peek('[') || this._test(REGEX.anon))) {
+        // a subject or the label of a graph
+        const term = this._subject();
+        this._skip();
+        if(this._peek('{')) {
+          return this._wrappedGraph(term);
+        }
+        this._predicateObjectList(term);
+        return this._expect('.');
+      }
+    }
+    this._triples();
+    this._expect('.');
+  }
+
+  _prefix() {
+    this._skip();
+    const match = this._match(REGEX.pname);
+    if(!match || match[2] !== undefined) {
+      this._error('expected a prefix name ending with ":"');
+    }
+    this._skip();
+    this.prefixes[match[1] || ''] = this._iriRef();
+  }
+
+  _base() {
+    this._skip();
+    this.base = this._iriRef();
+  }
+
+  _graphLabel() {
+    if(this._peek('<') || this._peek('_:') || this._test(REGEX.anon) ||
+      this._test(REGEX.pname)) {
+      return this._subject();
+    }
+    this._error('expected a graph name');
+  }
+
+  _wrappedGraph(graph) {
+    this._skip();
+    this._expect('{');
+    this.graph = graph;
+    this._skip();
+    while(!this._peek('}')) {
+      this._triples();
+      this._skip();
+      if(!this._consume('.')) {
+        break;
+      }
+      this._skip();
+    }
+    this._expect('}');
+    this.graph = DEFAULT_GRAPH;
+  }
+
+  _triples() {
+    if(this.syntax.abbreviations && this._peek('[') &&
+      !this._test(REGEX.anon)) {
+      const subject = this._blankNodePropertyList();
+      this._skip();
+      if(!this._peek('.') && !this._peek('}')) {
+        this._predicateObjectList(subject);
+      }
+      return;
+    }
+    this._predicateObjectList(this._subject());
+  }
+
+  _predicateObjectList(subject) {
+    do {
+      this._skip();
+      const predicate = this._verb();
+      this._objectList(subject, predicate);
+      this._skip();
+      if(!this.syntax.abbreviations) {
+        return;
+      }
+      if(!this._peek(';')) {
+        return;
+      }
+      // skip repeated semicolons
+      while(this._consume(';')) {
+        this._skip();
+      }
+    } while(!(this._peek('.') || this._peek(']') || this._peek('}') ||
+      this.pos >= this.input.length));
+  }
+
+  _objectList(subject, predicate) {
+    do {
+      this._skip();
+      this._add(subject, predicate, this._object());
+      this._skip();
+    } while(this.syntax.abbreviations && this._consume(','));
+  }
+
+  _subject() {
+    this._skip();
+    if(this._peek('(') && this.syntax.abbreviations) {
+      return this._collection();
+    }
+    if(this._peek('_:') || this._peek('[')) {
+      return this._blankNode();
+    }
+    if(this._peek('<') || this.syntax.abbreviations) {
+      return this._iri();
+    }
+    this._error('expected a subject');
+  }
+
+  _verb() {
+    if(this.syntax.abbreviations && this._match(REGEX.type)) {
+      return {termType: TYPE_NAMED_NODE, value: RDF_TYPE};
+    }
+    return this._iri();
+  }
+
+  _object() {
+    if(this._peek('<')) {
+      return this._iri();
+    }
+    if(this._peek('_:')) {
+      return this._blankNode();
+    }
+    if(this._peek('"') || this._peek('\'')) {
+      return this._literal();
+    }
+    if(!this.syntax.abbreviations) {
+      this._error('expected an object');
+    }
+    if(this._peek('(')) {
+      return this._collection();
+    }
+    if(this._test(REGEX.anon)) {
+      return this._blankNode();
+    }
+    if(this._peek('[')) {
+      return this._blankNodePropertyList();
+    }
+    return this._numericOrBooleanLiteral() || this._iri();
+  }
+
+  _literal() {
+    // N-Triples only has double quoted short strings
+    const strings = this.syntax.abbreviations ?
+      REGEX.strings : [REGEX.strings[2]];
+    let match;
+    for(const regex of strings) {
+      match = this._match(regex);
+      if(match) {
+        break;
+      }
+    }
+    if(!match) {
+      this._error('expected a string');
+    }
+    const value = this._unescape(match[1], /[tbnrf"'\\]/);
+    const language = this._match(REGEX.language);
+    if(language) {
+      return _literal(value, RDF_LANGSTRING, language[1]);
+    }
+    if(this._consume('^^')) {
+      return _literal(value, this._iri().value);
+    }
+    return _literal(value, XSD_STRING);
+  }
+
+  _numericOrBooleanLiteral() {
+    let match;
+    if((match = this._match(REGEX.double))) {
+      return _literal(match[0], XSD_DOUBLE);
+    }
+    if((match = this._match(REGEX.decimal))) {
+      return _literal(match[0], XSD_DECIMAL);
+    }
+    if((match = this._match(REGEX.integer))) {
+      return _literal(match[0], XSD_INTEGER);
+    }
+    if((match = this._match(REGEX.boolean))) {
+      return _literal(match[0], XSD_BOOLEAN);
+    }
+    return null;
+  }
+
+  _collection() {
+    this._expect('(');
+    const items = [];
+    this._skip();
+    while(!this._consume(')')) {
+      if(this.pos >= this.input.length) {
+        this._error('expected ")"');
+      }
+      items.push(this._object());
+      this._skip();
+    }
+    if(items.length === 0) {
+      return {termType: TYPE_NAMED_NODE, value: RDF_NIL};
+    }
+    const nodes = items.map(() => this._freshBlankNode());
+    for(let i = 0; i < items.length; ++i) {
+      this._add(nodes[i],
+        {termType: TYPE_NAMED_NODE, value: RDF_FIRST}, items[i]);
+      this._add(nodes[i],
+        {termType: TYPE_NAMED_NODE, value: RDF_REST},
+        i + 1 < items.length ?
+          nodes[i + 1] : {termType: TYPE_NAMED_NODE, value: RDF_NIL});
+    }
+    return nodes[0];
+  }
+
+  _blankNodePropertyList() {
+    this._expect('[');
+    const node = this._freshBlankNode();
+    this._predicateObjectList(node);
+    this._skip();
+    this._expect(']');
+    return node;
+  }
+
+  _blankNode() {
+    if(this.syntax.abbreviations && this._match(REGEX.anon)) {
+      return this._freshBlankNode();
+    }
+    const match = this._match(REGEX.blankNode);
+    if(!match) {
+      this._error('expected a blank node');
+    }
+    return {termType: TYPE_BLANK_NODE, value: this.issuer.getId(match[1])};
+  }
+
+  _freshBlankNode() {
+    return {termType: TYPE_BLANK_NODE, value: this.issuer.getId()};
+  }
+
+  _iri() {
+    if(this._peek('<')) {
+      return {termType: TYPE_NAMED_NODE, value: this._iriRef()};
+    }
+    const start = this.pos;
+    const match = this.syntax.abbreviations && this._match(REGEX.pname);
+    if(!match) {
+      this._error('expected an IRI');
+    }
+    const prefix = match[1] || '';
+    if(!(prefix in this.prefixes)) {
+      this.pos = start;
+      this._error(`undefined prefix "${prefix}:"`);
+    }
+    const local = (match[2] || '').replace(REGEX.localEscape, '$1');
+    return {termType: TYPE_NAMED_NODE, value: this.prefixes[prefix] + local};
+  }
+
+  _iriRef() {
+    const start = this.pos;
+    const match = this._match(REGEX.iri);
+    if(!match) {
+      this._error('expected an IRI');
+    }
+    const iri = this._unescape(match[1], null);
+    if(this.base !== null) {
+      return url.prependBase(this.base, iri);
+    }
+    // relative IRIs cannot be resolved
+    if(!url.isAbsolute(iri)) {
+      this.pos = start;
+      this._error(`relative IRI "${iri}" without a base IRI`);
+    }
+    return iri;
+  }
+
+  _add(subject, predicate, object) {
+    const quad = {subject, predicate, object, graph: this.graph};
+    // only add quad if it is unique
+    const key = NQuads.serializeQuad(quad);
+    if(!this.quads.has(key)) {
+      this.quads.add(key);
+      this.dataset.push(quad);
+    }
+  }
+
+  _unescape(s, echar) {
+    return s.replace(REGEX.escape, (match, u, U, code) => {
+      if(u || U) {
+        return String.fromCodePoint(parseInt(u || U, 16));
+      }
+      if(code && echar && echar.test(code)) {
+        return ECHAR[code];
+      }
+      this._error(`invalid escape "${match}"`);
+    });
+  }
+
+  _skip() {
+    REGEX.ws.lastIndex = this.pos;
+    REGEX.ws.exec(this.input);
+    this.pos = REGEX.ws.lastIndex;
+  }
+
+  _peek(token) {
+    return this.input.startsWith(token, this.pos);
+  }
+
+  _consume(token) {
+    if(this._peek(token)) {
+      this.pos += token.length;
+      return true;
+    }
+    return false;
+  }
+
+  _expect(token) {
+    this._skip();
+    if(!this._consume(token)) {
+      this._error(`expected "${token}"`);
+    }
+  }
+
+  _test(regex) {
+    regex.lastIndex = this.pos;
+    return regex.test(this.input);
+  }
+
+  _match(regex) {
+    regex.lastIndex = this.pos;
+    const match = regex.exec(this.input);
+    if(match) {
+      this.pos = regex.lastIndex;
+    }
+    return match;
+  }
+
+  _error(message) {
+    const lines = this.input.slice(0, this.pos).split(REGEX.eoln);
+    const line = lines.length;
+    const column = lines[lines.length - 1].length + 1;
+    const found = this.pos < this.input.length ?
+      `"${this.input.substr(this.pos, 10).split(REGEX.eoln)[0]}"` :
+      'the end of the input';
+    const {name} = this.syntax;
+    throw new JsonLdError(
+      `${name} parse error on line ${line}, column ${column}; ` +
+      `${message}, found ${found}.`,
+      'jsonld.SyntaxError',
+      {code: 'invalid RDF syntax', format: this.format, line, column});
+  }
+};
+
+/**
+ * Creates a literal term.
+ *
+ * @param value the lexical form.
+ * @param datatype the datatype IRI.
+ * @param [language] the language tag.
+ *
+ * @return the literal.
+ */
+function _literal(value, datatype, language) {
+  const literal = {
+    termType: TYPE_LITERAL,
+    value,
+    datatype: {termType: TYPE_NAMED_NODE, value: datatype}
+  };
+  if(language !== undefined) {
+    literal.language = language;
+  }
+  return literal;
+}
+
+export { TurtleParser };
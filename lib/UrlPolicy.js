@@ -0,0 +1,314 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import { JsonLdError } from "./JsonLdError.js";
+
+const REGEX_IPV4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+// private, loopback, link-local and other non-public IPv4 ranges
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].map(([address, bits]) => [_parseIPv4(address), bits]);
+
+// the policy of each wrapped document loader, to avoid checking URLs more
+// than once with the same policy
+const _wrappedLoaders = new WeakMap();
+
+class UrlPolicy {
+  /**
+   * Creates a policy for the URLs that may be dereferenced while processing
+   * JSON-LD, eg: to protect a server that processes untrusted input from
+   * server-side request forgery (SSRF).
+   *
+   * URL patterns are hosts, eg: `example.com`, hosts with subdomains, eg:
+   * `*.example.com`, URL prefixes, eg: `https://example.com/contexts/`, or
+   * regular expressions tested against the whole URL.
+   *
+   * @param options the options to use:
+   *          [allow]: the URL patterns that may be dereferenced, all others
+   *            are denied. (default: all URLs are allowed)
+   *          [deny]: the URL patterns that must not be dereferenced.
+   *            (default: none)
+   *          [allowPrivate]: true to allow URLs of private, loopback and
+   *            link-local addresses and of `localhost`. (default: false)
+   *          [protocols]: the allowed URL protocols.
+   *            (default: `['http:', 'https:']`)
+   *          [maxDocumentSize]: the maximum size of a document in bytes.
+   *            (default: none)
+   *          [lookup(hostname)]: a function that resolves to the IP
+   *            addresses of a hostname, so hostnames of private addresses
+   *            are denied too, as are hostnames that cannot be resolved;
+   *            the document loader resolves the hostname again, so a
+   *            hostname whose DNS records change between the two lookups
+   *            (DNS rebinding) is not denied.
+   *            (default: DNS in Node.js, none in browsers)
+   */
+  constructor({
+    allow,
+    deny = [],
+    allowPrivate = false,
+    protocols = ['http:', 'https:'],
+    maxDocumentSize = Infinity,
+    lookup
+  } = {}) {
+    this.allow = allow === undefined ? undefined : _compile(allow);
+    this.deny = _compile(deny);
+    this.allowPrivate = allowPrivate;
+    this.protocols = protocols;
+    this.maxDocumentSize = maxDocumentSize;
+    this.lookup = lookup;
+  }
+
+  /**
+   * Checks that a URL may be dereferenced.
+   *
+   * @param url the URL to check.
+   *
+   * @return a Promise that resolves once the URL is checked, or rejects
+   *   with a `url policy violation` error.
+   */
+  async check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch(e) {
+      throw _policyError('the URL is not absolute', url);
+    }
+    if(!this.protocols.includes(parsed.protocol)) {
+      throw _policyError(`the "${parsed.protocol}" protocol is not allowed`,
+        url);
+    }
+    if(this.deny.some(pattern => pattern(parsed))) {
+      throw _policyError('the URL is denied by the URL policy', url);
+    }
+    if(this.allow && !this.allow.some(pattern => pattern(parsed))) {
+      throw _policyError('the URL is not allowed by the URL policy', url);
+    }
+    if(!this.allowPrivate && await this._isPrivate(parsed.hostname, url)) {
+      throw _policyError('the URL host has a private address', url);
+    }
+  }
+
+  /**
+   * Checks that the size of a document is within the limit.
+   *
+   * @param url the URL of the document.
+   * @param size the size of the document in bytes.
+   */
+  checkSize({url, size}) {
+    if(size > this.maxDocumentSize) {
+      throw _policyError(
+        `the document is larger than ${this.maxDocumentSize} bytes`, url,
+        {maxDocumentSize: this.maxDocumentSize});
+    }
+  }
+
+  /**
+   * Wraps a document loader so it only dereferences URLs permitted by this
+   * policy. The policy is passed to the loader as the `urlPolicy` option, so
+   * loaders that follow redirects or stream documents can enforce it too;
+   * the final document URL and the size of string documents are checked
+   * for other loaders. A loader wrapped by another policy is checked by
+   * both policies.
+   *
+   * @param documentLoader the document loader to wrap.
+   *
+   * @return the wrapped document loader.
+   */
+  wrapLoader(documentLoader) {
+    if(_wrappedLoaders.get(documentLoader) === this) {
+      return documentLoader;
+    }
+    const policy = this;
+    const loader = async function(url, options = {}) {
+      await policy.check(url);
+      // keep the policy of any loader wrapping this one
+      const urlPolicy = options.urlPolicy && options.urlPolicy !== policy ?
+        _combine(options.urlPolicy, policy) : policy;
+      const remoteDoc = await documentLoader(url, {...options, urlPolicy});
+      if(remoteDoc && remoteDoc.documentUrl &&
+        remoteDoc.documentUrl !== url) {
+        await policy.check(remoteDoc.documentUrl);
+      }
+      if(remoteDoc && typeof remoteDoc.document === 'string') {
+        policy.checkSize(
+          {url, size: new TextEncoder().encode(remoteDoc.document).length});
+      }
+      return remoteDoc;
+    };
+    _wrappedLoaders.set(loader, this);
+    return loader;
+  }
+
+  async _isPrivate(hostname, url) {
+    hostname = hostname.toLowerCase();
+    if(hostname === 'localhost' || hostname.endsWith('.localhost')) {
+      return true;
+    }
+    // IPv6 hosts are given in brackets
+    if(hostname.startsWith('[')) {
+      return _isPrivateAddress(hostname.slice(1, -1));
+    }
+    if(REGEX_IPV4.test(hostname)) {
+      return _isPrivateAddress(hostname);
+    }
+    if(!this.lookup) {
+      return false;
+    }
+    let addresses;
+    try {
+      addresses = await this.lookup(hostname);
+    } catch(e) {
+      // fail closed, the document loader may resolve the host differently,
+      // eg: after a transient DNS failure
+      throw _policyError('the URL host could not be resolved', url,
+        {cause: e});
+    }
+    return addresses.some(_isPrivateAddress);
+  }
+};
+
+/**
+ * Checks if an IP address is private, loopback, link-local or otherwise not
+ * publicly routable.
+ *
+ * @param address the IPv4 or IPv6 address.
+ *
+ * @return true if the address is not public, false if not.
+ */
+function _isPrivateAddress(address) {
+  const ipv4 = _parseIPv4(address);
+  if(ipv4 !== null) {
+    return PRIVATE_IPV4_RANGES.some(
+      ([range, bits]) => (ipv4 >>> (32 - bits)) === (range >>> (32 - bits)));
+  }
+  const ipv6 = _parseIPv6(address);
+  if(ipv6 === null) {
+    // not an IP address
+    return false;
+  }
+  // unspecified `::`, loopback `::1` and deprecated IPv4-compatible
+  // `::a.b.c.d` addresses
+  if(ipv6.slice(0, 6).every(g => g === 0)) {
+    return true;
+  }
+  // IPv4-mapped `::ffff:0:0/96` and NAT64 `64:ff9b::/96` addresses
+  if((ipv6.slice(0, 5).every(g => g === 0) && ipv6[5] === 0xffff) ||
+    (ipv6[0] === 0x64 && ipv6[1] === 0xff9b &&
+    ipv6.slice(2, 6).every(g => g === 0))) {
+    return _isPrivateAddress(
+      `${ipv6[6] >> 8}.${ipv6[6] & 0xff}.${ipv6[7] >> 8}.${ipv6[7] & 0xff}`);
+  }
+  // unique local `fc00::/7`, link-local `fe80::/10` and multicast `ff00::/8`
+  return (ipv6[0] & 0xfe00) === 0xfc00 ||
+    (ipv6[0] & 0xffc0) === 0xfe80 ||
+    (ipv6[0] & 0xff00) === 0xff00;
+}
+
+function _parseIPv4(address) {
+  const match = address.match(REGEX_IPV4);
+  if(!match) {
+    return null;
+  }
+  const octets = match.slice(1).map(Number);
+  if(octets.some(octet => octet > 255)) {
+    return null;
+  }
+  return octets.reduce((rval, octet) => rval * 256 + octet, 0);
+}
+
+function _parseIPv6(address) {
+  // drop any zone index, eg: `fe80::1%eth0`
+  address = address.split('%')[0];
+  // convert a trailing dotted IPv4 address to two groups
+  const dotted = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if(dotted) {
+    const ipv4 = _parseIPv4(dotted[2]);
+    if(ipv4 === null) {
+      return null;
+    }
+    address = dotted[1] +
+      (ipv4 >>> 16).toString(16) + ':' + (ipv4 & 0xffff).toString(16);
+  }
+  const halves = address.split('::');
+  if(halves.length > 2) {
+    return null;
+  }
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if((halves.length === 1 && missing !== 0) ||
+    (halves.length === 2 && missing < 1)) {
+    return null;
+  }
+  const groups = [...head, ...new Array(missing).fill('0'), ...tail];
+  if(!groups.every(g => /^[0-9a-f]{1,4}$/i.test(g))) {
+    return null;
+  }
+  return groups.map(g => parseInt(g, 16));
+}
+
+// compile URL patterns to functions that test a parsed URL
+function _compile(patterns) {
+  return patterns.map(pattern => {
+    if(pattern instanceof RegExp) {
+      return url => pattern.test(url.href);
+    }
+    if(typeof pattern !== 'string') {
+      throw new TypeError(
+        'URL policy patterns must be strings or regular expressions.');
+    }
+    if(pattern.includes('://')) {
+      // URL prefix, must end at a path segment boundary
+      pattern = new URL(pattern).href;
+      return url => url.href.startsWith(pattern) && (
+        /[/?#]$/.test(pattern) ||
+        ['/', '?', '#', undefined].includes(url.href[pattern.length]));
+    }
+    pattern = pattern.toLowerCase();
+    if(pattern.startsWith('*.')) {
+      const suffix = pattern.slice(1);
+      return url => url.hostname.endsWith(suffix);
+    }
+    return url => url.hostname === pattern;
+  });
+}
+
+// combine policies that must all permit a URL
+function _combine(...policies) {
+  return {
+    async check(url) {
+      for(const policy of policies) {
+        await policy.check(url);
+      }
+    },
+    checkSize(options) {
+      for(const policy of policies) {
+        policy.checkSize(options);
+      }
+    }
+  };
+}
+
+function _policyError(reason, url, details = {}) {
+  return new JsonLdError(
+    `URL could not be dereferenced; ${reason}.`,
+    'jsonld.UrlPolicyError',
+    {code: 'url policy violation', url, ...details});
+}
+
+export { UrlPolicy };
@@ -0,0 +1,334 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import { JsonLdError } from "./JsonLdError.js";
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+const NAME_START = 'A-Za-z_\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF' +
+  '\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F' +
+  '\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD';
+const NAME_CHAR = NAME_START + '\\-.0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040';
+
+const REGEX = {
+  ws: /\s*/y,
+  name: new RegExp(`[${NAME_START}:][${NAME_CHAR}:]*`, 'y'),
+  text: /[^<]+/y,
+  attributeValue: /"([^<"]*)"|'([^<']*)'/y,
+  comment: /<!--[\s\S]*?-->/y,
+  cdata: /<!\[CDATA\[([\s\S]*?)\]\]>/y,
+  pi: /<\?[\s\S]*?\?>/y,
+  doctype: /<!DOCTYPE\s[^[>]*(?:\[([\s\S]*?)\]\s*)?>/y,
+  entityDeclaration: /<!ENTITY\s+([^\s%]+)\s+(?:"([^"]*)"|'([^']*)')\s*>/g,
+  reference: /&(?:#([0-9]+)|#x([0-9A-Fa-f]+)|([^\s&;]+));/g,
+  eoln: /\r\n?/g
+};
+
+// the number of characters that entity references may expand to, or ten
+// times the size of the document if that is larger, so that nested entities
+// cannot exhaust memory, eg: "billion laughs"
+const MAX_ENTITY_EXPANSION = 10 * 1024 * 1024;
+
+const PREDEFINED_ENTITIES = {
+  lt: '<', gt: '>', amp: '&', apos: '\'', quot: '"'
+};
+
+class XmlTokenizer {
+  /**
+   * Creates a tokenizer for an XML document.
+   *
+   * @param input the XML string.
+   */
+  constructor(input) {
+    // normalize line endings as required by XML
+    this.input = input.replace(REGEX.eoln, '\n');
+  }
+
+  /**
+   * Splits the XML document into start tag, end tag and text tokens with
+   * their namespaces resolved. Comments, processing instructions and the
+   * document type declaration are skipped, entities declared in the
+   * internal subset of the latter are expanded.
+   *
+   * Start tags are `{type: 'start', name, namespace, localName, attributes,
+   * selfClosing, start, end}`, where each attribute is
+   * `{name, namespace, localName, value}` (namespace declarations are not
+   * included); end tags are `{type: 'end', name, namespace, localName,
+   * start, end}` and text is `{type: 'text', value, start, end}`. The
+   * `start` and `end` of each token are its offsets in the input.
+   *
+   * @return the tokens.
+   */
+  tokenize() {
+    this.pos = 0;
+    this.entities = {...PREDEFINED_ENTITIES};
+    this.expanded = 0;
+    this.maxExpanded = Math.max(MAX_ENTITY_EXPANSION, this.input.length * 10);
+    this.namespaces = [{xml: XML_NAMESPACE}];
+    const tokens = [];
+    const open = [];
+    let root = false;
+
+    while(this.pos < this.input.length) {
+      const start = this.pos;
+      if(this._skip(REGEX.comment) || this._skip(REGEX.pi)) {
+        continue;
+      }
+      let match;
+      if(!root && (match = this._match(REGEX.doctype))) {
+        this._declareEntities(match[1] || '');
+        continue;
+      }
+      if((match = this._match(REGEX.cdata))) {
+        if(open.length === 0) {
+          this._error('character data outside of the root element', start);
+        }
+        tokens.push({type: 'text', value: match[1], start, end: this.pos});
+        continue;
+      }
+      if(this._peek('</')) {
+        const token = this._endTag(open.pop());
+        tokens.push(token);
+        continue;
+      }
+      if(this._peek('<')) {
+        if(root && open.length === 0) {
+          this._error('more than one root element', start);
+        }
+        root = true;
+        const token = this._startTag();
+        tokens.push(token);
+        if(token.selfClosing) {
+          this.namespaces.pop();
+        } else {
+          open.push(token);
+        }
+        continue;
+      }
+      match = this._match(REGEX.text);
+      if(open.length === 0) {
+        if(match[0].trim()) {
+          this._error('text outside of the root element', start);
+        }
+        continue;
+      }
+      tokens.push({
+        type: 'text', value: this._decode(match[0], start), start,
+        end: this.pos
+      });
+    }
+    if(open.length > 0) {
+      this._error(`expected "</${open[open.length - 1].name}>"`);
+    }
+    if(!root) {
+      this._error('expected a root element');
+    }
+    return tokens;
+  }
+
+  /**
+   * Gets the line and column of an offset in the input.
+   *
+   * @param offset the offset.
+   *
+   * @return the `{line, column}`, starting at 1.
+   */
+  location(offset) {
+    const lines = this.input.slice(0, offset).split('\n');
+    return {line: lines.length, column: lines[lines.length - 1].length + 1};
+  }
+
+  _startTag() {
+    const start = this.pos;
+    this.pos++;
+    const name = this._name();
+    const attributes = [];
+    const declared = {};
+    for(;;) {
+      const hasSpace = this._skip(REGEX.ws);
+      if(this._peek('/>') || this._peek('>')) {
+        break;
+      }
+      if(!hasSpace) {
+        this._error('expected whitespace, ">" or "/>"');
+      }
+      const attributeStart = this.pos;
+      const attribute = this._name();
+      this._skip(REGEX.ws);
+      this._expect('=');
+      this._skip(REGEX.ws);
+      const valueStart = this.pos;
+      const match = this._match(REGEX.attributeValue);
+      if(!match) {
+        this._error('expected a quoted attribute value');
+      }
+      // normalize whitespace in attribute values
+      const value = this._decode(
+        (match[1] === undefined ? match[2] : match[1]).replace(/\s/g, ' '),
+        valueStart);
+      if(attributes.some(a => a.name === attribute) ||
+        declared[attribute] !== undefined) {
+        this._error(`duplicate attribute "${attribute}"`, attributeStart);
+      }
+      if(attribute === 'xmlns') {
+        declared[''] = value;
+      } else if(attribute.startsWith('xmlns:')) {
+        declared[attribute.substr(6)] = value;
+      } else {
+        attributes.push({name: attribute, value, start: attributeStart});
+      }
+    }
+    const selfClosing = this._peek('/>');
+    this.pos += selfClosing ? 2 : 1;
+
+    // resolve namespaces
+    this.namespaces.push(declared);
+    const token = {
+      type: 'start',
+      name,
+      ...this._resolve(name, true, start),
+      attributes: attributes.map(({name, value, start}) => ({
+        name,
+        ...this._resolve(name, false, start),
+        value
+      })),
+      selfClosing,
+      start,
+      end: this.pos
+    };
+    return token;
+  }
+
+  _endTag(open) {
+    const start = this.pos;
+    this.pos += 2;
+    const name = this._name();
+    if(!open || open.name !== name) {
+      this._error(open ?
+        `expected "</${open.name}>"` : 'unexpected end tag', start);
+    }
+    this._skip(REGEX.ws);
+    this._expect('>');
+    this.namespaces.pop();
+    return {
+      type: 'end',
+      name,
+      namespace: open.namespace,
+      localName: open.localName,
+      start,
+      end: this.pos
+    };
+  }
+
+  _resolve(name, isElement, offset) {
+    const index = name.indexOf(':');
+    if(index === -1) {
+      // the default namespace does not apply to attributes
+      return {
+        namespace: isElement ? this._lookup('', offset) : null,
+        localName: name
+      };
+    }
+    return {
+      namespace: this._lookup(name.substr(0, index), offset),
+      localName: name.substr(index + 1)
+    };
+  }
+
+  _lookup(prefix, offset) {
+    for(let i = this.namespaces.length - 1; i >= 0; --i) {
+      const namespace = this.namespaces[i][prefix];
+      if(namespace !== undefined) {
+        return namespace === '' ? null : namespace;
+      }
+    }
+    if(prefix === '') {
+      return null;
+    }
+    if(prefix === 'xmlns') {
+      return XMLNS_NAMESPACE;
+    }
+    this._error(`undeclared namespace prefix "${prefix}"`, offset);
+  }
+
+  _declareEntities(subset) {
+    REGEX.entityDeclaration.lastIndex = 0;
+    let match;
+    while((match = REGEX.entityDeclaration.exec(subset))) {
+      // the first declaration of an entity is binding
+      if(!(match[1] in this.entities)) {
+        this.entities[match[1]] = match[2] === undefined ? match[3] : match[2];
+      }
+    }
+  }
+
+  _decode(s, offset, depth = 0) {
+    return s.replace(REGEX.reference, (match, decimal, hex, name) => {
+      if(decimal || hex) {
+        return String.fromCodePoint(parseInt(decimal || hex, hex ? 16 : 10));
+      }
+      if(!(name in this.entities)) {
+        this._error(`undeclared entity "${match}"`, offset);
+      }
+      const value = this.entities[name];
+      if(name in PREDEFINED_ENTITIES) {
+        return value;
+      }
+      if(depth > 8) {
+        this._error(`recursive entity "${match}"`, offset);
+      }
+      const decoded = this._decode(value, offset, depth + 1);
+      this.expanded += decoded.length;
+      if(this.expanded > this.maxExpanded) {
+        this._error(`entities expand to more than ${this.maxExpanded} ` +
+          'characters', offset);
+      }
+      return decoded;
+    });
+  }
+
+  _name() {
+    const match = this._match(REGEX.name);
+    if(!match) {
+      this._error('expected a name');
+    }
+    return match[0];
+  }
+
+  _peek(token) {
+    return this.input.startsWith(token, this.pos);
+  }
+
+  _expect(token) {
+    if(!this._peek(token)) {
+      this._error(`expected "${token}"`);
+    }
+    this.pos += token.length;
+  }
+
+  _skip(regex) {
+    const start = this.pos;
+    return this._match(regex) !== null && this.pos > start;
+  }
+
+  _match(regex) {
+    regex.lastIndex = this.pos;
+    const match = regex.exec(this.input);
+    if(match) {
+      this.pos = regex.lastIndex;
+    }
+    return match;
+  }
+
+  _error(message, offset = this.pos) {
+    const {line, column} = this.location(offset);
+    throw new JsonLdError(
+      `XML parse error on line ${line}, column ${column}; ${message}.`,
+      'jsonld.SyntaxError',
+      {code: 'invalid XML', line, column});
+  }
+};
+
+export { XmlTokenizer };
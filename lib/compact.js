@@ -8,6 +8,7 @@ import types from "./types.js";
 import graphTypes from "./graphTypes.js";
 import url from "./url.js";
 import context from "./context.js";
+import events from "./events.js";
 
 const _isArray = types.isArray;
 const _isObject = types.isObject;
@@ -44,31 +45,57 @@ const api = {};
  *          to compact, null for none.
  * @param element the element to compact.
  * @param options the compaction options.
- * @param compactionMap the compaction map to use.
  *
  * @return a promise that resolves to the compacted value.
  */
-api.compact = async ({
+api.compact = async args => {
+  // the path and active property chain are shared by all the elements of
+  // the document, see `_descend`
+  let {options = {}} = args;
+  if(!options.compactionPath) {
+    options = args.options =
+      {...options, compactionPath: [], compactionPropertyChain: []};
+  }
+  const {compactionPath, compactionPropertyChain} = options;
+  const depth = compactionPath.length;
+  const chainDepth = compactionPropertyChain.length;
+  try {
+    return await _compactElement(args);
+  } catch(e) {
+    // report where the error occurred unless a nested element already did
+    throw util.addErrorLocation(e, {
+      path: compactionPath.slice(0, depth),
+      activePropertyChain: chainDepth === 0 ?
+        undefined : compactionPropertyChain.slice(0, chainDepth)
+    });
+  }
+};
+
+/**
+ * Compacts an element, see `api.compact`.
+ *
+ * @return a promise that resolves to the compacted value.
+ */
+async function _compactElement({
   activeCtx,
   activeProperty = null,
   element,
-  options = {},
-  compactionMap = () => undefined
-}) => {
+  options = {}
+}) {
   // recursively compact array
   if(_isArray(element)) {
     let rval = [];
     for(let i = 0; i < element.length; ++i) {
       // compact, dropping any null values unless custom mapped
+      const depth = _descend(options, i);
       let compacted = await api.compact({
         activeCtx,
         activeProperty,
         element: element[i],
-        options,
-        compactionMap
+        options
       });
-      if(compacted === null) {
-        compacted = await compactionMap({
+      if(compacted === null && options.compactionMap) {
+        const mapped = await options.compactionMap({
           unmappedValue: element[i],
           activeCtx,
           activeProperty,
@@ -76,11 +103,23 @@ api.compact = async ({
           index: i,
           options
         });
-        if(compacted === undefined) {
-          continue;
+        if(mapped !== undefined) {
+          compacted = mapped;
         }
       }
-      rval.push(compacted);
+      if(compacted === null) {
+        events.emit({
+          options,
+          type: 'dropped value',
+          code: 'null compacted value',
+          message: 'a value that compacts to null is dropped.',
+          path: options.compactionPath,
+          details: {property: activeProperty, value: element[i]}
+        });
+      } else {
+        rval.push(compacted);
+      }
+      _ascend(options, depth);
     }
     if(options.compactArrays && rval.length === 1) {
       // use single element if no container is specified
@@ -118,8 +157,11 @@ api.compact = async ({
       }
     }
 
-    // do value compaction on @values and subject references
-    if(_isValue(element) || _isSubjectReference(element)) {
+    // do value compaction on @values and subject references, values with
+    // annotations and references to embedded nodes (JSON-LD-star) are
+    // compacted as objects
+    if((_isValue(element) || _isSubjectReference(element)) &&
+      !('@annotation' in element) && !_isObject(element['@id'])) {
       const rval =
         api.compactValue({activeCtx, activeProperty, value: element, options});
       if(options.link && _isSubjectReference(element)) {
@@ -138,13 +180,15 @@ api.compact = async ({
       const container = _getContextValue(
         activeCtx, activeProperty, '@container') || [];
       if(container.includes('@list')) {
-        return api.compact({
+        const depth = _descend(options, '@list');
+        const compacted = await api.compact({
           activeCtx,
           activeProperty,
           element: element['@list'],
-          options,
-          compactionMap
+          options
         });
+        _ascend(options, depth);
+        return compacted;
       }
     }
 
@@ -216,6 +260,22 @@ api.compact = async ({
 
       // compact @id
       if(expandedProperty === '@id') {
+        // use keyword alias and add value
+        const alias = api.compactIri(
+          {activeCtx, iri: '@id', relativeTo: {vocab: true}});
+
+        // compact embedded node (JSON-LD-star)
+        if(_isObject(expandedValue)) {
+          const depth = _descend(options, '@id');
+          rval[alias] = await api.compact({
+            activeCtx,
+            element: expandedValue,
+            options
+          });
+          _ascend(options, depth);
+          continue;
+        }
+
         let compactedValue = _asArray(expandedValue).map(
           expandedIri => api.compactIri({
             activeCtx,
@@ -227,11 +287,24 @@ api.compact = async ({
           compactedValue = compactedValue[0];
         }
 
+        rval[alias] = compactedValue;
+        continue;
+      }
+
+      // compact annotations (JSON-LD-star)
+      if(expandedProperty === '@annotation') {
+        const depth = _descend(options, '@annotation');
+        const compactedValue = await api.compact({
+          activeCtx,
+          element: expandedValue,
+          options
+        });
+        _ascend(options, depth);
+
         // use keyword alias and add value
         const alias = api.compactIri(
-          {activeCtx, iri: '@id', relativeTo: {vocab: true}});
-
-        rval[alias] = compactedValue;
+          {activeCtx, iri: '@annotation', relativeTo: {vocab: true}});
+        _addValue(rval, alias, compactedValue);
         continue;
       }
 
@@ -267,13 +340,14 @@ api.compact = async ({
       // handle @reverse
       if(expandedProperty === '@reverse') {
         // recursively compact expanded value
+        const depth = _descend(options, '@reverse');
         const compactedValue = await api.compact({
           activeCtx,
           activeProperty: '@reverse',
           element: expandedValue,
-          options,
-          compactionMap
+          options
         });
+        _ascend(options, depth);
 
         // handle double-reversed properties
         for(const compactedProperty in compactedValue) {
@@ -305,13 +379,14 @@ api.compact = async ({
 
       if(expandedProperty === '@preserve') {
         // compact using activeProperty
+        const depth = _descend(options, '@preserve');
         const compactedValue = await api.compact({
           activeCtx,
           activeProperty,
           element: expandedValue,
-          options,
-          compactionMap
+          options
         });
+        _ascend(options, depth);
 
         if(!(_isArray(compactedValue) && compactedValue.length === 0)) {
           _addValue(rval, expandedProperty, compactedValue);
@@ -385,8 +460,12 @@ api.compact = async ({
           });
       }
 
-      // recusively process array values
-      for(const expandedItem of expandedValue) {
+      // recusively process array values, the property and the index of each
+      // value are added to the path while the value is compacted
+      const depth = options.compactionPath.length;
+      const chainDepth = options.compactionPropertyChain.length;
+      for(const [index, expandedItem] of expandedValue.entries()) {
+        _ascend(options, depth, chainDepth);
         // compact property and get container type
         const itemActiveProperty = api.compactIri({
           activeCtx,
@@ -416,6 +495,7 @@ api.compact = async ({
         const isGraph = _isGraph(expandedItem);
         const isList = _isList(expandedItem);
         let inner;
+        _descendProperty(options, itemActiveProperty, expandedProperty, index);
         if(isList) {
           inner = expandedItem['@list'];
         } else if(isGraph) {
@@ -423,13 +503,17 @@ api.compact = async ({
         }
 
         // recursively compact expanded item
+        const itemDepth = (isList || isGraph) ?
+          _descend(options, isList ? '@list' : '@graph') : null;
         let compactedItem = await api.compact({
           activeCtx,
           activeProperty: itemActiveProperty,
           element: (isList || isGraph) ? inner : expandedItem,
-          options,
-          compactionMap
+          options
         });
+        if(itemDepth !== null) {
+          _ascend(options, itemDepth);
+        }
 
         // handle @list
         if(isList) {
@@ -623,8 +707,7 @@ api.compact = async ({
                 activeCtx,
                 activeProperty: itemActiveProperty,
                 element: {'@id': expandedItem['@id']},
-                options,
-                compactionMap
+                options
               });
             }
           }
@@ -655,6 +738,7 @@ api.compact = async ({
             {propertyIsArray: isArray});
         }
       }
+      _ascend(options, depth, chainDepth);
     }
 
     return rval;
@@ -662,7 +746,7 @@ api.compact = async ({
 
   // only primitives remain which are already compact
   return element;
-};
+}
 
 /**
  * Compacts an IRI or keyword into a term or prefix if it can be. If the
@@ -1153,6 +1237,55 @@ function _selectTerm(
   return null;
 }
 
+/**
+ * Adds the keys and indexes from the element being compacted to a nested
+ * value to the path of the options, before the value is compacted. The path
+ * is shared by all the elements of the document rather than copied for each
+ * value, it is restored with `_ascend` once the value is compacted.
+ *
+ * @param options the compaction options.
+ * @param path the keys and indexes from the element to the value.
+ *
+ * @return the length of the path to restore.
+ */
+function _descend(options, ...path) {
+  const depth = options.compactionPath.length;
+  options.compactionPath.push(...path);
+  return depth;
+}
+
+/**
+ * Adds the keys and indexes from the element being compacted to the value
+ * of a property to the path of the options, and the compacted property to
+ * the active property chain, see `_descend`.
+ *
+ * @param options the compaction options.
+ * @param property the compacted property, added to the active property
+ *          chain.
+ * @param path the keys and indexes from the element to the value.
+ *
+ * @return the length of the path to restore.
+ */
+function _descendProperty(options, property, ...path) {
+  options.compactionPropertyChain.push(property);
+  return _descend(options, ...path);
+}
+
+/**
+ * Restores the path and the active property chain of the options once a
+ * nested value is compacted.
+ *
+ * @param options the compaction options.
+ * @param depth the length of the path to restore.
+ * @param [chainDepth] the length of the active property chain to restore.
+ */
+function _ascend(options, depth, chainDepth) {
+  options.compactionPath.length = depth;
+  if(chainDepth !== undefined) {
+    options.compactionPropertyChain.length = chainDepth;
+  }
+}
+
 /**
  * The value of `@nest` in the term definition must either be `@nest`, or a term
  * which resolves to `@nest`.
@@ -23,12 +23,15 @@ const RDF_OBJECT = RDF + 'object';
 const RDF_LANGSTRING = RDF + 'langString';
 
 const XSD_BOOLEAN = XSD + 'boolean';
+const XSD_DATETIME = XSD + 'dateTime';
+const XSD_DECIMAL = XSD + 'decimal';
 const XSD_DOUBLE = XSD + 'double';
 const XSD_INTEGER = XSD + 'integer';
 const XSD_STRING = XSD + 'string';
 
 export {
   LINK_HEADER_CONTEXT,
+  RDF,
   RDF_LIST,
   RDF_FIRST,
   RDF_REST,
@@ -39,7 +42,10 @@ export {
   RDF_JSON_LITERAL,
   RDF_OBJECT,
   RDF_LANGSTRING,
+  XSD,
   XSD_BOOLEAN,
+  XSD_DATETIME,
+  XSD_DECIMAL,
   XSD_DOUBLE,
   XSD_INTEGER,
   XSD_STRING,
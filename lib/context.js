@@ -6,6 +6,7 @@ import util from "./util.js";
 import { JsonLdError } from "./JsonLdError.js";
 import types from "./types.js";
 import url from "./url.js";
+import events from "./events.js";
 
 const _isArray = types.isArray;
 const _isObject = types.isObject;
@@ -60,7 +61,8 @@ api.process = async ({
     activeCtx,
     context: localCtx,
     documentLoader: options.documentLoader,
-    base: options.base
+    base: options.base,
+    maxRemoteContexts: options.limits && options.limits.maxRemoteContexts
   });
 
   // override propagate if first resolved context has `@propagate`
@@ -102,8 +104,15 @@ api.process = async ({
             'jsonld.SyntaxError',
             {code: 'invalid context nullification'});
         } else if(protectedMode === 'warn') {
-          // FIXME: remove logging and use a handler
-          console.warn('WARNING: invalid context nullification');
+          events.emit({
+            options,
+            type: 'term redefinition',
+            code: 'invalid context nullification',
+            message: 'tried to nullify a context with protected terms ' +
+              'outside of a term definition, the protected terms are kept.',
+            path: options && options.expansionPath,
+            details: {context: localCtx}
+          });
 
           // get processed context from cache if available
           const processed = resolvedContext.getProcessed(activeCtx);
@@ -227,6 +236,17 @@ api.process = async ({
       } else {
         rval['@vocab'] = _expandIri(rval, value, {vocab: true, base: true},
           undefined, undefined, options);
+        if(!_isAbsoluteIri(rval['@vocab'])) {
+          events.emit({
+            options,
+            type: 'relative IRI',
+            code: 'relative @vocab reference',
+            message: `the "@vocab" value "${value}" expands to the relative ` +
+              `IRI "${rval['@vocab']}".`,
+            path: options && options.expansionPath,
+            details: {value, context: ctx}
+          });
+        }
       }
       defined.set('@vocab', true);
     }
@@ -314,7 +334,8 @@ api.process = async ({
         activeCtx,
         context: value,
         documentLoader: options.documentLoader,
-        base: options.base
+        base: options.base,
+        maxRemoteContexts: options.limits && options.limits.maxRemoteContexts
       });
       if(resolvedImport.length !== 1) {
         throw new JsonLdError(
@@ -362,14 +383,22 @@ api.process = async ({
 
     // process all other keys
     for(const key in ctx) {
-      api.createTermDefinition({
-        activeCtx: rval,
-        localCtx: ctx,
-        term: key,
-        defined,
-        options,
-        overrideProtected
-      });
+      try {
+        api.createTermDefinition({
+          activeCtx: rval,
+          localCtx: ctx,
+          term: key,
+          defined,
+          options,
+          overrideProtected
+        });
+      } catch(e) {
+        throw util.addErrorLocation(e, {
+          path: options.expansionPath,
+          term: key,
+          contextUrl: resolvedContext.url
+        });
+      }
 
       if(_isObject(ctx[key]) && '@context' in ctx[key]) {
         const keyCtx = ctx[key]['@context'];
@@ -394,14 +423,19 @@ api.process = async ({
               cycles
             });
           } catch(e) {
-            throw new JsonLdError(
+            const error = new JsonLdError(
               'Invalid JSON-LD syntax; invalid scoped context.',
               'jsonld.SyntaxError',
               {
                 code: 'invalid scoped context',
                 context: ctx[key]['@context'],
-                term: key
+                term: key,
+                cause: e
               });
+            throw util.addErrorLocation(error, {
+              path: options.expansionPath,
+              contextUrl: resolvedContext.url
+            });
           }
         }
       }
@@ -470,21 +504,27 @@ api.createTermDefinition = ({
         'jsonld.SyntaxError',
         {code: 'keyword redefinition', context: localCtx, term});
     }
-  } else if(api.isKeyword(term)) {
+  } else if(_isContextKeyword(term, options)) {
     throw new JsonLdError(
       'Invalid JSON-LD syntax; keywords cannot be overridden.',
       'jsonld.SyntaxError',
       {code: 'keyword redefinition', context: localCtx, term});
   } else if(term.match(KEYWORD_PATTERN)) {
-    // FIXME: remove logging and use a handler
-    console.warn('WARNING: terms beginning with "@" are reserved' +
-      ' for future use and ignored', {term});
+    events.emit({
+      options,
+      type: 'invalid reserved term',
+      code: 'reserved term',
+      message: `terms beginning with "@" are reserved for future use, the ` +
+        `definition of "${term}" is ignored.`,
+      path: options && options.expansionPath,
+      details: {property: term, context: localCtx}
+    });
     return;
   } else if(term === '') {
     throw new JsonLdError(
       'Invalid JSON-LD syntax; a term cannot be an empty string.',
       'jsonld.SyntaxError',
-      {code: 'invalid term definition', context: localCtx});
+      {code: 'invalid term definition', context: localCtx, term});
   }
 
   // keep reference to previous mapping for potential `@protected` check
@@ -507,7 +547,7 @@ api.createTermDefinition = ({
       'Invalid JSON-LD syntax; @context term values must be ' +
       'strings or objects.',
       'jsonld.SyntaxError',
-      {code: 'invalid term definition', context: localCtx});
+      {code: 'invalid term definition', context: localCtx, term});
   }
 
   // create new mapping
@@ -529,7 +569,7 @@ api.createTermDefinition = ({
       throw new JsonLdError(
         'Invalid JSON-LD syntax; a term definition must not contain ' + kw,
         'jsonld.SyntaxError',
-        {code: 'invalid term definition', context: localCtx});
+        {code: 'invalid term definition', context: localCtx, term});
     }
   }
 
@@ -543,25 +583,33 @@ api.createTermDefinition = ({
       throw new JsonLdError(
         'Invalid JSON-LD syntax; a @reverse term definition must not ' +
         'contain @id.', 'jsonld.SyntaxError',
-        {code: 'invalid reverse property', context: localCtx});
+        {code: 'invalid reverse property', context: localCtx, term});
     }
     if('@nest' in value) {
       throw new JsonLdError(
         'Invalid JSON-LD syntax; a @reverse term definition must not ' +
         'contain @nest.', 'jsonld.SyntaxError',
-        {code: 'invalid reverse property', context: localCtx});
+        {code: 'invalid reverse property', context: localCtx, term});
     }
     const reverse = value['@reverse'];
     if(!_isString(reverse)) {
       throw new JsonLdError(
         'Invalid JSON-LD syntax; a @context @reverse value must be a string.',
-        'jsonld.SyntaxError', {code: 'invalid IRI mapping', context: localCtx});
+        'jsonld.SyntaxError',
+        {code: 'invalid IRI mapping', context: localCtx, term});
     }
 
-    if(!api.isKeyword(reverse) && reverse.match(KEYWORD_PATTERN)) {
-      // FIXME: remove logging and use a handler
-      console.warn('WARNING: values beginning with "@" are reserved' +
-        ' for future use and ignored', {reverse});
+    if(!_isContextKeyword(reverse, options) &&
+      reverse.match(KEYWORD_PATTERN)) {
+      events.emit({
+        options,
+        type: 'invalid reserved term',
+        code: 'reserved @reverse value',
+        message: 'values beginning with "@" are reserved for future use, ' +
+          `the definition of "${term}" as "${reverse}" is ignored.`,
+        path: options && options.expansionPath,
+        details: {property: term, value: reverse, context: localCtx}
+      });
       if(previousMapping) {
         activeCtx.mappings.set(term, previousMapping);
       } else {
@@ -578,7 +626,8 @@ api.createTermDefinition = ({
       throw new JsonLdError(
         'Invalid JSON-LD syntax; a @context @reverse value must be an ' +
         'absolute IRI or a blank node identifier.',
-        'jsonld.SyntaxError', {code: 'invalid IRI mapping', context: localCtx});
+        'jsonld.SyntaxError',
+        {code: 'invalid IRI mapping', context: localCtx, term});
     }
 
     mapping['@id'] = id;
@@ -589,15 +638,23 @@ api.createTermDefinition = ({
       throw new JsonLdError(
         'Invalid JSON-LD syntax; a @context @id value must be an array ' +
         'of strings or a string.',
-        'jsonld.SyntaxError', {code: 'invalid IRI mapping', context: localCtx});
+        'jsonld.SyntaxError',
+        {code: 'invalid IRI mapping', context: localCtx, term});
     }
     if(id === null) {
       // reserve a null term, which may be protected
       mapping['@id'] = null;
-    } else if(!api.isKeyword(id) && id.match(KEYWORD_PATTERN)) {
-      // FIXME: remove logging and use a handler
-      console.warn('WARNING: values beginning with "@" are reserved' +
-        ' for future use and ignored', {id});
+    } else if(!_isContextKeyword(id, options) &&
+      id.match(KEYWORD_PATTERN)) {
+      events.emit({
+        options,
+        type: 'invalid reserved term',
+        code: 'reserved @id value',
+        message: 'values beginning with "@" are reserved for future use, ' +
+          `the definition of "${term}" as "${id}" is ignored.`,
+        path: options && options.expansionPath,
+        details: {property: term, value: id, context: localCtx}
+      });
       if(previousMapping) {
         activeCtx.mappings.set(term, previousMapping);
       } else {
@@ -613,7 +670,7 @@ api.createTermDefinition = ({
           'Invalid JSON-LD syntax; a @context @id value must be an ' +
           'absolute IRI, a blank node identifier, or a keyword.',
           'jsonld.SyntaxError',
-          {code: 'invalid IRI mapping', context: localCtx});
+          {code: 'invalid IRI mapping', context: localCtx, term});
       }
 
       // if term has the form of an IRI it must map the same
@@ -627,7 +684,7 @@ api.createTermDefinition = ({
             'Invalid JSON-LD syntax; term in form of IRI must ' +
             'expand to definition.',
             'jsonld.SyntaxError',
-            {code: 'invalid IRI mapping', context: localCtx});
+            {code: 'invalid IRI mapping', context: localCtx, term});
         }
       }
 
@@ -690,7 +747,7 @@ api.createTermDefinition = ({
       throw new JsonLdError(
         'Invalid JSON-LD syntax; an @context @type value must be a string.',
         'jsonld.SyntaxError',
-        {code: 'invalid type mapping', context: localCtx});
+        {code: 'invalid type mapping', context: localCtx, term});
     }
 
     if((type === '@json' || type === '@none')) {
@@ -699,7 +756,7 @@ api.createTermDefinition = ({
           'Invalid JSON-LD syntax; an @context @type value must not be ' +
           `"${type}" in JSON-LD 1.0 mode.`,
           'jsonld.SyntaxError',
-          {code: 'invalid type mapping', context: localCtx});
+          {code: 'invalid type mapping', context: localCtx, term});
       }
     } else if(type !== '@id' && type !== '@vocab') {
       // expand @type to full IRI
@@ -711,14 +768,14 @@ api.createTermDefinition = ({
           'Invalid JSON-LD syntax; an @context @type value must be an ' +
           'absolute IRI.',
           'jsonld.SyntaxError',
-          {code: 'invalid type mapping', context: localCtx});
+          {code: 'invalid type mapping', context: localCtx, term});
       }
       if(type.indexOf('_:') === 0) {
         throw new JsonLdError(
           'Invalid JSON-LD syntax; an @context @type value must be an IRI, ' +
           'not a blank node identifier.',
           'jsonld.SyntaxError',
-          {code: 'invalid type mapping', context: localCtx});
+          {code: 'invalid type mapping', context: localCtx, term});
       }
     }
 
@@ -745,7 +802,7 @@ api.createTermDefinition = ({
             'Invalid JSON-LD syntax; @context @container with @list must ' +
             'have no other values',
             'jsonld.SyntaxError',
-            {code: 'invalid container mapping', context: localCtx});
+            {code: 'invalid container mapping', context: localCtx, term});
         }
       } else if(container.includes('@graph')) {
         if(container.some(key =>
@@ -755,7 +812,7 @@ api.createTermDefinition = ({
             'Invalid JSON-LD syntax; @context @container with @graph must ' +
             'have no other values other than @id, @index, and @set',
             'jsonld.SyntaxError',
-            {code: 'invalid container mapping', context: localCtx});
+            {code: 'invalid container mapping', context: localCtx, term});
         }
       } else {
         // otherwise, container may also include @set
@@ -773,7 +830,7 @@ api.createTermDefinition = ({
             'Invalid JSON-LD syntax; container: @type requires @type to be ' +
             '@id or @vocab.',
             'jsonld.SyntaxError',
-            {code: 'invalid type mapping', context: localCtx});
+            {code: 'invalid type mapping', context: localCtx, term});
         }
       }
     } else {
@@ -796,7 +853,7 @@ api.createTermDefinition = ({
         'Invalid JSON-LD syntax; @context @container value must be ' +
         'one of the following: ' + validContainers.join(', '),
         'jsonld.SyntaxError',
-        {code: 'invalid container mapping', context: localCtx});
+        {code: 'invalid container mapping', context: localCtx, term});
     }
 
     if(mapping.reverse &&
@@ -804,7 +861,7 @@ api.createTermDefinition = ({
       throw new JsonLdError(
         'Invalid JSON-LD syntax; @context @container value for a @reverse ' +
         'type definition must be @index or @set.', 'jsonld.SyntaxError',
-        {code: 'invalid reverse property', context: localCtx});
+        {code: 'invalid reverse property', context: localCtx, term});
     }
 
     // add @container to mapping
@@ -817,13 +874,13 @@ api.createTermDefinition = ({
       throw new JsonLdError(
         'Invalid JSON-LD syntax; @index without @index in @container: ' +
         `"${value['@index']}" on term "${term}".`, 'jsonld.SyntaxError',
-        {code: 'invalid term definition', context: localCtx});
+        {code: 'invalid term definition', context: localCtx, term});
     }
     if(!_isString(value['@index']) || value['@index'].indexOf('@') === 0) {
       throw new JsonLdError(
         'Invalid JSON-LD syntax; @index must expand to an IRI: ' +
         `"${value['@index']}" on term "${term}".`, 'jsonld.SyntaxError',
-        {code: 'invalid term definition', context: localCtx});
+        {code: 'invalid term definition', context: localCtx, term});
     }
     mapping['@index'] = value['@index'];
   }
@@ -839,7 +896,7 @@ api.createTermDefinition = ({
       throw new JsonLdError(
         'Invalid JSON-LD syntax; @context @language value must be ' +
         'a string or null.', 'jsonld.SyntaxError',
-        {code: 'invalid language mapping', context: localCtx});
+        {code: 'invalid language mapping', context: localCtx, term});
     }
 
     // add @language to mapping
@@ -855,13 +912,13 @@ api.createTermDefinition = ({
       throw new JsonLdError(
         'Invalid JSON-LD syntax; @context @prefix used on a compact IRI term',
         'jsonld.SyntaxError',
-        {code: 'invalid term definition', context: localCtx});
+        {code: 'invalid term definition', context: localCtx, term});
     }
     if(api.isKeyword(mapping['@id'])) {
       throw new JsonLdError(
         'Invalid JSON-LD syntax; keywords may not be used as prefixes',
         'jsonld.SyntaxError',
-        {code: 'invalid term definition', context: localCtx});
+        {code: 'invalid term definition', context: localCtx, term});
     }
     if(typeof value['@prefix'] === 'boolean') {
       mapping._prefix = value['@prefix'] === true;
@@ -869,7 +926,7 @@ api.createTermDefinition = ({
       throw new JsonLdError(
         'Invalid JSON-LD syntax; @context value for @prefix must be boolean',
         'jsonld.SyntaxError',
-        {code: 'invalid @prefix value', context: localCtx});
+        {code: 'invalid @prefix value', context: localCtx, term});
     }
   }
 
@@ -880,7 +937,7 @@ api.createTermDefinition = ({
         'Invalid JSON-LD syntax; @direction value must be ' +
         'null, "ltr", or "rtl".',
         'jsonld.SyntaxError',
-        {code: 'invalid base direction', context: localCtx});
+        {code: 'invalid base direction', context: localCtx, term});
     }
     mapping['@direction'] = direction;
   }
@@ -892,7 +949,7 @@ api.createTermDefinition = ({
         'Invalid JSON-LD syntax; @context @nest value must be ' +
         'a string which is not a keyword other than @nest.',
         'jsonld.SyntaxError',
-        {code: 'invalid @nest value', context: localCtx});
+        {code: 'invalid @nest value', context: localCtx, term});
     }
     mapping['@nest'] = nest;
   }
@@ -902,7 +959,8 @@ api.createTermDefinition = ({
   if(id === '@context' || id === '@preserve') {
     throw new JsonLdError(
       'Invalid JSON-LD syntax; @context and @preserve cannot be aliased.',
-      'jsonld.SyntaxError', {code: 'invalid keyword alias', context: localCtx});
+      'jsonld.SyntaxError',
+      {code: 'invalid keyword alias', context: localCtx, term});
   }
 
   // Check for overriding protected terms
@@ -920,8 +978,15 @@ api.createTermDefinition = ({
           'jsonld.SyntaxError',
           {code: 'protected term redefinition', context: localCtx, term});
       } else if(protectedMode === 'warn') {
-        // FIXME: remove logging and use a handler
-        console.warn('WARNING: protected term redefinition', {term});
+        events.emit({
+          options,
+          type: 'term redefinition',
+          code: 'protected term redefinition',
+          message: `tried to redefine "${term}" which is a protected term, ` +
+            'the protected definition is kept.',
+          path: options && options.expansionPath,
+          details: {property: term, context: localCtx}
+        });
         return;
       }
       throw new JsonLdError(
@@ -948,8 +1013,80 @@ api.createTermDefinition = ({
  * @return the expanded value.
  */
 api.expandIri = (activeCtx, value, relativeTo, options) => {
-  return _expandIri(activeCtx, value, relativeTo, undefined, undefined,
-    options);
+  const expanded = _expandIri(activeCtx, value, relativeTo, undefined,
+    undefined, options);
+
+  // references must expand to absolute IRIs, relative IRIs are dropped when
+  // converting to RDF and reserved values are dropped now
+  if(relativeTo && relativeTo.base && _isString(value) &&
+    !api.isKeyword(expanded) && !_isAbsoluteIri(expanded)) {
+    options = options || {};
+    const type = options.typeExpansion ? '@type' : '@id';
+    const code = expanded === null ?
+      `reserved ${type} value` : `relative ${type} reference`;
+    if(events.hasHandler({options, code})) {
+      // the key of the value, if any
+      const property = [...(options.expansionPath || [])].reverse()
+        .find(token => _isString(token)) || null;
+      events.emit({
+        options,
+        ...(expanded === null ? {
+          type: 'invalid reserved term',
+          code,
+          message: `the ${type} value "${value}" is reserved for future use ` +
+            'and is dropped.'
+        } : {
+          type: 'relative IRI',
+          code,
+          message: `the ${type} value "${value}" expands to the relative IRI ` +
+            `"${expanded}".`
+        }),
+        path: options.expansionPath,
+        details: {property, value, result: expanded}
+      });
+    }
+  }
+
+  if(relativeTo && relativeTo.base &&
+    events.hasHandler({options, code: 'invalid prefix'})) {
+    api.checkPrefixCollision({activeCtx, value, expanded, options});
+  }
+
+  return expanded;
+};
+
+/**
+ * Emits a `prefix collision` event if a value has the form of a compact IRI
+ * but its prefix is a term that cannot be used as a prefix, so the value is
+ * used as an absolute IRI instead.
+ *
+ * @param activeCtx the active context.
+ * @param value the value that was expanded.
+ * @param expanded the expanded value.
+ * @param {Object} [options] - processing options.
+ */
+api.checkPrefixCollision = ({activeCtx, value, expanded, options}) => {
+  if(!_isString(value) || value !== expanded) {
+    return;
+  }
+  const colon = value.indexOf(':');
+  if(colon <= 0) {
+    return;
+  }
+  const prefix = value.substr(0, colon);
+  const mapping = activeCtx.mappings.get(prefix);
+  if(!mapping || mapping._prefix || value.substr(colon + 1).startsWith('//')) {
+    return;
+  }
+  events.emit({
+    options,
+    type: 'prefix collision',
+    code: 'invalid prefix',
+    message: `"${value}" uses the term "${prefix}" as a prefix but the term ` +
+      'cannot be used as a prefix, the value is used as an absolute IRI.',
+    path: options && options.expansionPath,
+    details: {value, prefix}
+  });
 };
 
 /**
@@ -1089,6 +1226,20 @@ function _expandIri(activeCtx, value, relativeTo, localCtx, defined, options) {
       base = options.base;
       prependedResult = prependBase(options.base, value);
     }
+    if(_isAbsoluteIri(prependedResult) &&
+      events.hasHandler({options, code: 'relative IRI resolved'})) {
+      // relative IRIs that do not resolve are reported by `api.expandIri`
+      events.emit({
+        options,
+        type: 'relative IRI',
+        code: 'relative IRI resolved',
+        level: 'info',
+        message: `the relative IRI "${value}" is resolved against the ` +
+          `base IRI "${base}".`,
+        path: options && options.expansionPath,
+        details: {value, base, result: prependedResult, typeExpansion}
+      });
+    }
     if(options && options.expansionMap) {
       // if we are about to expand the value by pre-pending
       // @base then call the expansion map to inform
@@ -1141,11 +1292,15 @@ function _expandIri(activeCtx, value, relativeTo, localCtx, defined, options) {
  *
  * @param options the options to use:
  *          [base] the document base IRI.
+ *          [rdfstar] true to define the JSON-LD-star keywords.
  *
  * @return the initial context.
  */
 api.getInitialContext = options => {
-  const key = JSON.stringify({processingMode: options.processingMode});
+  // contexts are processed differently with `rdfstar`, so their processed
+  // contexts are cached separately
+  const key = JSON.stringify(
+    {processingMode: options.processingMode, rdfstar: !!options.rdfstar});
   const cached = INITIAL_CONTEXT_CACHE.get(key);
   if(cached) {
     return cached;
@@ -1440,6 +1595,30 @@ api.getContextValue = (ctx, key, type) => {
   return null;
 };
 
+/**
+ * Gets the prefixes of an active context, eg: to abbreviate IRIs when
+ * serializing RDF. The prefixes are the terms that may be used to compact
+ * IRIs, and `@vocab` as the empty prefix.
+ *
+ * @param activeCtx the active context.
+ *
+ * @return a map of prefix to IRI.
+ */
+api.getPrefixes = activeCtx => {
+  const prefixes = {};
+  for(const [term, definition] of activeCtx.mappings) {
+    if(definition && definition._prefix && !definition.reverse &&
+      _isString(definition['@id']) && _isAbsoluteIri(definition['@id'])) {
+      prefixes[term] = definition['@id'];
+    }
+  }
+  const vocab = activeCtx['@vocab'];
+  if(_isString(vocab) && _isAbsoluteIri(vocab)) {
+    prefixes[''] = vocab;
+  }
+  return prefixes;
+};
+
 /**
  * Processing Mode check.
  *
@@ -1469,6 +1648,7 @@ api.isKeyword = v => {
     return false;
   }
   switch(v) {
+    case '@annotation':
     case '@base':
     case '@container':
     case '@context':
@@ -1501,6 +1681,21 @@ api.isKeyword = v => {
   return false;
 };
 
+/**
+ * Returns whether or not a term or an IRI in a context is a keyword, the
+ * JSON-LD-star `@annotation` keyword is only defined with the `rdfstar`
+ * option, without it `@annotation` is a reserved term.
+ *
+ * @param v the value to check.
+ * @param {Object} [options] - processing options.
+ *
+ * @return true if the value is a keyword, false if not.
+ */
+function _isContextKeyword(v, options) {
+  return api.isKeyword(v) &&
+    (v !== '@annotation' || !!(options && options.rdfstar));
+}
+
 function _deepCompare(x1, x2) {
   // compare `null` or primitive types directly
   if((!(x1 && typeof x1 === 'object')) ||
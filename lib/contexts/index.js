@@ -0,0 +1,51 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import activitystreams from "./activitystreams.js";
+import credentialsV1 from "./credentials-v1.js";
+import didV1 from "./did-v1.js";
+import schemaorg from "./schemaorg.js";
+import securityV1 from "./security-v1.js";
+import securityV2 from "./security-v2.js";
+
+/**
+ * Frozen copies of well-known JSON-LD contexts, by URL, for use with the
+ * `static` document loader:
+ *
+ *   jsonld.documentLoaders.static({documents: contexts})
+ *
+ * This module is not imported by jsonld.js, it is only bundled when used.
+ */
+const contexts = new Map([
+  ['https://www.w3.org/2018/credentials/v1', credentialsV1],
+  ['https://w3id.org/security/v1', securityV1],
+  ['https://w3id.org/security/v2', securityV2],
+  ['https://www.w3.org/ns/activitystreams', activitystreams],
+  ['https://www.w3.org/ns/did/v1', didV1],
+  // schema.org is used with and without the trailing slash and with http
+  ['https://schema.org/', schemaorg],
+  ['https://schema.org', schemaorg],
+  ['http://schema.org/', schemaorg],
+  ['http://schema.org', schemaorg]
+]);
+
+for(const context of contexts.values()) {
+  _deepFreeze(context);
+}
+// prevent `set` and `delete` from changing the pack
+for(const method of ['set', 'delete', 'clear']) {
+  contexts[method] = () => {
+    throw new TypeError('The well-known contexts pack cannot be modified.');
+  };
+}
+Object.freeze(contexts);
+
+function _deepFreeze(value) {
+  if(value && typeof value === 'object') {
+    Object.values(value).forEach(_deepFreeze);
+    Object.freeze(value);
+  }
+}
+
+export { contexts };
@@ -0,0 +1,269 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import util from '../util.js';
+import { MemoryCacheStore } from "../MemoryCacheStore.js";
+
+// headers used to revalidate a stored document
+const VALIDATORS = {
+  etag: 'if-none-match',
+  'last-modified': 'if-modified-since'
+};
+
+// the only response headers that are stored, others such as `set-cookie`
+// may be sensitive and are not needed
+const STORED_HEADERS = [
+  'age', 'cache-control', 'date', 'etag', 'expires', 'last-modified', 'vary'
+];
+
+/**
+ * Creates a document loader that caches the remote documents loaded by
+ * another document loader, following the HTTP caching rules of the responses.
+ *
+ * Documents are fresh for the `max-age` given in the `Cache-Control` header,
+ * or until the `Expires` header date, or, if neither is given, for 10% of the
+ * time since the `Last-Modified` date. Stale documents are revalidated with
+ * conditional requests using their `ETag` and `Last-Modified` headers, which
+ * requires the wrapped loader to accept request `headers` as a second
+ * parameter and to report `notModified` responses, as the `node` loader does.
+ * Responses with `Cache-Control: no-store` or `Vary: *` are never stored.
+ * Only the caching headers of responses are stored. A stored response is
+ * only used for requests with the same values of the request `headers`
+ * option named by its `Vary` header. Stale documents are only returned for
+ * network errors and 5xx responses, other errors, eg: 404 or invalid JSON,
+ * are thrown.
+ *
+ * @param options the options to use:
+ *          documentLoader: the document loader to wrap.
+ *          [store]: the cache store with async `get(key)`, `set(key, entry)`
+ *            and `delete(key)` methods. (default: a new `MemoryCacheStore`)
+ *          [maxAge]: the freshness lifetime, in seconds, of documents
+ *            without HTTP caching headers, eg: from non-HTTP loaders.
+ *            (default: 0)
+ *          [staleWhileRevalidate]: the time, in seconds, a stale document is
+ *            still returned while it is revalidated in the background, if the
+ *            response does not give a `stale-while-revalidate` directive.
+ *            (default: 0)
+ *          [staleIfError]: the time, in seconds, a stale document is still
+ *            returned when it cannot be revalidated, eg: when offline, if the
+ *            response does not give a `stale-if-error` directive.
+ *            (default: Infinity)
+ *          [now()]: a function that returns the current time in
+ *            milliseconds. (default: `Date.now`)
+ *
+ * @return the caching document loader.
+ */
+const exports = ({
+  documentLoader,
+  store = new MemoryCacheStore(),
+  maxAge = 0,
+  staleWhileRevalidate = 0,
+  staleIfError = Infinity,
+  now = Date.now
+} = {}) => {
+  if(typeof documentLoader !== 'function') {
+    throw new TypeError('"documentLoader" must be a function.');
+  }
+
+  // background revalidations in progress, by URL
+  const revalidating = new Map();
+
+  const loader = async function(url, options) {
+    const entry = await store.get(url);
+    if(!entry || !_matchesVary({entry, options})) {
+      return _copy(await _load({url, options}));
+    }
+
+    const age = _currentAge({entry, now});
+    const directives = _parseCacheControl(entry.headers['cache-control']);
+    const lifetime = _freshnessLifetime({entry, directives, maxAge});
+    if(age < lifetime) {
+      return _copy(entry.remoteDoc);
+    }
+
+    // stale, return it and revalidate in the background if permitted
+    const swr = _directive(
+      directives, 'stale-while-revalidate', staleWhileRevalidate);
+    if(age < lifetime + swr && !directives['must-revalidate']) {
+      if(!revalidating.has(url)) {
+        const promise = _load({url, entry, options})
+          .catch(() => {})
+          .finally(() => revalidating.delete(url));
+        revalidating.set(url, promise);
+      }
+      return _copy(entry.remoteDoc);
+    }
+
+    try {
+      return _copy(await _load({url, entry, options}));
+    } catch(e) {
+      const sie = _directive(directives, 'stale-if-error', staleIfError);
+      if(age < lifetime + sie && !directives['must-revalidate'] &&
+        _isTransientError(e)) {
+        return _copy(entry.remoteDoc);
+      }
+      throw e;
+    }
+  };
+
+  return loader;
+
+  async function _load({url, entry, options = {}}) {
+    // the request headers the response may vary on, before validators
+    const varyHeaders = _normalizeHeaders(options.headers);
+    const requestHeaders = {};
+    if(entry) {
+      for(const header in VALIDATORS) {
+        if(entry.headers[header]) {
+          requestHeaders[VALIDATORS[header]] = entry.headers[header];
+        }
+      }
+    }
+    const requestTime = now();
+    if(Object.keys(requestHeaders).length > 0) {
+      options = {...options, headers: {...options.headers, ...requestHeaders}};
+    }
+    const remoteDoc = Object.keys(options).length > 0 ?
+      await documentLoader(url, options) :
+      await documentLoader(url);
+
+    let headers = _storedHeaders(remoteDoc.headers);
+    let cached;
+    if(remoteDoc.notModified && entry) {
+      // update stored headers with any sent with the 304 response
+      headers = {...entry.headers, ...headers};
+      cached = entry.remoteDoc;
+    } else {
+      cached = {
+        contextUrl: remoteDoc.contextUrl || null,
+        documentUrl: remoteDoc.documentUrl || url,
+        document: remoteDoc.document
+      };
+    }
+
+    const vary = _parseVary(headers.vary);
+    if(_parseCacheControl(headers['cache-control'])['no-store'] ||
+      vary.includes('*')) {
+      await store.delete(url);
+    } else {
+      // keep the request headers named by `Vary` to match later requests
+      const request = {};
+      for(const name of vary) {
+        if(name in varyHeaders) {
+          request[name] = varyHeaders[name];
+        }
+      }
+      await store.set(url, {remoteDoc: cached, headers, request, requestTime});
+    }
+    return cached;
+  }
+};
+
+function _copy(remoteDoc) {
+  // callers may modify documents, never return the stored one
+  return util.clone(remoteDoc);
+}
+
+function _normalizeHeaders(headers = {}) {
+  const rval = {};
+  for(const name in headers) {
+    rval[name.toLowerCase()] = headers[name];
+  }
+  return rval;
+}
+
+function _storedHeaders(headers) {
+  const rval = {};
+  const normalized = _normalizeHeaders(headers);
+  for(const name of STORED_HEADERS) {
+    if(name in normalized) {
+      rval[name] = normalized[name];
+    }
+  }
+  return rval;
+}
+
+function _parseVary(header = '') {
+  return header.split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name);
+}
+
+// https://www.rfc-editor.org/rfc/rfc9111#section-4.1
+function _matchesVary({entry, options = {}}) {
+  const request = _normalizeHeaders(options.headers);
+  const stored = entry.request || {};
+  return _parseVary(entry.headers.vary).every(
+    name => name !== '*' && request[name] === stored[name]);
+}
+
+// only network errors and server errors may be answered with a stale
+// document, other errors, eg: 404, invalid JSON or a URL policy violation,
+// are the same when retried
+function _isTransientError(e) {
+  const details = (e && e.details) || {};
+  if(details.httpStatusCode !== undefined) {
+    return details.httpStatusCode >= 500;
+  }
+  if(e && typeof e.name === 'string' && e.name.startsWith('jsonld.')) {
+    // a failed request or response, wrapped by the `node` loader
+    return e.name === 'jsonld.LoadDocumentError' &&
+      details.cause !== undefined && !(details.cause instanceof SyntaxError);
+  }
+  // errors of other loaders, eg: a failed `fetch`
+  return true;
+}
+
+function _parseCacheControl(header = '') {
+  const directives = {};
+  for(const part of header.split(',')) {
+    const [name, value] = part.split('=');
+    if(name.trim()) {
+      directives[name.trim().toLowerCase()] = value === undefined ?
+        true : value.trim().replace(/^"(.*)"$/, '$1');
+    }
+  }
+  return directives;
+}
+
+function _directive(directives, name, defaultValue) {
+  const seconds = parseInt(directives[name], 10);
+  return isNaN(seconds) ? defaultValue : seconds;
+}
+
+function _parseDate(header) {
+  const time = header ? Date.parse(header) : NaN;
+  return isNaN(time) ? null : time;
+}
+
+// https://www.rfc-editor.org/rfc/rfc9111#section-4.2.3, in seconds
+function _currentAge({entry, now}) {
+  const ageValue = parseInt(entry.headers.age, 10) || 0;
+  return ageValue + Math.max(0, now() - entry.requestTime) / 1000;
+}
+
+// https://www.rfc-editor.org/rfc/rfc9111#section-4.2.1, in seconds
+function _freshnessLifetime({entry, directives, maxAge}) {
+  if(directives['no-cache']) {
+    return 0;
+  }
+  const seconds = _directive(directives, 'max-age', null);
+  if(seconds !== null) {
+    return seconds;
+  }
+  const date = _parseDate(entry.headers.date) || entry.requestTime;
+  if('expires' in entry.headers) {
+    // invalid dates, such as "0", mean already expired
+    const expires = _parseDate(entry.headers.expires);
+    return expires === null ? 0 : Math.max(0, expires - date) / 1000;
+  }
+  // heuristic freshness
+  const lastModified = _parseDate(entry.headers['last-modified']);
+  if(lastModified !== null) {
+    return Math.max(0, date - lastModified) / 10000;
+  }
+  return maxAge;
+}
+
+export default exports;
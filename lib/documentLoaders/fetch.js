@@ -0,0 +1,109 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import util from '../util.js';
+import { LINK_HEADER_CONTEXT } from '../constants.js';
+import { JsonLdError } from "../JsonLdError.js";
+import { RequestQueue } from "../RequestQueue.js";
+import url from "../url.js";
+
+const parseLinkHeader = util.parseLinkHeader;
+const buildHeaders = util.buildHeaders;
+const prependBase = url.prependBase;
+
+/**
+ * Creates a built-in browser `fetch` document loader. Redirects are followed
+ * by the browser, the final URL is used as the document URL.
+ *
+ * @param options the options to use:
+ *          secure: require all URLs to use HTTPS.
+ *          headers: an object (map) of headers which will be passed as request
+ *            headers for the requested document. Accept is not allowed.
+ *          [fetch]: the fetch API to use.
+ *
+ * @return the fetch document loader.
+ */
+const exports = ({
+  secure,
+  headers = {},
+  fetch
+} = {headers: {}}) => {
+  headers = buildHeaders(headers);
+  const queue = new RequestQueue();
+  return queue.wrapLoader(loader);
+
+  async function loader(url) {
+    if(url.indexOf('http:') !== 0 && url.indexOf('https:') !== 0) {
+      throw new JsonLdError(
+        'URL could not be dereferenced; only "http" and "https" URLs are ' +
+        'supported.',
+        'jsonld.InvalidUrl', {code: 'loading document failed', url});
+    }
+    if(secure && url.indexOf('https') !== 0) {
+      throw new JsonLdError(
+        'URL could not be dereferenced; secure mode is enabled and ' +
+        'the URL\'s scheme is not "https".',
+        'jsonld.InvalidUrl', {code: 'loading document failed', url});
+    }
+
+    let res;
+    let body;
+    try {
+      res = await (fetch || globalThis.fetch)(url, {headers});
+      body = await res.text();
+    } catch(e) {
+      throw new JsonLdError(
+        'URL could not be dereferenced, an error occurred.',
+        'jsonld.LoadDocumentError',
+        {code: 'loading document failed', url, cause: e});
+    }
+
+    if(res.status >= 400) {
+      throw new JsonLdError(
+        'URL could not be dereferenced: ' + res.statusText,
+        'jsonld.LoadDocumentError', {
+          code: 'loading document failed',
+          url,
+          httpStatusCode: res.status
+        });
+    }
+
+    let doc = {
+      contextUrl: null,
+      documentUrl: res.url || url,
+      document: body || null
+    };
+
+    // handle Link Header (only readable if exposed by CORS)
+    const contentType = res.headers.get('Content-Type');
+    const linkHeader = res.headers.get('Link');
+    if(linkHeader && contentType !== 'application/ld+json') {
+      // only 1 related link header permitted
+      const linkHeaders = parseLinkHeader(linkHeader);
+      const linkedContext = linkHeaders[LINK_HEADER_CONTEXT];
+      if(Array.isArray(linkedContext)) {
+        throw new JsonLdError(
+          'URL could not be dereferenced, it has more than one ' +
+          'associated HTTP Link Header.',
+          'jsonld.InvalidUrl',
+          {code: 'multiple context link headers', url});
+      }
+      if(linkedContext) {
+        doc.contextUrl = linkedContext.target;
+      }
+
+      // "alternate" link header is a redirect
+      const alternate = linkHeaders.alternate;
+      if(alternate &&
+        alternate.type == 'application/ld+json' &&
+        !(contentType || '').match(/^application\/(\w*\+)?json$/)) {
+        doc = await loader(prependBase(doc.documentUrl, alternate.target));
+      }
+    }
+
+    return doc;
+  }
+};
+
+export default exports;
@@ -7,55 +7,92 @@ import { LINK_HEADER_CONTEXT } from '../constants.js';
 import { JsonLdError } from "../JsonLdError.js";
 import { RequestQueue } from "../RequestQueue.js";
 import url from "../url.js";
-//import { httpClient } from "@digitalbazaar/http-client.js";
 
 const parseLinkHeader = util.parseLinkHeader;
 const buildHeaders = util.buildHeaders;
 const prependBase = url.prependBase;
 
+const REGEX_JSON_CONTENT_TYPE = /^application\/(\w*\+)?json(\s*;.*)?$/;
+
 /**
- * Creates a built-in node document loader.
+ * Creates a built-in node document loader. The loader uses the global
+ * `fetch` API available in Node.js >= 18 and Deno.
  *
  * @param options the options to use:
  *          [secure]: require all URLs to use HTTPS. (default: false)
- *          [strictSSL]: true to require SSL certificates to be valid,
- *            false not to. (default: true)
  *          [maxRedirects]: the maximum number of redirects to permit.
  *            (default: none)
  *          [headers]: an object (map) of headers which will be passed as
  *            request headers for the requested document. Accept is not
  *            allowed. (default: none).
- *          [httpAgent]: a Node.js `http.Agent` to use with 'http' requests.
+ *          [fetch]: the `fetch` implementation to use.
+ *            (default: `globalThis.fetch`)
+ *          [fetchOptions]: extra options passed to every `fetch` call, eg: a
+ *            Node.js `dispatcher` or a Deno `client` to customize TLS.
  *            (default: none)
- *          [httpsAgent]: a Node.js `https.Agent` to use with 'https' requests.
- *            (default: An agent with rejectUnauthorized to the strictSSL
- *            value)
+ *
+ * The `strictSSL`, `httpAgent` and `httpsAgent` options of earlier versions
+ * have no `fetch` equivalent and are an error, except `strictSSL: true`,
+ * which is the `fetch` behavior: to accept invalid certificates or use a
+ * custom agent, pass a `dispatcher` (eg: an undici `Agent` with `connect`
+ * options) in `fetchOptions` instead.
+ *
+ * The returned loader accepts an optional second parameter with extra request
+ * `headers`, eg: for conditional requests, and a `urlPolicy` that every
+ * redirect and the document size must conform to. Remote documents include
+ * the response `headers`, and a response to a conditional request that was
+ * not modified has a `null` document and `notModified` set to `true`.
  *
  * @return the node document loader.
  */
 const exports = ({
   secure,
-  strictSSL = true,
   maxRedirects = -1,
   headers = {},
+  fetch = globalThis.fetch,
+  fetchOptions = {},
+  strictSSL,
   httpAgent,
   httpsAgent
-} = {strictSSL: true, maxRedirects: -1, headers: {}}) => {
+} = {maxRedirects: -1, headers: {}}) => {
+  // options of earlier versions that `fetch` cannot apply
+  for(const [name, value] of Object.entries(
+    {strictSSL: strictSSL === false, httpAgent, httpsAgent})) {
+    if(value) {
+      throw new TypeError(
+        `The "${name}" option of the node document loader is no longer ` +
+        'supported; use "fetchOptions", eg: with a Node.js "dispatcher", to ' +
+        'customize TLS or connections.');
+    }
+  }
   headers = buildHeaders(headers);
   // if no default user-agent header, copy headers and set one
-  if(!('user-agent' in headers)) {
+  if(!Object.keys(headers).some(h => h.toLowerCase() === 'user-agent')) {
     headers = Object.assign({}, headers, {
       'user-agent': 'jsonld.js'
     });
   }
-  //const http = require('http');
+  if(typeof fetch !== 'function') {
+    throw new TypeError(
+      'The node document loader requires a global "fetch" function or a ' +
+      '"fetch" option.');
+  }
 
   const queue = new RequestQueue();
-  return queue.wrapLoader(function(url) {
-    return loadDocument(url, []);
+  return queue.wrapLoader(function(url, {
+    headers: requestHeaders,
+    urlPolicy
+  } = {}) {
+    if(requestHeaders && !Object.keys(requestHeaders).some(
+      h => h.toLowerCase() === 'cache-control')) {
+      // `fetch` adds `Cache-Control: no-cache` to conditional requests, which
+      // makes servers ignore the validators; ask for revalidation instead
+      requestHeaders = {...requestHeaders, 'cache-control': 'max-age=0'};
+    }
+    return loadDocument(url, [], requestHeaders, urlPolicy);
   });
 
-  async function loadDocument(url, redirects) {
+  async function loadDocument(url, redirects, requestHeaders, urlPolicy) {
     const isHttp = url.startsWith('http:');
     const isHttps = url.startsWith('https:');
     if(!isHttp && !isHttps) {
@@ -70,29 +107,50 @@ const exports = ({
         'the URL\'s scheme is not "https".',
         'jsonld.InvalidUrl', {code: 'loading document failed', url});
     }
-    // TODO: disable cache until HTTP caching implemented
-    let doc = null;//cache.get(url);
-    if(doc !== null) {
-      return doc;
+    // the first URL is checked by the caller
+    if(urlPolicy && redirects.length > 0) {
+      await urlPolicy.check(url);
     }
 
-    let alternate = null;
-
-    const {res, body} = await _fetch({
-      url, headers, strictSSL, httpAgent, httpsAgent
+    const res = await _fetch({
+      fetch,
+      url,
+      headers: requestHeaders ? {...headers, ...requestHeaders} : headers,
+      fetchOptions
     });
-    doc = {contextUrl: null, documentUrl: url, document: body || null};
     // handle error
-    const statusText = http.STATUS_CODES[res.status];
     if(res.status >= 400) {
+      await _discardBody(res);
       throw new JsonLdError(
-        `URL "${url}" could not be dereferenced: ${statusText}`,
+        `URL "${url}" could not be dereferenced: ${res.statusText}`,
         'jsonld.InvalidUrl', {
           code: 'loading document failed',
           url,
           httpStatusCode: res.status
         });
     }
+
+    // response to a conditional request, the caller has the document
+    if(res.status === 304) {
+      await _discardBody(res);
+      return {
+        contextUrl: null,
+        documentUrl: url,
+        document: null,
+        notModified: true,
+        headers: Object.fromEntries(res.headers)
+      };
+    }
+
+    const doc = {
+      contextUrl: null,
+      documentUrl: url,
+      document: null,
+      headers: Object.fromEntries(res.headers)
+    };
+    let alternate = null;
+    let location = res.headers.get('location');
+
     const link = res.headers.get('link');
     const contentType = res.headers.get('content-type');
     // handle Link Header
@@ -101,6 +159,7 @@ const exports = ({
       const linkHeaders = parseLinkHeader(link);
       const linkedContext = linkHeaders[LINK_HEADER_CONTEXT];
       if(Array.isArray(linkedContext)) {
+        await _discardBody(res);
         throw new JsonLdError(
           'URL could not be dereferenced, it has more than one associated ' +
           'HTTP Link Header.',
@@ -115,15 +174,14 @@ const exports = ({
       alternate = linkHeaders['alternate'];
       if(alternate &&
         alternate.type == 'application/ld+json' &&
-        !(contentType || '')
-          .match(/^application\/(\w*\+)?json$/)) {
-        res.headers.set('location', prependBase(url, alternate.target));
+        !(contentType || '').match(REGEX_JSON_CONTENT_TYPE)) {
+        location = alternate.target;
       }
     }
-    const location = res.headers.get('location');
     // handle redirect
     if((alternate ||
       res.status >= 300 && res.status < 400) && location) {
+      await _discardBody(res);
       if(redirects.length === maxRedirects) {
         throw new JsonLdError(
           'URL could not be dereferenced; there were too many redirects.',
@@ -145,49 +203,110 @@ const exports = ({
           });
       }
       redirects.push(url);
-      return loadDocument(location, redirects);
-    }
-
-    // cache for each redirected URL
-    redirects.push(url);
-    // TODO: disable cache until HTTP caching implemented
-    /*
-    for(let i = 0; i < redirects.length; ++i) {
-      cache.set(
-        redirects[i],
-        {contextUrl: null, documentUrl: redirects[i], document: body});
+      return loadDocument(
+        prependBase(url, location), redirects, requestHeaders, urlPolicy);
     }
-    */
 
+    doc.document = await _readBody({res, url, contentType, urlPolicy});
     return doc;
   }
 };
 
-async function _fetch({url, headers, strictSSL, httpAgent, httpsAgent}) {
+async function _fetch({fetch, url, headers, fetchOptions}) {
   try {
-    const options = {headers, redirect: 'manual'};
-    const isHttps = url.startsWith('https:');
-    if(isHttps) {
-      options.agent =
-        httpsAgent || new https.Agent({rejectUnauthorized: strictSSL});
-    } else {
-      if(httpAgent) {
-        options.agent = httpAgent;
-      }
-    }
-    const res = await httpClient.get(url, options);
-    return {res, body: res.data};
+    return await fetch(url, {
+      ...fetchOptions,
+      method: 'GET',
+      headers,
+      // redirects are followed manually to enforce `maxRedirects` and to
+      // detect redirect loops
+      redirect: 'manual'
+    });
+  } catch(e) {
+    throw new JsonLdError(
+      'URL could not be dereferenced, an error occurred.',
+      'jsonld.LoadDocumentError',
+      {code: 'loading document failed', url, cause: e});
+  }
+}
+
+async function _readBody({res, url, contentType, urlPolicy}) {
+  let body;
+  try {
+    body = urlPolicy ?
+      await _readLimitedText({res, url, urlPolicy}) : await res.text();
   } catch(e) {
-    // HTTP errors have a response in them
-    // ky considers redirects HTTP errors
-    if(e.response) {
-      return {res: e.response, body: null};
+    if(e instanceof JsonLdError) {
+      throw e;
     }
     throw new JsonLdError(
       'URL could not be dereferenced, an error occurred.',
       'jsonld.LoadDocumentError',
       {code: 'loading document failed', url, cause: e});
   }
+  if(!body) {
+    return null;
+  }
+  // other content types are left as strings to be parsed by the caller
+  if(!(contentType || '').match(REGEX_JSON_CONTENT_TYPE)) {
+    return body;
+  }
+  try {
+    return JSON.parse(body);
+  } catch(e) {
+    throw new JsonLdError(
+      'URL could not be dereferenced, the response is not valid JSON.',
+      'jsonld.LoadDocumentError',
+      {code: 'loading document failed', url, cause: e});
+  }
+}
+
+async function _readLimitedText({res, url, urlPolicy}) {
+  // fail early when the size is known
+  const contentLength = parseInt(res.headers.get('content-length'), 10);
+  if(!isNaN(contentLength)) {
+    try {
+      urlPolicy.checkSize({url, size: contentLength});
+    } catch(e) {
+      await _discardBody(res);
+      throw e;
+    }
+  }
+  if(!res.body) {
+    return '';
+  }
+
+  // stop reading once the size limit is exceeded
+  const decoder = new TextDecoder();
+  let text = '';
+  let size = 0;
+  const reader = res.body.getReader();
+  while(true) {
+    const {done, value} = await reader.read();
+    if(done) {
+      break;
+    }
+    size += value.length;
+    try {
+      urlPolicy.checkSize({url, size});
+    } catch(e) {
+      await reader.cancel().catch(() => {});
+      throw e;
+    }
+    text += decoder.decode(value, {stream: true});
+  }
+  return text + decoder.decode();
+}
+
+async function _discardBody(res) {
+  // release the connection of a response whose body will not be used
+  if(res.body && typeof res.body.cancel === 'function') {
+    try {
+      await res.body.cancel();
+    } catch(e) {
+      // ignore, body is not needed
+    }
+  }
 }
 
 export default exports;
@@ -0,0 +1,119 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import util from '../util.js';
+import { JsonLdError } from "../JsonLdError.js";
+
+/**
+ * Creates a document loader that returns fixed documents for known URLs,
+ * eg: well-known contexts, without using the network. Other URLs are passed
+ * to the fallback `documentLoader`, if one is given.
+ *
+ * Documents are returned with the `static` tag, so the contexts they contain
+ * are resolved once and then shared by all operations.
+ *
+ * @param options the options to use:
+ *          [documents]: an object or `Map` of URL to document, a document is
+ *            a JSON object or string, eg: the well-known contexts pack
+ *            exported by `lib/contexts/index.js`.
+ *          [directory]: a directory that mirrors URLs as `<host>/<path>`
+ *            files, eg: `www.w3.org/2018/credentials/v1.jsonld`. The
+ *            `.jsonld` and `.json` extensions are optional and URLs ending
+ *            in `/` use an `index.jsonld` file. Not supported in browsers.
+ *          [documentLoader]: the document loader to use for other URLs.
+ *            (default: none, other URLs fail to load)
+ *          [readFile(path, directory)]: a function that resolves to the
+ *            contents of a `directory` file, or to `null` if it does not
+ *            exist or is outside of `directory`.
+ *            (default: the file system in Node.js)
+ *
+ * @return the static document loader.
+ */
+const exports = ({
+  documents = {},
+  directory,
+  documentLoader,
+  readFile
+} = {}) => {
+  if(!(documents instanceof Map)) {
+    documents = new Map(Object.entries(documents));
+  }
+  if(directory !== undefined && typeof readFile !== 'function') {
+    throw new TypeError(
+      'The "directory" option is not supported on this platform.');
+  }
+  if(documentLoader !== undefined && typeof documentLoader !== 'function') {
+    throw new TypeError('"documentLoader" must be a function.');
+  }
+
+  return async function(url, options) {
+    let document = documents.get(url);
+    if(document === undefined && directory !== undefined) {
+      document = await _readDocument({directory, url, readFile});
+    }
+    if(document !== undefined) {
+      return {
+        contextUrl: null,
+        documentUrl: url,
+        // stored documents may be frozen, never return them
+        document: _parse({document, url}),
+        tag: 'static'
+      };
+    }
+
+    if(documentLoader) {
+      return options ?
+        documentLoader(url, options) : documentLoader(url);
+    }
+    throw new JsonLdError(
+      'URL could not be dereferenced; the URL is not a static document.',
+      'jsonld.LoadDocumentError',
+      {code: 'loading document failed', url});
+  };
+};
+
+async function _readDocument({directory, url, readFile}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch(e) {
+    return undefined;
+  }
+  if(parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return undefined;
+  }
+
+  // URL parsing removes `.` and `..` path segments but not hosts, files
+  // must stay in `directory`
+  if(['', '.', '..'].includes(parsed.hostname)) {
+    return undefined;
+  }
+  const file = `${directory}/${parsed.host}${parsed.pathname}`;
+  const candidates = file.endsWith('/') ?
+    [`${file}index.jsonld`, `${file}index.json`] :
+    [file, `${file}.jsonld`, `${file}.json`];
+  for(const candidate of candidates) {
+    const data = await readFile(candidate, directory);
+    if(data !== null && data !== undefined) {
+      return data;
+    }
+  }
+  return undefined;
+}
+
+function _parse({document, url}) {
+  if(typeof document !== 'string') {
+    return util.clone(document);
+  }
+  try {
+    return JSON.parse(document);
+  } catch(e) {
+    throw new JsonLdError(
+      'URL could not be dereferenced; the static document is not valid JSON.',
+      'jsonld.LoadDocumentError',
+      {code: 'loading document failed', url, cause: e});
+  }
+}
+
+export default exports;
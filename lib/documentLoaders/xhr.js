@@ -1,13 +1,16 @@
 /*
  * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
  */
-'use strict';
 
-const {parseLinkHeader, buildHeaders} = require('../util');
-const {LINK_HEADER_CONTEXT} = require('../constants');
-const JsonLdError = require('../JsonLdError');
-const RequestQueue = require('../RequestQueue');
-const {prependBase} = require('../url');
+import util from '../util.js';
+import { LINK_HEADER_CONTEXT } from '../constants.js';
+import { JsonLdError } from "../JsonLdError.js";
+import { RequestQueue } from "../RequestQueue.js";
+import url from "../url.js";
+
+const parseLinkHeader = util.parseLinkHeader;
+const buildHeaders = util.buildHeaders;
+const prependBase = url.prependBase;
 
 const REGEX_LINK_HEADER = /(^|(\r\n))link:/i;
 
@@ -22,7 +25,7 @@ const REGEX_LINK_HEADER = /(^|(\r\n))link:/i;
  *
  * @return the XMLHttpRequest document loader.
  */
-module.exports = ({
+const exports = ({
   secure,
   headers = {},
   xhr
@@ -115,3 +118,5 @@ function _get(xhr, url, headers) {
     req.send();
   });
 }
+
+export default exports;
@@ -0,0 +1,261 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import { JsonLdError } from "./JsonLdError.js";
+import types from "./types.js";
+import util from "./util.js";
+
+const _isArray = types.isArray;
+const _isObject = types.isObject;
+
+const api = {};
+
+// codes of events for data that is dropped, or kept but cannot be converted
+// to RDF, these are errors in safe mode
+const SAFE_MODE_CODES = new Set([
+  // dropped property
+  'invalid property',
+  'blank node predicate',
+  'annotation without rdfstar',
+  // dropped value
+  'free-floating scalar',
+  'free-floating value',
+  'free-floating list',
+  'empty object',
+  'object with only @id',
+  'object with only @language',
+  'null @value value',
+  'null compacted value',
+  // invalid value that is kept
+  'invalid @language value',
+  // invalid reserved term
+  'reserved term',
+  'reserved @id value',
+  'reserved @reverse value',
+  'reserved @type value',
+  // relative IRI
+  'relative @id reference',
+  'relative @type reference',
+  'relative subject reference',
+  'relative predicate reference',
+  'relative object reference'
+]);
+
+// codes of events that have always been logged
+const LOGGED_CODES = new Set([
+  'reserved term',
+  'reserved @id value',
+  'reserved @reverse value',
+  'invalid @language value',
+  'protected term redefinition',
+  'invalid context nullification'
+]);
+
+/**
+ * Handles an event by logging it with `console.warn` or `console.log`
+ * depending on its level.
+ *
+ * @param event the event.
+ */
+api.logEventHandler = ({event}) => {
+  const log = event.level === 'warning' ? console.warn : console.log;
+  log(`${event.level.toUpperCase()}: ${event.message}`, {
+    code: event.code,
+    path: event.path,
+    ...event.details
+  });
+};
+
+/**
+ * Handles warnings by logging them, passes other events to the next handler.
+ *
+ * @param event the event.
+ * @param next a function to call to pass the event to the next handler.
+ */
+api.logWarningEventHandler = ({event, next}) => {
+  if(event.level !== 'warning') {
+    return next();
+  }
+  api.logEventHandler({event});
+};
+
+/**
+ * Handles events for dropped data, and data that cannot be converted to RDF,
+ * by throwing a `jsonld.ValidationError`; passes other events to the next
+ * handler. Used when the `safe` option is set.
+ *
+ * @param event the event.
+ * @param next a function to call to pass the event to the next handler.
+ */
+api.safeEventHandler = ({event, next}) => {
+  if(!SAFE_MODE_CODES.has(event.code)) {
+    return next();
+  }
+  throw new JsonLdError(
+    `Safe mode validation error; ${event.message}`,
+    'jsonld.ValidationError',
+    {code: event.code, path: event.path, ...event.details, event});
+};
+
+/**
+ * Handles every event by throwing a `jsonld.ValidationError`.
+ *
+ * @param event the event.
+ */
+api.strictEventHandler = ({event}) => {
+  throw new JsonLdError(
+    `Strict mode validation error; ${event.message}`,
+    'jsonld.ValidationError',
+    {code: event.code, path: event.path, ...event.details, event});
+};
+
+/**
+ * Handles every event by throwing a `jsonld.UnhandledEvent` error, use it
+ * last in a list of handlers to catch events that no other handler handled.
+ *
+ * @param event the event.
+ */
+api.unhandledEventHandler = ({event}) => {
+  throw new JsonLdError(
+    `No handler for event; ${event.message}`,
+    'jsonld.UnhandledEvent',
+    {code: event.code, path: event.path, ...event.details, event});
+};
+
+/**
+ * The initial default event handler, logs the warnings that have always been
+ * logged, eg: reserved terms that are ignored.
+ *
+ * @param event the event.
+ * @param next a function to call to pass the event to the next handler.
+ */
+api.defaultEventHandler = ({event, next}) => {
+  if(!LOGGED_CODES.has(event.code)) {
+    return next();
+  }
+  api.logEventHandler({event});
+};
+
+let _defaultEventHandler = api.defaultEventHandler;
+
+/**
+ * Sets the event handler used for events that the `eventHandler` option does
+ * not handle.
+ *
+ * @param [eventHandler] the event handler, `null` to ignore unhandled events.
+ */
+api.setDefaultEventHandler = ({eventHandler = null} = {}) => {
+  _defaultEventHandler = eventHandler;
+};
+
+/**
+ * Checks if any handler will receive an event, so that callers can skip the
+ * work of building an event that would be ignored: the safe mode handler
+ * receives the events for dropped data, the `eventHandler` option and custom
+ * default event handlers receive every event, and the initial default event
+ * handler only receives the events it logs.
+ *
+ * @param [options] the processing options.
+ * @param code the event code, eg: `invalid property`.
+ *
+ * @return true if a handler will receive the event, false if not.
+ */
+api.hasHandler = ({options = {}, code}) => {
+  if(options.eventHandler || (options.safe && SAFE_MODE_CODES.has(code))) {
+    return true;
+  }
+  if(_defaultEventHandler === api.defaultEventHandler) {
+    return LOGGED_CODES.has(code);
+  }
+  return !!_defaultEventHandler;
+};
+
+/**
+ * Emits an event to the handlers for the given processing options: the safe
+ * mode handler if the `safe` option is set, then the `eventHandler` option,
+ * then the default event handler. Each handler either handles the event or
+ * calls `next()` to pass it on. A handler may be a function, an array of
+ * handlers that are tried in order, or an object that maps event codes or
+ * types to handlers.
+ *
+ * @param options the processing options.
+ * @param type the event type, eg: `dropped property`.
+ * @param code the event code, eg: `invalid property`.
+ * @param [level] the event level, `warning` or `info` (default: `warning`).
+ * @param message a description of the event.
+ * @param [path] the keys and indexes of the data in the input document.
+ * @param [details] extra details, eg: the `property` and the `value`.
+ */
+api.emit = ({
+  options = {},
+  type,
+  code,
+  level = 'warning',
+  message,
+  path,
+  details = {}
+}) => {
+  if(!api.hasHandler({options, code})) {
+    return;
+  }
+  const event = {
+    type,
+    code,
+    level,
+    message,
+    path: util.toJsonPointer(path),
+    details
+  };
+  _handle({
+    event,
+    handlers: [
+      options.safe ? api.safeEventHandler : null,
+      options.eventHandler,
+      _defaultEventHandler
+    ]
+  });
+};
+
+/**
+ * Passes an event to each handler until one handles it.
+ *
+ * @param event the event.
+ * @param handlers the handlers, missing handlers are skipped.
+ *
+ * @return true if no handler handled the event, false if not.
+ */
+function _handle({event, handlers}) {
+  let doNext = true;
+  for(let i = 0; doNext && i < handlers.length; ++i) {
+    const handler = handlers[i];
+    if(handler === null || handler === undefined) {
+      continue;
+    }
+    doNext = false;
+    const next = () => {
+      doNext = true;
+    };
+    if(_isArray(handler)) {
+      doNext = _handle({event, handlers: handler});
+    } else if(typeof handler === 'function') {
+      handler({event, next});
+    } else if(_isObject(handler)) {
+      if(event.code in handler) {
+        doNext = _handle({event, handlers: [handler[event.code]]});
+      } else if(event.type in handler) {
+        doNext = _handle({event, handlers: [handler[event.type]]});
+      } else {
+        doNext = true;
+      }
+    } else {
+      throw new JsonLdError(
+        'Invalid event handler; an event handler must be a function, an ' +
+        'array or an object.',
+        'jsonld.InvalidEventHandler', {event});
+    }
+  }
+  return doNext;
+}
+
+export default api;
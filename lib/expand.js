@@ -9,7 +9,18 @@ import types from "./types.js";
 import graphTypes from "./graphTypes.js";
 import url from "./url.js";
 import context from "./context.js";
-
+import limits from "./limits.js";
+import events from "./events.js";
+import frame from "./frame.js";
+import literals from "./literals.js";
+
+import {
+  XSD,
+  XSD_DOUBLE
+} from './constants.js';
+
+const _isQueryKeyword = frame.isQueryKeyword;
+const _isOrderKeyword = frame.isOrderKeyword;
 const _isArray = types.isArray;
 const _isObject = types.isObject;
 const _isString = types.isString;
@@ -23,6 +34,7 @@ const _addValue = util.addValue;
 const _getValues = util.getValues;
 const _validateTypeValue = util.validateTypeValue;
 
+const _checkPrefixCollision = context.checkPrefixCollision;
 const _expandIri = context.expandIri;
 const _getContextValue = context.getContextValue;
 const _isKeyword = context.isKeyword;
@@ -53,32 +65,63 @@ const REGEX_BCP47 = /^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/;
  * @param typeScopedContext an optional type-scoped active context for
  *          expanding values of nodes that were expressed according to
  *          a type-scoped context.
- * @param expansionMap(info) a function that can be used to custom map
- *          unmappable values (or to throw an error when they are detected);
- *          if this function returns `undefined` then the default behavior
- *          will be used.
  *
  * @return a Promise that resolves to the expanded value.
  */
-api.expand = async ({
+api.expand = async args => {
+  // the path and active property chain are shared by all the elements of
+  // the document, see `_descend`
+  let {options = {}} = args;
+  if(!options.expansionPath) {
+    options = args.options =
+      {...options, expansionPath: [], expansionPropertyChain: []};
+  }
+  const {expansionPath, expansionPropertyChain} = options;
+  const depth = expansionPath.length;
+  const chainDepth = expansionPropertyChain.length;
+  try {
+    return await _expandElement(args);
+  } catch(e) {
+    // report where the error occurred unless a nested element already did
+    throw util.addErrorLocation(e, {
+      path: expansionPath.slice(0, depth),
+      activePropertyChain: chainDepth === 0 ?
+        undefined : expansionPropertyChain.slice(0, chainDepth)
+    });
+  }
+};
+
+/**
+ * Expands an element, see `api.expand`.
+ *
+ * @return a Promise that resolves to the expanded value.
+ */
+async function _expandElement({
   activeCtx,
   activeProperty = null,
   element,
   options = {},
   insideList = false,
   insideIndex = false,
-  typeScopedContext = null,
-  expansionMap = () => undefined
-}) => {
-
-  // add expansion map to the processing options
-  options = {...options, expansionMap};
-
+  typeScopedContext = null
+}) {
   // nothing to expand
   if(element === null || element === undefined) {
     return null;
   }
 
+  if(_isArray(element) || _isObject(element)) {
+    // track the nesting depth and the number of nodes to enforce limits
+    const expansionDepth = (options.expansionDepth || 0) + 1;
+    limits.check(
+      {limits: options.limits, limit: 'maxDepth', value: expansionDepth});
+    options = {
+      ...options,
+      expansionDepth,
+      expansionCounts: options.expansionCounts || {nodes: 0}
+    };
+  }
+
   // disable framing if activeProperty is @default
   if(activeProperty === '@default') {
     options = Object.assign({}, options, {isFrame: false});
@@ -89,17 +132,25 @@ api.expand = async ({
     if(!insideList && (activeProperty === null ||
       _expandIri(activeCtx, activeProperty, {vocab: true},
         options) === '@graph')) {
-      const mapped = await expansionMap({
+      const mapped = await _expansionMap(options, {
         unmappedValue: element,
         activeCtx,
         activeProperty,
         options,
         insideList
       });
-      if(mapped === undefined) {
-        return null;
+      if(mapped !== undefined) {
+        return mapped;
       }
-      return mapped;
+      events.emit({
+        options,
+        type: 'dropped value',
+        code: 'free-floating scalar',
+        message: 'a scalar that is not the value of a property is dropped.',
+        path: options.expansionPath,
+        details: {property: activeProperty, value: element}
+      });
+      return null;
     }
 
     // expand element according to value expansion rules
@@ -114,21 +165,24 @@ api.expand = async ({
     insideList = insideList || container.includes('@list');
     for(let i = 0; i < element.length; ++i) {
       // expand element
+      const depth = _descend(options, i);
       let e = await api.expand({
         activeCtx,
         activeProperty,
         element: element[i],
         options,
-        expansionMap,
         insideIndex,
         typeScopedContext
       });
+      _ascend(options, depth);
       if(insideList && _isArray(e)) {
         e = {'@list': e};
       }
 
+      // drop null values unless custom mapped, dropped data has been
+      // reported
       if(e === null) {
-        e = await expansionMap({
+        e = await _expansionMap(options, {
           unmappedValue: element[i],
           activeCtx,
           activeProperty,
@@ -148,6 +202,10 @@ api.expand = async ({
       } else {
         rval.push(e);
       }
+      if(insideList) {
+        limits.check(
+          {limits: options.limits, limit: 'maxListLength', value: rval.length});
+      }
     }
     return rval;
   }
@@ -207,8 +265,13 @@ api.expand = async ({
 
   // if element has a context, process it
   if('@context' in element) {
-    activeCtx = await _processContext(
-      {activeCtx, localCtx: element['@context'], options});
+    const depth = _descend(options, '@context');
+    activeCtx = await _processContext({
+      activeCtx,
+      localCtx: element['@context'],
+      options
+    });
+    _ascend(options, depth);
   }
 
   // set the type-scoped context to the context on input, for use later
@@ -253,8 +316,7 @@ api.expand = async ({
     options,
     insideList,
     typeKey,
-    typeScopedContext,
-    expansionMap});
+    typeScopedContext});
 
   // get property count on expanded output
   keys = Object.keys(rval);
@@ -281,6 +343,9 @@ api.expand = async ({
     if('@direction' in rval) {
       validCount -= 1;
     }
+    if('@annotation' in rval) {
+      validCount -= 1;
+    }
     if(validCount !== 0) {
       throw new JsonLdError(
         'Invalid JSON-LD syntax; an element containing "@value" may only ' +
@@ -296,7 +361,7 @@ api.expand = async ({
       types.length === 1) {
       // Any value of @value is okay if @type: @json
     } else if(values.length === 0) {
-      const mapped = await expansionMap({
+      const mapped = await _expansionMap(options, {
         unmappedValue: rval,
         activeCtx,
         activeProperty,
@@ -307,6 +372,14 @@ api.expand = async ({
       if(mapped !== undefined) {
         rval = mapped;
       } else {
+        events.emit({
+          options,
+          type: 'dropped value',
+          code: 'null @value value',
+          message: 'a value object with a null "@value" is dropped.',
+          path: options.expansionPath,
+          details: {property: activeProperty, value: element}
+        });
         rval = null;
       }
     } else if(!values.every(v => (_isString(v) || _isEmptyObject(v))) &&
@@ -344,7 +417,7 @@ api.expand = async ({
     }
   } else if(count === 1 && '@language' in rval) {
     // drop objects with only @language unless custom mapped
-    const mapped = await expansionMap(rval, {
+    const mapped = await _expansionMap(options, {
       unmappedValue: rval,
       activeCtx,
       activeProperty,
@@ -355,6 +428,14 @@ api.expand = async ({
     if(mapped !== undefined) {
       rval = mapped;
     } else {
+      events.emit({
+        options,
+        type: 'dropped value',
+        code: 'object with only @language',
+        message: 'an object with only "@language" is dropped.',
+        path: options.expansionPath,
+        details: {property: activeProperty, value: element}
+      });
       rval = null;
     }
   }
@@ -367,7 +448,7 @@ api.expand = async ({
     // drop empty object, top-level @value/@list, or object with only @id
     if(count === 0 || '@value' in rval || '@list' in rval ||
       (count === 1 && '@id' in rval)) {
-      const mapped = await expansionMap({
+      const mapped = await _expansionMap(options, {
         unmappedValue: rval,
         activeCtx,
         activeProperty,
@@ -378,13 +459,28 @@ api.expand = async ({
       if(mapped !== undefined) {
         rval = mapped;
       } else {
+        events.emit({
+          options,
+          type: 'dropped value',
+          ..._describeFreeFloating(rval, count),
+          path: options.expansionPath,
+          details: {property: activeProperty, value: element}
+        });
         rval = null;
       }
     }
   }
 
+  if(_isObject(rval) && !('@value' in rval) && !('@list' in rval)) {
+    limits.check({
+      limits: options.limits,
+      limit: 'maxNodes',
+      value: ++options.expansionCounts.nodes
+    });
+  }
+
   return rval;
-};
+}
 
 /**
  * Expand each key and value of element adding to result
@@ -398,10 +494,6 @@ api.expand = async ({
  * @param insideList true if the element is a list, false if not.
  * @param typeKey first key found expanding to @type.
  * @param typeScopedContext the context before reverting.
- * @param expansionMap(info) a function that can be used to custom map
- *          unmappable values (or to throw an error when they are detected);
- *          if this function returns `undefined` then the default behavior
- *          will be used.
  */
 async function _expandObject({
   activeCtx,
@@ -412,23 +504,23 @@ async function _expandObject({
   options = {},
   insideList,
   typeKey,
-  typeScopedContext,
-  expansionMap
+  typeScopedContext
 }) {
   const keys = Object.keys(element).sort();
   const nests = [];
   let unexpandedValue;
 
-  // add expansion map to the processing options
-  options = {...options, expansionMap};
-
   // Figure out if this is the type for a JSON literal
   const isJsonType = element[typeKey] &&
     _expandIri(activeCtx,
       (_isArray(element[typeKey]) ? element[typeKey][0] : element[typeKey]),
       {vocab: true}, {...options, typeExpansion: true}) === '@json';
 
+  // the key of each value is added to the path while the value is expanded
+  const depth = options.expansionPath.length;
+  const chainDepth = options.expansionPropertyChain.length;
   for(const key of keys) {
+    _ascend(options, depth, chainDepth);
     let value = element[key];
     let expandedValue;
 
@@ -437,14 +529,39 @@ async function _expandObject({
       continue;
     }
 
+    // keep the query keywords of frames
+    if(options.isFrame && options.queryExtensions && _isQueryKeyword(key)) {
+      _addValue(expandedParent, key,
+        await _expandQuery({activeCtx, activeProperty, key, value, options}),
+        {propertyIsArray: true});
+      continue;
+    }
+
+    // keep the ordering keywords and the @depth flag of frames
+    if(options.isFrame && (_isOrderKeyword(key) || key === '@depth')) {
+      _addValue(expandedParent, key,
+        _expandOrder({activeCtx, key, value, options}),
+        {propertyIsArray: true});
+      continue;
+    }
+
     // expand property
-    let expandedProperty = _expandIri(activeCtx, key, {vocab: true}, options);
+    let expandedProperty =
+      _expandIri(activeCtx, key, {vocab: true}, options);
+
+    if(_isKeyword(expandedProperty)) {
+      _descend(options, key);
+    } else {
+      _descendProperty(options, key, key);
+    }
+    _checkPrefixCollision(
+      {activeCtx, value: key, expanded: expandedProperty, options});
 
     // drop non-absolute IRI keys that aren't keywords unless custom mapped
     if(expandedProperty === null ||
       !(_isAbsoluteIri(expandedProperty) || _isKeyword(expandedProperty))) {
       // TODO: use `await` to support async
-      expandedProperty = expansionMap({
+      const mapped = _expansionMap(options, {
         unmappedProperty: key,
         activeCtx,
         activeProperty,
@@ -454,9 +571,19 @@ async function _expandObject({
         value,
         expandedParent
       });
-      if(expandedProperty === undefined) {
+      if(mapped === undefined) {
+        events.emit({
+          options,
+          type: 'dropped property',
+          code: 'invalid property',
+          message: `the property "${key}" does not expand to an absolute ` +
+            'IRI or a keyword and is dropped.',
+          path: options.expansionPath,
+          details: {property: key, expandedProperty, value}
+        });
         continue;
       }
+      expandedProperty = mapped;
     }
 
     if(_isKeyword(expandedProperty)) {
@@ -476,8 +603,20 @@ async function _expandObject({
       }
     }
 
+    // check that the default value of a property frame fits its term
+    if(options.isFrame && expandedProperty === '@default') {
+      _checkFrameDefault(
+        {activeCtx, activeProperty, value, options});
+    }
+
     // syntax error if @id is not a string
     if(expandedProperty === '@id') {
+      // an embedded node is the quoted triple it describes (JSON-LD-star)
+      if(options.rdfstar && !options.isFrame && _isObject(value)) {
+        expandedParent['@id'] = await _expandEmbeddedNode(
+          {activeCtx, value, options});
+        continue;
+      }
       if(!_isString(value)) {
         if(!options.isFrame) {
           throw new JsonLdError(
@@ -510,11 +649,52 @@ async function _expandObject({
       _addValue(
         expandedParent, '@id',
         _asArray(value).map(v =>
-          _isString(v) ? _expandIri(activeCtx, v, {base: true}, options) : v),
+          _isString(v) ?
+            _expandIri(activeCtx, v, {base: true}, options) : v),
         {propertyIsArray: options.isFrame});
       continue;
     }
 
+    if(expandedProperty === '@annotation') {
+      if(!options.rdfstar) {
+        events.emit({
+          options,
+          type: 'dropped property',
+          code: 'annotation without rdfstar',
+          message: '"@annotation" is only supported with the "rdfstar" ' +
+            'option and is dropped.',
+          path: options.expansionPath,
+          details: {property: key, value}
+        });
+        continue;
+      }
+      // only the values of properties may be annotated
+      if(insideList || expandedActiveProperty === null ||
+        expandedActiveProperty === '@graph') {
+        throw new JsonLdError(
+          'Invalid JSON-LD syntax; "@annotation" may only be used on the ' +
+          'value of a property.',
+          'jsonld.SyntaxError', {code: 'invalid annotation', value});
+      }
+      const annotations = _asArray(await api.expand({
+        activeCtx,
+        activeProperty: key,
+        element: value,
+        options
+      }));
+      for(const annotation of annotations) {
+        if(!_isSubject(annotation) || '@id' in annotation) {
+          throw new JsonLdError(
+            'Invalid JSON-LD syntax; the value of "@annotation" must be a ' +
+            'node object without an "@id".',
+            'jsonld.SyntaxError', {code: 'invalid annotation', value});
+        }
+      }
+      _addValue(
+        expandedParent, '@annotation', annotations, {propertyIsArray: true});
+      continue;
+    }
+
     if(expandedProperty === '@type') {
       // if framing, can be a default object, but need to expand
       // key to determine that
@@ -547,8 +727,7 @@ async function _expandObject({
         activeCtx,
         activeProperty,
         element: value,
-        options,
-        expansionMap
+        options
       }));
 
       // Expanded values must be node objects
@@ -606,7 +785,14 @@ async function _expandObject({
       // ensure language tag matches BCP47
       for(const lang of value) {
         if(_isString(lang) && !lang.match(REGEX_BCP47)) {
-          console.warn(`@language must be valid BCP47: ${lang}`);
+          events.emit({
+            options,
+            type: 'invalid value',
+            code: 'invalid @language value',
+            message: `@language must be valid BCP47: ${lang}`,
+            path: options.expansionPath,
+            details: {property: key, value: lang}
+          });
         }
       }
 
@@ -667,8 +853,7 @@ async function _expandObject({
         activeProperty:
         '@reverse',
         element: value,
-        options,
-        expansionMap
+        options
       });
       // properties double-reversed
       if('@reverse' in expandedValue) {
@@ -743,7 +928,6 @@ async function _expandObject({
         options,
         activeProperty: key,
         value,
-        expansionMap,
         asGraph,
         indexKey,
         propertyIndex
@@ -756,7 +940,6 @@ async function _expandObject({
         options,
         activeProperty: key,
         value,
-        expansionMap,
         asGraph,
         indexKey: '@id'
       });
@@ -768,7 +951,6 @@ async function _expandObject({
         options,
         activeProperty: key,
         value,
-        expansionMap,
         asGraph: false,
         indexKey: '@type'
       });
@@ -785,8 +967,7 @@ async function _expandObject({
           activeProperty: nextActiveProperty,
           element: value,
           options,
-          insideList: isList,
-          expansionMap
+          insideList: isList
         });
       } else if(
         _getContextValue(activeCtx, key, '@type') === '@json') {
@@ -801,16 +982,15 @@ async function _expandObject({
           activeProperty: key,
           element: value,
           options,
-          insideList: false,
-          expansionMap
+          insideList: false
         });
       }
     }
 
-    // drop null values if property is not @value
+    // drop null values if property is not @value, unless custom mapped
     if(expandedValue === null && expandedProperty !== '@value') {
       // TODO: use `await` to support async
-      expandedValue = expansionMap({
+      expandedValue = _expansionMap(options, {
         unmappedValue: value,
         expandedProperty,
         activeCtx: termCtx,
@@ -868,6 +1048,7 @@ async function _expandObject({
       propertyIsArray: true
     });
   }
+  _ascend(options, depth, chainDepth);
 
   // @value must not be an object or an array (unless framing) or if @type is
   // @json
@@ -888,7 +1069,8 @@ async function _expandObject({
   // expand each nested key
   for(const key of nests) {
     const nestedValues = _isArray(element[key]) ? element[key] : [element[key]];
-    for(const nv of nestedValues) {
+    for(let i = 0; i < nestedValues.length; ++i) {
+      const nv = nestedValues[i];
       if(!_isObject(nv) || Object.keys(nv).some(k =>
         _expandIri(activeCtx, k, {vocab: true}, options) === '@value')) {
         throw new JsonLdError(
@@ -896,6 +1078,8 @@ async function _expandObject({
           'jsonld.SyntaxError',
           {code: 'invalid @nest value', value: nv});
       }
+      const depth = _isArray(element[key]) ?
+        _descend(options, key, i) : _descend(options, key);
       await _expandObject({
         activeCtx,
         activeProperty,
@@ -905,8 +1089,8 @@ async function _expandObject({
         options,
         insideList,
         typeScopedContext,
-        typeKey,
-        expansionMap});
+        typeKey});
+      _ascend(options, depth);
     }
   }
 }
@@ -997,6 +1181,16 @@ function _expandLanguageMap(activeCtx, languageMap, direction, options) {
   const keys = Object.keys(languageMap).sort();
   for(const key of keys) {
     const expandedKey = _expandIri(activeCtx, key, {vocab: true}, options);
+    if(expandedKey !== '@none' && !key.match(REGEX_BCP47)) {
+      events.emit({
+        options,
+        type: 'invalid value',
+        code: 'invalid @language value',
+        message: `@language must be valid BCP47: ${key}`,
+        path: [...options.expansionPath, key],
+        details: {value: key}
+      });
+    }
     let val = languageMap[key];
     if(!_isArray(val)) {
       val = [val];
@@ -1026,8 +1220,8 @@ function _expandLanguageMap(activeCtx, languageMap, direction, options) {
 }
 
 async function _expandIndexMap(
-  {activeCtx, options, activeProperty, value, expansionMap, asGraph,
-    indexKey, propertyIndex}) {
+  {activeCtx, options, activeProperty, value, asGraph, indexKey,
+    propertyIndex}) {
   const rval = [];
   const keys = Object.keys(value).sort();
   const isTypeIndex = indexKey === '@type';
@@ -1050,15 +1244,16 @@ async function _expandIndexMap(
       val = [val];
     }
 
+    const depth = _descend(options, key);
     val = await api.expand({
       activeCtx,
       activeProperty,
       element: val,
       options,
       insideList: false,
-      insideIndex: true,
-      expansionMap
+      insideIndex: true
     });
+    _ascend(options, depth);
 
     // expand for @type, but also for @none
     let expandedKey;
@@ -1075,7 +1270,9 @@ async function _expandIndexMap(
 
     if(indexKey === '@id') {
       // expand document relative
+      const depth = _descend(options, key);
       key = _expandIri(activeCtx, key, {base: true}, options);
+      _ascend(options, depth);
     } else if(isTypeIndex) {
       key = expandedKey;
     }
@@ -1119,5 +1316,277 @@ async function _expandIndexMap(
   return rval;
 }
 
+/**
+ * Expands the value of a query keyword of a frame, for the `queryExtensions`
+ * framing option: the frames or value patterns of `@not`, `@and` and `@or`
+ * are expanded like the frame or pattern that has them, the bounds of
+ * `@gt`, `@gte`, `@lt` and `@lte` (numbers or strings) and the strings of
+ * `@startsWith` and `@regex` are kept as they are.
+ *
+ * @param activeCtx the active context to use.
+ * @param activeProperty the property for the frame or pattern.
+ * @param key the query keyword.
+ * @param value the value of the keyword.
+ * @param options the expansion options.
+ *
+ * @return a Promise that resolves to the expanded values.
+ */
+async function _expandQuery({activeCtx, activeProperty, key, value, options}) {
+  const values = _asArray(value);
+  if(['@not', '@and', '@or'].includes(key)) {
+    // free-floating values are dropped, which is an error here
+    const depth = _descend(options, key);
+    const patterns = _asArray(await api.expand({
+      activeCtx,
+      activeProperty,
+      element: values,
+      options
+    }));
+    _ascend(options, depth);
+    if(patterns.length !== values.length || !patterns.every(_isObject)) {
+      throw new JsonLdError(
+        `Invalid JSON-LD syntax; "${key}" in a frame must be an object or ` +
+        'an array of objects.', 'jsonld.SyntaxError',
+        {code: 'invalid frame', value});
+    }
+    return patterns;
+  }
+  const isRange = ['@gt', '@gte', '@lt', '@lte'].includes(key);
+  if(!values.every(v => _isString(v) || (isRange && types.isNumber(v)))) {
+    throw new JsonLdError(
+      `Invalid JSON-LD syntax; "${key}" in a frame must be ` +
+      (isRange ? 'a number or a string.' : 'a string.'),
+      'jsonld.SyntaxError', {code: 'invalid frame', value});
+  }
+  return values;
+}
+
+/**
+ * Expands the value of an ordering keyword, or of `@depth`, of a frame: the
+ * `@sort` keys, a term, IRI, `@id` or `@type` to sort by in ascending order
+ * or an object that maps them to `ascending` or `descending`, are expanded
+ * to objects with one IRI or keyword; the non-negative integers of
+ * `@limit`, `@offset` and `@depth` are kept as they are.
+ *
+ * @param activeCtx the active context to use.
+ * @param key the keyword.
+ * @param value the value of the keyword.
+ * @param options the expansion options.
+ *
+ * @return the expanded values.
+ */
+function _expandOrder({activeCtx, key, value, options}) {
+  if(key !== '@sort') {
+    if(!Number.isInteger(value) || value < 0) {
+      throw new JsonLdError(
+        `Invalid JSON-LD syntax; "${key}" in a frame must be a non-negative ` +
+        'integer.', 'jsonld.SyntaxError', {code: 'invalid frame', value});
+    }
+    return [value];
+  }
+  const keys = [];
+  for(const sortKey of _asArray(value)) {
+    const entries = _isString(sortKey) ? [[sortKey, 'ascending']] :
+      (_isObject(sortKey) ? Object.entries(sortKey) : [[]]);
+    for(const [property, direction] of entries) {
+      const expanded = _isString(property) ?
+        _expandIri(activeCtx, property, {vocab: true}, options) : null;
+      if(!(expanded === '@id' || expanded === '@type' ||
+        _isAbsoluteIri(expanded)) ||
+        !(direction === 'ascending' || direction === 'descending')) {
+        throw new JsonLdError(
+          'Invalid JSON-LD syntax; "@sort" in a frame must be a property, ' +
+          'or an object that maps properties to "ascending" or ' +
+          '"descending".', 'jsonld.SyntaxError',
+          {code: 'invalid frame', value});
+      }
+      keys.push({[expanded]: direction});
+    }
+  }
+  return keys;
+}
+
+/**
+ * Checks that the `@default` values of a property frame fit the `@type` of
+ * the term of the property, and emits a `conflicting @default value` event
+ * for each one that does not: a value other than an IRI or a node for an
+ * `@id` or `@vocab` type, or a value that is not a valid literal of the
+ * datatype, eg: `"n/a"` for xsd:integer.
+ *
+ * @param activeCtx the active context to use.
+ * @param activeProperty the property of the frame.
+ * @param value the value of `@default`.
+ * @param options the expansion options.
+ */
+function _checkFrameDefault({activeCtx, activeProperty, value, options}) {
+  const type = activeProperty === null ? null :
+    _getContextValue(activeCtx, activeProperty, '@type');
+  if(!type || type === '@json' || type === '@none') {
+    return;
+  }
+  for(const v of _asArray(value)) {
+    let conflict;
+    if(v === '@null' || v === null) {
+      conflict = false;
+    } else if(type === '@id' || type === '@vocab') {
+      conflict = !(_isString(v) || (_isObject(v) && !('@value' in v)));
+    } else if(_isObject(v)) {
+      conflict = !('@value' in v) || '@language' in v || ('@type' in v &&
+        _expandIri(activeCtx, v['@type'], {vocab: true}, options) !== type);
+    } else {
+      // native numbers are valid doubles
+      const lexical =
+        literals.canonicalize(v, type, {canonicalLiterals: true});
+      conflict = lexical === null || (lexical === undefined &&
+        !_isString(v) && !(types.isNumber(v) &&
+        (type === XSD_DOUBLE || type === XSD + 'float')));
+    }
+    if(conflict) {
+      events.emit({
+        options,
+        type: 'invalid value',
+        code: 'conflicting @default value',
+        message: `the @default value of "${activeProperty}" does not fit ` +
+          `its type "${type}".`,
+        path: options.expansionPath,
+        details: {property: activeProperty, value: v, type}
+      });
+    }
+  }
+}
+
+/**
+ * Expands an embedded node, the value of an `@id` that describes a quoted
+ * triple in JSON-LD-star, and checks that it has exactly one property, other
+ * than `@id`, with a single value that is a value object or a node reference.
+ *
+ * @param activeCtx the context to use.
+ * @param value the embedded node to expand.
+ * @param options the expansion options.
+ *
+ * @return a Promise that resolves to the expanded embedded node.
+ */
+async function _expandEmbeddedNode({activeCtx, value, options}) {
+  const expanded = await api.expand({
+    activeCtx,
+    element: value,
+    options: {...options, keepFreeFloatingNodes: true}
+  });
+  const properties = _isObject(expanded) ?
+    Object.keys(expanded).filter(key => key !== '@id') : [];
+  const [property] = properties;
+  const values = expanded && expanded[property];
+  if(!_isSubject(expanded) || properties.length !== 1 ||
+    (_isKeyword(property) && property !== '@type') ||
+    !_isArray(values) || values.length !== 1 ||
+    !(property === '@type' || graphTypes.isSubjectReference(values[0]) ||
+      (_isValue(values[0]) && !('@annotation' in values[0])))) {
+    throw new JsonLdError(
+      'Invalid JSON-LD syntax; an embedded node must have exactly one ' +
+      'property with a single value that is a value object or a node ' +
+      'reference.',
+      'jsonld.SyntaxError', {
+        code: 'invalid embedded node',
+        value,
+        path: util.toJsonPointer(options.expansionPath || [])
+      });
+  }
+  return expanded;
+}
+
+/**
+ * Adds the keys and indexes from the element being expanded to a nested
+ * value to the path of the options, before the value is expanded. The path
+ * is shared by all the elements of the document rather than copied for each
+ * value, it is restored with `_ascend` once the value is expanded.
+ *
+ * @param options the expansion options.
+ * @param path the keys and indexes from the element to the value.
+ *
+ * @return the length of the path to restore.
+ */
+function _descend(options, ...path) {
+  const depth = options.expansionPath.length;
+  options.expansionPath.push(...path);
+  return depth;
+}
+
+/**
+ * Adds the keys and indexes from the element being expanded to the value of
+ * a property to the path of the options, and the property to the active
+ * property chain, see `_descend`.
+ *
+ * @param options the expansion options.
+ * @param property the property, added to the active property chain.
+ * @param path the keys and indexes from the element to the value.
+ *
+ * @return the length of the path to restore.
+ */
+function _descendProperty(options, property, ...path) {
+  options.expansionPropertyChain.push(property);
+  return _descend(options, ...path);
+}
+
+/**
+ * Restores the path and the active property chain of the options once a
+ * nested value is expanded.
+ *
+ * @param options the expansion options.
+ * @param depth the length of the path to restore.
+ * @param [chainDepth] the length of the active property chain to restore.
+ */
+function _ascend(options, depth, chainDepth) {
+  options.expansionPath.length = depth;
+  if(chainDepth !== undefined) {
+    options.expansionPropertyChain.length = chainDepth;
+  }
+}
+
+/**
+ * Calls the deprecated `expansionMap` option, if any, for data that would be
+ * dropped so that it can be custom mapped.
+ *
+ * @param options the processing options.
+ * @param info the info for the map, eg: the `unmappedValue`.
+ *
+ * @return the mapped value, or `undefined` to use the default behavior.
+ */
+function _expansionMap(options, info) {
+  if(options.expansionMap) {
+    return options.expansionMap(info);
+  }
+}
+
+/**
+ * Gets the event code and message for a free-floating object that is dropped.
+ *
+ * @param element the expanded object.
+ * @param count the number of properties of the object.
+ *
+ * @return the code and message.
+ */
+function _describeFreeFloating(element, count) {
+  if(count === 0) {
+    return {code: 'empty object', message: 'an empty object is dropped.'};
+  }
+  if('@value' in element) {
+    return {
+      code: 'free-floating value',
+      message: 'a value object that is not the value of a property is dropped.'
+    };
+  }
+  if('@list' in element) {
+    return {
+      code: 'free-floating list',
+      message: 'a list object that is not the value of a property is dropped.'
+    };
+  }
+  return {
+    code: 'object with only @id',
+    message: 'a node object with only "@id" that is not the value of a ' +
+      'property is dropped.'
+  };
+}
+
 const expand = api.expand;
 export { expand };
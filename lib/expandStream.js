@@ -0,0 +1,257 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import { JsonLdError } from "./JsonLdError.js";
+import { JsonTokenizer } from "./JsonTokenizer.js";
+import { expand as _expand } from "./expand.js";
+import context from "./context.js";
+import types from "./types.js";
+import util from "./util.js";
+
+const _isArray = types.isArray;
+const _isObject = types.isObject;
+const _isString = types.isString;
+
+const _asArray = util.asArray;
+
+const _expandIri = context.expandIri;
+const _processContext = context.process;
+
+const api = {};
+
+/**
+ * Expands a JSON-LD document that is read in chunks, outputting the
+ * expanded node objects as they are read.
+ *
+ * The elements of a top-level array, and of the `@graph` of a top-level
+ * object with no other properties than `@context`, are expanded and output
+ * one at a time; a top-level `@context` must then appear before `@graph`.
+ * Any other top-level object is expanded once it is read.
+ *
+ * @param activeCtx the context to use.
+ * @param input the async or sync iterable of string or byte chunks of the
+ *          JSON document.
+ * @param options the expansion options.
+ *
+ * @return an async iterable of the expanded node objects.
+ */
+api.expandStream = async function*({activeCtx, input, options}) {
+  const tokens = _readTokens(input);
+  // count nodes across elements to enforce the maxNodes limit
+  options = {...options, expansionCounts: {nodes: 0}};
+
+  const token = await _next(tokens);
+  if(token.type === 'startArray') {
+    // expand each element of a top-level array
+    let index = 0;
+    for(let t = await _next(tokens); t.type !== 'endArray';
+      t = await _next(tokens)) {
+      const element = await _readValue(tokens, t);
+      yield* _expandElement({
+        activeCtx,
+        activeProperty: null,
+        element,
+        options: {
+          ...options,
+          expansionPath: [index++],
+          expansionPropertyChain: [],
+          expansionDepth: 1
+        }
+      });
+    }
+  } else if(token.type === 'startObject') {
+    yield* _expandObject({activeCtx, tokens, options});
+  } else {
+    // a top-level scalar expands to nothing
+    yield* _expandElement({activeCtx, element: token.value, options});
+  }
+
+  // read the rest of the document to check that it is complete
+  while(await _next(tokens)) {
+    // only whitespace may follow the top-level value
+  }
+};
+
+/**
+ * Expands the elements of the `@graph` of a top-level object as they are
+ * read, or the whole object once it is read if it has other properties.
+ *
+ * @param activeCtx the context to use.
+ * @param tokens the tokens of the object after its start.
+ * @param options the expansion options.
+ *
+ * @return an async iterable of the expanded node objects.
+ */
+async function* _expandObject({activeCtx, tokens, options}) {
+  // the members of the object, to expand it once it is read
+  const members = [];
+  // the context of the object, applied to the elements of its @graph
+  let objectCtx = activeCtx;
+  let graph = null;
+
+  for(let token = await _next(tokens); token.type !== 'endObject';
+    token = await _next(tokens)) {
+    const key = token.value;
+    const value = await _next(tokens);
+
+    if(graph !== null) {
+      const contextAfterData = key === '@context';
+      throw new JsonLdError(
+        'Could not stream the JSON-LD document; ' +
+        (contextAfterData ? '"@context"' : `the property "${key}"`) +
+        ` appears after "${graph}" whose elements were already expanded. ` +
+        `Move it before "${graph}" to stream the document.`,
+        'jsonld.StreamingError', {
+          code: contextAfterData ? 'context after data' : 'data after graph',
+          key,
+          path: util.toJsonPointer([key])
+        });
+    }
+
+    // stream the elements of a @graph that only has a context before it
+    if(value.type === 'startArray' &&
+      members.every(([name]) => name === '@context') &&
+      _expandIri(objectCtx, key, {vocab: true}, options) === '@graph') {
+      graph = key;
+      let index = 0;
+      for(let t = await _next(tokens); t.type !== 'endArray';
+        t = await _next(tokens)) {
+        const element = await _readValue(tokens, t);
+        yield* _expandElement({
+          activeCtx: objectCtx,
+          activeProperty: key,
+          element,
+          options: {
+            ...options,
+            expansionPath: [key, index++],
+            expansionPropertyChain: [],
+            expansionDepth: 2
+          }
+        });
+      }
+      continue;
+    }
+
+    members.push([key, await _readValue(tokens, value)]);
+    if(key === '@context') {
+      objectCtx = await _processContext({
+        activeCtx,
+        localCtx: members[members.length - 1][1],
+        options: {...options, expansionPath: ['@context']}
+      });
+    }
+  }
+
+  if(graph !== null) {
+    return;
+  }
+
+  // not a graph container, expand the object as `jsonld.expand` does
+  let expanded = await _expand(
+    {activeCtx, element: Object.fromEntries(members), options});
+  if(_isObject(expanded) && ('@graph' in expanded) &&
+    Object.keys(expanded).length === 1) {
+    expanded = expanded['@graph'];
+  }
+  if(expanded !== null) {
+    yield* _asArray(expanded);
+  }
+}
+
+/**
+ * Expands an element and outputs the expanded node objects.
+ *
+ * @param args the arguments of `expand`.
+ *
+ * @return an async iterable of the expanded node objects.
+ */
+async function* _expandElement(args) {
+  const expanded = await _expand(args);
+  if(expanded !== null) {
+    yield* _asArray(expanded);
+  }
+}
+
+/**
+ * Reads the tokens of a JSON document from its chunks.
+ *
+ * @param input the async or sync iterable of string or byte chunks.
+ *
+ * @return an async iterator of the tokens.
+ */
+async function* _readTokens(input) {
+  const tokenizer = new JsonTokenizer();
+  let decoder;
+  for await (const chunk of input) {
+    if(_isString(chunk)) {
+      yield* tokenizer.write(chunk);
+    } else {
+      decoder = decoder || new TextDecoder();
+      yield* tokenizer.write(decoder.decode(chunk, {stream: true}));
+    }
+  }
+  if(decoder) {
+    yield* tokenizer.write(decoder.decode());
+  }
+  yield* tokenizer.end();
+}
+
+/**
+ * Gets the next token.
+ *
+ * @param tokens the iterator of tokens.
+ *
+ * @return a Promise that resolves to the token, or undefined at the end of
+ *           the document.
+ */
+async function _next(tokens) {
+  const {value} = await tokens.next();
+  return value;
+}
+
+/**
+ * Reads a JSON value from its tokens.
+ *
+ * @param tokens the iterator of tokens.
+ * @param token the first token of the value.
+ *
+ * @return a Promise that resolves to the value.
+ */
+async function _readValue(tokens, token) {
+  // the arrays and objects being read with the key of their next value
+  const stack = [];
+  for(;; token = await _next(tokens)) {
+    let value;
+    if(token.type === 'startObject' || token.type === 'startArray') {
+      stack.push({value: token.type === 'startObject' ? {} : [], key: null});
+      continue;
+    }
+    if(token.type === 'key') {
+      stack[stack.length - 1].key = token.value;
+      continue;
+    }
+    if(token.type === 'value') {
+      value = token.value;
+    } else {
+      ({value} = stack.pop());
+    }
+
+    if(stack.length === 0) {
+      return value;
+    }
+    const parent = stack[stack.length - 1];
+    if(_isArray(parent.value)) {
+      parent.value.push(value);
+    } else if(parent.key === '__proto__') {
+      // define the key as `JSON.parse` does
+      Object.defineProperty(parent.value, parent.key,
+        {value, writable: true, enumerable: true, configurable: true});
+    } else {
+      parent.value[parent.key] = value;
+    }
+  }
+}
+
+const expandStream = api.expandStream;
+export { expandStream };
@@ -9,6 +9,8 @@ import util from "./util.js";
 import url from "./url.js";
 import { JsonLdError } from "./JsonLdError.js";
 import nodeMap from "./nodeMap.js";
+import events from "./events.js";
+import { FramingIndex } from "./FramingIndex.js";
 
 const isKeyword = context.isKeyword;
 const _createNodeMap = nodeMap.createNodeMap;
@@ -16,10 +18,57 @@ const _mergeNodeMapGraphs = nodeMap.mergeNodeMapGraphs;
 
 const api = {};
 
+// the keywords of the framing query extensions, by kind
+const QUERY_COMBINATIONS = new Set(['@not', '@and', '@or']);
+const QUERY_RANGES = new Set(['@gt', '@gte', '@lt', '@lte']);
+const QUERY_STRINGS = new Set(['@startsWith', '@regex']);
+
+// the valid values of the framing flags
+const EMBED_VALUES = [
+  '@always', '@never', '@link', '@first', '@last', '@once', true, false
+];
+const BOOLEAN_FLAGS = ['@explicit', '@requireAll', '@omitDefault'];
+
+// the framing flags, including @depth which caps the depth of embedding
+const FRAME_FLAGS = [
+  '@embed', '@explicit', '@omitDefault', '@requireAll', '@depth'
+];
+
+// the keywords that order and page the matches of a frame
+const ORDER_KEYWORDS = new Set(['@sort', '@limit', '@offset']);
+
+const REGEX_DATE = new RegExp(
+  '^(-?[0-9]{4,}-[0-9]{2}-[0-9]{2})' +
+  '(T[0-9]{2}:[0-9]{2}:[0-9]{2}(?:\\.[0-9]+)?)?(Z|[+-][0-9]{2}:[0-9]{2})?$');
+const REGEX_LITERAL = /^\/(.*)\/([a-z]*)$/s;
+
+/**
+ * Returns true if a key of a frame is a keyword of the framing query
+ * extensions, used with the `queryExtensions` option: `@not`, `@and` and
+ * `@or` to combine frames or value patterns, `@gt`, `@gte`, `@lt` and
+ * `@lte` for value ranges, `@startsWith` and `@regex` for string values.
+ *
+ * @param key the key.
+ *
+ * @return true if the key is a query keyword, false if not.
+ */
+api.isQueryKeyword = key => QUERY_COMBINATIONS.has(key) ||
+  QUERY_RANGES.has(key) || QUERY_STRINGS.has(key);
+
+/**
+ * Returns true if a key of a frame is a keyword that orders and pages the
+ * nodes matched by the frame: `@sort`, `@limit` or `@offset`.
+ *
+ * @param key the key.
+ *
+ * @return true if the key is an ordering keyword, false if not.
+ */
+api.isOrderKeyword = key => ORDER_KEYWORDS.has(key);
+
 /**
  * Performs JSON-LD `merged` framing.
  *
- * @param input the expanded JSON-LD to frame.
+ * @param input the expanded JSON-LD to frame, or a `FramingIndex` of it.
  * @param frame the expanded JSON-LD frame to use.
  * @param options the framing options.
  *
@@ -34,22 +83,40 @@ api.frameMergedOrDefault = (input, frame, options) => {
     graphMap: {'@default': {}},
     subjectStack: [],
     link: {},
-    bnodeMap: {}
+    bnodeMap: {},
+    // compiled @regex patterns of the framing query extensions
+    regexes: new Map(),
+    // the subjects that reference each node, by property, see
+    // `_getReferencingSubjects`
+    reverseIndex: {},
+    // the deepest level at which nodes are embedded, top-level nodes are at
+    // level 0
+    maxDepth: types.isNumber(options.maxDepth) ? options.maxDepth : Infinity
   };
 
-  // produce a map of all graphs and name each bnode
-  // FIXME: currently uses subjects from @merged graph only
-  const issuer = new util.IdentifierIssuer('_:b');
-  _createNodeMap(input, state.graphMap, '@default', issuer);
-  if(options.merged) {
-    state.graphMap['@merged'] = _mergeNodeMapGraphs(state.graphMap);
-    state.graph = '@merged';
+  const index = input instanceof FramingIndex ? input : null;
+  if(index) {
+    // use the node map of the index
+    state.graphMap = index.graphMap;
+    if(options.merged) {
+      state.graph = '@merged';
+    }
+    state.reverseIndex = index.getReverseIndex(state.graph);
+  } else {
+    // produce a map of all graphs and name each bnode
+    // FIXME: currently uses subjects from @merged graph only
+    const issuer = new util.IdentifierIssuer('_:b');
+    _createNodeMap(input, state.graphMap, '@default', issuer);
+    if(options.merged) {
+      state.graphMap['@merged'] = _mergeNodeMapGraphs(state.graphMap);
+      state.graph = '@merged';
+    }
   }
   state.subjects = state.graphMap[state.graph];
 
   // frame the subjects
   const framed = [];
-  api.frame(state, Object.keys(state.subjects).sort(), frame, framed);
+  api.frame(state, _getSubjects(state, frame, index), frame, framed);
 
   // If pruning blank nodes, find those to prune
   if(options.pruneBlankNodeIdentifiers) {
@@ -63,6 +130,74 @@ api.frameMergedOrDefault = (input, frame, options) => {
   return _cleanupPreserve(framed, options);
 };
 
+/**
+ * Checks an expanded frame for mistakes that framing does not report, and
+ * emits an `invalid frame` event for each: an invalid `@id`, `@type` or
+ * flag, and sub-frames that are unreachable because the frame that has
+ * them is embedded with `@never`, so that only the properties used to match
+ * nodes have an effect. Mistakes found while expanding the frame, such as
+ * terms that do not expand to IRIs, are reported by expansion events.
+ *
+ * @param frame the expanded JSON-LD frame.
+ * @param options the framing options, with the event handler to use.
+ */
+api.validateFrame = (frame, options) => {
+  _checkFrame({frame, options, path: [], embedded: false});
+};
+
+/**
+ * Gets the ids of the subjects to frame at the top level, in order. With a
+ * `FramingIndex` of the merged graph, these are only the subjects that have
+ * one of the types of the frame, unless a matching `@id` is enough, and, if
+ * `@requireAll` is set, the properties of the frame without defaults.
+ *
+ * @param state the current framing state.
+ * @param frame the frame.
+ * @param index the `FramingIndex`, null if there is none.
+ *
+ * @return the ids of the subjects.
+ */
+function _getSubjects(state, frame, index) {
+  if(!index || state.graph !== '@merged' || !types.isArray(frame) ||
+    !types.isObject(frame[0])) {
+    return Object.keys(state.subjects).sort();
+  }
+  frame = frame[0];
+  const requireAll = _getFrameFlag(frame, state.options, 'requireAll');
+
+  let candidates = null;
+  const narrow = ids => {
+    candidates = candidates === null ?
+      ids : new Set([...ids].filter(id => candidates.has(id)));
+  };
+  const frameTypes = frame['@type'] || [];
+  if(frameTypes.length > 0 && frameTypes.every(types.isString) &&
+    (requireAll || !('@id' in frame))) {
+    const ids = new Set();
+    for(const type of frameTypes) {
+      for(const id of index.typeIndex.get(type) || []) {
+        ids.add(id);
+      }
+    }
+    narrow(ids);
+  }
+  if(requireAll) {
+    for(const key of Object.keys(frame)) {
+      if(isKeyword(key) || _isQueryKey(state, key) ||
+        api.isOrderKeyword(key) || key === '@depth') {
+        continue;
+      }
+      const subframe = frame[key];
+      if(subframe.length > 0 && types.isObject(subframe[0]) &&
+        !('@default' in subframe[0])) {
+        narrow(index.propertyIndex.get(key) || new Set());
+      }
+    }
+  }
+  return candidates === null ?
+    Object.keys(state.subjects).sort() : [...candidates].sort();
+}
+
 /**
  * Frames subjects according to the given frame.
  *
@@ -73,10 +208,35 @@ api.frameMergedOrDefault = (input, frame, options) => {
  * @param property the parent property, initialized to null.
  */
 api.frame = (state, subjects, frame, parent, property = null) => {
+  try {
+    _frame(state, subjects, frame, parent, property);
+  } catch(e) {
+    // report where the error occurred unless a sub-frame already did
+    throw util.addErrorLocation(e, {
+      path: state.framePath || [],
+      activePropertyChain: state.framePropertyChain
+    });
+  }
+};
+
+/**
+ * Frames subjects according to the given frame, see `api.frame`.
+ */
+function _frame(state, subjects, frame, parent, property) {
   // validate the frame
   _validateFrame(frame);
   frame = frame[0];
 
+  // the level of the nodes matched by the frame, @depth caps the level of
+  // the nodes embedded in them
+  const level = state.subjectStack.length;
+  if('@depth' in frame) {
+    state = {
+      ...state,
+      maxDepth: Math.min(state.maxDepth, level + frame['@depth'][0])
+    };
+  }
+
   // get flags for current frame
   const options = state.options;
   const flags = {
@@ -94,8 +254,8 @@ api.frame = (state, subjects, frame, parent, property = null) => {
   // filter out subjects that match the frame
   const matches = _filterSubjects(state, subjects, frame, flags);
 
-  // add matches to output
-  const ids = Object.keys(matches).sort();
+  // add matches to output, in order
+  const ids = _orderMatches(matches, frame);
   for(const id of ids) {
     const subject = matches[id];
 
@@ -138,12 +298,13 @@ api.frame = (state, subjects, frame, parent, property = null) => {
       continue;
     }
 
-    // if embed is @never or if a circular reference would be created by an
-    // embed, the subject cannot be embedded, just add the reference;
-    // note that a circular reference won't occur when the embed flag is
-    // `@link` as the above check will short-circuit before reaching this point
+    // if embed is @never, if the subject is deeper than the maximum depth or
+    // if a circular reference would be created by an embed, the subject
+    // cannot be embedded, just add the reference; note that a circular
+    // reference won't occur when the embed flag is `@link` as the above check
+    // will short-circuit before reaching this point
     if(state.embedded &&
-      (flags.embed === '@never' ||
+      (flags.embed === '@never' || level > state.maxDepth ||
       _createsCircularReference(subject, state.graph, state.subjectStack))) {
       _addFrameOutput(parent, property, output);
       continue;
@@ -188,7 +349,8 @@ api.frame = (state, subjects, frame, parent, property = null) => {
       if(recurse) {
         // recurse into graph
         api.frame(
-          {...state, graph: id, embedded: false},
+          _descend(state, {graph: id, embedded: false},
+            '@graph' in frame ? ['@graph'] : []),
           Object.keys(state.graphMap[id]).sort(), [subframe], output, '@graph');
       }
     }
@@ -196,7 +358,7 @@ api.frame = (state, subjects, frame, parent, property = null) => {
     // if frame has @included, recurse over its sub-frame
     if('@included' in frame) {
       api.frame(
-        {...state, embedded: false},
+        _descend(state, {embedded: false}, ['@included']),
         subjects, frame['@included'], output, '@included');
     }
 
@@ -223,6 +385,16 @@ api.frame = (state, subjects, frame, parent, property = null) => {
         continue;
       }
 
+      // frame the node references at once if the sub-frame orders them
+      const ordered = prop in frame && _hasOrder(frame[prop][0]);
+      if(ordered) {
+        api.frame(
+          _descend(state, {embedded: true}, [prop], prop),
+          subject[prop].filter(graphTypes.isSubjectReference)
+            .map(o => o['@id']),
+          frame[prop], output, prop);
+      }
+
       // add objects
       for(const o of subject[prop]) {
         const subframe = (prop in frame ?
@@ -230,10 +402,10 @@ api.frame = (state, subjects, frame, parent, property = null) => {
 
         // recurse into list
         if(graphTypes.isList(o)) {
-          const subframe =
-            (frame[prop] && frame[prop][0] && frame[prop][0]['@list']) ?
-              frame[prop][0]['@list'] :
-              _createImplicitFrame(flags);
+          const hasListFrame =
+            !!(frame[prop] && frame[prop][0] && frame[prop][0]['@list']);
+          const subframe = hasListFrame ?
+            frame[prop][0]['@list'] : _createImplicitFrame(flags);
 
           // add empty list
           const list = {'@list': []};
@@ -245,7 +417,8 @@ api.frame = (state, subjects, frame, parent, property = null) => {
             if(graphTypes.isSubjectReference(oo)) {
               // recurse into subject reference
               api.frame(
-                {...state, embedded: true},
+                _descend(state, {embedded: true},
+                  hasListFrame ? [prop, 0, '@list'] : [], prop),
                 [oo['@id']], subframe, list, '@list');
             } else {
               // include other values automatically
@@ -253,11 +426,17 @@ api.frame = (state, subjects, frame, parent, property = null) => {
             }
           }
         } else if(graphTypes.isSubjectReference(o)) {
+          if(ordered) {
+            continue;
+          }
           // recurse into subject reference
           api.frame(
-            {...state, embedded: true},
+            _descend(
+              state, {embedded: true}, prop in frame ? [prop] : [], prop),
             [o['@id']], subframe, output, prop);
-        } else if(_valueMatch(subframe[0], o)) {
+        } else if(_hasQuery(state, subframe[0]) ?
+          _queryMatch(state, subframe[0], o, flags) :
+          _valueMatch(subframe[0], o)) {
           // include other values, if they match
           _addFrameOutput(output, prop, util.clone(o));
         }
@@ -273,7 +452,8 @@ api.frame = (state, subjects, frame, parent, property = null) => {
           continue;
         }
         // allow through default types
-      } else if(isKeyword(prop)) {
+      } else if(isKeyword(prop) || _isQueryKey(state, prop) ||
+        api.isOrderKeyword(prop) || prop === '@depth') {
         continue;
       }
 
@@ -297,19 +477,22 @@ api.frame = (state, subjects, frame, parent, property = null) => {
     // of the associated property
     for(const reverseProp of Object.keys(frame['@reverse'] || {}).sort()) {
       const subframe = frame['@reverse'][reverseProp];
-      for(const subject of Object.keys(state.subjects)) {
-        const nodeValues =
-          util.getValues(state.subjects[subject], reverseProp);
-        if(nodeValues.some(v => v['@id'] === id)) {
-          // node has property referencing this subject, recurse
-          output['@reverse'] = output['@reverse'] || {};
-          util.addValue(
-            output['@reverse'], reverseProp, [], {propertyIsArray: true});
-          api.frame(
-            {...state, embedded: true},
-            [subject], subframe, output['@reverse'][reverseProp],
-            property);
-        }
+      const referencing = _getReferencingSubjects(state, reverseProp, id);
+      if(referencing.length === 0) {
+        continue;
+      }
+      // nodes have property referencing this subject, recurse, at once if
+      // the sub-frame orders them
+      output['@reverse'] = output['@reverse'] || {};
+      util.addValue(
+        output['@reverse'], reverseProp, [], {propertyIsArray: true});
+      const batches = _hasOrder(subframe[0]) ?
+        [referencing] : referencing.map(subject => [subject]);
+      for(const batch of batches) {
+        api.frame(
+          _descend(state, {embedded: true}, ['@reverse', reverseProp],
+            reverseProp),
+          batch, subframe, output['@reverse'][reverseProp], property);
       }
     }
 
@@ -319,7 +502,144 @@ api.frame = (state, subjects, frame, parent, property = null) => {
     // pop matching subject from circular ref-checking stack
     state.subjectStack.pop();
   }
-};
+}
+
+/**
+ * Checks a frame and its sub-frames, see `api.validateFrame`.
+ *
+ * @param frame the frame, an array with one object.
+ * @param options the framing options.
+ * @param path the path to the frame in the expanded frame.
+ * @param embedded true if the nodes matched by the frame are embedded.
+ */
+function _checkFrame({frame, options, path, embedded}) {
+  try {
+    _validateFrame(frame);
+  } catch(e) {
+    if(!(e instanceof JsonLdError)) {
+      throw e;
+    }
+    _emitFrameEvent({
+      options, code: e.details.code || 'invalid frame',
+      message: e.message.replace(/^Invalid JSON-LD syntax; /, ''),
+      path, details: {frame: frame[0]}
+    });
+    return;
+  }
+  frame = frame[0];
+
+  // check flags, the default @embed flag once
+  const embed = '@embed' in frame ? frame['@embed'][0] : options.embed;
+  if(('@embed' in frame || path.length === 0) &&
+    (!EMBED_VALUES.includes(embed) ||
+    ((embed === '@first' || embed === '@last') && options.is11))) {
+    _emitFrameEvent({
+      options, code: 'invalid @embed value',
+      message: `the value of @embed "${embed}" is not valid.`,
+      path: [...path, 0, '@embed'], details: {value: embed}
+    });
+  }
+  for(const flag of BOOLEAN_FLAGS) {
+    if(flag in frame && !types.isBoolean(frame[flag][0])) {
+      _emitFrameEvent({
+        options, code: 'invalid frame flag',
+        message: `the value of ${flag} must be a boolean.`,
+        path: [...path, 0, flag], details: {value: frame[flag][0]}
+      });
+    }
+  }
+
+  // if the matched nodes are not embedded, only the parts of the frame that
+  // match nodes have an effect
+  const never = embedded && (embed === '@never' || embed === false);
+  const unreachable = (subframe, path) => _emitFrameEvent({
+    options, code: 'unreachable frame',
+    message: 'the frame is never used as the frame that has it is ' +
+      'embedded with @never.',
+    path, details: {frame: subframe[0]}
+  });
+  for(const key of Object.keys(frame).sort()) {
+    const keyPath = [...path, 0, key];
+    if(key === '@graph' || key === '@included') {
+      if(never) {
+        unreachable(frame[key], keyPath);
+      } else if(types.isObject(frame[key][0])) {
+        _checkFrame({frame: frame[key], options, path: keyPath,
+          embedded: false});
+      }
+    } else if(key === '@reverse') {
+      for(const property of Object.keys(frame[key]).sort()) {
+        const subframe = frame[key][property];
+        if(never) {
+          unreachable(subframe, [...keyPath, property]);
+        } else {
+          _checkFrame({frame: subframe, options,
+            path: [...keyPath, property], embedded: true});
+        }
+      }
+    } else if(!isKeyword(key) && !api.isQueryKeyword(key) &&
+      !api.isOrderKeyword(key) && key !== '@depth') {
+      const subframe = frame[key];
+      if(subframe.length !== 1 || !types.isObject(subframe[0]) ||
+        graphTypes.isValue(subframe[0])) {
+        // match none or value patterns
+        continue;
+      }
+      if(graphTypes.isList(subframe[0])) {
+        // list frames match nodes with their whole frame
+        const listFrame = subframe[0]['@list'];
+        if(!never && types.isObject(listFrame[0]) &&
+          !graphTypes.isValue(listFrame[0])) {
+          _checkFrame({frame: listFrame, options,
+            path: [...keyPath, 0, '@list'], embedded: true});
+        }
+      } else if(!never) {
+        _checkFrame({frame: subframe, options, path: keyPath,
+          embedded: true});
+      } else if(!_isMatchOnly(subframe[0])) {
+        unreachable(subframe, keyPath);
+      }
+    }
+  }
+}
+
+/**
+ * Returns true if the whole of a property frame is used to match the values
+ * of the property: the frame is a wildcard, a node reference pattern or has
+ * query keywords. Otherwise, a property frame only matches properties that
+ * have a value, the rest is used to frame the embedded nodes.
+ *
+ * @param frame the property frame.
+ *
+ * @return true if the whole frame is used to match values, false if not.
+ */
+function _isMatchOnly(frame) {
+  const keys = Object.keys(frame).filter(key =>
+    !FRAME_FLAGS.includes(key));
+  return keys.length === 0 ||
+    (keys.length === 1 && keys[0] === '@id') ||
+    keys.some(key => api.isQueryKeyword(key));
+}
+
+/**
+ * Emits an `invalid frame` event.
+ *
+ * @param options the framing options.
+ * @param code the event code.
+ * @param message a description of the mistake.
+ * @param path the path to the mistake in the expanded frame.
+ * @param details extra details.
+ */
+function _emitFrameEvent({options, code, message, path, details}) {
+  events.emit({
+    options,
+    type: 'invalid frame',
+    code,
+    message,
+    path,
+    details
+  });
+}
 
 /**
  * Replace `@null` with `null`, removing it from arrays.
@@ -365,6 +685,138 @@ api.cleanupNull = (input, options) => {
   return input;
 };
 
+/**
+ * Gets the ids of the nodes matched by a frame in the order of its `@sort`
+ * keys, then of their ids, from its `@offset` and at most `@limit` of them.
+ *
+ * A `@sort` key is an object with a property, `@id` or `@type` and a
+ * direction, `ascending` or `descending`. Nodes are compared by their first
+ * value of the property: numbers and numeric strings as numbers, ahead of
+ * other values compared as strings by code points (in ascending order).
+ * Nodes without a value come last in either direction.
+ *
+ * @param matches the matching nodes by id.
+ * @param frame the frame.
+ *
+ * @return the ordered ids.
+ */
+function _orderMatches(matches, frame) {
+  const ids = Object.keys(matches).sort();
+  if('@sort' in frame) {
+    const keys = frame['@sort'].map(key => {
+      const [property] = Object.keys(key);
+      return {
+        property,
+        sign: key[property] === 'descending' ? -1 : 1,
+        values: new Map(ids.map(id => [id, _sortValue(matches[id], property)]))
+      };
+    });
+    // stable, so ids order nodes with the same values
+    ids.sort((a, b) => {
+      for(const {sign, values} of keys) {
+        const order = _compareSortValues(values.get(a), values.get(b), sign);
+        if(order !== 0) {
+          return order;
+        }
+      }
+      return 0;
+    });
+  }
+  const offset = '@offset' in frame ? frame['@offset'][0] : 0;
+  const limit = '@limit' in frame ? frame['@limit'][0] : ids.length;
+  return ids.slice(offset, offset + limit);
+}
+
+/**
+ * Gets the ids of the subjects that reference a node with a property. The
+ * subjects are indexed by the nodes they reference the first time a property
+ * is needed, so that reverse framing does not scan every subject for every
+ * node.
+ *
+ * @param state the current framing state.
+ * @param property the property.
+ * @param id the id of the node.
+ *
+ * @return the ids of the subjects.
+ */
+function _getReferencingSubjects(state, property, id) {
+  let index = state.reverseIndex[property];
+  if(!index) {
+    index = state.reverseIndex[property] = new Map();
+    for(const subject of Object.keys(state.subjects)) {
+      for(const value of util.getValues(state.subjects[subject], property)) {
+        if(!types.isObject(value) || !('@id' in value)) {
+          continue;
+        }
+        const subjects = index.get(value['@id']);
+        if(!subjects) {
+          index.set(value['@id'], [subject]);
+        } else if(subjects[subjects.length - 1] !== subject) {
+          subjects.push(subject);
+        }
+      }
+    }
+  }
+  return index.get(id) || [];
+}
+
+/**
+ * Returns true if a frame has `@sort`, `@limit` or `@offset`.
+ *
+ * @param frame the frame.
+ *
+ * @return true if the frame orders its matches, false if not.
+ */
+function _hasOrder(frame) {
+  return types.isObject(frame) &&
+    Object.keys(frame).some(key => api.isOrderKeyword(key));
+}
+
+/**
+ * Gets the value of a node to sort it by: its first value of a property,
+ * the `@value` of a value object or the `@id` of a node reference.
+ *
+ * @param subject the node.
+ * @param property the property, `@id` or `@type`.
+ *
+ * @return the value, undefined if the node has none.
+ */
+function _sortValue(subject, property) {
+  const [value] = util.getValues(subject, property);
+  if(types.isObject(value)) {
+    return '@value' in value ? value['@value'] : value['@id'];
+  }
+  return value;
+}
+
+/**
+ * Compares two values of nodes to sort them.
+ *
+ * @param a the first value.
+ * @param b the second value.
+ * @param sign 1 to sort in ascending order, -1 in descending order.
+ *
+ * @return a negative number, zero or a positive number.
+ */
+function _compareSortValues(a, b, sign) {
+  const missingA = a === undefined || a === null || types.isObject(a);
+  const missingB = b === undefined || b === null || types.isObject(b);
+  if(missingA || missingB) {
+    return missingA - missingB;
+  }
+  const numericA = types.isNumber(a) || types.isNumeric(a);
+  const numericB = types.isNumber(b) || types.isNumeric(b);
+  if(numericA !== numericB) {
+    return numericA ? -sign : sign;
+  }
+  if(numericA) {
+    return sign * (Number(a) - Number(b));
+  }
+  a = String(a);
+  b = String(b);
+  return sign * (a < b ? -1 : (a > b ? 1 : 0));
+}
+
 /**
  * Creates an implicit frame when recursing through subject matches. If
  * a frame doesn't have an explicit frame for a particular property, then
@@ -385,6 +837,31 @@ function _createImplicitFrame(flags) {
   return [frame];
 }
 
+/**
+ * Gets the framing state to frame subjects with a sub-frame of the current
+ * frame.
+ *
+ * @param state the current framing state.
+ * @param changes the changes to the state, eg: `embedded`.
+ * @param path the keys and indexes from the current frame object to the
+ *          sub-frame, empty for an implicit sub-frame.
+ * @param [property] the property of the subjects, added to the active property
+ *          chain.
+ *
+ * @return the framing state.
+ */
+function _descend(state, changes, path, property) {
+  const framePath = state.framePath || [];
+  const framePropertyChain = state.framePropertyChain || [];
+  return {
+    ...state,
+    ...changes,
+    framePath: path.length === 0 ? framePath : [...framePath, 0, ...path],
+    framePropertyChain: property === undefined ?
+      framePropertyChain : [...framePropertyChain, property]
+  };
+}
+
 /**
  * Checks the current subject stack to see if embedding the given subject
  * would cause a circular reference.
@@ -515,11 +992,28 @@ function _filterSubjects(state, subjects, frame, flags) {
  * @return true if the subject matches, false if not.
  */
 function _filterSubject(state, subject, frame, flags) {
+  // the subject must match the query keywords of the frame, if any; value
+  // conditions never match a node
+  if(_hasQuery(state, frame)) {
+    if(Object.keys(frame).some(
+      key => QUERY_RANGES.has(key) || QUERY_STRINGS.has(key))) {
+      return false;
+    }
+    if(!_combinationsMatch(
+      frame, pattern => _filterSubject(state, subject, pattern, flags))) {
+      return false;
+    }
+  }
+
   // check ducktype
   let wildcard = true;
   let matchesSome = false;
 
   for(const key in frame) {
+    if(_isQueryKey(state, key) || api.isOrderKeyword(key) ||
+      key === '@depth') {
+      continue;
+    }
     let matchThis = false;
     const nodeValues = util.getValues(subject, key);
     const isEmpty = util.getValues(frame, key).length === 0;
@@ -594,6 +1088,10 @@ function _filterSubject(state, subject, frame, flags) {
           return false;
         }
         matchThis = true;
+      } else if(_hasQuery(state, thisFrame)) {
+        // match on any value that matches the query
+        matchThis =
+          nodeValues.some(nv => _queryMatch(state, thisFrame, nv, flags));
       } else {
         if(graphTypes.isList(thisFrame)) {
           const listValue = thisFrame['@list'][0];
@@ -823,4 +1321,211 @@ function _valueMatch(pattern, value) {
   return true;
 }
 
+/**
+ * Returns true if a key of a frame is a query keyword and the framing query
+ * extensions are enabled.
+ *
+ * @param state the current framing state.
+ * @param key the key.
+ *
+ * @return true if the key is a query keyword, false if not.
+ */
+function _isQueryKey(state, key) {
+  return !!state.options.queryExtensions && api.isQueryKeyword(key);
+}
+
+/**
+ * Returns true if a frame or value pattern has query keywords and the framing
+ * query extensions are enabled.
+ *
+ * @param state the current framing state.
+ * @param pattern the frame or value pattern.
+ *
+ * @return true if the pattern has a query, false if not.
+ */
+function _hasQuery(state, pattern) {
+  return !!state.options.queryExtensions && types.isObject(pattern) &&
+    Object.keys(pattern).some(key => api.isQueryKeyword(key));
+}
+
+/**
+ * Checks the `@not`, `@and` and `@or` keywords of a frame or value pattern:
+ * none of the patterns of `@not`, all of those of `@and` and at least one of
+ * those of `@or` must match.
+ *
+ * @param pattern the frame or value pattern.
+ * @param match the function that matches one of the patterns.
+ *
+ * @return true if the combinations match, false if not.
+ */
+function _combinationsMatch(pattern, match) {
+  return !('@not' in pattern && pattern['@not'].some(match)) &&
+    !('@and' in pattern && !pattern['@and'].every(match)) &&
+    !('@or' in pattern && !pattern['@or'].some(match));
+}
+
+/**
+ * Matches a value against a frame or value pattern with query keywords. All
+ * the query keywords and the rest of the pattern must match: ranges and
+ * string conditions only match value objects, the rest of the pattern is
+ * matched as a value pattern if it has any of them or has `@value`, and as
+ * a frame otherwise.
+ *
+ * @param state the current framing state.
+ * @param pattern the frame or value pattern.
+ * @param value the value object or node reference.
+ * @param flags the frame flags.
+ *
+ * @return true if the value matches, false if not.
+ */
+function _queryMatch(state, pattern, value, flags) {
+  if(!_combinationsMatch(pattern, p => _hasQuery(state, p) ?
+    _queryMatch(state, p, value, flags) :
+    _patternMatch(state, p, value, flags))) {
+    return false;
+  }
+
+  // check value conditions
+  const rest = {};
+  let isValuePattern = false;
+  for(const key in pattern) {
+    if(QUERY_RANGES.has(key) || QUERY_STRINGS.has(key)) {
+      isValuePattern = true;
+      if(!graphTypes.isValue(value) ||
+        !pattern[key].every(bound => _conditionMatch(
+          state, key, bound, value['@value']))) {
+        return false;
+      }
+    } else if(!QUERY_COMBINATIONS.has(key)) {
+      rest[key] = pattern[key];
+    }
+  }
+
+  if(isValuePattern) {
+    // without @type or @language, the rest matches any value object
+    return Object.keys(rest).length === 0 ||
+      _valueMatch({'@value': [{}], ...rest}, value);
+  }
+  return _patternMatch(state, rest, value, flags);
+}
+
+/**
+ * Matches a value against a frame or value pattern without query keywords.
+ *
+ * @param state the current framing state.
+ * @param pattern the frame or value pattern.
+ * @param value the value object or node reference.
+ * @param flags the frame flags.
+ *
+ * @return true if the value matches, false if not.
+ */
+function _patternMatch(state, pattern, value, flags) {
+  const keys = Object.keys(pattern).filter(key =>
+    !FRAME_FLAGS.includes(key) && !api.isOrderKeyword(key));
+  if(keys.length === 0) {
+    return true;
+  }
+  if(graphTypes.isValue(pattern)) {
+    return graphTypes.isValue(value) && _valueMatch(pattern, value);
+  }
+  return !graphTypes.isValue(value) && _nodeMatch(state, pattern, value, flags);
+}
+
+/**
+ * Matches the `@value` of a value object against a range or string
+ * condition. Numbers are compared to numeric values; strings are compared
+ * as dates if both are xsd:date or xsd:dateTime lexical forms, and by code
+ * points otherwise.
+ *
+ * @param state the current framing state.
+ * @param key the query keyword.
+ * @param bound the bound, prefix or regular expression.
+ * @param value the `@value`.
+ *
+ * @return true if the value matches, false if not.
+ */
+function _conditionMatch(state, key, bound, value) {
+  if(key === '@startsWith') {
+    return types.isString(value) && value.startsWith(bound);
+  }
+  if(key === '@regex') {
+    return types.isString(value) && _getRegex(state, bound).test(value);
+  }
+
+  let order;
+  if(types.isNumber(bound)) {
+    const number = types.isNumber(value) ? value :
+      (types.isNumeric(value) ? parseFloat(value) : NaN);
+    order = number - bound;
+  } else if(types.isString(value)) {
+    const date = _parseDate(value) - _parseDate(bound);
+    order = !isNaN(date) ? date :
+      (value < bound ? -1 : (value > bound ? 1 : 0));
+  } else {
+    return false;
+  }
+  switch(key) {
+    case '@gt':
+      return order > 0;
+    case '@gte':
+      return order >= 0;
+    case '@lt':
+      return order < 0;
+    case '@lte':
+      return order <= 0;
+  }
+  return false;
+}
+
+/**
+ * Parses an xsd:date or xsd:dateTime lexical form, in UTC if it has no
+ * timezone.
+ *
+ * @param value the string.
+ *
+ * @return the time in milliseconds, NaN if it is not a date.
+ */
+function _parseDate(value) {
+  const match = value.match(REGEX_DATE);
+  if(!match) {
+    return NaN;
+  }
+  return Date.parse(match[1] + (match[2] || 'T00:00:00') + (match[3] || 'Z'));
+}
+
+/**
+ * Gets the regular expression of a `@regex` condition, a pattern or a
+ * `/pattern/flags` literal.
+ *
+ * @param state the current framing state.
+ * @param source the pattern.
+ *
+ * @return the RegExp.
+ */
+function _getRegex(state, source) {
+  let regex = state.regexes.get(source);
+  if(!regex) {
+    const literal = source.match(REGEX_LITERAL);
+    try {
+      regex = literal ?
+        new RegExp(literal[1], literal[2]) : new RegExp(source);
+    } catch(e) {
+      throw new JsonLdError(
+        'Invalid JSON-LD syntax; invalid @regex in frame.',
+        'jsonld.SyntaxError',
+        {code: 'invalid frame', value: source, cause: e});
+    }
+    // the regex is reused for every value, it must not keep a `lastIndex`
+    if(regex.global || regex.sticky) {
+      throw new JsonLdError(
+        'Invalid JSON-LD syntax; @regex in frame must not use the "g" or ' +
+        '"y" flags.',
+        'jsonld.SyntaxError',
+        {code: 'invalid frame', value: source});
+    }
+    state.regexes.set(source, regex);
+  }
+  return regex;
+}
+
 export default api;
@@ -3,7 +3,13 @@
  */
 
 import { JsonLdError } from "./JsonLdError.js";
+import { MemorySpillStore } from "./MemorySpillStore.js";
+import { NQuads } from "./NQuads.js";
+import { NQuadsStar } from "./NQuadsStar.js";
+import { canonicalize as jsonCanonicalize} from "./vendor/canonicalize/canonicalize.js";
 import graphTypes from "./graphTypes.js";
+import events from "./events.js";
+import limits from "./limits.js";
 import types from "./types.js";
 import util from "./util.js";
 
@@ -45,14 +51,23 @@ api.fromRDF = async (
   {
     useRdfType = false,
     useNativeTypes = false,
-    rdfDirection = null
+    rdfDirection = null,
+    rdfstar = false,
+    limits: processingLimits,
+    eventHandler
   }
 ) => {
   const defaultGraph = {};
   const graphMap = {'@default': defaultGraph};
   const referencedOnce = {};
+  let nodeCount = 0;
+
+  limits.check(
+    {limits: processingLimits, limit: 'maxQuads', value: dataset.length});
 
   for(const quad of dataset) {
+    _checkQuotedTriples(quad, rdfstar);
+
     // TODO: change 'name' to 'graph'
     const name = (quad.graph.termType === 'DefaultGraph') ?
       '@default' : quad.graph.value;
@@ -66,18 +81,23 @@ api.fromRDF = async (
     const nodeMap = graphMap[name];
 
     // get subject, predicate, object
-    const s = quad.subject.value;
+    const {key: s, id} =
+      _subjectId(quad.subject, useNativeTypes, rdfDirection, {useRdfType});
     const p = quad.predicate.value;
     const o = quad.object;
 
     if(!(s in nodeMap)) {
-      nodeMap[s] = {'@id': s};
+      nodeMap[s] = {'@id': id};
+      limits.check(
+        {limits: processingLimits, limit: 'maxNodes', value: ++nodeCount});
     }
     const node = nodeMap[s];
 
     const objectIsNode = o.termType.endsWith('Node');
     if(objectIsNode && !(o.value in nodeMap)) {
       nodeMap[o.value] = {'@id': o.value};
+      limits.check(
+        {limits: processingLimits, limit: 'maxNodes', value: ++nodeCount});
     }
 
     if(p === RDF_TYPE && !useRdfType && objectIsNode) {
@@ -85,7 +105,8 @@ api.fromRDF = async (
       continue;
     }
 
-    const value = _RDFToObject(o, useNativeTypes, rdfDirection);
+    const value = _RDFToObject(
+      o, useNativeTypes, rdfDirection, {useRdfType, eventHandler});
     util.addValue(node, p, value, {propertyIsArray: true});
 
     // object may be an RDF list/partial list node but we can't know easily
@@ -218,6 +239,11 @@ api.fromRDF = async (
           node['@type'].length === 1 && node['@type'][0] === RDF_LIST))) {
         list.push(node[RDF_FIRST][0]);
         listNodes.push(node['@id']);
+        limits.check({
+          limits: processingLimits,
+          limit: 'maxListLength',
+          value: list.length
+        });
 
         // get next node, moving backwards through list
         usage = referencedOnce[node['@id']];
@@ -268,20 +294,490 @@ api.fromRDF = async (
   return result;
 };
 
+/**
+ * Converts a stream of RDF quads to JSON-LD node objects.
+ *
+ * While the quads are sorted by subject, as in sorted N-Quads, the node
+ * object of each subject is emitted as soon as the quads of the next subject
+ * are read. Otherwise the quads are sorted in runs of at most
+ * `maxBufferedQuads` quads that are spilled to the `spillStore` and merged,
+ * so memory use is bounded by the size of a run.
+ *
+ * Each node object is in the expanded, flattened form of `fromRDF`; nodes in
+ * named graphs are emitted as `{"@id": graph, "@graph": [node]}` so the same
+ * graph may be emitted more than once. Well-formed lists whose blank nodes
+ * are read before the node that refers to them are converted to `@list`
+ * objects; blank nodes of lists are kept in memory until they are used and
+ * the others are emitted at the end as regular nodes.
+ *
+ * @param quads an async iterable of quads.
+ * @param options the RDF serialization options:
+ *          [sorted] true if the quads are sorted by subject, an error is
+ *            thrown if they are not; false to sort them; undefined to sort
+ *            the remaining quads once a quad is out of order, nodes already
+ *            emitted may then be emitted again with more properties.
+ *          [maxBufferedQuads] the number of quads to sort in memory before
+ *            spilling them (default: 100000).
+ *          [spillStore] the store of sorted runs of quads.
+ *
+ * @return an async iterable of JSON-LD node objects.
+ */
+api.fromRDFStream = async function*(
+  quads,
+  {
+    useRdfType = false,
+    useNativeTypes = false,
+    rdfDirection = null,
+    rdfstar = false,
+    limits: processingLimits,
+    eventHandler,
+    sorted,
+    maxBufferedQuads = 100000,
+    spillStore = new MemorySpillStore()
+  }
+) {
+  const state = {
+    useRdfType,
+    useNativeTypes,
+    rdfDirection,
+    rdfstar,
+    limits: processingLimits,
+    eventHandler,
+    quadCount: 0,
+    nodeCount: 0,
+    // blank nodes of lists by graph and id
+    lists: new Map()
+  };
+  const iterator = _countQuads(state, quads)[Symbol.asyncIterator]();
+
+  try {
+    let unsorted = null;
+    if(sorted !== false) {
+      // emit each subject once the next one is read
+      let group = null;
+      for(;;) {
+        const {value: quad, done} = await iterator.next();
+        if(done) {
+          break;
+        }
+        const key = _subjectKey(quad.subject);
+        if(group && key !== group.key) {
+          if(key < group.key) {
+            if(sorted) {
+              throw new JsonLdError(
+                'RDF quads are not sorted by subject.',
+                'jsonld.FromRdfError',
+                {code: 'unsorted quads', subject: quad.subject.value});
+            }
+            unsorted = [...group.quads, quad];
+            group = null;
+            break;
+          }
+          yield* _emitSubject(state, group.quads);
+          group = null;
+        }
+        if(!group) {
+          group = {key, quads: []};
+        }
+        group.quads.push(quad);
+      }
+      if(group) {
+        yield* _emitSubject(state, group.quads);
+      }
+    }
+
+    if(sorted === false || unsorted) {
+      const remaining = _concat(unsorted || [], iterator);
+      let group = null;
+      for await (const quad of _sortQuads(
+        remaining, {maxBufferedQuads, spillStore, rdfstar})) {
+        const key = _spillKey(quad.subject);
+        if(group && key !== group.key) {
+          yield* _emitSubject(state, group.quads);
+          group = null;
+        }
+        if(!group) {
+          group = {key, quads: []};
+        }
+        group.quads.push(quad);
+      }
+      if(group) {
+        yield* _emitSubject(state, group.quads);
+      }
+    }
+
+    yield* _emitLists(state);
+  } finally {
+    if(iterator.return) {
+      await iterator.return();
+    }
+  }
+};
+
+/**
+ * Counts the quads of a stream, checking the `maxQuads` limit.
+ *
+ * @param state the conversion state.
+ * @param quads the iterable of quads.
+ *
+ * @return an async iterable of the quads.
+ */
+async function* _countQuads(state, quads) {
+  for await (const quad of quads) {
+    limits.check(
+      {limits: state.limits, limit: 'maxQuads', value: ++state.quadCount});
+    _checkQuotedTriples(quad, state.rdfstar);
+    yield quad;
+  }
+}
+
+/**
+ * Yields the items of an array followed by the remaining items of an
+ * iterator.
+ *
+ * @param items the array.
+ * @param iterator the async iterator.
+ *
+ * @return an async iterable of the items.
+ */
+async function* _concat(items, iterator) {
+  yield* items;
+  for(;;) {
+    const {value, done} = await iterator.next();
+    if(done) {
+      return;
+    }
+    yield value;
+  }
+}
+
+/**
+ * Sorts quads by subject, blank nodes first so that the blank nodes of lists
+ * are read before the nodes that refer to them. Quads are sorted in memory
+ * in runs of `maxBufferedQuads`, if there is more than one run they are
+ * written to the spill store and merged.
+ *
+ * @param quads the async iterable of quads.
+ * @param options the options to use:
+ *          maxBufferedQuads the maximum number of quads in a run.
+ *          spillStore the store of runs.
+ *          rdfstar true to write the runs as N-Quads-star.
+ *
+ * @return an async iterable of the sorted quads.
+ */
+async function* _sortQuads(quads, {maxBufferedQuads, spillStore, rdfstar}) {
+  const format = rdfstar ? NQuadsStar : NQuads;
+  const runs = [];
+  try {
+    let buffer = [];
+    for await (const quad of quads) {
+      buffer.push(quad);
+      if(buffer.length >= maxBufferedQuads) {
+        runs.push(await spillStore.write(
+          _sortRun(buffer).map(format.serializeQuad)));
+        buffer = [];
+      }
+    }
+    _sortRun(buffer);
+    if(runs.length === 0) {
+      yield* buffer;
+      return;
+    }
+    if(buffer.length > 0) {
+      runs.push(await spillStore.write(buffer.map(format.serializeQuad)));
+      buffer = null;
+    }
+
+    // merge the runs, taking the first quad of the earliest run on ties
+    const readers = [];
+    for(const id of runs) {
+      const reader = {
+        lines: spillStore.read(id)[Symbol.asyncIterator](),
+        format
+      };
+      if(await _readQuad(reader)) {
+        readers.push(reader);
+      }
+    }
+    while(readers.length > 0) {
+      let min = 0;
+      for(let i = 1; i < readers.length; ++i) {
+        if(readers[i].key < readers[min].key) {
+          min = i;
+        }
+      }
+      const reader = readers[min];
+      yield reader.quad;
+      if(!await _readQuad(reader)) {
+        readers.splice(min, 1);
+      }
+    }
+  } finally {
+    for(const id of runs) {
+      await spillStore.delete(id);
+    }
+  }
+}
+
+/**
+ * Sorts a run of quads by subject, keeping the order of the quads of each
+ * subject.
+ *
+ * @param quads the quads to sort in place.
+ *
+ * @return the sorted quads.
+ */
+function _sortRun(quads) {
+  const keys = new Map(quads.map(quad => [quad, _spillKey(quad.subject)]));
+  return quads.sort((a, b) => {
+    const keyA = keys.get(a);
+    const keyB = keys.get(b);
+    return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+  });
+}
+
+/**
+ * Reads the next quad of a spilled run.
+ *
+ * @param reader the reader of the run with the `format` of its lines, its
+ *   `quad` and `key` are updated.
+ *
+ * @return a Promise that resolves to true if a quad was read, false at the
+ *   end of the run.
+ */
+async function _readQuad(reader) {
+  for(;;) {
+    const {value: line, done} = await reader.lines.next();
+    if(done) {
+      return false;
+    }
+    const [quad] = reader.format.parse(line);
+    if(quad) {
+      reader.quad = quad;
+      reader.key = _spillKey(quad.subject);
+      return true;
+    }
+  }
+}
+
+/**
+ * Gets the key of a subject in the order of sorted N-Quads.
+ *
+ * @param subject the subject term.
+ *
+ * @return the key.
+ */
+function _subjectKey(subject) {
+  if(subject.termType === 'Quad') {
+    return NQuadsStar.serializeTerm(subject);
+  }
+  return subject.termType === 'BlankNode' ?
+    subject.value : `<${subject.value}>`;
+}
+
+/**
+ * Gets the key of a subject in the order of spilled runs, blank nodes
+ * first and quoted triples last.
+ *
+ * @param subject the subject term.
+ *
+ * @return the key.
+ */
+function _spillKey(subject) {
+  if(subject.termType === 'Quad') {
+    return '2' + NQuadsStar.serializeTerm(subject);
+  }
+  return (subject.termType === 'BlankNode' ? '0' : '1') + subject.value;
+}
+
+/**
+ * Converts the quads of a subject to node objects, one per graph, and
+ * yields those that are not blank nodes of lists.
+ *
+ * @param state the conversion state.
+ * @param quads the quads of the subject.
+ *
+ * @return an iterable of node objects.
+ */
+function* _emitSubject(state, quads) {
+  const {subject} = quads[0];
+  const {id} = _subjectId(subject, state.useNativeTypes, state.rdfDirection,
+    {useRdfType: state.useRdfType});
+  const nodes = new Map();
+  for(const quad of quads) {
+    const name = (quad.graph.termType === 'DefaultGraph') ?
+      '@default' : quad.graph.value;
+    let node = nodes.get(name);
+    if(!node) {
+      node = {'@id': id};
+      nodes.set(name, node);
+      limits.check(
+        {limits: state.limits, limit: 'maxNodes', value: ++state.nodeCount});
+    }
+    const o = quad.object;
+    const objectIsNode = o.termType.endsWith('Node');
+    if(quad.predicate.value === RDF_TYPE && !state.useRdfType &&
+      objectIsNode) {
+      util.addValue(node, '@type', o.value, {propertyIsArray: true});
+      continue;
+    }
+    const value = _RDFToObject(
+      o, state.useNativeTypes, state.rdfDirection,
+      {useRdfType: state.useRdfType, eventHandler: state.eventHandler});
+    util.addValue(node, quad.predicate.value, value, {propertyIsArray: true});
+  }
+
+  for(const [name, node] of nodes) {
+    if(subject.termType === 'BlankNode' && _isListNode(node)) {
+      state.lists.set(`${name} ${node['@id']}`,
+        {name, node, references: 0, used: false});
+      continue;
+    }
+    _convertLists(state, name, node);
+    yield _inGraph(name, node);
+  }
+}
+
+/**
+ * Yields the blank nodes of lists that were not converted to `@list`
+ * objects, or that are referred to more than once.
+ *
+ * @param state the conversion state.
+ *
+ * @return an iterable of node objects.
+ */
+function* _emitLists(state) {
+  for(const {name, node, references, used} of state.lists.values()) {
+    if(!used || references > 1) {
+      yield _inGraph(name, node);
+    }
+  }
+  state.lists.clear();
+}
+
+/**
+ * Checks if a node object is a well-formed list node: it has one
+ * `rdf:first`, one `rdf:rest` that refers to a node and, optionally, the
+ * type `rdf:List`.
+ *
+ * @param node the node object.
+ *
+ * @return true if the node is a list node, false if not.
+ */
+function _isListNode(node) {
+  const keyCount = Object.keys(node).length;
+  return types.isArray(node[RDF_FIRST]) && node[RDF_FIRST].length === 1 &&
+    types.isArray(node[RDF_REST]) && node[RDF_REST].length === 1 &&
+    '@id' in node[RDF_REST][0] &&
+    (keyCount === 3 ||
+      (keyCount === 4 && types.isArray(node['@type']) &&
+      node['@type'].length === 1 && node['@type'][0] === RDF_LIST));
+}
+
+/**
+ * Replaces the references to the heads of lists whose blank nodes have all
+ * been read with `@list` objects, including lists nested in lists.
+ *
+ * @param state the conversion state.
+ * @param name the graph name.
+ * @param node the node object.
+ */
+function _convertLists(state, name, node) {
+  for(const property in node) {
+    if(property === '@id' || property === '@type') {
+      continue;
+    }
+    for(const value of node[property]) {
+      _convertList(state, name, value);
+    }
+  }
+}
+
+function _convertList(state, name, value) {
+  if(!types.isObject(value) || !('@id' in value)) {
+    return;
+  }
+  const head = state.lists.get(`${name} ${value['@id']}`);
+  if(!head) {
+    return;
+  }
+  if(++head.references > 1) {
+    return;
+  }
+
+  // collect the items if every node of the list was read and is unused
+  const list = [];
+  const entries = [];
+  let entry = head;
+  for(;;) {
+    if(!entry || entries.includes(entry)) {
+      return;
+    }
+    if(entry.used) {
+      // the node is shared with another list, emit it at the end
+      entry.references++;
+      return;
+    }
+    list.push(entry.node[RDF_FIRST][0]);
+    entries.push(entry);
+    limits.check({
+      limits: state.limits,
+      limit: 'maxListLength',
+      value: list.length
+    });
+    const next = entry.node[RDF_REST][0]['@id'];
+    if(next === RDF_NIL) {
+      break;
+    }
+    entry = state.lists.get(`${name} ${next}`);
+  }
+
+  for(const entry of entries) {
+    entry.used = true;
+  }
+  delete value['@id'];
+  value['@list'] = list.map(item => util.clone(item));
+  for(const item of value['@list']) {
+    _convertList(state, name, item);
+  }
+}
+
+/**
+ * Wraps a node object in its named graph.
+ *
+ * @param name the graph name, '@default' for the default graph.
+ * @param node the node object.
+ *
+ * @return the node object or the graph object.
+ */
+function _inGraph(name, node) {
+  return name === '@default' ? node : {'@id': name, '@graph': [node]};
+}
+
 /**
  * Converts an RDF triple object to a JSON-LD object.
  *
  * @param o the RDF triple object to convert.
  * @param useNativeTypes true to output native types, false not to.
+ * @param rdfDirection the RDF direction mode, if any.
+ * @param [options] the options with the `useRdfType` and `eventHandler` to
+ *          use.
  *
  * @return the JSON-LD object.
  */
-function _RDFToObject(o, useNativeTypes, rdfDirection) {
+function _RDFToObject(o, useNativeTypes, rdfDirection, options) {
   // convert NamedNode/BlankNode object to JSON-LD
   if(o.termType.endsWith('Node')) {
     return {'@id': o.value};
   }
 
+  // convert quoted triple to an embedded node
+  if(o.termType === 'Quad') {
+    return {
+      '@id': _quotedTripleToNode(o, useNativeTypes, rdfDirection, options)
+    };
+  }
+
   // convert literal to JSON-LD
   const rval = {'@value': o.value};
 
@@ -332,7 +828,13 @@ function _RDFToObject(o, useNativeTypes, rdfDirection) {
       if(language.length > 0) {
         rval['@language'] = language;
         if(!language.match(REGEX_BCP47)) {
-          console.warn(`@language must be valid BCP47: ${language}`);
+          events.emit({
+            options,
+            type: 'invalid value',
+            code: 'invalid @language value',
+            message: `@language must be valid BCP47: ${language}`,
+            details: {value: language}
+          });
         }
       }
       rval['@direction'] = direction;
@@ -344,5 +846,72 @@ function _RDFToObject(o, useNativeTypes, rdfDirection) {
   return rval;
 }
 
+/**
+ * Converts a quoted triple to a JSON-LD-star embedded node, a node object
+ * with the subject as its `@id` and a single property.
+ *
+ * @param triple the quoted triple.
+ * @param useNativeTypes true to output native types, false not to.
+ * @param rdfDirection the RDF direction mode, if any.
+ * @param [options] the options with the `useRdfType` and `eventHandler` to
+ *          use.
+ *
+ * @return the embedded node.
+ */
+function _quotedTripleToNode(triple, useNativeTypes, rdfDirection, options) {
+  const {id} =
+    _subjectId(triple.subject, useNativeTypes, rdfDirection, options);
+  const node = {'@id': id};
+  const o = triple.object;
+  if(triple.predicate.value === RDF_TYPE && !options.useRdfType &&
+    o.termType.endsWith('Node')) {
+    node['@type'] = [o.value];
+  } else {
+    node[triple.predicate.value] =
+      [_RDFToObject(o, useNativeTypes, rdfDirection, options)];
+  }
+  return node;
+}
+
+/**
+ * Gets the `@id` of the node object of a subject and the key of the node
+ * object in a node map. The key of a quoted triple is the canonical JSON of
+ * its embedded node.
+ *
+ * @param subject the subject term.
+ * @param useNativeTypes true to output native types, false not to.
+ * @param rdfDirection the RDF direction mode, if any.
+ * @param [options] the options with the `useRdfType` and `eventHandler` to
+ *          use.
+ *
+ * @return `{key, id}`.
+ */
+function _subjectId(subject, useNativeTypes, rdfDirection, options) {
+  if(subject.termType !== 'Quad') {
+    return {key: subject.value, id: subject.value};
+  }
+  const id =
+    _quotedTripleToNode(subject, useNativeTypes, rdfDirection, options);
+  return {key: jsonCanonicalize(id), id};
+}
+
+/**
+ * Checks that a quad has no quoted triples unless in RDF-star mode.
+ *
+ * @param quad the quad.
+ * @param rdfstar true if quoted triples are allowed.
+ */
+function _checkQuotedTriples(quad, rdfstar) {
+  if(!rdfstar &&
+    (quad.subject.termType === 'Quad' || quad.object.termType === 'Quad')) {
+    throw new JsonLdError(
+      'Could not convert from RDF; quoted triples are only supported when ' +
+      '"rdfstar" is true.',
+      'jsonld.FromRdfError',
+      {code: 'invalid RDF term', termType: 'Quad'});
+  }
+}
+
 const fromRDF = api.fromRDF;
-export { fromRDF };
+const fromRDFStream = api.fromRDFStream;
+export { fromRDF, fromRDFStream };
@@ -108,7 +108,9 @@ api.isBlankNode = v => {
   // 3. It has no keys OR is not a @value, @set, or @list.
   if(types.isObject(v)) {
     if('@id' in v) {
-      return (v['@id'].indexOf('_:') === 0);
+      // an embedded node (JSON-LD-star) is not a blank node identifier
+      const id = v['@id'];
+      return types.isString(id) && id.indexOf('_:') === 0;
     }
     return (Object.keys(v).length === 0 ||
       !(('@value' in v) || ('@set' in v) || ('@list' in v)));
@@ -0,0 +1,13 @@
+/**
+ * jsonld.js library for browsers.
+ *
+ * @author Dave Longley
+ *
+ * Copyright 2010-2021 Digital Bazaar, Inc.
+ */
+
+import { createFactory } from "./jsonld.js";
+import platform from "./platform-browser.js";
+
+const jsonld = createFactory(platform);
+export default jsonld;
@@ -6,6 +6,8 @@
  * Copyright 2010-2021 Digital Bazaar, Inc.
  */
 
-import jsonld from "./jsonld.js";
-export default jsonld;
+import { createFactory } from "./jsonld.js";
+import platform from "./platform.js";
 
+const jsonld = createFactory(platform);
+export default jsonld;
@@ -34,18 +34,31 @@
  * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
  */
 
-import { canonize } from "https://taisukef.github.io/rdf-canonize-es/canonize.js";
-import platform from "./platform.js";
+import { canonize } from "./vendor/rdf-canonize/canonize.js";
 import util from "./util.js";
 import { ContextResolver } from "./ContextResolver.js";
+import { DataFactory } from "./DataFactory.js";
+import { FramingIndex } from "./FramingIndex.js";
 import { JsonLdError } from "./JsonLdError.js";
-import { LRUCache as LRU } from "https://taisukef.github.io/lru-cache-es/LRUCache.js";
+import { LRUCache as LRU } from "./vendor/lru-cache/LRUCache.js";
 import { NQuads } from "./NQuads.js";
+import { NQuadsStar } from "./NQuadsStar.js";
+import { RdfXml } from "./RdfXml.js";
+import { RdfXmlParser } from "./RdfXmlParser.js";
+import { Turtle } from "./Turtle.js";
+import { TurtleParser } from "./TurtleParser.js";
 
 import { expand as _expand } from "./expand.js";
+import { expandStream as _expandStream } from "./expandStream.js";
 import { flatten as _flatten } from "./flatten.js";
-import { fromRDF as _fromRDF } from "./fromRdf.js";
-import { toRDF as _toRDF } from "./toRdf.js";
+import {
+  fromRDF as _fromRDF,
+  fromRDFStream as _fromRDFStream
+} from "./fromRdf.js";
+import {
+  toRDF as _toRDF,
+  toRDFStream as _toRDFStream
+} from "./toRdf.js";
 
 import frame from "./frame.js";
 import types from "./types.js";
@@ -57,6 +70,14 @@ import nodeMap from "./nodeMap.js";
 import JsonLdProcessor from "./JsonLdProcessor.js";
 import url from "./url.js";
 import { RequestQueue } from "./RequestQueue.js";
+import { MemoryCacheStore } from "./MemoryCacheStore.js";
+import { MemorySpillStore } from "./MemorySpillStore.js";
+import { UrlPolicy } from "./UrlPolicy.js";
+import limits from "./limits.js";
+import events from "./events.js";
+import rdfjs from "./rdfjs.js";
+import cacheLoader from "./documentLoaders/cache.js";
+import staticLoader from "./documentLoaders/static.js";
 
 const _isArray = types.isArray;
 const _isObject = types.isObject;
@@ -80,19 +101,29 @@ const IdentifierIssuer = util.IdentifierIssuer;
 
 const _frameMergedOrDefault = frame.frameMergedOrDefault;
 const _cleanupNull = frame.cleanupNull;
+const _validateFrame = frame.validateFrame;
 
 /* eslint-disable indent */
-// attaches jsonld API to the given object
-const wrapper = function(jsonld) {
+// attaches jsonld API to the given object using the given platform support
+const wrapper = function(jsonld, platform) {
 
 /** Registered RDF dataset parsers hashed by content-type. */
 const _rdfParsers = {};
 
+/** Registered RDF dataset serializers hashed by content-type. */
+const _rdfSerializers = {};
+
+/** Content-types that `jsonld.toRDFStream` can output lines of. */
+const _nquadsFormats = ['application/n-quads', 'application/nquads'];
+
 // resolved context cache
 // TODO: consider basing max on context size rather than number
 const RESOLVED_CONTEXT_CACHE_MAX_SIZE = 100;
 const _resolvedContextCache = new LRU({max: RESOLVED_CONTEXT_CACHE_MAX_SIZE});
 
+/** Deprecated options that a warning has been logged for. */
+const _deprecationWarned = new Set();
+
 /* Core API */
 
 /**
@@ -111,15 +142,29 @@ const _resolvedContextCache = new LRU({max: RESOLVED_CONTEXT_CACHE_MAX_SIZE});
  *          [skipExpansion] true to assume the input is expanded and skip
  *            expansion, false not to, defaults to false.
  *          [documentLoader(url, options)] the document loader.
- *          [expansionMap(info)] a function that can be used to custom map
- *            unmappable values (or to throw an error when they are detected);
- *            if this function returns `undefined` then the default behavior
- *            will be used.
+ *          [urlPolicy] a `jsonld.UrlPolicy`, or the options to create one,
+ *            limiting the URLs the document loader may dereference.
+ *          [limits] processing limits, exceeding one is an error:
+ *            [maxRemoteContexts] remote contexts loaded to resolve a context
+ *              (default: 11).
+ *            [maxDepth] nesting depth of JSON arrays and objects.
+ *            [maxNodes] nodes produced.
+ *            [maxListLength] length of each list.
+ *          [safe] true to throw a `jsonld.ValidationError`, instead of
+ *            silently dropping data, for data that cannot be expanded,
+ *            compacted or converted to RDF (default: false).
+ *          [eventHandler] a function, an array or an object of handlers
+ *            for the events emitted during processing, eg: for dropped
+ *            data or relative IRIs, see `jsonld.setDefaultEventHandler`.
+ *          [expansionMap(info)] deprecated, use `eventHandler`; a function
+ *            that can be used to custom map unmappable values (or to throw
+ *            an error when they are detected); if this function returns
+ *            `undefined` then the default behavior will be used.
  *          [framing] true if compaction is occuring during a framing operation.
- *          [compactionMap(info)] a function that can be used to custom map
- *            unmappable values (or to throw an error when they are detected);
- *            if this function returns `undefined` then the default behavior
- *            will be used.
+ *          [compactionMap(info)] deprecated, use `eventHandler`; a function
+ *            that can be used to custom map unmappable values (or to throw
+ *            an error when they are detected); if this function returns
+ *            `undefined` then the default behavior will be used.
  *          [contextResolver] internal use only.
  *
  * @return a Promise that resolves to the compacted output.
@@ -177,8 +222,7 @@ jsonld.compact = async function(input, ctx, options) {
   let compacted = await _compact({
     activeCtx,
     element: expanded,
-    options,
-    compactionMap: options.compactionMap
+    options
   });
 
   // perform clean up
@@ -253,11 +297,27 @@ jsonld.compact = async function(input, ctx, options) {
  *          [expandContext] a context to expand with.
  *          [keepFreeFloatingNodes] true to keep free-floating nodes,
  *            false not to, defaults to false.
+ *          [rdfstar] true to support JSON-LD-star: embedded nodes as
+ *            `@id` values and `@annotation` on values (default: false).
  *          [documentLoader(url, options)] the document loader.
- *          [expansionMap(info)] a function that can be used to custom map
- *            unmappable values (or to throw an error when they are detected);
- *            if this function returns `undefined` then the default behavior
- *            will be used.
+ *          [urlPolicy] a `jsonld.UrlPolicy`, or the options to create one,
+ *            limiting the URLs the document loader may dereference.
+ *          [limits] processing limits, exceeding one is an error:
+ *            [maxRemoteContexts] remote contexts loaded to resolve a context
+ *              (default: 11).
+ *            [maxDepth] nesting depth of JSON arrays and objects.
+ *            [maxNodes] nodes produced.
+ *            [maxListLength] length of each list.
+ *          [safe] true to throw a `jsonld.ValidationError`, instead of
+ *            silently dropping data, for data that cannot be expanded,
+ *            compacted or converted to RDF (default: false).
+ *          [eventHandler] a function, an array or an object of handlers
+ *            for the events emitted during processing, eg: for dropped
+ *            data or relative IRIs, see `jsonld.setDefaultEventHandler`.
+ *          [expansionMap(info)] deprecated, use `eventHandler`; a function
+ *            that can be used to custom map unmappable values (or to throw
+ *            an error when they are detected); if this function returns
+ *            `undefined` then the default behavior will be used.
  *          [contextResolver] internal use only.
  *
  * @return a Promise that resolves to the expanded output.
@@ -273,9 +333,6 @@ jsonld.expand = async function(input, options) {
     contextResolver: new ContextResolver(
       {sharedCache: _resolvedContextCache})
   });
-  if(options.expansionMap === false) {
-    options.expansionMap = undefined;
-  }
 
   // build set of objects that may have @contexts to resolve
   const toResolve = {};
@@ -326,8 +383,7 @@ jsonld.expand = async function(input, options) {
   let expanded = await _expand({
     activeCtx,
     element: toResolve.input,
-    options,
-    expansionMap: options.expansionMap
+    options
   });
 
   // optimize away @graph with no other properties
@@ -346,6 +402,41 @@ jsonld.expand = async function(input, options) {
   return expanded;
 };
 
+/**
+ * Performs JSON-LD expansion of a document that is read in chunks, for
+ * documents too large to parse at once. The expanded node objects are
+ * output as they are read, the same as the elements of the output of
+ * `jsonld.expand`.
+ *
+ * The elements of a top-level array, and of the `@graph` of a top-level
+ * object with no other properties than `@context`, are expanded one at a
+ * time. A `jsonld.StreamingError` is thrown if `@context`, or any other
+ * property, appears after such a `@graph`. Any other top-level object is
+ * expanded once it is read.
+ *
+ * @param input an async or sync iterable of the string or byte chunks of
+ *          the JSON-LD document, eg: a Node.js readable stream.
+ * @param [options] the options to use:
+ *          [...] the options of `jsonld.expand`.
+ *
+ * @return an async iterable of the expanded node objects.
+ */
+jsonld.expandStream = function(input, options) {
+  if(arguments.length < 1) {
+    throw new TypeError('Could not expand, too few arguments.');
+  }
+
+  // set default options
+  options = _setDefaults(options, {
+    base: '',
+    keepFreeFloatingNodes: false,
+    contextResolver: new ContextResolver(
+      {sharedCache: _resolvedContextCache})
+  });
+
+  return _expandDocumentStream(input, options);
+};
+
 /**
  * Performs JSON-LD flattening.
  *
@@ -355,6 +446,17 @@ jsonld.expand = async function(input, options) {
  *          [base] the base IRI to use.
  *          [expandContext] a context to expand with.
  *          [documentLoader(url, options)] the document loader.
+ *          [urlPolicy] a `jsonld.UrlPolicy`, or the options to create one,
+ *            limiting the URLs the document loader may dereference.
+ *          [limits] processing limits, exceeding one is an error:
+ *            [maxRemoteContexts] remote contexts loaded to resolve a context
+ *              (default: 11).
+ *            [maxDepth] nesting depth of JSON arrays and objects.
+ *            [maxNodes] nodes produced.
+ *            [maxListLength] length of each list.
+ *          [eventHandler] a function, an array or an object of handlers
+ *            for the events emitted during processing, eg: for dropped
+ *            data or relative IRIs, see `jsonld.setDefaultEventHandler`.
  *          [contextResolver] internal use only.
  *
  * @return a Promise that resolves to the flattened output.
@@ -399,7 +501,8 @@ jsonld.flatten = async function(input, ctx, options) {
 /**
  * Performs JSON-LD framing.
  *
- * @param input the JSON-LD input to frame.
+ * @param input the JSON-LD input to frame, or a `jsonld.FramingIndex` of
+ *          it, see `jsonld.createFramingIndex`.
  * @param frame the JSON-LD frame to use.
  * @param [options] the framing options.
  *          [base] the base IRI to use.
@@ -409,7 +512,25 @@ jsonld.flatten = async function(input, ctx, options) {
  *          [explicit] default @explicit flag (default: false).
  *          [requireAll] default @requireAll flag (default: true).
  *          [omitDefault] default @omitDefault flag (default: false).
+ *          [maxDepth] the deepest level at which nodes are embedded, deeper
+ *            nodes are output as references, top-level nodes are at level 0
+ *            (default: no maximum); a frame's @depth flag caps the levels
+ *            below the nodes it matches.
+ *          [queryExtensions] true to support the query keywords in frames:
+ *            `@gt`, `@gte`, `@lt`, `@lte`, `@startsWith` and `@regex` in
+ *            value patterns, `@not`, `@and` and `@or` (default: false).
  *          [documentLoader(url, options)] the document loader.
+ *          [urlPolicy] a `jsonld.UrlPolicy`, or the options to create one,
+ *            limiting the URLs the document loader may dereference.
+ *          [limits] processing limits, exceeding one is an error:
+ *            [maxRemoteContexts] remote contexts loaded to resolve a context
+ *              (default: 11).
+ *            [maxDepth] nesting depth of JSON arrays and objects.
+ *            [maxNodes] nodes produced.
+ *            [maxListLength] length of each list.
+ *          [eventHandler] a function, an array or an object of handlers
+ *            for the events emitted during processing, eg: for dropped
+ *            data or relative IRIs, see `jsonld.setDefaultEventHandler`.
  *          [contextResolver] internal use only.
  *
  * @return a Promise that resolves to the framed output.
@@ -431,25 +552,7 @@ jsonld.frame = async function(input, frame, options) {
       {sharedCache: _resolvedContextCache})
   });
 
-  // if frame is a string, attempt to dereference remote document
-  if(_isString(frame)) {
-    // load remote doc
-    const remoteDoc = await jsonld.get(frame, options);
-    frame = remoteDoc.document;
-
-    if(remoteDoc.contextUrl) {
-      // inject link header @context into frame
-      let ctx = frame['@context'];
-      if(!ctx) {
-        ctx = remoteDoc.contextUrl;
-      } else if(_isArray(ctx)) {
-        ctx.push(remoteDoc.contextUrl);
-      } else {
-        ctx = [ctx, remoteDoc.contextUrl];
-      }
-      frame['@context'] = ctx;
-    }
-  }
+  frame = await _loadFrame(frame, options);
 
   const frameContext = frame ? frame['@context'] || {} : {};
 
@@ -465,8 +568,9 @@ jsonld.frame = async function(input, frame, options) {
     options.pruneBlankNodeIdentifiers = _processingMode(activeCtx, 1.1);
   }
 
-  // expand input
-  const expanded = await jsonld.expand(input, options);
+  // expand input, unless it is indexed
+  const expanded = input instanceof FramingIndex ?
+    input : await jsonld.expand(input, options);
 
   // expand frame
   const opts = {...options};
@@ -497,6 +601,101 @@ jsonld.frame = async function(input, frame, options) {
   return compacted;
 };
 
+/**
+ * Creates a `jsonld.FramingIndex` of JSON-LD input, to frame it many times
+ * with `jsonld.frame` without expanding it and building its node map each
+ * time. Nodes may be added to the index with `index.add`, from expanded
+ * JSON-LD, and removed with `index.remove`.
+ *
+ * @param input the JSON-LD input to index.
+ * @param [options] the options to use, see `jsonld.expand`.
+ *
+ * @return a Promise that resolves to the `jsonld.FramingIndex`.
+ */
+jsonld.createFramingIndex = async function(input, options) {
+  if(arguments.length < 1) {
+    throw new TypeError('Could not create framing index, too few arguments.');
+  }
+
+  // set default options
+  options = _setDefaults(options, {
+    base: _isString(input) ? input : '',
+    contextResolver: new ContextResolver(
+      {sharedCache: _resolvedContextCache})
+  });
+
+  return new FramingIndex(await jsonld.expand(input, options));
+};
+
+/**
+ * Checks a JSON-LD frame for mistakes that make framing match or output
+ * less than intended, without failing, such as terms that do not expand to
+ * IRIs, invalid flags, sub-frames that are never used because the frame
+ * that has them is embedded with `@never`, and `@default` values that do
+ * not fit the type of their term. Each mistake is reported as a warning
+ * event, see `jsonld.setDefaultEventHandler`, with a JSON pointer path: in
+ * the frame for mistakes found while expanding it, in the expanded frame
+ * otherwise. A frame that cannot be expanded is reported with its error.
+ * Other events, eg: `info` events for relative IRIs resolved against the
+ * base IRI, are not issues and are passed to the `eventHandler` option.
+ *
+ * @param frame the JSON-LD frame to check.
+ * @param [options] the framing options, see `jsonld.frame`.
+ *
+ * @return a Promise that resolves to a report: `valid`, true if no mistakes
+ *           were found, and `issues`, the events for the mistakes.
+ */
+jsonld.validateFrame = async function(frame, options) {
+  if(arguments.length < 1) {
+    throw new TypeError('Could not validate frame, too few arguments.');
+  }
+
+  // set default options
+  options = _setDefaults(options, {
+    base: _isString(frame) ? frame : '',
+    embed: '@once',
+    contextResolver: new ContextResolver(
+      {sharedCache: _resolvedContextCache})
+  });
+
+  // warnings are issues, other events are passed on to the `eventHandler`
+  const issues = [];
+  const opts = {
+    ...options,
+    isFrame: true,
+    keepFreeFloatingNodes: true,
+    safe: false,
+    eventHandler: [({event, next}) => {
+      if(event.level !== 'warning') {
+        return next();
+      }
+      issues.push(event);
+    }, options.eventHandler]
+  };
+  try {
+    frame = await _loadFrame(frame, opts);
+    const expandedFrame = await jsonld.expand(frame, opts);
+    const activeCtx = await jsonld.processContext(
+      _getInitialContext(opts), frame ? frame['@context'] || {} : {}, opts);
+    opts.is11 = _processingMode(activeCtx, 1.1);
+    _validateFrame(expandedFrame, opts);
+  } catch(e) {
+    if(!(e instanceof JsonLdError)) {
+      throw e;
+    }
+    const {code = 'invalid frame', path = '', ...details} = e.details || {};
+    issues.push({
+      type: 'invalid frame',
+      code,
+      level: 'warning',
+      message: e.message,
+      path,
+      details
+    });
+  }
+  return {valid: issues.length === 0, issues};
+};
+
 /**
  * **Experimental**
  *
@@ -508,6 +707,17 @@ jsonld.frame = async function(input, frame, options) {
  *          [base] the base IRI to use.
  *          [expandContext] a context to expand with.
  *          [documentLoader(url, options)] the document loader.
+ *          [urlPolicy] a `jsonld.UrlPolicy`, or the options to create one,
+ *            limiting the URLs the document loader may dereference.
+ *          [limits] processing limits, exceeding one is an error:
+ *            [maxRemoteContexts] remote contexts loaded to resolve a context
+ *              (default: 11).
+ *            [maxDepth] nesting depth of JSON arrays and objects.
+ *            [maxNodes] nodes produced.
+ *            [maxListLength] length of each list.
+ *          [eventHandler] a function, an array or an object of handlers
+ *            for the events emitted during processing, eg: for dropped
+ *            data or relative IRIs, see `jsonld.setDefaultEventHandler`.
  *          [contextResolver] internal use only.
  *
  * @return a Promise that resolves to the linked output.
@@ -537,11 +747,32 @@ jsonld.link = async function(input, ctx, options) {
  *          [expandContext] a context to expand with.
  *          [skipExpansion] true to assume the input is expanded and skip
  *            expansion, false not to, defaults to false.
- *          [inputFormat] the format if input is not JSON-LD:
- *            'application/n-quads' for N-Quads.
- *          [format] the format if output is a string:
+ *          [canonicalLiterals] true to use the canonical lexical forms of
+ *            literals, see `jsonld.toRDF`.
+ *          [datatypeHandlers] the handlers of literals by datatype, see
+ *            `jsonld.toRDF`.
+ *          [inputFormat] the format if input is not JSON-LD, any format
+ *            registered with `jsonld.registerRDFParser`, eg:
  *            'application/n-quads' for N-Quads.
+ *          [format] the format of the output string, any format registered
+ *            with `jsonld.registerRDFSerializer`, eg: 'application/n-quads'
+ *            for N-Quads (default: N-Quads).
  *          [documentLoader(url, options)] the document loader.
+ *          [urlPolicy] a `jsonld.UrlPolicy`, or the options to create one,
+ *            limiting the URLs the document loader may dereference.
+ *          [limits] processing limits, exceeding one is an error:
+ *            [maxRemoteContexts] remote contexts loaded to resolve a context
+ *              (default: 11).
+ *            [maxDepth] nesting depth of JSON arrays and objects.
+ *            [maxNodes] nodes produced.
+ *            [maxQuads] RDF quads produced.
+ *            [maxListLength] length of each list.
+ *          [safe] true to throw a `jsonld.ValidationError`, instead of
+ *            silently dropping data, for data that cannot be expanded,
+ *            compacted or converted to RDF (default: false).
+ *          [eventHandler] a function, an array or an object of handlers
+ *            for the events emitted during processing, eg: for dropped
+ *            data or relative IRIs, see `jsonld.setDefaultEventHandler`.
  *          [useNative] true to use a native canonize algorithm
  *          [contextResolver] internal use only.
  *
@@ -560,43 +791,74 @@ jsonld.normalize = jsonld.canonize = async function(input, options) {
     contextResolver: new ContextResolver(
       {sharedCache: _resolvedContextCache})
   });
+  if(options.format && !_rdfSerializers[options.format]) {
+    throw new JsonLdError(
+      'Unknown canonicalization output format.',
+      'jsonld.CanonizeError', {format: options.format});
+  }
+
+  let dataset;
   if('inputFormat' in options) {
-    if(options.inputFormat !== 'application/n-quads' &&
-      options.inputFormat !== 'application/nquads') {
+    const rdfParser = _rdfParsers[options.inputFormat];
+    if(!rdfParser) {
       throw new JsonLdError(
         'Unknown canonicalization input format.',
-        'jsonld.CanonizeError');
+        'jsonld.CanonizeError', {format: options.inputFormat});
     }
-    // TODO: `await` for async parsers
-    const parsedInput = NQuads.parse(input);
-
-    // do canonicalization
-    return canonize(parsedInput, options);
+    dataset = await rdfParser(input, options);
+  } else {
+    // convert to RDF dataset
+    const opts = {...options};
+    delete opts.format;
+    opts.produceGeneralizedRdf = false;
+    dataset = await jsonld.toRDF(input, opts);
   }
 
-  // convert to RDF dataset then do normalization
-  const opts = {...options};
-  delete opts.format;
-  opts.produceGeneralizedRdf = false;
-  const dataset = await jsonld.toRDF(input, opts);
-
   // do canonicalization
-  return canonize(dataset, options);
+  const canonical = await canonize(dataset, options);
+  // the canonical form is N-Quads
+  if(!options.format ||
+    ['application/n-quads', 'application/nquads'].includes(options.format)) {
+    return canonical;
+  }
+  // keep the canonical blank node labels in the output
+  return _serializeRDF({
+    dataset: NQuads.parse(canonical),
+    input: 'inputFormat' in options ? null : input,
+    options: {...options, labelBlankNodes: true}
+  });
 };
 
 /**
  * Converts an RDF dataset to JSON-LD.
  *
  * @param dataset a serialized string of RDF in a format specified by the
- *          format option or an RDF dataset to convert.
+ *          format option or an RDF dataset to convert: an array or an
+ *          iterable, such as an RDF/JS dataset, of RDF/JS quads.
  * @param [options] the options to use:
  *          [format] the format if dataset param must first be parsed:
- *            'application/n-quads' for N-Quads (default).
+ *            'application/n-quads' for N-Quads (default), 'text/turtle'
+ *            for Turtle, 'application/trig' for TriG,
+ *            'application/n-triples' for N-Triples or
+ *            'application/rdf+xml' for RDF/XML.
+ *          [base] the base IRI to resolve the relative IRIs of Turtle, TriG,
+ *            N-Triples and RDF/XML against; in Turtle, TriG and N-Triples,
+ *            relative IRIs that cannot be resolved are an error.
  *          [rdfParser] a custom RDF-parser to use to parse the dataset.
  *          [useRdfType] true to use rdf:type, false to use @type
  *            (default: false).
  *          [useNativeTypes] true to convert XSD types into native types
  *            (boolean, integer, double), false not to (default: false).
+ *          [rdfstar] true to support RDF-star, quoted triples are output
+ *            as JSON-LD-star embedded nodes and N-Quads are read as
+ *            N-Quads-star (default: false).
+ *          [limits] processing limits, exceeding one is an error:
+ *            [maxQuads] RDF quads read.
+ *            [maxNodes] nodes produced.
+ *            [maxListLength] length of each list.
+ *          [eventHandler] a function, an array or an object of handlers
+ *            for the events emitted during processing, see
+ *            `jsonld.setDefaultEventHandler`.
  *
  * @return a Promise that resolves to the JSON-LD document.
  */
@@ -623,15 +885,78 @@ jsonld.fromRDF = async function(dataset, options) {
         'jsonld.UnknownFormat', {format});
     }
   } else {
-    // no-op parser, assume dataset already parsed
-    rdfParser = () => dataset;
+    // no-op parser, assume dataset already parsed, eg: an RDF/JS dataset
+    rdfParser = () => (Symbol.iterator in Object(dataset)) ?
+      Array.from(dataset, rdfjs.fromRDFJS) : dataset;
   }
 
   // rdfParser must be synchronous or return a promise, no callback support
-  const parsedDataset = await rdfParser(dataset);
+  const parsedDataset = await rdfParser(dataset, options);
   return _fromRDF(parsedDataset, options);
 };
 
+/**
+ * Converts a stream of RDF quads, or of N-Quads lines, to a stream of
+ * JSON-LD node objects, for datasets too large to convert at once.
+ *
+ * Node objects are emitted as soon as they are complete if the quads are
+ * sorted by subject, as in sorted N-Quads. Otherwise the quads are sorted in
+ * runs that are spilled to the `spillStore`, to files in Node.js, and merged
+ * before node objects are emitted. Nodes in named graphs are emitted as
+ * `{"@id": graph, "@graph": [node]}`; the emitted objects together form a
+ * flattened, expanded JSON-LD document.
+ *
+ * Lists are only converted to `@list` objects if their blank nodes are read
+ * before the node that refers to them: always with `sorted: false`, as blank
+ * nodes are sorted first, but not in sorted N-Quads where `<iri>` subjects
+ * come before blank nodes. The blank nodes of lists are held in memory until
+ * the end of the input.
+ *
+ * @param input an async or sync iterable of RDF/JS quads or of strings of
+ *          complete N-Quads lines.
+ * @param [options] the options to use:
+ *          [useRdfType] true to use rdf:type, false to use @type
+ *            (default: false).
+ *          [useNativeTypes] true to convert XSD types into native types
+ *            (boolean, integer, double), false not to (default: false).
+ *          [rdfDirection] 'i18n-datatype' to support RDF transformation of
+ *             @direction (default: null).
+ *          [rdfstar] true to support RDF-star, see `jsonld.fromRDF`.
+ *          [sorted] true if the quads are sorted by subject, a
+ *            `jsonld.FromRdfError` is thrown if they are not; false to
+ *            always sort them; undefined to sort the remaining quads from
+ *            the first quad out of order, nodes already emitted may then be
+ *            emitted again with more properties (default: undefined).
+ *          [maxBufferedQuads] the number of quads sorted in memory before
+ *            they are spilled (default: 100000).
+ *          [spillStore] the store for sorted runs of quads, with
+ *            `write(lines)`, `read(id)` and `delete(id)` methods
+ *            (default: a `jsonld.FileSpillStore` in Node.js, in memory
+ *            elsewhere).
+ *          [limits] processing limits, exceeding one is an error:
+ *            [maxQuads] RDF quads read.
+ *            [maxNodes] nodes produced.
+ *            [maxListLength] length of each list.
+ *          [eventHandler] a function, an array or an object of handlers
+ *            for the events emitted during processing, see
+ *            `jsonld.setDefaultEventHandler`.
+ *
+ * @return an async iterable of JSON-LD node objects.
+ */
+jsonld.fromRDFStream = function(input, options) {
+  if(arguments.length < 1) {
+    throw new TypeError('Could not convert from RDF, too few arguments.');
+  }
+
+  // set default options
+  options = _setDefaults(options, {
+    spillStore: platform.createSpillStore ?
+      platform.createSpillStore() : new MemorySpillStore()
+  });
+
+  return _fromRDFStream(_readQuads(input, options), options);
+};
+
 /**
  * Outputs the RDF dataset found in the given JSON-LD object.
  *
@@ -641,11 +966,44 @@ jsonld.fromRDF = async function(dataset, options) {
  *          [expandContext] a context to expand with.
  *          [skipExpansion] true to assume the input is expanded and skip
  *            expansion, false not to, defaults to false.
- *          [format] the format to use to output a string:
- *            'application/n-quads' for N-Quads.
+ *          [format] the format to use to output a string, any format
+ *            registered with `jsonld.registerRDFSerializer`:
+ *            'application/n-quads' for N-Quads, 'text/turtle' for Turtle,
+ *            'application/trig' for TriG, 'application/rdf+xml' for
+ *            RDF/XML; Turtle, TriG and RDF/XML use the prefixes of the
+ *            input's context to abbreviate IRIs.
  *          [produceGeneralizedRdf] true to output generalized RDF, false
  *            to produce only standard RDF (default: false).
+ *          [rdfstar] true to support JSON-LD-star, embedded nodes are
+ *            output as quoted triples and N-Quads as N-Quads-star
+ *            (default: false).
+ *          [canonicalLiterals] true to output the canonical lexical forms
+ *            of xsd:integer and its derived types, checking their ranges,
+ *            xsd:decimal, xsd:dateTime, in UTC, and xsd:boolean literals
+ *            (default: false).
+ *          [datatypeHandlers] an object that maps datatype IRIs to
+ *            functions `(value, {datatype})` that return the canonical
+ *            lexical form of a value, or null if it is not valid; they
+ *            replace the built-in handlers.
+ *          [dataFactory] an RDF/JS DataFactory, eg: a `jsonld.DataFactory`,
+ *            to create the quads of the dataset with if no format is given;
+ *            their blank node values have no `_:` prefix.
  *          [documentLoader(url, options)] the document loader.
+ *          [urlPolicy] a `jsonld.UrlPolicy`, or the options to create one,
+ *            limiting the URLs the document loader may dereference.
+ *          [limits] processing limits, exceeding one is an error:
+ *            [maxRemoteContexts] remote contexts loaded to resolve a context
+ *              (default: 11).
+ *            [maxDepth] nesting depth of JSON arrays and objects.
+ *            [maxNodes] nodes produced.
+ *            [maxQuads] RDF quads produced.
+ *            [maxListLength] length of each list.
+ *          [safe] true to throw a `jsonld.ValidationError`, instead of
+ *            silently dropping data, for data that cannot be expanded,
+ *            compacted or converted to RDF (default: false).
+ *          [eventHandler] a function, an array or an object of handlers
+ *            for the events emitted during processing, eg: for dropped
+ *            data or relative IRIs, see `jsonld.setDefaultEventHandler`.
  *          [contextResolver] internal use only.
  *
  * @return a Promise that resolves to the RDF dataset.
@@ -675,16 +1033,65 @@ jsonld.toRDF = async function(input, options) {
   // output RDF dataset
   const dataset = _toRDF(expanded, options);
   if(options.format) {
-    if(options.format === 'application/n-quads' ||
-      options.format === 'application/nquads') {
-      return NQuads.serialize(dataset);
+    if(!_rdfSerializers[options.format]) {
+      throw new JsonLdError(
+        'Unknown output format.',
+        'jsonld.UnknownFormat', {format: options.format});
     }
+    return _serializeRDF({dataset, input, options});
+  }
+
+  if(options.dataFactory) {
+    return dataset.map(quad => rdfjs.toRDFJS(quad, options.dataFactory));
+  }
+
+  return dataset;
+};
+
+/**
+ * Outputs the RDF dataset found in the given JSON-LD object as a stream of
+ * quads, for documents whose dataset is too large to hold in memory along
+ * with their node map.
+ *
+ * The quads are produced graph by graph and subject by subject, in the same
+ * order as `jsonld.toRDF` produces them; N-Quads lines are therefore not
+ * sorted as they are in the N-Quads output of `jsonld.toRDF`.
+ *
+ * If the input is an async iterable, such as a Node.js readable stream, it
+ * is read as chunks of a JSON-LD document that is expanded with
+ * `jsonld.expandStream`, or as expanded node objects if `skipExpansion` is
+ * true; the quads of each node object are produced as soon as it is read and
+ * the quads of a node that appears more than once may be repeated.
+ *
+ * @param input the JSON-LD input.
+ * @param [options] the options to use:
+ *          [format] 'application/n-quads' to output a string of one
+ *            N-Quads line per quad instead of quads.
+ *          [dataFactory] an RDF/JS DataFactory to create the quads with.
+ *          [...] the other options of `jsonld.toRDF`.
+ *
+ * @return an async iterable of RDF quads or N-Quads lines.
+ */
+jsonld.toRDFStream = function(input, options) {
+  if(arguments.length < 1) {
+    throw new TypeError('Could not convert to RDF, too few arguments.');
+  }
+
+  // set default options
+  options = _setDefaults(options, {
+    base: _isString(input) ? input : '',
+    skipExpansion: false,
+    contextResolver: new ContextResolver(
+      {sharedCache: _resolvedContextCache})
+  });
+
+  if(options.format && !_nquadsFormats.includes(options.format)) {
     throw new JsonLdError(
-      'Unknown output format.',
+      'Unknown output format, only N-Quads can be streamed.',
       'jsonld.UnknownFormat', {format: options.format});
   }
 
-  return dataset;
+  return _streamRDF(input, options);
 };
 
 /**
@@ -699,6 +1106,17 @@ jsonld.toRDF = async function(input, options) {
  *          [expandContext] a context to expand with.
  *          [issuer] a jsonld.IdentifierIssuer to use to label blank nodes.
  *          [documentLoader(url, options)] the document loader.
+ *          [urlPolicy] a `jsonld.UrlPolicy`, or the options to create one,
+ *            limiting the URLs the document loader may dereference.
+ *          [limits] processing limits, exceeding one is an error:
+ *            [maxRemoteContexts] remote contexts loaded to resolve a context
+ *              (default: 11).
+ *            [maxDepth] nesting depth of JSON arrays and objects.
+ *            [maxNodes] nodes produced.
+ *            [maxListLength] length of each list.
+ *          [eventHandler] a function, an array or an object of handlers
+ *            for the events emitted during processing, eg: for dropped
+ *            data or relative IRIs, see `jsonld.setDefaultEventHandler`.
  *          [contextResolver] internal use only.
  *
  * @return a Promise that resolves to the merged node map.
@@ -738,6 +1156,17 @@ jsonld.createNodeMap = async function(input, options) {
  *            new properties where a node is in the `object` position
  *            (default: true).
  *          [documentLoader(url, options)] the document loader.
+ *          [urlPolicy] a `jsonld.UrlPolicy`, or the options to create one,
+ *            limiting the URLs the document loader may dereference.
+ *          [limits] processing limits, exceeding one is an error:
+ *            [maxRemoteContexts] remote contexts loaded to resolve a context
+ *              (default: 11).
+ *            [maxDepth] nesting depth of JSON arrays and objects.
+ *            [maxNodes] nodes produced.
+ *            [maxListLength] length of each list.
+ *          [eventHandler] a function, an array or an object of handlers
+ *            for the events emitted during processing, eg: for dropped
+ *            data or relative IRIs, see `jsonld.setDefaultEventHandler`.
  *          [contextResolver] internal use only.
  *
  * @return a Promise that resolves to the merged output.
@@ -900,6 +1329,14 @@ jsonld.get = async function(url, options) {
  * @param localCtx the local context to process.
  * @param [options] the options to use:
  *          [documentLoader(url, options)] the document loader.
+ *          [urlPolicy] a `jsonld.UrlPolicy`, or the options to create one,
+ *            limiting the URLs the document loader may dereference.
+ *          [limits] processing limits, exceeding one is an error:
+ *            [maxRemoteContexts] remote contexts loaded to resolve a context
+ *              (default: 11).
+ *          [eventHandler] a function, an array or an object of handlers
+ *            for the events emitted during processing, eg: for dropped
+ *            data or relative IRIs, see `jsonld.setDefaultEventHandler`.
  *          [contextResolver] internal use only.
  *
  * @return a Promise that resolves to the new active context.
@@ -935,10 +1372,13 @@ jsonld.getContextValue = context.getContextValue;
  * Document loaders.
  */
 jsonld.documentLoaders = {};
+jsonld.documentLoaders.cache = cacheLoader;
+jsonld.documentLoaders.static = staticLoader;
 
 /**
  * Assigns the default document loader for external document URLs to a built-in
- * default. Supported types currently include: 'xhr' and 'node'.
+ * default. Supported types currently include: 'xhr', 'fetch', 'node',
+ * 'cache' and 'static'.
  *
  * @param type the type to set.
  * @param [params] the parameters required to use the document loader.
@@ -958,13 +1398,14 @@ jsonld.useDocumentLoader = function(type) {
 
 /**
  * Registers an RDF dataset parser by content-type, for use with
- * jsonld.fromRDF. An RDF dataset parser will always be given one parameter,
- * a string of input. An RDF dataset parser can be synchronous or
- * asynchronous (by returning a promise).
+ * jsonld.fromRDF. An RDF dataset parser is given two parameters, a string of
+ * input and the options of the call. An RDF dataset parser can be
+ * synchronous or asynchronous (by returning a promise).
  *
  * @param contentType the content-type for the parser.
- * @param parser(input) the parser function (takes a string as a parameter
- *          and either returns an RDF dataset or a Promise that resolves to one.
+ * @param parser(input, options) the parser function (takes a string as a
+ *          parameter and either returns an RDF dataset or a Promise that
+ *          resolves to one.
  */
 jsonld.registerRDFParser = function(contentType, parser) {
   _rdfParsers[contentType] = parser;
@@ -979,9 +1420,85 @@ jsonld.unregisterRDFParser = function(contentType) {
   delete _rdfParsers[contentType];
 };
 
-// register the N-Quads RDF parser
-jsonld.registerRDFParser('application/n-quads', NQuads.parse);
-jsonld.registerRDFParser('application/nquads', NQuads.parse);
+/**
+ * Registers an RDF dataset serializer by content-type, for use with
+ * jsonld.toRDF and jsonld.canonize. An RDF dataset serializer is given two
+ * parameters, the RDF dataset and the options of the call with `prefixes`,
+ * the map of prefix to IRI defined by the input's context; jsonld.canonize
+ * also sets `labelBlankNodes` to keep the canonical blank node labels. An
+ * RDF dataset serializer can be synchronous or asynchronous (by returning a
+ * promise).
+ *
+ * @param contentType the content-type for the serializer.
+ * @param serializer(dataset, options) the serializer function (returns a
+ *          string or a Promise that resolves to one).
+ * @param [options] the options to use:
+ *          [prefixes] false if the serializer does not use `prefixes`, so
+ *            the input's context is not processed to get them
+ *            (default: true).
+ */
+jsonld.registerRDFSerializer = function(
+  contentType, serializer, {prefixes = true} = {}) {
+  _rdfSerializers[contentType] = {serializer, prefixes};
+};
+
+/**
+ * Unregisters an RDF dataset serializer by content-type.
+ *
+ * @param contentType the content-type for the serializer.
+ */
+jsonld.unregisterRDFSerializer = function(contentType) {
+  delete _rdfSerializers[contentType];
+};
+
+/**
+ * Gets the content-types of the registered RDF dataset parsers and
+ * serializers.
+ *
+ * @return an object with the content-types of the `parsers`, for use with
+ *   jsonld.fromRDF, and of the `serializers`, for use with jsonld.toRDF.
+ */
+jsonld.getRDFFormats = function() {
+  return {
+    parsers: Object.keys(_rdfParsers),
+    serializers: Object.keys(_rdfSerializers)
+  };
+};
+
+// register the N-Quads RDF parser, N-Quads-star in RDF-star mode
+const _parseNQuads = (input, {rdfstar} = {}) =>
+  rdfstar ? NQuadsStar.parse(input) : NQuads.parse(input);
+jsonld.registerRDFParser('application/n-quads', _parseNQuads);
+jsonld.registerRDFParser('application/nquads', _parseNQuads);
+
+// register the Turtle, TriG and N-Triples RDF parsers, relative IRIs are
+// resolved against the `base` option
+const _turtleParser = format => (input, {base} = {}) =>
+  new TurtleParser({format, base: base || null}).parse(input);
+jsonld.registerRDFParser('text/turtle', _turtleParser('turtle'));
+jsonld.registerRDFParser('application/trig', _turtleParser('trig'));
+jsonld.registerRDFParser('application/n-triples', _turtleParser('n-triples'));
+
+// register the RDF/XML RDF parser, `xml:base` is resolved against the `base`
+// option
+jsonld.registerRDFParser('application/rdf+xml',
+  (input, {base} = {}) => new RdfXmlParser({base: base || null}).parse(input));
+
+// register the RDF serializers
+const _serializeNQuads = (dataset, {rdfstar} = {}) =>
+  rdfstar ? NQuadsStar.serialize(dataset) : NQuads.serialize(dataset);
+jsonld.registerRDFSerializer(
+  'application/n-quads', _serializeNQuads, {prefixes: false});
+jsonld.registerRDFSerializer(
+  'application/nquads', _serializeNQuads, {prefixes: false});
+jsonld.registerRDFSerializer('text/turtle',
+  (dataset, {prefixes, labelBlankNodes}) =>
+    Turtle.serialize(dataset, {prefixes, labelBlankNodes}));
+jsonld.registerRDFSerializer('application/trig',
+  (dataset, {prefixes, labelBlankNodes}) =>
+    Turtle.serialize(dataset, {prefixes, labelBlankNodes, trig: true}));
+jsonld.registerRDFSerializer('application/rdf+xml',
+  (dataset, {prefixes}) => RdfXml.serialize(dataset, {prefixes}));
 
 /* URL API */
 jsonld.url = url; // require('./url');
@@ -997,6 +1514,30 @@ jsonld.promises = jsonld;
 // backwards compatibility
 jsonld.RequestQueue = RequestQueue; // require('./RequestQueue');
 
+/* Document cache API */
+jsonld.MemoryCacheStore = MemoryCacheStore;
+
+/* RDF stream API */
+jsonld.MemorySpillStore = MemorySpillStore;
+
+/* RDF/JS API */
+jsonld.DataFactory = DataFactory;
+
+/* Framing index API */
+jsonld.FramingIndex = FramingIndex;
+
+/* URL policy API */
+jsonld.UrlPolicy = UrlPolicy;
+
+/* Events API */
+jsonld.setDefaultEventHandler = events.setDefaultEventHandler;
+jsonld.defaultEventHandler = events.defaultEventHandler;
+jsonld.logEventHandler = events.logEventHandler;
+jsonld.logWarningEventHandler = events.logWarningEventHandler;
+jsonld.safeEventHandler = events.safeEventHandler;
+jsonld.strictEventHandler = events.strictEventHandler;
+jsonld.unhandledEventHandler = events.unhandledEventHandler;
+
 /* WebIDL API */
 //jsonld.JsonLdProcessor = require('./JsonLdProcessor')(jsonld);
 jsonld.JsonLdProcessor = JsonLdProcessor(jsonld);
@@ -1004,11 +1545,209 @@ jsonld.JsonLdProcessor = JsonLdProcessor(jsonld);
 platform.setupGlobals(jsonld);
 platform.setupDocumentLoaders(jsonld);
 
+/**
+ * Loads a frame if it is a URL, adding the context of its link header.
+ *
+ * @param frame the frame or its URL.
+ * @param options the options to use.
+ *
+ * @return a Promise that resolves to the frame.
+ */
+async function _loadFrame(frame, options) {
+  // if frame is a string, attempt to dereference remote document
+  if(_isString(frame)) {
+    // load remote doc
+    const remoteDoc = await jsonld.get(frame, options);
+    frame = remoteDoc.document;
+
+    if(remoteDoc.contextUrl) {
+      // inject link header @context into frame
+      let ctx = frame['@context'];
+      if(!ctx) {
+        ctx = remoteDoc.contextUrl;
+      } else if(_isArray(ctx)) {
+        ctx.push(remoteDoc.contextUrl);
+      } else {
+        ctx = [ctx, remoteDoc.contextUrl];
+      }
+      frame['@context'] = ctx;
+    }
+  }
+  return frame;
+}
+
 function _setDefaults(options, {
   documentLoader = jsonld.documentLoader,
   ...defaults
 }) {
-  return Object.assign({}, {documentLoader}, defaults, options);
+  options = Object.assign({}, {documentLoader}, defaults, options);
+  for(const name of ['expansionMap', 'compactionMap']) {
+    // deprecated, still called with the info they have always received
+    if(options[name] && !_deprecationWarned.has(name)) {
+      _deprecationWarned.add(name);
+      console.warn(`WARNING: the "${name}" option is deprecated, use the ` +
+        '"eventHandler" option instead.');
+    }
+  }
+  options.limits = limits.create(options.limits);
+  if(options.urlPolicy) {
+    // only dereference URLs permitted by the policy
+    if(!(options.urlPolicy instanceof UrlPolicy)) {
+      options.urlPolicy = new UrlPolicy(
+        {lookup: platform.lookup, ...options.urlPolicy});
+    }
+    options.documentLoader =
+      options.urlPolicy.wrapLoader(options.documentLoader);
+  }
+  return options;
+}
+
+/**
+ * Serializes an RDF dataset with the serializer registered for the `format`
+ * option, getting the prefixes of the input only if the serializer uses them.
+ *
+ * @param dataset the RDF dataset.
+ * @param input the JSON-LD input, null if the input is not JSON-LD.
+ * @param options the options to use.
+ *
+ * @return a Promise that resolves to the serialized dataset.
+ */
+async function _serializeRDF({dataset, input, options}) {
+  const {serializer, prefixes} = _rdfSerializers[options.format];
+  // serializer must be synchronous or return a promise
+  return serializer(dataset, {
+    ...options,
+    prefixes: prefixes && input !== null ?
+      await _getPrefixes(input, options) : {}
+  });
+}
+
+/**
+ * Gets the prefixes of the context of a JSON-LD input, and of the
+ * `expandContext` option, to abbreviate IRIs with when serializing RDF.
+ *
+ * @param input the JSON-LD input.
+ * @param options the options used to convert the input.
+ *
+ * @return a Promise that resolves to a map of prefix to IRI.
+ */
+async function _getPrefixes(input, options) {
+  const contexts = [];
+  const {expandContext} = options;
+  if(expandContext) {
+    contexts.push((_isObject(expandContext) && '@context' in expandContext) ?
+      expandContext['@context'] : expandContext);
+  }
+  if(_isObject(input) && '@context' in input) {
+    contexts.push(input['@context']);
+  }
+  let activeCtx = _getInitialContext(options);
+  for(const localCtx of contexts) {
+    activeCtx = await _processContext(
+      {activeCtx, localCtx: {'@context': util.clone(localCtx)}, options});
+  }
+  return context.getPrefixes(activeCtx);
+}
+
+/**
+ * Expands the input and outputs the quads of its RDF dataset, see
+ * `jsonld.toRDFStream`.
+ *
+ * @param input the JSON-LD input.
+ * @param options the options to use.
+ *
+ * @return an async iterable of RDF quads or N-Quads lines.
+ */
+async function* _streamRDF(input, options) {
+  if(!_isString(input) && input && Symbol.asyncIterator in input) {
+    const nodes = options.skipExpansion ?
+      input : _expandDocumentStream(input, options);
+    // label blank nodes and count quads across node objects
+    const state = {
+      issuer: new util.IdentifierIssuer('_:b'),
+      counter: {quads: 0}
+    };
+    for await (const node of nodes) {
+      for(const quad of _toRDFStream([node], options, state)) {
+        yield _outputQuad(quad, options);
+      }
+    }
+    return;
+  }
+
+  let expanded;
+  if(options.skipExpansion) {
+    expanded = input;
+  } else {
+    // expand input
+    expanded = await jsonld.expand(input, options);
+  }
+
+  for(const quad of _toRDFStream(expanded, options)) {
+    yield _outputQuad(quad, options);
+  }
+}
+
+/**
+ * Gets a quad output by `jsonld.toRDFStream` in the requested form.
+ *
+ * @param quad the quad.
+ * @param options the options to use.
+ *
+ * @return the N-Quads line, the RDF/JS quad or the quad.
+ */
+function _outputQuad(quad, options) {
+  if(options.format) {
+    return options.rdfstar ?
+      NQuadsStar.serializeQuad(quad) : NQuads.serializeQuad(quad);
+  }
+  if(options.dataFactory) {
+    return rdfjs.toRDFJS(quad, options.dataFactory);
+  }
+  return quad;
+}
+
+/**
+ * Processes the `expandContext` option and expands a document that is read
+ * in chunks, see `jsonld.expandStream`.
+ *
+ * @param input the chunks of the JSON-LD document.
+ * @param options the options to use.
+ *
+ * @return an async iterable of the expanded node objects.
+ */
+async function* _expandDocumentStream(input, options) {
+  let activeCtx = _getInitialContext(options);
+  if('expandContext' in options) {
+    const expandContext = util.clone(options.expandContext);
+    activeCtx = await _processContext({
+      activeCtx,
+      localCtx: (_isObject(expandContext) && '@context' in expandContext) ?
+        expandContext : {'@context': expandContext},
+      options
+    });
+  }
+
+  yield* _expandStream({activeCtx, input, options});
+}
+
+/**
+ * Reads the quads of a stream of RDF quads or of N-Quads lines.
+ *
+ * @param input the async or sync iterable of quads or strings.
+ * @param options the options to use, N-Quads-star is read if `rdfstar` is
+ *          true.
+ *
+ * @return an async iterable of quads.
+ */
+async function* _readQuads(input, options) {
+  for await (const item of input) {
+    if(_isString(item)) {
+      yield* options.rdfstar ? NQuadsStar.parse(item) : NQuads.parse(item);
+    } else {
+      yield rdfjs.fromRDFJS(item);
+    }
+  }
 }
 
 // end of jsonld API `wrapper` factory
@@ -1017,15 +1756,25 @@ return jsonld;
 
 // external APIs:
 
-// used to generate a new jsonld API instance
-const factory = function() {
-  return wrapper(function() {
-    return factory();
-  });
+/**
+ * Creates the main jsonld API instance for a platform. The returned API is
+ * also a factory that generates new jsonld API instances.
+ *
+ * @param platform the platform support to use, see `platform.js` and
+ *          `platform-browser.js`.
+ *
+ * @return the main jsonld API instance.
+ */
+const createFactory = platform => {
+  // used to generate a new jsonld API instance
+  const factory = function() {
+    return wrapper(function() {
+      return factory();
+    }, platform);
+  };
+
+  // wrap the main jsonld API instance
+  return wrapper(factory, platform);
 };
 
-// wrap the main jsonld API instance
-wrapper(factory);
-// export API
-//module.exports = factory;
-export default factory;
+export { createFactory };
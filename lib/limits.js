@@ -0,0 +1,76 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import { JsonLdError } from "./JsonLdError.js";
+
+const api = {};
+
+/**
+ * The default processing limits, see the `limits` option of the API calls.
+ * Only the number of remote contexts is limited by default, to the 11 that
+ * earlier versions loaded before raising a `context overflow` error.
+ */
+api.DEFAULT_LIMITS = Object.freeze({
+  maxRemoteContexts: 11,
+  maxDepth: Infinity,
+  maxNodes: Infinity,
+  maxQuads: Infinity,
+  maxListLength: Infinity
+});
+
+// error codes for limits without a code defined by JSON-LD
+const ERROR_CODES = {
+  maxDepth: 'max depth exceeded',
+  maxNodes: 'max nodes exceeded',
+  maxQuads: 'max quads exceeded',
+  maxListLength: 'max list length exceeded'
+};
+
+const DESCRIPTIONS = {
+  maxDepth: 'nesting depth',
+  maxNodes: 'number of nodes',
+  maxQuads: 'number of quads',
+  maxListLength: 'list length'
+};
+
+/**
+ * Merges processing limits with the defaults.
+ *
+ * @param [limits] the limits to use, missing limits use the defaults.
+ *
+ * @return the limits.
+ */
+api.create = (limits = {}) => {
+  for(const limit in limits) {
+    if(!(limit in api.DEFAULT_LIMITS)) {
+      throw new TypeError(`Unknown processing limit "${limit}".`);
+    }
+    const max = limits[limit];
+    if(typeof max !== 'number' || isNaN(max) || max < 0) {
+      throw new TypeError(
+        `The "${limit}" processing limit must be a non-negative number.`);
+    }
+  }
+  return {...api.DEFAULT_LIMITS, ...limits};
+};
+
+/**
+ * Throws an error if a value exceeds a processing limit.
+ *
+ * @param limits the limits to check against, the defaults if not given.
+ * @param limit the name of the limit, eg: `maxDepth`.
+ * @param value the value to check.
+ * @param [details] extra error details.
+ */
+api.check = ({limits = api.DEFAULT_LIMITS, limit, value, ...details}) => {
+  const max = limits[limit];
+  if(value > max) {
+    throw new JsonLdError(
+      `Maximum ${DESCRIPTIONS[limit]} of ${max} exceeded.`,
+      'jsonld.LimitExceededError',
+      {code: ERROR_CODES[limit], limit, max, ...details});
+  }
+};
+
+export default api;
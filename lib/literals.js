@@ -0,0 +1,248 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import types from "./types.js";
+
+import {
+  XSD,
+  XSD_BOOLEAN,
+  XSD_DATETIME,
+  XSD_DECIMAL,
+  XSD_INTEGER
+} from './constants.js';
+
+const REGEX = {
+  integer: /^[+-]?[0-9]+$/,
+  decimal: /^([+-]?)([0-9]*)(?:\.([0-9]*))?$/,
+  dateTime: new RegExp(
+    '^(-?[0-9]{4,})-([0-9]{2})-([0-9]{2})' +
+    'T([0-9]{2}):([0-9]{2}):([0-9]{2})(?:\\.([0-9]+))?' +
+    '(Z|[+-][0-9]{2}:[0-9]{2})?$'),
+  exponent: /^(-?)([0-9])(?:\.([0-9]+))?e([+-][0-9]+)$/
+};
+
+// the value ranges of the types derived from xsd:integer
+const INTEGER_RANGES = {
+  [XSD_INTEGER]: [null, null],
+  [XSD + 'long']: [-(2n ** 63n), 2n ** 63n - 1n],
+  [XSD + 'int']: [-(2n ** 31n), 2n ** 31n - 1n],
+  [XSD + 'short']: [-32768n, 32767n],
+  [XSD + 'byte']: [-128n, 127n],
+  [XSD + 'nonNegativeInteger']: [0n, null],
+  [XSD + 'positiveInteger']: [1n, null],
+  [XSD + 'nonPositiveInteger']: [null, 0n],
+  [XSD + 'negativeInteger']: [null, -1n],
+  [XSD + 'unsignedLong']: [0n, 2n ** 64n - 1n],
+  [XSD + 'unsignedInt']: [0n, 2n ** 32n - 1n],
+  [XSD + 'unsignedShort']: [0n, 65535n],
+  [XSD + 'unsignedByte']: [0n, 255n]
+};
+
+const api = {};
+
+/**
+ * Gets the canonical lexical form of a literal, with the handler that the
+ * `datatypeHandlers` option gives for its datatype or, if the
+ * `canonicalLiterals` option is set, the built-in handler for xsd:integer
+ * and its derived types, xsd:decimal, xsd:dateTime and xsd:boolean.
+ *
+ * A handler is a function `(value, {datatype})` that is given the `@value`
+ * of the value object, a string or a native number or boolean, and returns
+ * the canonical lexical form, or null if the value is not valid for the
+ * datatype.
+ *
+ * @param value the `@value` of the value object.
+ * @param datatype the datatype IRI.
+ * @param options the RDF serialization options.
+ *
+ * @return the canonical lexical form, null if the value is not valid, or
+ *           undefined if there is no handler for the datatype.
+ */
+api.canonicalize = (value, datatype, {
+  canonicalLiterals = false,
+  datatypeHandlers
+} = {}) => {
+  let handler;
+  if(datatypeHandlers &&
+    Object.prototype.hasOwnProperty.call(datatypeHandlers, datatype)) {
+    handler = datatypeHandlers[datatype];
+  } else if(canonicalLiterals) {
+    handler = _getHandler(datatype);
+  }
+  if(!handler) {
+    return;
+  }
+  const lexical = handler(value, {datatype});
+  return (lexical === null || lexical === undefined) ? null : String(lexical);
+};
+
+function _getHandler(datatype) {
+  if(datatype in INTEGER_RANGES) {
+    return _canonicalInteger;
+  }
+  switch(datatype) {
+    case XSD_DECIMAL:
+      return _canonicalDecimal;
+    case XSD_DATETIME:
+      return _canonicalDateTime;
+    case XSD_BOOLEAN:
+      return _canonicalBoolean;
+  }
+}
+
+/**
+ * Gets the canonical form of an xsd:integer, or of a type derived from it,
+ * checking that it is in the range of the type.
+ *
+ * @param value the value.
+ * @param datatype the datatype IRI.
+ *
+ * @return the canonical form or null.
+ */
+function _canonicalInteger(value, {datatype}) {
+  let integer;
+  if(types.isNumber(value)) {
+    if(!Number.isInteger(value)) {
+      return null;
+    }
+    integer = BigInt(value);
+  } else {
+    const lexical = String(value).trim();
+    if(!REGEX.integer.test(lexical)) {
+      return null;
+    }
+    integer = BigInt(lexical);
+  }
+  const [min, max] = INTEGER_RANGES[datatype];
+  if((min !== null && integer < min) || (max !== null && integer > max)) {
+    return null;
+  }
+  return integer.toString();
+}
+
+/**
+ * Gets the canonical form of an xsd:decimal: no leading `+` or zeros, no
+ * trailing zeros and no decimal point for integers, as in XML Schema 1.1.
+ *
+ * @param value the value.
+ *
+ * @return the canonical form or null.
+ */
+function _canonicalDecimal(value) {
+  let lexical;
+  if(types.isNumber(value)) {
+    if(!Number.isFinite(value)) {
+      return null;
+    }
+    lexical = _numberToDecimal(value);
+  } else {
+    lexical = String(value).trim();
+  }
+  const match = lexical.match(REGEX.decimal);
+  if(!match || (match[2] === '' && !match[3])) {
+    return null;
+  }
+  const integer = match[2].replace(/^0+/, '') || '0';
+  const fraction = (match[3] || '').replace(/0+$/, '');
+  const sign = (match[1] === '-' && (integer !== '0' || fraction)) ? '-' : '';
+  return sign + integer + (fraction ? `.${fraction}` : '');
+}
+
+/**
+ * Writes a number in decimal notation, without an exponent.
+ *
+ * @param value the finite number.
+ *
+ * @return the decimal notation.
+ */
+function _numberToDecimal(value) {
+  const string = String(value);
+  const match = string.match(REGEX.exponent);
+  if(!match) {
+    return string;
+  }
+  const [, sign, first, rest = '', exponent] = match;
+  const digits = first + rest;
+  const point = 1 + parseInt(exponent, 10);
+  if(point <= 0) {
+    return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  }
+  return sign + digits.padEnd(point, '0') + '.' + digits.slice(point);
+}
+
+/**
+ * Gets the canonical form of an xsd:dateTime: in UTC if it has a timezone,
+ * `24:00:00` as `00:00:00` of the next day and no trailing zeros in the
+ * fractional seconds.
+ *
+ * @param value the value.
+ *
+ * @return the canonical form or null.
+ */
+function _canonicalDateTime(value) {
+  const match = String(value).trim().match(REGEX.dateTime);
+  if(!match) {
+    return null;
+  }
+  const [year, month, day, hour, minute, second] =
+    match.slice(1, 7).map(n => parseInt(n, 10));
+  const fraction = (match[7] || '').replace(/0+$/, '');
+  const timezone = match[8];
+  if(month < 1 || month > 12 || minute > 59 || second > 59 ||
+    hour > 24 || (hour === 24 && (minute || second || fraction))) {
+    return null;
+  }
+
+  // check the day of the month
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, day);
+  if(day < 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  let offset = 0;
+  if(timezone && timezone !== 'Z') {
+    const [hours, minutes] = timezone.slice(1).split(':').map(Number);
+    if(hours > 14 || minutes > 59 || (hours === 14 && minutes)) {
+      return null;
+    }
+    offset = (timezone[0] === '-' ? -1 : 1) * (hours * 60 + minutes);
+  }
+  date.setUTCHours(hour, minute - offset, second, 0);
+  if(isNaN(date.getTime())) {
+    return null;
+  }
+
+  const utcYear = date.getUTCFullYear();
+  return (utcYear < 0 ? '-' : '') + _pad(Math.abs(utcYear), 4) + '-' +
+    _pad(date.getUTCMonth() + 1) + '-' + _pad(date.getUTCDate()) + 'T' +
+    _pad(date.getUTCHours()) + ':' + _pad(date.getUTCMinutes()) + ':' +
+    _pad(date.getUTCSeconds()) + (fraction ? `.${fraction}` : '') +
+    (timezone ? 'Z' : '');
+}
+
+/**
+ * Gets the canonical form of an xsd:boolean.
+ *
+ * @param value the value.
+ *
+ * @return `true`, `false` or null.
+ */
+function _canonicalBoolean(value) {
+  switch(String(value).trim()) {
+    case 'true':
+    case '1':
+      return 'true';
+    case 'false':
+    case '0':
+      return 'false';
+  }
+  return null;
+}
+
+function _pad(number, length = 2) {
+  return String(number).padStart(length, '0');
+}
+
+export default api;
@@ -7,6 +7,7 @@ import graphTypes from "./graphTypes.js";
 import types from "./types.js";
 import util from "./util.js";
 import { JsonLdError } from "./JsonLdError.js";
+import { canonicalize as jsonCanonicalize} from "./vendor/canonicalize/canonicalize.js";
 
 const isKeyword = context.isKeyword;
 const api = {};
@@ -93,20 +94,23 @@ api.createNodeMap = (input, graphs, graph, issuer, name, list) => {
   }
 
   // get name for subject
+  let id;
   if(types.isUndefined(name)) {
-    name = graphTypes.isBlankNode(input) ?
-      issuer.getId(input['@id']) : input['@id'];
+    ({id, name} = _getNodeId(input, issuer));
+  } else {
+    // an embedded node given with its name is already relabelled
+    id = types.isObject(input['@id']) ? input['@id'] : name;
   }
 
   // add subject reference to list
   if(list) {
-    list.push({'@id': name});
+    list.push({'@id': id});
   }
 
   // create new subject or merge into existing one
   const subjects = graphs[graph];
   const subject = subjects[name] = subjects[name] || {};
-  subject['@id'] = name;
+  subject['@id'] = id;
   const properties = Object.keys(input).sort();
   for(let property of properties) {
     // skip @id
@@ -116,16 +120,14 @@ api.createNodeMap = (input, graphs, graph, issuer, name, list) => {
 
     // handle reverse properties
     if(property === '@reverse') {
-      const referencedNode = {'@id': name};
+      const referencedNode = {'@id': id};
       const reverseMap = input['@reverse'];
       for(const reverseProperty in reverseMap) {
         const items = reverseMap[reverseProperty];
         for(const item of items) {
-          let itemName = item['@id'];
-          if(graphTypes.isBlankNode(item)) {
-            itemName = issuer.getId(itemName);
-          }
-          api.createNodeMap(item, graphs, graph, issuer, itemName);
+          const {id: itemId, name: itemName} = _getNodeId(item, issuer);
+          api.createNodeMap(
+            {...item, '@id': itemId}, graphs, graph, issuer, itemName);
           util.addValue(
             subjects[itemName], reverseProperty, referencedNode,
             {propertyIsArray: true, allowDuplicate: false});
@@ -183,6 +185,13 @@ api.createNodeMap = (input, graphs, graph, issuer, name, list) => {
         o = (o.indexOf('_:') === 0) ? issuer.getId(o) : o;
       }
 
+      // annotations describe the triple of the value (JSON-LD-star)
+      let annotations = null;
+      if(types.isObject(o) && '@annotation' in o) {
+        ({'@annotation': annotations, ...o} = o);
+      }
+      let value = o;
+
       // handle embedded subject or subject reference
       if(graphTypes.isSubject(o) || graphTypes.isSubjectReference(o)) {
         // skip null @id
@@ -191,14 +200,14 @@ api.createNodeMap = (input, graphs, graph, issuer, name, list) => {
         }
 
         // relabel blank node @id
-        const id = graphTypes.isBlankNode(o) ?
-          issuer.getId(o['@id']) : o['@id'];
+        const {id: oId, name: oName} = _getNodeId(o, issuer);
 
         // add reference and recurse
+        value = {'@id': oId};
         util.addValue(
-          subject, property, {'@id': id},
+          subject, property, value,
           {propertyIsArray: true, allowDuplicate: false});
-        api.createNodeMap(o, graphs, graph, issuer, id);
+        api.createNodeMap({...o, '@id': oId}, graphs, graph, issuer, oName);
       } else if(graphTypes.isValue(o)) {
         util.addValue(
           subject, property, o,
@@ -217,10 +226,59 @@ api.createNodeMap = (input, graphs, graph, issuer, name, list) => {
         util.addValue(
           subject, property, o, {propertyIsArray: true, allowDuplicate: false});
       }
+
+      if(annotations) {
+        // add each annotation to the node of the embedded triple
+        const triple = {'@id': id, [property]: [value]};
+        const tripleName = jsonCanonicalize(triple);
+        for(const annotation of annotations) {
+          api.createNodeMap({...annotation, '@id': triple},
+            graphs, graph, issuer, tripleName);
+        }
+      }
     }
   }
 };
 
+/**
+ * Gets the relabelled identifier of a node and the name of the node in a
+ * node map. The identifier of a node whose `@id` is an embedded node
+ * (JSON-LD-star) is the relabelled embedded node, and its name is the
+ * canonical JSON of the latter.
+ *
+ * @param node the node.
+ * @param issuer the blank node identifier issuer.
+ *
+ * @return `{id, name}`.
+ */
+function _getNodeId(node, issuer) {
+  const id = _relabelId(node['@id'], issuer);
+  return {id, name: types.isObject(id) ? jsonCanonicalize(id) : id};
+}
+
+function _relabelId(id, issuer) {
+  if(types.isObject(id)) {
+    // relabel the blank nodes of an embedded node
+    const embedded = {'@id': _relabelId(id['@id'], issuer)};
+    for(const property of Object.keys(id)) {
+      if(property === '@id') {
+        continue;
+      }
+      embedded[property.indexOf('_:') === 0 ?
+        issuer.getId(property) : property] = id[property].map(value => {
+        if(property === '@type') {
+          return _relabelId(value, issuer);
+        }
+        return graphTypes.isValue(value) ?
+          value : {'@id': _relabelId(value['@id'], issuer)};
+      });
+    }
+    return embedded;
+  }
+  return (types.isUndefined(id) || id.indexOf('_:') === 0) ?
+    issuer.getId(id) : id;
+}
+
 /**
  * Merge separate named graphs into a single merged graph including
  * all nodes from the default graph and named graphs.
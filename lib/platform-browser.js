@@ -1,12 +1,11 @@
 /*
  * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
  */
-'use strict';
 
-const xhrLoader = require('./documentLoaders/xhr');
+import fetchLoader from "./documentLoaders/fetch.js";
+import xhrLoader from "./documentLoaders/xhr.js";
 
 const api = {};
-module.exports = api;
 
 /**
  * Setup browser document loaders.
@@ -14,10 +13,16 @@ module.exports = api;
  * @param jsonld the jsonld api.
  */
 api.setupDocumentLoaders = function(jsonld) {
+  if(typeof fetch !== 'undefined') {
+    jsonld.documentLoaders.fetch = fetchLoader;
+  }
   if(typeof XMLHttpRequest !== 'undefined') {
     jsonld.documentLoaders.xhr = xhrLoader;
     // use xhr document loader by default
     jsonld.useDocumentLoader('xhr');
+  } else if(typeof fetch !== 'undefined') {
+    // use fetch document loader where xhr is unavailable (eg: web workers)
+    jsonld.useDocumentLoader('fetch');
   }
 };
 
@@ -37,3 +42,5 @@ api.setupGlobals = function(jsonld) {
     });
   }
 };
+
+export default api;
@@ -2,7 +2,13 @@
  * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
  */
 
+import dns from "node:dns/promises";
+import fs from "node:fs/promises";
+import path from "node:path";
 import nodeLoader from "./documentLoaders/node.js";
+import staticLoader from "./documentLoaders/static.js";
+import { FileCacheStore } from "./FileCacheStore.js";
+import { FileSpillStore } from "./FileSpillStore.js";
 
 const api = {};
 
@@ -15,6 +21,52 @@ api.setupDocumentLoaders = function(jsonld) {
   jsonld.documentLoaders.node = nodeLoader;
   // use node document loader by default
   jsonld.useDocumentLoader('node');
+  // file system store for the `cache` document loader
+  jsonld.FileCacheStore = FileCacheStore;
+  // file system store for the runs spilled by `fromRDFStream`
+  jsonld.FileSpillStore = FileSpillStore;
+  // read `directory` documents of the `static` document loader from disk
+  jsonld.documentLoaders.static = options => staticLoader(
+    {readFile: _readFile, ...options});
+};
+
+async function _readFile(file, directory) {
+  // never read files outside of the directory
+  const root = path.resolve(directory);
+  if(!path.resolve(file).startsWith(root + path.sep)) {
+    return null;
+  }
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch(e) {
+    if(['ENOENT', 'ENOTDIR', 'EISDIR'].includes(e.code)) {
+      return null;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Resolves the IP addresses of a hostname, used by `jsonld.UrlPolicy` to
+ * deny hostnames of private addresses.
+ *
+ * @param hostname the hostname to resolve.
+ *
+ * @return a Promise that resolves to the IP addresses.
+ */
+api.lookup = async function(hostname) {
+  const addresses = await dns.lookup(hostname, {all: true});
+  return addresses.map(({address}) => address);
+};
+
+/**
+ * Creates the default store for the runs of quads spilled by
+ * `jsonld.fromRDFStream`, the files are written to the temporary directory.
+ *
+ * @return the store.
+ */
+api.createSpillStore = function() {
+  return new FileSpillStore();
 };
 
 /**
@@ -0,0 +1,102 @@
+/*
+ * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import { JsonLdError } from "./JsonLdError.js";
+
+import {
+  RDF_LANGSTRING,
+  XSD_STRING
+} from './constants.js';
+
+const api = {};
+
+/**
+ * Creates an RDF/JS quad (https://rdf.js.org/data-model-spec/) for a quad
+ * output by `toRdf.js`, whose blank node values have a `_:` prefix.
+ *
+ * @param quad the quad.
+ * @param factory the RDF/JS DataFactory to create the quad with.
+ *
+ * @return the RDF/JS quad.
+ */
+api.toRDFJS = (quad, factory) => factory.quad(
+  _toRDFJSTerm(quad.subject, factory),
+  _toRDFJSTerm(quad.predicate, factory),
+  _toRDFJSTerm(quad.object, factory),
+  _toRDFJSTerm(quad.graph, factory));
+
+/**
+ * Creates a quad for `fromRdf.js` from an RDF/JS quad, or from a quad output
+ * by `toRdf.js`. A `_:` prefix is added to blank node values that do not
+ * have one, a quad with no graph is in the default graph.
+ *
+ * @param quad the RDF/JS quad.
+ *
+ * @return the quad.
+ */
+api.fromRDFJS = quad => ({
+  subject: _fromRDFJSTerm(quad.subject),
+  predicate: _fromRDFJSTerm(quad.predicate),
+  object: _fromRDFJSTerm(quad.object),
+  graph: quad.graph ?
+    _fromRDFJSTerm(quad.graph) : {termType: 'DefaultGraph', value: ''}
+});
+
+function _toRDFJSTerm(term, factory) {
+  switch(term.termType) {
+    case 'NamedNode':
+      return factory.namedNode(term.value);
+    case 'BlankNode':
+      return factory.blankNode(term.value.slice(2));
+    case 'Literal':
+      return term.language ?
+        factory.literal(term.value, term.language) :
+        factory.literal(term.value, factory.namedNode(term.datatype.value));
+    case 'Quad':
+      // a quoted triple
+      return api.toRDFJS(term, factory);
+    default:
+      return factory.defaultGraph();
+  }
+}
+
+function _fromRDFJSTerm(term) {
+  switch(term.termType) {
+    case 'NamedNode':
+      return {termType: 'NamedNode', value: term.value};
+    case 'BlankNode':
+      return {
+        termType: 'BlankNode',
+        value: term.value.startsWith('_:') ? term.value : '_:' + term.value
+      };
+    case 'Literal': {
+      const literal = {
+        termType: 'Literal',
+        value: term.value,
+        datatype: {
+          termType: 'NamedNode',
+          value: term.datatype ? term.datatype.value :
+            (term.language ? RDF_LANGSTRING : XSD_STRING)
+        }
+      };
+      if(term.language) {
+        literal.language = term.language;
+      }
+      return literal;
+    }
+    case 'DefaultGraph':
+      return {termType: 'DefaultGraph', value: ''};
+    case 'Quad':
+      // a quoted triple
+      return {termType: 'Quad', value: '', ...api.fromRDFJS(term)};
+    default:
+      // eg: variables, which are not RDF
+      throw new JsonLdError(
+        `Could not convert from RDF; "${term.termType}" terms are not RDF.`,
+        'jsonld.FromRdfError',
+        {code: 'invalid RDF term', termType: term.termType, value: term.value});
+  }
+}
+
+export default api;
@@ -5,7 +5,10 @@
 import nodeMap from "./nodeMap.js";
 import context from "./context.js";
 import graphTypes from "./graphTypes.js";
-import { canonicalize as jsonCanonicalize} from "https://taisukef.github.io/canonicalize-es/canonicalize.js";
+import limits from "./limits.js";
+import literals from "./literals.js";
+import events from "./events.js";
+import { canonicalize as jsonCanonicalize} from "./vendor/canonicalize/canonicalize.js";
 import types from "./types.js";
 import util from "./util.js";
 
@@ -45,13 +48,30 @@ const api = {};
  *
  * @return the RDF dataset.
  */
-api.toRDF = (input, options) => {
+api.toRDF = (input, options) => Array.from(api.toRDFStream(input, options));
+
+/**
+ * Outputs the quads of the RDF dataset for the expanded JSON-LD input one at
+ * a time, in the same order as `toRDF`. Each node is released from the node
+ * map once its quads are produced.
+ *
+ * @param input the expanded JSON-LD input.
+ * @param options the RDF serialization options.
+ * @param [state] the state to share between the calls for the parts of a
+ *          document:
+ *          [issuer] the IdentifierIssuer for assigning blank node names.
+ *          [counter] the count of quads produced, for the `maxQuads` limit.
+ *
+ * @return an iterable of RDF quads.
+ */
+api.toRDFStream = function*(input, options, {
+  issuer = new util.IdentifierIssuer('_:b'),
+  counter = {quads: 0}
+} = {}) {
   // create node map for default graph (and any named graphs)
-  const issuer = new util.IdentifierIssuer('_:b');
   const nodeMap = {'@default': {}};
   createNodeMap(input, nodeMap, '@default', issuer);
 
-  const dataset = [];
   const graphNames = Object.keys(nodeMap).sort();
   for(const graphName of graphNames) {
     let graphTerm;
@@ -68,27 +88,30 @@ api.toRDF = (input, options) => {
       // skip relative IRIs (not valid RDF)
       continue;
     }
-    _graphToRDF(dataset, nodeMap[graphName], graphTerm, issuer, options);
+    yield* _graphToRDF(
+      nodeMap[graphName], graphTerm, issuer, counter, options);
+    delete nodeMap[graphName];
   }
-
-  return dataset;
 };
 
 /**
- * Adds RDF quads for a particular graph to the given dataset.
+ * Outputs the RDF quads for a particular graph, removing each node from the
+ * graph once its quads are produced.
  *
- * @param dataset the dataset to append RDF quads to.
  * @param graph the graph to create RDF quads for.
  * @param graphTerm the graph term for each quad.
  * @param issuer a IdentifierIssuer for assigning blank node names.
+ * @param counter the count of quads produced so far, for the `maxQuads`
+ *          limit.
  * @param options the RDF serialization options.
  *
- * @return the array of RDF triples for the given graph.
+ * @return an iterable of the RDF quads for the given graph.
  */
-function _graphToRDF(dataset, graph, graphTerm, issuer, options) {
+function* _graphToRDF(graph, graphTerm, issuer, counter, options) {
   const ids = Object.keys(graph).sort();
   for(const id of ids) {
     const node = graph[id];
+    delete graph[id];
     const properties = Object.keys(node).sort();
     for(let property of properties) {
       const items = node[property];
@@ -99,14 +122,19 @@ function _graphToRDF(dataset, graph, graphTerm, issuer, options) {
       }
 
       for(const item of items) {
-        // RDF subject
-        const subject = {
-          termType: id.startsWith('_:') ? 'BlankNode' : 'NamedNode',
-          value: id
-        };
+        // RDF subject, a quoted triple for an embedded node (RDF-star)
+        const subject = _idToRDF(node['@id'], options);
 
         // skip relative IRI subjects (not valid RDF)
-        if(!_isAbsoluteIri(id)) {
+        if(!subject) {
+          events.emit({
+            options,
+            type: 'relative IRI',
+            code: 'relative subject reference',
+            message: `the subject "${id}" is a relative IRI and its ` +
+              'statements are dropped.',
+            details: {property, subject: id}
+          });
           continue;
         }
 
@@ -118,27 +146,56 @@ function _graphToRDF(dataset, graph, graphTerm, issuer, options) {
 
         // skip relative IRI predicates (not valid RDF)
         if(!_isAbsoluteIri(property)) {
+          events.emit({
+            options,
+            type: 'relative IRI',
+            code: 'relative predicate reference',
+            message: `the property "${property}" is a relative IRI and its ` +
+              'statements are dropped.',
+            details: {property, subject: id}
+          });
           continue;
         }
 
         // skip blank node predicates unless producing generalized RDF
         if(predicate.termType === 'BlankNode' &&
           !options.produceGeneralizedRdf) {
+          events.emit({
+            options,
+            type: 'dropped property',
+            code: 'blank node predicate',
+            message: `the property "${property}" is a blank node and its ` +
+              'statements are dropped.',
+            details: {property, subject: id}
+          });
           continue;
         }
 
         // convert list, value or node object to triple
-        const object =
-          _objectToRDF(item, issuer, dataset, graphTerm, options.rdfDirection);
+        const quads = [];
+        const object = _objectToRDF(item, issuer, quads, graphTerm, options);
         // skip null objects (they are relative IRIs)
-        if(object) {
-          dataset.push({
+        if(!object) {
+          events.emit({
+            options,
+            type: 'relative IRI',
+            code: 'relative object reference',
+            message: `a value of "${property}" is a relative IRI and is ` +
+              'dropped.',
+            details: {property, subject: id, value: item}
+          });
+        } else {
+          quads.push({
             subject,
             predicate,
             object,
             graph: graphTerm
           });
         }
+        counter.quads += quads.length;
+        limits.check(
+          {limits: options.limits, limit: 'maxQuads', value: counter.quads});
+        yield* quads;
       }
     }
   }
@@ -152,10 +209,11 @@ function _graphToRDF(dataset, graph, graphTerm, issuer, options) {
  * @param issuer a IdentifierIssuer for assigning blank node names.
  * @param dataset the array of quads to append to.
  * @param graphTerm the graph term for each quad.
+ * @param options the RDF serialization options.
  *
  * @return the head of the list.
  */
-function _listToRDF(list, issuer, dataset, graphTerm, rdfDirection) {
+function _listToRDF(list, issuer, dataset, graphTerm, options) {
   const first = {termType: 'NamedNode', value: RDF_FIRST};
   const rest = {termType: 'NamedNode', value: RDF_REST};
   const nil = {termType: 'NamedNode', value: RDF_NIL};
@@ -166,7 +224,7 @@ function _listToRDF(list, issuer, dataset, graphTerm, rdfDirection) {
   let subject = result;
 
   for(const item of list) {
-    const object = _objectToRDF(item, issuer, dataset, graphTerm, rdfDirection);
+    const object = _objectToRDF(item, issuer, dataset, graphTerm, options);
     const next = {termType: 'BlankNode', value: issuer.getId()};
     dataset.push({
       subject,
@@ -185,7 +243,7 @@ function _listToRDF(list, issuer, dataset, graphTerm, rdfDirection) {
 
   // Tail of list
   if(last) {
-    const object = _objectToRDF(last, issuer, dataset, graphTerm, rdfDirection);
+    const object = _objectToRDF(last, issuer, dataset, graphTerm, options);
     dataset.push({
       subject,
       predicate: first,
@@ -211,10 +269,11 @@ function _listToRDF(list, issuer, dataset, graphTerm, rdfDirection) {
  * @param issuer a IdentifierIssuer for assigning blank node names.
  * @param dataset the dataset to append RDF quads to.
  * @param graphTerm the graph term for each quad.
+ * @param options the RDF serialization options.
  *
  * @return the RDF literal or RDF resource.
  */
-function _objectToRDF(item, issuer, dataset, graphTerm, rdfDirection) {
+function _objectToRDF(item, issuer, dataset, graphTerm, options) {
   const object = {};
 
   // convert value object to RDF
@@ -244,7 +303,7 @@ function _objectToRDF(item, issuer, dataset, graphTerm, rdfDirection) {
     } else if(types.isNumber(value)) {
       object.value = value.toFixed(0);
       object.datatype.value = datatype || XSD_INTEGER;
-    } else if(rdfDirection === 'i18n-datatype' &&
+    } else if(options.rdfDirection === 'i18n-datatype' &&
       '@direction' in item) {
       const datatype = 'https://www.w3.org/ns/i18n#' +
         (item['@language'] || '') +
@@ -259,14 +318,23 @@ function _objectToRDF(item, issuer, dataset, graphTerm, rdfDirection) {
       object.value = value;
       object.datatype.value = datatype || XSD_STRING;
     }
+
+    // use the canonical lexical form of typed literals if requested
+    if(object.datatype.value !== RDF_JSON_LITERAL && !('@language' in item) &&
+      !('@direction' in item)) {
+      _canonicalizeLiteral(object, item['@value'], options);
+    }
   } else if(graphTypes.isList(item)) {
     const _list =
-      _listToRDF(item['@list'], issuer, dataset, graphTerm, rdfDirection);
+      _listToRDF(item['@list'], issuer, dataset, graphTerm, options);
     object.termType = _list.termType;
     object.value = _list.value;
   } else {
     // convert string/node object to RDF
     const id = types.isObject(item) ? item['@id'] : item;
+    if(types.isObject(id)) {
+      return _embeddedNodeToRDF(id, options);
+    }
     object.termType = id.startsWith('_:') ? 'BlankNode' : 'NamedNode';
     object.value = id;
   }
@@ -279,5 +347,85 @@ function _objectToRDF(item, issuer, dataset, graphTerm, rdfDirection) {
   return object;
 }
 
+/**
+ * Converts the `@id` of a node to an RDF resource, or to a quoted triple if
+ * it is an embedded node (RDF-star).
+ *
+ * @param id the `@id`.
+ * @param options the RDF serialization options.
+ *
+ * @return the RDF term, or null for a relative IRI.
+ */
+function _idToRDF(id, options) {
+  if(types.isObject(id)) {
+    return _embeddedNodeToRDF(id, options);
+  }
+  if(!_isAbsoluteIri(id)) {
+    return null;
+  }
+  return {
+    termType: id.startsWith('_:') ? 'BlankNode' : 'NamedNode',
+    value: id
+  };
+}
+
+/**
+ * Converts an embedded node, with a single property and value, to the
+ * quoted triple it describes.
+ *
+ * @param node the embedded node.
+ * @param options the RDF serialization options.
+ *
+ * @return the quoted triple term, or null if a term is not valid RDF.
+ */
+function _embeddedNodeToRDF(node, options) {
+  const [property] = Object.keys(node).filter(key => key !== '@id');
+  const [item] = node[property];
+  const subject = _idToRDF(node['@id'], options);
+  const object = property === '@type' ?
+    _idToRDF(item, options) :
+    _objectToRDF(item, null, null, null, options);
+  const predicate = property === '@type' ? RDF_TYPE : property;
+  if(!subject || !object || predicate.startsWith('_:') ||
+    !_isAbsoluteIri(predicate)) {
+    return null;
+  }
+  return {
+    termType: 'Quad',
+    value: '',
+    subject,
+    predicate: {termType: 'NamedNode', value: predicate},
+    object,
+    graph: {termType: 'DefaultGraph', value: ''}
+  };
+}
+
+/**
+ * Replaces the lexical form of a literal with its canonical form, with the
+ * `canonicalLiterals` and `datatypeHandlers` options. A value that is not
+ * valid for its datatype is kept as is and an event is emitted.
+ *
+ * @param literal the RDF literal to update.
+ * @param value the `@value` of the value object.
+ * @param options the RDF serialization options.
+ */
+function _canonicalizeLiteral(literal, value, options) {
+  const datatype = literal.datatype.value;
+  const lexical = literals.canonicalize(value, datatype, options);
+  if(lexical === null) {
+    events.emit({
+      options,
+      type: 'invalid value',
+      code: 'ill-typed literal',
+      message: `the value "${literal.value}" is not a valid lexical form ` +
+        `of "${datatype}" and is not canonicalized.`,
+      details: {value, datatype}
+    });
+  } else if(lexical !== undefined) {
+    literal.value = lexical;
+  }
+}
+
 const toRDF = api.toRDF;
-export { toRDF };
+const toRDFStream = api.toRDFStream;
+export { toRDF, toRDFStream };
@@ -5,7 +5,7 @@
 import graphTypes from "./graphTypes.js";
 import types from "./types.js";
 // TODO: move `IdentifierIssuer` to its own package
-import { IdentifierIssuer } from "https://taisukef.github.io/rdf-canonize-es/lib/IdentifierIssuer.js";
+import { IdentifierIssuer } from "./vendor/rdf-canonize/lib/IdentifierIssuer.js";
 import { JsonLdError } from "./JsonLdError.js";
 
 // constants
@@ -415,6 +415,52 @@ api.compareShortestLeast = (a, b) => {
   return (a < b) ? -1 : 1;
 };
 
+/**
+ * Formats a path of object keys and array indexes as a JSON pointer
+ * (RFC 6901), eg: `['@graph', 0, 'name']` as `/@graph/0/name`.
+ *
+ * @param [path] the keys and indexes from the root of a document.
+ *
+ * @return the JSON pointer, an empty string for the root.
+ */
+api.toJsonPointer = (path = []) => path.map(token =>
+  '/' + String(token).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+
+/**
+ * Adds the location of the data that caused an error to the error details,
+ * keeping any location details already added closer to where the error was
+ * raised.
+ *
+ * @param error the error.
+ * @param location the location:
+ *          [path] the keys and indexes of the data in the document.
+ *          [activePropertyChain] the active properties from the root of the
+ *            document to the data.
+ *          [term] the term being defined.
+ *          [contextUrl] the URL of the remote context being processed.
+ *
+ * @return the error.
+ */
+api.addErrorLocation = (error, {path, ...location}) => {
+  if(!(error instanceof JsonLdError)) {
+    return error;
+  }
+  if(!error.details) {
+    error.details = {};
+  }
+  if(path !== undefined) {
+    location.path = api.toJsonPointer(path);
+  }
+  for(const key in location) {
+    const value = location[key];
+    if(value !== undefined && value !== null &&
+      error.details[key] === undefined) {
+      error.details[key] = value;
+    }
+  }
+  return error;
+};
+
 /**
  * Labels the blank nodes in the given value using the given IdentifierIssuer.
  *
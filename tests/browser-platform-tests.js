@@ -0,0 +1,132 @@
+/**
+ * Tests for the browser platform support, run in a headless DOM shim.
+ */
+import assert from 'assert';
+import {JSDOM} from 'jsdom';
+import * as remoteContextServer from './remote-context-server.js';
+
+const _contextUrl =
+  `http://localhost:${remoteContextServer.port}/context-1.jsonld`;
+const _input = {
+  '@context': _contextUrl,
+  term1: 'foo'
+};
+const _expanded = [{
+  'http://example.org/term1': [{'@value': 'foo'}]
+}];
+
+describe('browser platform', function() {
+  let JSONLD;
+  let _server;
+  let _dom;
+  let _globals;
+
+  before(async function() {
+    _server = await remoteContextServer.listen();
+    _dom = new JSDOM('', {
+      url: `http://localhost:${remoteContextServer.port}/`
+    });
+
+    // install DOM globals before the browser entry point is loaded
+    _globals = {
+      XMLHttpRequest: globalThis.XMLHttpRequest,
+      JsonLdProcessor: globalThis.JsonLdProcessor
+    };
+    globalThis.XMLHttpRequest = _dom.window.XMLHttpRequest;
+    delete globalThis.JsonLdProcessor;
+
+    ({JSONLD} = await import('../JSONLD.browser.js'));
+  });
+
+  after(function() {
+    _server.close();
+    _dom.window.close();
+    for(const [name, value] of Object.entries(_globals)) {
+      if(value === undefined) {
+        delete globalThis[name];
+      } else {
+        globalThis[name] = value;
+      }
+    }
+  });
+
+  describe('globals', function() {
+    it('should install a global JsonLdProcessor', function() {
+      assert.equal(globalThis.JsonLdProcessor, JSONLD.JsonLdProcessor);
+      assert.equal(
+        Object.getOwnPropertyDescriptor(globalThis, 'JsonLdProcessor')
+          .enumerable, false);
+      assert.equal(
+        new globalThis.JsonLdProcessor().toString(),
+        '[object JsonLdProcessor]');
+    });
+
+    it('should expand with the global JsonLdProcessor', async function() {
+      const expanded = await globalThis.JsonLdProcessor.expand({
+        'urn:ex:p': 'v'
+      });
+      assert.deepEqual(expanded, [{'urn:ex:p': [{'@value': 'v'}]}]);
+    });
+  });
+
+  describe('document loaders', function() {
+    it('should register xhr and fetch loaders', function() {
+      assert.equal(typeof JSONLD.documentLoaders.xhr, 'function');
+      assert.equal(typeof JSONLD.documentLoaders.fetch, 'function');
+      assert.equal(JSONLD.documentLoaders.node, undefined);
+    });
+
+    it('should expand a remote context with the xhr loader', async function() {
+      JSONLD.useDocumentLoader('xhr');
+      const expanded = await JSONLD.expand(_input);
+      assert.deepEqual(expanded, _expanded);
+    });
+
+    it('should load a remote document with the xhr loader', async function() {
+      JSONLD.useDocumentLoader('xhr');
+      const remoteDoc = await JSONLD.documentLoader(_contextUrl);
+      assert.equal(remoteDoc.documentUrl, _contextUrl);
+      assert.equal(remoteDoc.contextUrl, null);
+      assert.deepEqual(JSON.parse(remoteDoc.document), {
+        '@context': {term1: 'http://example.org/term1'}
+      });
+    });
+
+    it('should expand a remote context with the fetch loader',
+      async function() {
+        JSONLD.useDocumentLoader('fetch');
+        const expanded = await JSONLD.expand(_input);
+        assert.deepEqual(expanded, _expanded);
+      });
+
+    it('should fail for a missing document with the fetch loader',
+      async function() {
+        JSONLD.useDocumentLoader('fetch');
+        let err;
+        try {
+          await JSONLD.documentLoader(
+            `http://localhost:${remoteContextServer.port}/missing.jsonld`);
+        } catch(e) {
+          err = e;
+        }
+        assert.ok(err);
+        assert.equal(err.name, 'jsonld.LoadDocumentError');
+        assert.equal(err.details.httpStatusCode, 404);
+      });
+
+    it('should fail for non-https URLs in secure mode', async function() {
+      for(const type of ['xhr', 'fetch']) {
+        JSONLD.useDocumentLoader(type, {secure: true});
+        let err;
+        try {
+          await JSONLD.documentLoader(_contextUrl);
+        } catch(e) {
+          err = e;
+        }
+        assert.ok(err);
+        assert.equal(err.name, 'jsonld.InvalidUrl');
+        assert.equal(err.details.code, 'loading document failed');
+      }
+    });
+  });
+});
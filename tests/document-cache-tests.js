@@ -0,0 +1,446 @@
+/**
+ * Tests for the caching document loader and its stores.
+ */
+import assert from 'assert';
+import fs from 'fs';
+import jsonld from '../lib/index.js';
+import os from 'os';
+import path from 'path';
+import * as remoteContextServer from './remote-context-server.js';
+
+const _url = 'https://example.com/context';
+const _document = {'@context': {term1: 'http://example.org/term1'}};
+
+// a loader that answers with the given responses and records requests
+function _mockLoader(...responses) {
+  const loader = async (url, options) => {
+    loader.requests.push({url, options});
+    const response = responses.length > 1 ?
+      responses.shift() : responses[0];
+    if(response instanceof Error) {
+      throw response;
+    }
+    return {
+      contextUrl: null,
+      documentUrl: url,
+      document: _document,
+      ...response
+    };
+  };
+  loader.requests = [];
+  return loader;
+}
+
+// an error like those thrown by the `node` document loader
+function _loadError(name, details) {
+  const error = new Error(name);
+  error.name = name;
+  error.details = details;
+  return error;
+}
+
+// a clock that can be moved forward, in seconds
+function _clock() {
+  let time = Date.parse('2021-06-01T00:00:00Z');
+  const now = () => time;
+  now.advance = seconds => time += seconds * 1000;
+  return now;
+}
+
+// wait for background revalidations
+function _tick() {
+  return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+describe('cache document loader', function() {
+  it('should require a document loader', function() {
+    assert.throws(() => jsonld.documentLoaders.cache({}), TypeError);
+  });
+
+  it('should return fresh documents from the cache', async function() {
+    const now = _clock();
+    const documentLoader = _mockLoader({
+      headers: {'Cache-Control': 'max-age=60'}
+    });
+    const loader = jsonld.documentLoaders.cache({documentLoader, now});
+
+    const first = await loader(_url);
+    now.advance(30);
+    const second = await loader(_url);
+    assert.deepEqual(first.document, _document);
+    assert.deepEqual(second.document, _document);
+    assert.equal(documentLoader.requests.length, 1);
+  });
+
+  it('should not share stored documents with callers', async function() {
+    const documentLoader = _mockLoader({
+      headers: {'cache-control': 'max-age=60'}
+    });
+    const loader = jsonld.documentLoaders.cache({documentLoader});
+    const first = await loader(_url);
+    first.document['@context'] = 'changed';
+    const second = await loader(_url);
+    assert.deepEqual(second.document, _document);
+  });
+
+  it('should revalidate stale documents with an ETag', async function() {
+    const now = _clock();
+    const documentLoader = _mockLoader({
+      headers: {'cache-control': 'max-age=60', etag: '"v1"'}
+    }, {
+      document: null,
+      notModified: true,
+      headers: {'cache-control': 'max-age=120'}
+    });
+    const loader = jsonld.documentLoaders.cache({documentLoader, now});
+
+    await loader(_url);
+    now.advance(61);
+    const remoteDoc = await loader(_url);
+    assert.deepEqual(remoteDoc.document, _document);
+    assert.equal(documentLoader.requests.length, 2);
+    assert.deepEqual(
+      documentLoader.requests[1].options, {headers: {'if-none-match': '"v1"'}});
+
+    // new freshness lifetime from the 304 response
+    now.advance(100);
+    await loader(_url);
+    assert.equal(documentLoader.requests.length, 2);
+  });
+
+  it('should revalidate with Last-Modified', async function() {
+    const now = _clock();
+    const lastModified = 'Tue, 01 Jun 2021 00:00:00 GMT';
+    const documentLoader = _mockLoader({
+      headers: {'cache-control': 'no-cache', 'last-modified': lastModified}
+    });
+    const loader = jsonld.documentLoaders.cache({documentLoader, now});
+
+    await loader(_url);
+    await loader(_url);
+    assert.equal(documentLoader.requests.length, 2);
+    assert.deepEqual(
+      documentLoader.requests[1].options,
+      {headers: {'if-modified-since': lastModified}});
+  });
+
+  it('should use Expires and heuristic freshness', async function() {
+    const now = _clock();
+    const date = new Date(now()).toUTCString();
+    const documentLoader = _mockLoader({
+      headers: {
+        date,
+        expires: new Date(now() + 60000).toUTCString()
+      }
+    }, {
+      headers: {
+        date,
+        // fresh for 10% of the 1000 seconds since last modification
+        'last-modified': new Date(now() - 1000000).toUTCString()
+      }
+    });
+    const loader = jsonld.documentLoaders.cache({documentLoader, now});
+
+    await loader(_url);
+    now.advance(59);
+    await loader(_url);
+    assert.equal(documentLoader.requests.length, 1);
+    now.advance(2);
+    await loader(_url);
+    assert.equal(documentLoader.requests.length, 2);
+    now.advance(90);
+    await loader(_url);
+    assert.equal(documentLoader.requests.length, 2);
+  });
+
+  it('should not store no-store responses', async function() {
+    const documentLoader = _mockLoader({
+      headers: {'cache-control': 'no-store, max-age=60'}
+    });
+    const store = new jsonld.MemoryCacheStore();
+    const loader = jsonld.documentLoaders.cache({documentLoader, store});
+    await loader(_url);
+    await loader(_url);
+    assert.equal(documentLoader.requests.length, 2);
+    assert.equal(await store.get(_url), null);
+  });
+
+  it('should use the maxAge option without caching headers', async function() {
+    const now = _clock();
+    const documentLoader = _mockLoader({});
+    const loader = jsonld.documentLoaders.cache(
+      {documentLoader, now, maxAge: 10});
+    await loader(_url);
+    now.advance(5);
+    await loader(_url);
+    assert.equal(documentLoader.requests.length, 1);
+    now.advance(10);
+    await loader(_url);
+    assert.equal(documentLoader.requests.length, 2);
+  });
+
+  it('should return stale documents while revalidating', async function() {
+    const now = _clock();
+    const updated = {'@context': {term2: 'http://example.org/term2'}};
+    const documentLoader = _mockLoader({
+      headers: {'cache-control': 'max-age=60, stale-while-revalidate=30'}
+    }, {
+      document: updated,
+      headers: {'cache-control': 'max-age=60'}
+    });
+    const loader = jsonld.documentLoaders.cache({documentLoader, now});
+
+    await loader(_url);
+    now.advance(70);
+    const stale = await loader(_url);
+    assert.deepEqual(stale.document, _document);
+    await _tick();
+    assert.equal(documentLoader.requests.length, 2);
+    const fresh = await loader(_url);
+    assert.deepEqual(fresh.document, updated);
+    assert.equal(documentLoader.requests.length, 2);
+  });
+
+  it('should use the staleWhileRevalidate option', async function() {
+    const now = _clock();
+    const documentLoader = _mockLoader({
+      headers: {'cache-control': 'max-age=60'}
+    });
+    const loader = jsonld.documentLoaders.cache(
+      {documentLoader, now, staleWhileRevalidate: 30});
+    await loader(_url);
+    now.advance(70);
+    await loader(_url);
+    await _tick();
+    assert.equal(documentLoader.requests.length, 2);
+
+    // past the stale-while-revalidate window the caller waits
+    now.advance(100);
+    await loader(_url);
+    assert.equal(documentLoader.requests.length, 3);
+  });
+
+  it('should return stale documents when offline', async function() {
+    const now = _clock();
+    const offline = new Error('offline');
+    const documentLoader = _mockLoader({
+      headers: {'cache-control': 'max-age=60'}
+    }, offline);
+    const loader = jsonld.documentLoaders.cache({documentLoader, now});
+    await loader(_url);
+    now.advance(3600);
+    const remoteDoc = await loader(_url);
+    assert.deepEqual(remoteDoc.document, _document);
+  });
+
+  it('should fail when stale documents must be revalidated', async function() {
+    const now = _clock();
+    const offline = new Error('offline');
+    const documentLoader = _mockLoader({
+      headers: {'cache-control': 'max-age=60, must-revalidate'}
+    }, offline);
+    const loader = jsonld.documentLoaders.cache(
+      {documentLoader, now, staleWhileRevalidate: 3600});
+    await loader(_url);
+    now.advance(120);
+    await assert.rejects(loader(_url), offline);
+  });
+
+  it('should use the staleIfError option', async function() {
+    const now = _clock();
+    const offline = new Error('offline');
+    const documentLoader = _mockLoader({
+      headers: {'cache-control': 'max-age=60'}
+    }, offline);
+    const loader = jsonld.documentLoaders.cache(
+      {documentLoader, now, staleIfError: 60});
+    await loader(_url);
+    now.advance(90);
+    await loader(_url);
+    now.advance(60);
+    await assert.rejects(loader(_url), offline);
+  });
+
+  it('should only return stale documents for network and server errors',
+    async function() {
+      const now = _clock();
+      const errors = [
+        _loadError('jsonld.InvalidUrl', {httpStatusCode: 404}),
+        _loadError('jsonld.LoadDocumentError', {cause: new SyntaxError()}),
+        _loadError('jsonld.InvalidUrl', {httpStatusCode: 503}),
+        _loadError('jsonld.LoadDocumentError', {cause: new Error('reset')})
+      ];
+      const documentLoader = _mockLoader({
+        headers: {'cache-control': 'max-age=60'}
+      }, ...errors);
+      const loader = jsonld.documentLoaders.cache({documentLoader, now});
+      await loader(_url);
+      now.advance(120);
+      await assert.rejects(loader(_url), errors[0]);
+      await assert.rejects(loader(_url), errors[1]);
+      assert.deepEqual((await loader(_url)).document, _document);
+      assert.deepEqual((await loader(_url)).document, _document);
+    });
+
+  it('should only store caching headers', async function() {
+    const documentLoader = _mockLoader({
+      headers: {
+        'cache-control': 'max-age=60',
+        ETag: '"1"',
+        'Set-Cookie': 'session=secret',
+        'X-Other': 'value'
+      }
+    });
+    const store = new jsonld.MemoryCacheStore();
+    const loader = jsonld.documentLoaders.cache({documentLoader, store});
+    await loader(_url);
+    assert.deepEqual((await store.get(_url)).headers, {
+      'cache-control': 'max-age=60',
+      etag: '"1"'
+    });
+  });
+
+  it('should use Vary to match requests', async function() {
+    const documentLoader = _mockLoader({
+      headers: {'cache-control': 'max-age=60', vary: 'Accept-Language'}
+    });
+    const loader = jsonld.documentLoaders.cache({documentLoader});
+    await loader(_url, {headers: {'Accept-Language': 'en'}});
+    await loader(_url, {headers: {'accept-language': 'en'}});
+    assert.equal(documentLoader.requests.length, 1);
+    await loader(_url, {headers: {'Accept-Language': 'fr'}});
+    assert.equal(documentLoader.requests.length, 2);
+    await loader(_url);
+    assert.equal(documentLoader.requests.length, 3);
+  });
+
+  it('should not store responses that vary on everything', async function() {
+    const documentLoader = _mockLoader({
+      headers: {'cache-control': 'max-age=60', vary: '*'}
+    });
+    const store = new jsonld.MemoryCacheStore();
+    const loader = jsonld.documentLoaders.cache({documentLoader, store});
+    await loader(_url);
+    await loader(_url);
+    assert.equal(documentLoader.requests.length, 2);
+    assert.equal(await store.get(_url), null);
+  });
+
+  it('should be usable as the default document loader', async function() {
+    const documentLoader = _mockLoader({
+      headers: {'cache-control': 'max-age=60'}
+    });
+    const loader = jsonld.documentLoader;
+    try {
+      jsonld.useDocumentLoader('cache', {documentLoader});
+      const expanded = await jsonld.expand({'@context': _url, term1: 'foo'});
+      await jsonld.expand({'@context': _url, term1: 'bar'});
+      assert.deepEqual(expanded, [{
+        'http://example.org/term1': [{'@value': 'foo'}]
+      }]);
+      assert.equal(documentLoader.requests.length, 1);
+    } finally {
+      jsonld.documentLoader = loader;
+    }
+  });
+});
+
+describe('cache stores', function() {
+  let _directory;
+
+  beforeEach(function() {
+    _directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jsonld-cache-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(_directory, {recursive: true, force: true});
+  });
+
+  it('should evict least recently used memory entries', async function() {
+    const store = new jsonld.MemoryCacheStore({max: 2});
+    await store.set('a', {value: 1});
+    await store.set('b', {value: 2});
+    await store.get('a');
+    await store.set('c', {value: 3});
+    assert.deepEqual(await store.get('a'), {value: 1});
+    assert.equal(await store.get('b'), null);
+    await store.delete('a');
+    assert.equal(await store.get('a'), null);
+  });
+
+  it('should store file entries', async function() {
+    const store = new jsonld.FileCacheStore({
+      directory: path.join(_directory, 'nested')
+    });
+    assert.equal(await store.get(_url), null);
+    await store.set(_url, {value: 1});
+    assert.deepEqual(await store.get(_url), {value: 1});
+    await store.delete(_url);
+    assert.equal(await store.get(_url), null);
+    await store.set(_url, {value: 2});
+    await store.clear();
+    assert.equal(await store.get(_url), null);
+  });
+
+  it('should keep file entries across restarts and offline', async function() {
+    const documentLoader = _mockLoader({
+      headers: {'cache-control': 'max-age=60'}
+    });
+    const now = _clock();
+    let loader = jsonld.documentLoaders.cache({
+      documentLoader,
+      now,
+      store: new jsonld.FileCacheStore({directory: _directory})
+    });
+    await loader(_url);
+
+    // new store and loader, as after a restart, with no network
+    now.advance(3600);
+    const offline = _mockLoader(new Error('offline'));
+    loader = jsonld.documentLoaders.cache({
+      documentLoader: offline,
+      now,
+      store: new jsonld.FileCacheStore({directory: _directory})
+    });
+    const remoteDoc = await loader(_url);
+    assert.deepEqual(remoteDoc.document, _document);
+    assert.equal(offline.requests.length, 1);
+  });
+});
+
+describe('cache document loader with the node document loader', function() {
+  let _server;
+
+  before(async function() {
+    _server = await remoteContextServer.listen();
+  });
+
+  after(function() {
+    _server.close();
+  });
+
+  it('should revalidate with conditional requests', async function() {
+    const url =
+      `http://localhost:${remoteContextServer.port}/context-1.jsonld`;
+    const nodeLoader = jsonld.documentLoaders.node();
+    const responses = [];
+    const documentLoader = async (url, options) => {
+      const remoteDoc = await nodeLoader(url, options);
+      responses.push(remoteDoc);
+      return remoteDoc;
+    };
+    const loader = jsonld.documentLoaders.cache({documentLoader});
+
+    const first = await loader(url);
+    // static files are served with `max-age=0`, always revalidated
+    const second = await loader(url);
+    assert.deepEqual(first, second);
+    assert.deepEqual(second.document, {
+      '@context': {term1: 'http://example.org/term1'}
+    });
+    assert.equal(responses.length, 2);
+    assert.ok(responses[0].headers.etag);
+    assert.equal(responses[1].notModified, true);
+    assert.equal(responses[1].document, null);
+  });
+});
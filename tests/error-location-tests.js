@@ -0,0 +1,108 @@
+/**
+ * Tests for the location of the data that caused an error.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+// assert that a promise rejects with an error with the given details
+async function _assertLocation(promise, {code, ...location}) {
+  await assert.rejects(promise, e => {
+    assert.equal(e.details.code, code);
+    for(const key in location) {
+      assert.deepEqual(e.details[key], location[key]);
+    }
+    return true;
+  });
+}
+
+describe('error locations', function() {
+  it('should locate expansion errors', async function() {
+    await _assertLocation(jsonld.expand({
+      '@context': {knows: 'http://schema.org/knows'},
+      '@id': 'http://example.org/a',
+      knows: [{knows: {'@id': 5}}]
+    }), {
+      code: 'invalid @id value',
+      path: '/knows/0/knows',
+      activePropertyChain: ['knows', 'knows']
+    });
+  });
+
+  it('should locate errors in remote contexts', async function() {
+    const documentLoader = async url => ({
+      contextUrl: null,
+      documentUrl: url,
+      document: {'@context': {bad: {'@id': 5}}}
+    });
+    await _assertLocation(jsonld.expand({
+      '@context': {knows: 'http://schema.org/knows'},
+      knows: {
+        '@context': 'https://example.org/context.jsonld',
+        'http://schema.org/name': 'Bob'
+      }
+    }, {documentLoader}), {
+      code: 'invalid IRI mapping',
+      path: '/knows/@context',
+      activePropertyChain: ['knows'],
+      term: 'bad',
+      contextUrl: 'https://example.org/context.jsonld'
+    });
+  });
+
+  it('should locate errors in local contexts', async function() {
+    await _assertLocation(jsonld.expand({
+      '@context': {'@vocab': 'http://schema.org/', name: {'@type': 5}},
+      name: 'Alice'
+    }), {
+      code: 'invalid type mapping',
+      path: '/@context',
+      term: 'name',
+      contextUrl: undefined
+    });
+  });
+
+  it('should locate compaction errors', async function() {
+    await _assertLocation(jsonld.compact([{
+      '@id': 'http://example.org/a',
+      'http://example.org/q': [{
+        'http://example.org/p': [{'@value': 'v'}]
+      }]
+    }], {
+      q: 'http://example.org/q',
+      p: {'@id': 'http://example.org/p', '@nest': 'nested'}
+    }), {
+      code: 'invalid @nest value',
+      path: '/0/http:~1~1example.org~1q/0',
+      activePropertyChain: ['q']
+    });
+  });
+
+  it('should locate framing errors', async function() {
+    await _assertLocation(jsonld.frame({
+      '@id': 'http://example.org/a',
+      '@type': 'http://example.org/T',
+      'http://example.org/p': {'@id': 'http://example.org/b'}
+    }, {
+      '@type': 'http://example.org/T',
+      'http://example.org/p': {'@embed': '@invalid'}
+    }), {
+      code: 'invalid @embed value',
+      path: '/0/http:~1~1example.org~1p',
+      activePropertyChain: ['http://example.org/p']
+    });
+  });
+
+  it('should describe the location in toString', async function() {
+    await assert.rejects(jsonld.expand({
+      '@context': {knows: 'http://schema.org/knows'},
+      knows: {'@id': 5}
+    }), e => {
+      assert.equal(String(e),
+        'jsonld.SyntaxError: Invalid JSON-LD syntax; "@id" value must a ' +
+        'string.\n' +
+        '  at path: /knows\n' +
+        '  active properties: knows');
+      return true;
+    });
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Tests for processing events.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+describe('events', function() {
+  afterEach(function() {
+    jsonld.setDefaultEventHandler({eventHandler: jsonld.defaultEventHandler});
+  });
+
+  it('should pass events to a handler function', async function() {
+    const events = [];
+    await jsonld.expand({
+      '@context': {name: 'http://schema.org/name'},
+      '@id': 'http://example.org/a',
+      name: 'Alice',
+      nickname: 'alice'
+    }, {
+      eventHandler: ({event}) => events.push(event)
+    });
+    assert.equal(events.length, 1);
+    assert.deepEqual(events[0], {
+      type: 'dropped property',
+      code: 'invalid property',
+      level: 'warning',
+      message: 'the property "nickname" does not expand to an absolute IRI ' +
+        'or a keyword and is dropped.',
+      path: '/nickname',
+      details: {
+        property: 'nickname',
+        expandedProperty: 'nickname',
+        value: 'alice'
+      }
+    });
+  });
+
+  it('should pass events on with next()', async function() {
+    const first = [];
+    const second = [];
+    await jsonld.expand({
+      '@id': 'http://example.org/a',
+      nickname: 'alice',
+      'http://example.org/p': null
+    }, {
+      eventHandler: [
+        ({event, next}) => {
+          first.push(event.code);
+          next();
+        },
+        ({event}) => second.push(event.code)
+      ]
+    });
+    assert.deepEqual(first, ['invalid property', 'object with only @id']);
+    assert.deepEqual(second, first);
+  });
+
+  it('should select handlers by code or type', async function() {
+    const byCode = [];
+    const byType = [];
+    await jsonld.expand({
+      '@graph': ['scalar', {'@id': 'http://example.org/a', nickname: 'a'}]
+    }, {
+      eventHandler: {
+        'free-floating scalar': ({event}) => byCode.push(event.path),
+        'dropped value': ({event}) => byType.push(event.path)
+      }
+    });
+    assert.deepEqual(byCode, ['/@graph/0']);
+    assert.deepEqual(byType, ['/@graph/1']);
+  });
+
+  it('should throw from the strict event handler', async function() {
+    await assert.rejects(jsonld.expand({
+      '@context': {'@base': 'http://example.org/'},
+      '@id': 'a'
+    }, {eventHandler: jsonld.strictEventHandler}), e => {
+      assert.equal(e.name, 'jsonld.ValidationError');
+      assert.equal(e.details.code, 'relative IRI resolved');
+      assert.equal(e.details.event.level, 'info');
+      return true;
+    });
+  });
+
+  it('should throw for unhandled events', async function() {
+    const handled = [];
+    await assert.rejects(jsonld.expand({
+      '@id': 'http://example.org/a',
+      'http://example.org/p': 'value',
+      nickname: 'alice'
+    }, {
+      eventHandler: [
+        {'relative IRI': ({event}) => handled.push(event.code)},
+        jsonld.unhandledEventHandler
+      ]
+    }), e => {
+      assert.equal(e.name, 'jsonld.UnhandledEvent');
+      assert.equal(e.details.code, 'invalid property');
+      return true;
+    });
+  });
+
+  it('should emit prefix collision events', async function() {
+    const events = [];
+    await jsonld.expand({
+      '@context': {
+        ex: 'http://example.org/',
+        schema: {'@id': 'http://schema.org/', '@prefix': false},
+        '@vocab': 'http://example.org/vocab#'
+      },
+      '@id': 'http://example.org/a',
+      'schema:name': 'Alice',
+      'ex:name': 'Alice'
+    }, {
+      eventHandler: ({event}) => events.push(event)
+    });
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'prefix collision');
+    assert.equal(events[0].code, 'invalid prefix');
+    assert.equal(events[0].path, '/schema:name');
+  });
+
+  it('should emit protected term redefinition warnings', async function() {
+    const events = [];
+    const expanded = await jsonld.expand({
+      '@context': [
+        {name: {'@id': 'http://schema.org/name', '@protected': true}},
+        {name: 'http://example.org/name'}
+      ],
+      '@id': 'http://example.org/a',
+      name: 'Alice'
+    }, {
+      protectedMode: 'warn',
+      eventHandler: ({event}) => events.push(event)
+    });
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'term redefinition');
+    assert.equal(events[0].code, 'protected term redefinition');
+    assert.deepEqual(expanded, [{
+      '@id': 'http://example.org/a',
+      'http://example.org/name': [{'@value': 'Alice'}]
+    }]);
+  });
+
+  it('should emit events when converting from RDF', async function() {
+    const codes = [];
+    await jsonld.fromRDF([{
+      subject: {termType: 'NamedNode', value: 'http://example.org/a'},
+      predicate: {termType: 'NamedNode', value: 'http://example.org/p'},
+      object: {
+        termType: 'Literal',
+        value: 'v',
+        datatype: {
+          termType: 'NamedNode',
+          value: 'https://www.w3.org/ns/i18n#e!n_rtl'
+        }
+      },
+      graph: {termType: 'DefaultGraph', value: ''}
+    }], {
+      rdfDirection: 'i18n-datatype',
+      eventHandler: ({event}) => codes.push(event.code)
+    });
+    assert.deepEqual(codes, ['invalid @language value']);
+  });
+
+  it('should use the default event handler', async function() {
+    const codes = [];
+    jsonld.setDefaultEventHandler({
+      eventHandler: ({event}) => codes.push(event.code)
+    });
+    await jsonld.expand({
+      '@id': 'http://example.org/a',
+      nickname: 'alice'
+    }, {
+      eventHandler: ({event, next}) => {
+        if(event.code !== 'invalid property') {
+          next();
+        }
+      }
+    });
+    assert.deepEqual(codes, ['object with only @id']);
+  });
+
+  it('should reject invalid event handlers', async function() {
+    await assert.rejects(jsonld.expand({
+      '@id': 'http://example.org/a',
+      nickname: 'alice'
+    }, {eventHandler: 'log'}), e => {
+      assert.equal(e.name, 'jsonld.InvalidEventHandler');
+      return true;
+    });
+  });
+
+  it('should call the deprecated map options', async function() {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    try {
+      const infos = [];
+      const codes = [];
+      const expansionMap = info => {
+        if(info.unmappedProperty) {
+          infos.push({unmappedProperty: info.unmappedProperty});
+          // map the dropped property
+          return 'http://example.org/nickname';
+        }
+        if(info.prependedIri) {
+          infos.push({prependedIri: info.prependedIri});
+        }
+        if(info.relativeIri === 'b') {
+          infos.push({relativeIri: info.relativeIri});
+        }
+      };
+      const expanded = await jsonld.expand({
+        '@context': {'@base': 'http://example.org/'},
+        '@id': 'a',
+        'http://example.org/p': {'@context': {'@base': null}, '@id': 'b'},
+        nickname: 'alice'
+      }, {
+        expansionMap,
+        eventHandler: ({event}) => codes.push(event.code)
+      });
+      assert.deepEqual(expanded, [{
+        '@id': 'http://example.org/a',
+        'http://example.org/nickname': [{'@value': 'alice'}],
+        'http://example.org/p': [{'@id': 'b'}]
+      }]);
+      assert.deepEqual(infos, [{
+        prependedIri: {
+          type: '@base',
+          base: 'http://example.org/',
+          value: 'a',
+          result: 'http://example.org/a',
+          typeExpansion: false
+        }
+      }, {
+        prependedIri: {
+          type: '@base',
+          base: null,
+          value: 'b',
+          result: 'b',
+          typeExpansion: false
+        }
+      }, {
+        relativeIri: 'b'
+      }, {
+        unmappedProperty: 'nickname'
+      }]);
+      // mapped properties are not dropped
+      assert.deepEqual(codes, [
+        'relative IRI resolved', 'relative @id reference'
+      ]);
+
+      const compacted = await jsonld.compact([{
+        '@id': 'http://example.org/a',
+        'http://example.org/data': [{
+          '@list': [{'@value': null, '@type': '@json'}]
+        }]
+      }], {
+        data: {'@id': 'http://example.org/data', '@type': '@json'}
+      }, {
+        compactionMap: ({unmappedValue}) => unmappedValue['@type']
+      });
+      assert.deepEqual(compacted.data, {
+        '@list': ['@json']
+      });
+
+      // deprecation warnings are logged once
+      await jsonld.expand({}, {expansionMap});
+      assert.equal(warnings.length, 2);
+    } finally {
+      console.warn = warn;
+    }
+  });
+});
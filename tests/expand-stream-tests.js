@@ -0,0 +1,151 @@
+/**
+ * Tests for streaming JSON-LD expansion.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+const DOC = {
+  '@context': {
+    ex: 'http://example.org/',
+    items: '@graph',
+    name: 'ex:name'
+  },
+  items: [
+    {'@id': 'ex:a', name: 'A', 'ex:knows': {'@id': '_:b'}},
+    'dropped',
+    {'@id': '_:b', name: ['B', {'@value': 'Bé', '@language': 'fr'}]},
+    {'@id': 'ex:g', '@graph': {'@id': 'ex:c', name: 'C'}}
+  ]
+};
+
+// split a string into chunks of the given size
+function _chunk(string, size) {
+  const chunks = [];
+  for(let i = 0; i < string.length; i += size) {
+    chunks.push(string.slice(i, i + size));
+  }
+  return chunks;
+}
+
+async function _collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('expandStream', function() {
+  it('should expand the same nodes as expand', async function() {
+    const expanded = await jsonld.expand(DOC);
+    const text = JSON.stringify(DOC, null, 2);
+    for(const size of [1, 3, 16, text.length]) {
+      assert.deepEqual(
+        await _collect(jsonld.expandStream(_chunk(text, size))), expanded);
+    }
+    const bytes = _chunk(Buffer.from(text), 7);
+    assert.deepEqual(await _collect(jsonld.expandStream(bytes)), expanded);
+  });
+
+  it('should read strings that span chunks', async function() {
+    const doc = {
+      '@id': 'http://example.org/a',
+      'http://example.org/name': 'a "quoted"\\ name\n\u0001 é '.repeat(20)
+    };
+    const expanded = await jsonld.expand(doc);
+    const text = JSON.stringify(doc);
+    for(const size of [1, 2, 5, 7, 64]) {
+      assert.deepEqual(
+        await _collect(jsonld.expandStream(_chunk(text, size))), expanded);
+    }
+    await assert.rejects(
+      _collect(jsonld.expandStream(['{"@id": "a', '\\u00', 'x"}'])), e => {
+        assert.equal(e.message,
+          'JSON parse error on line 1, column 11; invalid string.');
+        return true;
+      });
+    await assert.rejects(
+      _collect(jsonld.expandStream(['{"@id": "a"\n "', 'b"\n}\n\n'])), e => {
+        assert.equal(e.message,
+          'JSON parse error on line 2, column 2; expected "," or the end ' +
+          'of the object.');
+        return true;
+      });
+  });
+
+  it('should output each element of @graph once it is read', async function() {
+    const text = JSON.stringify(DOC);
+    const chunks = _chunk(text, 10);
+    let read = 0;
+    async function* input() {
+      for(const chunk of chunks) {
+        read++;
+        yield chunk;
+      }
+    }
+    for await (const node of jsonld.expandStream(input())) {
+      assert.equal(node['@id'], 'http://example.org/a');
+      break;
+    }
+    // only the chunks up to the end of the first element are read
+    assert.equal(read, Math.floor(text.indexOf(',"dropped"') / 10) + 1);
+  });
+
+  it('should expand top-level arrays and objects', async function() {
+    const array = [
+      {'@context': {ex: 'http://example.org/'}, '@id': 'ex:a', 'ex:p': 1},
+      {'@id': 'http://example.org/b', 'http://example.org/p': 2}
+    ];
+    assert.deepEqual(
+      await _collect(jsonld.expandStream([JSON.stringify(array)])),
+      await jsonld.expand(array));
+    // a named graph is expanded once it is read
+    const object = {
+      '@id': 'http://example.org/g',
+      '@graph': [{'@id': 'http://example.org/a', 'http://example.org/p': 1}]
+    };
+    assert.deepEqual(
+      await _collect(jsonld.expandStream([JSON.stringify(object)])),
+      await jsonld.expand(object));
+  });
+
+  it('should reject @context after streamed data', async function() {
+    const input = '{"@graph": [{"@id": "http://example.org/a"}],\n' +
+      ' "@context": {"ex": "http://example.org/"}}';
+    await assert.rejects(_collect(jsonld.expandStream([input])), e => {
+      assert.equal(e.name, 'jsonld.StreamingError');
+      assert.deepEqual(e.details,
+        {code: 'context after data', key: '@context', path: '/@context'});
+      return true;
+    });
+  });
+
+  it('should report the line and column of JSON errors', async function() {
+    await assert.rejects(
+      _collect(jsonld.expandStream(['[\n  {"@id": "ex:a"', ' "ex:p": 1}\n]'])),
+      e => {
+        assert.equal(e.name, 'jsonld.SyntaxError');
+        assert.equal(e.message,
+          'JSON parse error on line 2, column 18; expected "," or the end ' +
+          'of the object.');
+        assert.deepEqual(
+          e.details, {code: 'invalid JSON', line: 2, column: 18});
+        return true;
+      });
+    await assert.rejects(
+      _collect(jsonld.expandStream(['{"@graph": ['])), e => {
+        assert.equal(e.details.code, 'invalid JSON');
+        return true;
+      });
+  });
+
+  it('should stream the quads of a document to toRDFStream', async function() {
+    async function* input() {
+      yield* _chunk(JSON.stringify(DOC), 8);
+    }
+    const lines = await _collect(
+      jsonld.toRDFStream(input(), {format: 'application/n-quads'}));
+    assert.equal(lines.sort().join(''),
+      await jsonld.toRDF(DOC, {format: 'application/n-quads'}));
+  });
+});
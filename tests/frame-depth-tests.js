@@ -0,0 +1,97 @@
+/**
+ * Tests for the depth of embedding in framing.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+const CONTEXT = {'@vocab': 'http://example.org/'};
+
+// a chain of nodes n0 -> n1 -> n2 -> n3
+const DOC = {
+  '@context': CONTEXT,
+  '@graph': [0, 1, 2, 3].map(i => ({
+    '@id': `http://example.org/n${i}`,
+    name: `n${i}`,
+    ...(i < 3 ? {next: {'@id': `http://example.org/n${i + 1}`}} : {})
+  }))
+};
+
+// gets the ids of the embedded nodes in a chain, and the reference it ends
+// with, if any
+function _chain(node, reverse = false) {
+  const ids = [];
+  while(node) {
+    ids.push(node.name ? node['@id'] : `ref ${node['@id']}`);
+    node = reverse ? (node['@reverse'] || {}).next : node.next;
+  }
+  return ids;
+}
+
+describe('frame depth', function() {
+  it('should embed up to maxDepth', async function() {
+    const frame = {
+      '@context': CONTEXT,
+      '@id': 'http://example.org/n0',
+      '@embed': '@always'
+    };
+    assert.deepEqual(_chain(await jsonld.frame(DOC, frame)), [
+      'http://example.org/n0', 'http://example.org/n1',
+      'http://example.org/n2', 'http://example.org/n3'
+    ]);
+    assert.deepEqual(_chain(await jsonld.frame(DOC, frame, {maxDepth: 1})), [
+      'http://example.org/n0', 'http://example.org/n1',
+      'ref http://example.org/n2'
+    ]);
+    assert.deepEqual(_chain(await jsonld.frame(DOC, frame, {maxDepth: 0})), [
+      'http://example.org/n0', 'ref http://example.org/n1'
+    ]);
+  });
+
+  it('should cap the depth below a frame with @depth', async function() {
+    const framed = await jsonld.frame(DOC, {
+      '@context': CONTEXT,
+      '@id': 'http://example.org/n0',
+      '@embed': '@always',
+      next: {'@depth': 1}
+    });
+    assert.deepEqual(_chain(framed), [
+      'http://example.org/n0', 'http://example.org/n1',
+      'http://example.org/n2', 'ref http://example.org/n3'
+    ]);
+    // maxDepth still applies
+    const capped = await jsonld.frame(DOC, {
+      '@context': CONTEXT,
+      '@id': 'http://example.org/n0',
+      '@embed': '@always',
+      '@depth': 5
+    }, {maxDepth: 1});
+    assert.deepEqual(_chain(capped), [
+      'http://example.org/n0', 'http://example.org/n1',
+      'ref http://example.org/n2'
+    ]);
+  });
+
+  it('should cap the depth of reverse embedding', async function() {
+    const framed = await jsonld.frame(DOC, {
+      '@context': CONTEXT,
+      '@id': 'http://example.org/n3',
+      '@depth': 2,
+      '@reverse': {next: {'@reverse': {next: {'@reverse': {next: {}}}}}}
+    });
+    assert.deepEqual(_chain(framed, true), [
+      'http://example.org/n3', 'http://example.org/n2',
+      'http://example.org/n1', 'ref http://example.org/n0'
+    ]);
+  });
+
+  it('should reject an invalid @depth', async function() {
+    await assert.rejects(jsonld.frame(DOC, {
+      '@context': CONTEXT,
+      '@depth': -1
+    }), err => {
+      assert.equal(err.name, 'jsonld.SyntaxError');
+      assert.equal(err.details.code, 'invalid frame');
+      return true;
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for sorting and paging framed output.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+const CONTEXT = {'@vocab': 'http://example.org/'};
+
+const DOC = {
+  '@context': CONTEXT,
+  '@graph': [{
+    '@id': 'http://example.org/shelf',
+    '@type': 'Shelf',
+    holds: [
+      {'@id': 'http://example.org/d'},
+      {'@id': 'http://example.org/c'},
+      {'@id': 'http://example.org/b'},
+      {'@id': 'http://example.org/a'}
+    ]
+  }, {
+    '@id': 'http://example.org/a',
+    '@type': 'Book',
+    price: 10,
+    title: 'Delta'
+  }, {
+    '@id': 'http://example.org/b',
+    '@type': 'Book',
+    price: '25',
+    title: 'Beta'
+  }, {
+    '@id': 'http://example.org/c',
+    '@type': 'Book',
+    price: 10,
+    title: 'Gamma'
+  }, {
+    '@id': 'http://example.org/d',
+    '@type': 'Book',
+    title: 'Alpha'
+  }]
+};
+
+// frames the document and gets the ids of the top-level nodes
+async function _ids(frame) {
+  const framed = await jsonld.frame(
+    DOC, {'@context': CONTEXT, '@type': 'Book', ...frame}, {omitGraph: false});
+  return framed['@graph'].map(node => node['@id']);
+}
+
+describe('frame sorting and paging', function() {
+  it('should sort matches by a property', async function() {
+    assert.deepEqual(await _ids({'@sort': 'title'}), [
+      'http://example.org/d', 'http://example.org/b',
+      'http://example.org/a', 'http://example.org/c'
+    ]);
+    // ties are sorted by @id, nodes without a value come last
+    assert.deepEqual(await _ids({'@sort': {price: 'descending'}}), [
+      'http://example.org/b', 'http://example.org/a',
+      'http://example.org/c', 'http://example.org/d'
+    ]);
+    assert.deepEqual(await _ids({
+      '@sort': [{price: 'ascending'}, {title: 'descending'}]
+    }), [
+      'http://example.org/c', 'http://example.org/a',
+      'http://example.org/b', 'http://example.org/d'
+    ]);
+  });
+
+  it('should page matches with limit and offset', async function() {
+    const pages = [];
+    for(let offset = 0; offset < 4; offset += 3) {
+      pages.push(
+        await _ids({'@sort': 'title', '@offset': offset, '@limit': 3}));
+    }
+    assert.deepEqual(pages, [[
+      'http://example.org/d', 'http://example.org/b', 'http://example.org/a'
+    ], [
+      'http://example.org/c'
+    ]]);
+    assert.deepEqual(await _ids({'@limit': 0}), []);
+    assert.deepEqual(await _ids({'@offset': 5}), []);
+  });
+
+  it('should sort and page embedded nodes', async function() {
+    const framed = await jsonld.frame(DOC, {
+      '@context': CONTEXT,
+      '@type': 'Shelf',
+      holds: {'@sort': 'title', '@offset': 1, '@limit': 2, '@explicit': true}
+    });
+    assert.deepEqual(framed.holds, [
+      {'@id': 'http://example.org/b', '@type': 'Book'},
+      {'@id': 'http://example.org/a', '@type': 'Book'}
+    ]);
+
+    const reverse = await jsonld.frame(DOC, {
+      '@context': CONTEXT,
+      '@id': 'http://example.org/a',
+      '@reverse': {holds: {'@limit': 1, '@explicit': true}}
+    });
+    assert.deepEqual(reverse['@reverse'], {
+      holds: {'@id': 'http://example.org/shelf', '@type': 'Shelf'}
+    });
+  });
+
+  it('should reject invalid sorting and paging', async function() {
+    const invalid = [
+      {'@limit': -1},
+      {'@offset': 1.5},
+      {'@sort': {title: 'up'}},
+      {'@sort': 5}
+    ];
+    for(const frame of invalid) {
+      await assert.rejects(_ids(frame), err => {
+        assert.equal(err.name, 'jsonld.SyntaxError');
+        assert.equal(err.details.code, 'invalid frame');
+        return true;
+      });
+    }
+  });
+});
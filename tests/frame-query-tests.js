@@ -0,0 +1,140 @@
+/**
+ * Tests for the framing query extensions.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+const CONTEXT = {
+  '@vocab': 'http://example.org/',
+  date: {'@type': 'http://www.w3.org/2001/XMLSchema#date'}
+};
+
+const DOC = {
+  '@context': CONTEXT,
+  '@graph': [{
+    '@id': 'http://example.org/a',
+    '@type': 'Book',
+    price: 10,
+    title: 'Alpha',
+    date: '2020-01-01',
+    status: 'active'
+  }, {
+    '@id': 'http://example.org/b',
+    '@type': 'Book',
+    price: 25,
+    title: 'Beta',
+    date: '2021-06-01',
+    status: 'deleted'
+  }, {
+    '@id': 'http://example.org/c',
+    '@type': 'Film',
+    price: '5',
+    title: 'Gamma',
+    date: '2022-03-01T10:00:00+02:00',
+    status: 'active'
+  }]
+};
+
+// frames the document and gets the ids of the matching nodes
+async function _match(frame, options = {queryExtensions: true}) {
+  const framed = await jsonld.frame(DOC, {'@context': CONTEXT, ...frame}, {
+    omitGraph: false,
+    ...options
+  });
+  return framed['@graph'].map(node => node['@id']);
+}
+
+describe('framing query extensions', function() {
+  it('should match ranges of numbers and dates', async function() {
+    assert.deepEqual(await _match({price: {'@gt': 5}}), [
+      'http://example.org/a', 'http://example.org/b'
+    ]);
+    assert.deepEqual(await _match({price: {'@gte': 5, '@lte': 10}}), [
+      'http://example.org/a', 'http://example.org/c'
+    ]);
+    // the dateTime is compared in UTC
+    assert.deepEqual(await _match({date: {'@gte': '2021-06-01'}}), [
+      'http://example.org/b', 'http://example.org/c'
+    ]);
+    assert.deepEqual(
+      await _match({date: {'@lt': '2022-03-01T08:30:00Z'}}), [
+        'http://example.org/a', 'http://example.org/b',
+        'http://example.org/c'
+      ]);
+    // string bounds compare other strings by code points
+    assert.deepEqual(await _match({title: {'@lt': 'Beta'}}), [
+      'http://example.org/a'
+    ]);
+  });
+
+  it('should match string prefixes and regexes', async function() {
+    assert.deepEqual(await _match({title: {'@startsWith': 'Ga'}}), [
+      'http://example.org/c'
+    ]);
+    assert.deepEqual(await _match({title: {'@regex': '^[AB]'}}), [
+      'http://example.org/a', 'http://example.org/b'
+    ]);
+    assert.deepEqual(await _match({title: {'@regex': '/^g/i'}}), [
+      'http://example.org/c'
+    ]);
+    // value conditions do not match nodes
+    assert.deepEqual(await _match({'@regex': '.*'}), []);
+  });
+
+  it('should negate and combine frames', async function() {
+    assert.deepEqual(await _match({status: {'@not': 'deleted'}}), [
+      'http://example.org/a', 'http://example.org/c'
+    ]);
+    assert.deepEqual(await _match({'@not': {'@type': 'Film'}}), [
+      'http://example.org/a', 'http://example.org/b'
+    ]);
+    assert.deepEqual(await _match({
+      '@or': [{'@type': 'Film'}, {price: {'@gt': 20}}]
+    }), ['http://example.org/b', 'http://example.org/c']);
+    assert.deepEqual(await _match({
+      '@type': 'Book',
+      '@and': [{status: 'active'}, {title: {'@not': {'@startsWith': 'B'}}}]
+    }), ['http://example.org/a']);
+  });
+
+  it('should output only matching values', async function() {
+    const framed = await jsonld.frame({
+      '@context': CONTEXT,
+      '@id': 'http://example.org/a',
+      price: [5, 10, 15]
+    }, {
+      '@context': CONTEXT,
+      price: {'@gt': 7}
+    }, {queryExtensions: true});
+    assert.deepEqual(framed.price, [10, 15]);
+  });
+
+  it('should ignore query keywords by default', async function() {
+    assert.deepEqual(await _match({price: {'@gt': 20}}, {}), [
+      'http://example.org/a', 'http://example.org/b',
+      'http://example.org/c'
+    ]);
+    const expanded = await jsonld.expand(
+      {'@context': CONTEXT, price: {'@gt': 20}}, {queryExtensions: true});
+    // only frames keep them
+    assert.deepEqual(expanded, [{'http://example.org/price': [{}]}]);
+  });
+
+  it('should reject invalid query keywords', async function() {
+    const invalid = [
+      {title: {'@regex': '('}},
+      {title: {'@regex': '/^a/g'}},
+      {title: {'@regex': '/^a/y'}},
+      {title: {'@startsWith': 5}},
+      {price: {'@gt': true}},
+      {'@not': 'Book'}
+    ];
+    for(const frame of invalid) {
+      await assert.rejects(_match(frame), err => {
+        assert.equal(err.name, 'jsonld.SyntaxError');
+        assert.equal(err.details.code, 'invalid frame');
+        return true;
+      });
+    }
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Tests for jsonld.FramingIndex.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+const CONTEXT = {'@vocab': 'http://example.org/'};
+
+const DOC = {
+  '@context': CONTEXT,
+  '@graph': [{
+    '@id': 'http://example.org/a',
+    '@type': 'Book',
+    title: 'A',
+    author: {'@id': 'http://example.org/p'}
+  }, {
+    '@id': 'http://example.org/b',
+    '@type': 'Book',
+    title: 'B',
+    author: {name: 'Anonymous'}
+  }, {
+    '@id': 'http://example.org/p',
+    '@type': 'Person',
+    name: 'P'
+  }, {
+    '@id': 'http://example.org/g',
+    '@graph': {'@id': 'http://example.org/a', note: 'in g'}
+  }]
+};
+
+const FRAMES = [
+  {'@type': 'Book'},
+  {'@type': 'Person', '@reverse': {author: {}}},
+  {'@requireAll': true, title: {}, author: {name: {}}},
+  {'@id': 'http://example.org/p', '@type': 'Book'},
+  {'@graph': {'@type': 'Book'}},
+  {'@type': 'Book', '@sort': {title: 'descending'}, '@limit': 1}
+];
+
+// gets the ids of the top-level nodes framed with a frame of types
+async function _ids(input, types) {
+  const framed = await jsonld.frame(input, {
+    '@context': CONTEXT,
+    '@type': types,
+    '@explicit': true
+  }, {omitGraph: false});
+  return framed['@graph'].map(node => node['@id']);
+}
+
+describe('jsonld.FramingIndex', function() {
+  it('should frame like the indexed input', async function() {
+    const index = await jsonld.createFramingIndex(DOC);
+    for(const frame of FRAMES) {
+      const expected =
+        await jsonld.frame(DOC, {'@context': CONTEXT, ...frame});
+      // framing does not change the index
+      for(let i = 0; i < 2; ++i) {
+        assert.deepEqual(
+          await jsonld.frame(index, {'@context': CONTEXT, ...frame}),
+          expected);
+      }
+    }
+  });
+
+  it('should expose the node map and indexes', async function() {
+    const index = await jsonld.createFramingIndex(DOC);
+    assert.deepEqual(Object.keys(index.graphMap).sort(), [
+      '@default', '@merged', 'http://example.org/g'
+    ]);
+    const node = index.graphMap['@merged']['http://example.org/a'];
+    assert.deepEqual(node['http://example.org/note'], [{'@value': 'in g'}]);
+    assert.deepEqual([...index.typeIndex.get('http://example.org/Book')], [
+      'http://example.org/a', 'http://example.org/b'
+    ]);
+    assert.deepEqual(
+      [...index.propertyIndex.get('http://example.org/name')].sort(),
+      ['_:b0', 'http://example.org/p']);
+  });
+
+  it('should add and remove nodes', async function() {
+    const index = new jsonld.FramingIndex(await jsonld.expand(DOC));
+    assert.deepEqual(index.add(await jsonld.expand({
+      '@context': CONTEXT,
+      '@id': 'http://example.org/c',
+      '@type': 'Book',
+      author: {name: 'Anonymous'}
+    })), ['_:b1', 'http://example.org/c']);
+    assert.deepEqual(await _ids(index, 'Book'), [
+      'http://example.org/a', 'http://example.org/b', 'http://example.org/c'
+    ]);
+
+    // merge a type into a node
+    index.add([{
+      '@id': 'http://example.org/p',
+      '@type': ['http://example.org/Book']
+    }]);
+    assert.deepEqual(await _ids(index, 'Person'), ['http://example.org/p']);
+    assert.equal(
+      index.typeIndex.get('http://example.org/Book').has(
+        'http://example.org/p'), true);
+
+    assert.deepEqual(index.remove([
+      'http://example.org/a', 'http://example.org/p', 'http://example.org/x'
+    ]), ['http://example.org/a', 'http://example.org/p']);
+    assert.deepEqual(await _ids(index, 'Book'), [
+      'http://example.org/b', 'http://example.org/c'
+    ]);
+    assert.equal(index.typeIndex.has('http://example.org/Person'), false);
+    assert.equal(
+      'http://example.org/a' in index.graphMap['http://example.org/g'], false);
+
+    // reverse framing sees the changes
+    const framed = await jsonld.frame(index, {
+      '@context': CONTEXT,
+      name: 'Anonymous',
+      '@reverse': {author: {'@explicit': true}}
+    }, {omitGraph: false});
+    assert.deepEqual(framed['@graph'].map(node => node['@reverse'].author), [
+      {'@id': 'http://example.org/b', '@type': 'Book'},
+      {'@id': 'http://example.org/c', '@type': 'Book'}
+    ]);
+  });
+
+  it('should frame nodes that reference removed nodes', async function() {
+    const index = await jsonld.createFramingIndex(DOC);
+    assert.deepEqual(index.remove('http://example.org/p'),
+      ['http://example.org/p']);
+    // the referenced node is kept with only its id
+    assert.deepEqual(index.graphMap['@merged']['http://example.org/p'],
+      {'@id': 'http://example.org/p'});
+    assert.equal(index.typeIndex.has('http://example.org/Person'), false);
+
+    const doc = {
+      ...DOC,
+      '@graph': DOC['@graph'].filter(
+        node => node['@id'] !== 'http://example.org/p')
+    };
+    for(const frame of FRAMES) {
+      assert.deepEqual(
+        await jsonld.frame(index, {'@context': CONTEXT, ...frame}),
+        await jsonld.frame(doc, {'@context': CONTEXT, ...frame}));
+    }
+
+    // unreferenced nodes are removed
+    index.remove(['http://example.org/a', 'http://example.org/p']);
+    assert.equal('http://example.org/p' in index.graphMap['@merged'], false);
+  });
+});
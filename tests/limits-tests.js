@@ -0,0 +1,213 @@
+/**
+ * Tests for processing limits.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+// assert that a promise rejects because a limit was exceeded
+async function _assertExceeded(promise, {code, limit, max}) {
+  await assert.rejects(promise, e => {
+    assert.equal(e.details.code, code);
+    assert.equal(e.details.limit, limit);
+    assert.equal(e.details.max, max);
+    return true;
+  });
+}
+
+// a document loader of contexts that each import the next one
+function _chainLoader() {
+  const loader = async url => {
+    loader.requests.push(url);
+    const n = parseInt(url.split('/').pop(), 10);
+    return {
+      contextUrl: null,
+      documentUrl: url,
+      document: {
+        '@context': [`https://example.com/context/${n + 1}`, {
+          [`term${n}`]: `http://example.org/term${n}`
+        }]
+      }
+    };
+  };
+  loader.requests = [];
+  return loader;
+}
+
+// a nested document `depth` objects deep
+function _nested(depth) {
+  let doc = {'http://example.org/p': 'value'};
+  for(let i = 1; i < depth; ++i) {
+    doc = {'http://example.org/p': doc};
+  }
+  return doc;
+}
+
+describe('processing limits', function() {
+  it('should reject unknown and invalid limits', async function() {
+    await assert.rejects(
+      jsonld.expand({}, {limits: {maxTerms: 1}}), TypeError);
+    await assert.rejects(
+      jsonld.expand({}, {limits: {maxDepth: -1}}), TypeError);
+    await assert.rejects(
+      jsonld.expand({}, {limits: {maxDepth: '1'}}), TypeError);
+  });
+
+  describe('maxRemoteContexts', function() {
+    it('should limit remote contexts by default', async function() {
+      const documentLoader = _chainLoader();
+      await _assertExceeded(jsonld.expand(
+        {'@context': 'https://example.com/context/1'}, {documentLoader}),
+      {code: 'context overflow', limit: 'maxRemoteContexts', max: 11});
+      assert.equal(documentLoader.requests.length, 11);
+    });
+
+    it('should use the given limit', async function() {
+      const documentLoader = _chainLoader();
+      await _assertExceeded(jsonld.expand(
+        {'@context': 'https://example.com/context/1'},
+        {documentLoader, limits: {maxRemoteContexts: 3}}),
+      {code: 'context overflow', limit: 'maxRemoteContexts', max: 3});
+      assert.equal(documentLoader.requests.length, 3);
+    });
+
+    it('should not load remote contexts with a limit of 0', async function() {
+      const documentLoader = _chainLoader();
+      await _assertExceeded(jsonld.expand(
+        {'@context': 'https://example.com/context/1'},
+        {documentLoader, limits: {maxRemoteContexts: 0}}),
+      {code: 'context overflow', limit: 'maxRemoteContexts', max: 0});
+      assert.equal(documentLoader.requests.length, 0);
+    });
+
+    it('should allow contexts within the limit', async function() {
+      const documentLoader = async url => ({
+        contextUrl: null,
+        documentUrl: url,
+        document: {'@context': {term: 'http://example.org/term'}}
+      });
+      const expanded = await jsonld.expand({
+        '@context': ['https://example.com/a', 'https://example.com/b'],
+        term: 'value'
+      }, {documentLoader, limits: {maxRemoteContexts: 2}});
+      assert.deepEqual(expanded, [{
+        'http://example.org/term': [{'@value': 'value'}]
+      }]);
+    });
+  });
+
+  describe('maxDepth', function() {
+    it('should limit the nesting depth', async function() {
+      const limits = {maxDepth: 5};
+      await jsonld.expand(_nested(5), {limits});
+      await _assertExceeded(jsonld.expand(_nested(6), {limits}),
+        {code: 'max depth exceeded', limit: 'maxDepth', max: 5});
+    });
+
+    it('should count arrays', async function() {
+      const limits = {maxDepth: 3};
+      const doc = {'http://example.org/p': [[['value']]]};
+      await _assertExceeded(jsonld.expand(doc, {limits}),
+        {code: 'max depth exceeded', limit: 'maxDepth', max: 3});
+    });
+
+    it('should apply to compaction, framing and toRDF', async function() {
+      const limits = {maxDepth: 5};
+      const error =
+        {code: 'max depth exceeded', limit: 'maxDepth', max: 5};
+      const doc = _nested(6);
+      await _assertExceeded(jsonld.compact(doc, {}, {limits}), error);
+      await _assertExceeded(jsonld.frame(doc, {}, {limits}), error);
+      await _assertExceeded(jsonld.flatten(doc, null, {limits}), error);
+      await _assertExceeded(jsonld.toRDF(doc, {limits}), error);
+    });
+  });
+
+  describe('maxNodes', function() {
+    it('should limit the nodes produced by expansion', async function() {
+      const doc = {
+        '@id': 'http://example.org/a',
+        'http://example.org/p': [
+          {'@id': 'http://example.org/b'},
+          {'@id': 'http://example.org/c', 'http://example.org/q': 'value'}
+        ]
+      };
+      await jsonld.expand(doc, {limits: {maxNodes: 3}});
+      await _assertExceeded(jsonld.expand(doc, {limits: {maxNodes: 2}}),
+        {code: 'max nodes exceeded', limit: 'maxNodes', max: 2});
+    });
+
+    it('should limit the nodes produced from RDF', async function() {
+      const nquads =
+        '<http://example.org/a> <http://example.org/p> ' +
+        '<http://example.org/b> .\n' +
+        '<http://example.org/b> <http://example.org/p> ' +
+        '<http://example.org/c> .\n';
+      await jsonld.fromRDF(nquads, {limits: {maxNodes: 3}});
+      await _assertExceeded(jsonld.fromRDF(nquads, {limits: {maxNodes: 2}}),
+        {code: 'max nodes exceeded', limit: 'maxNodes', max: 2});
+    });
+  });
+
+  describe('maxQuads', function() {
+    const doc = {
+      '@id': 'http://example.org/a',
+      'http://example.org/p': ['1', '2', '3']
+    };
+
+    it('should limit the quads produced by toRDF', async function() {
+      const dataset = await jsonld.toRDF(doc, {limits: {maxQuads: 3}});
+      assert.equal(dataset.length, 3);
+      await _assertExceeded(jsonld.toRDF(doc, {limits: {maxQuads: 2}}),
+        {code: 'max quads exceeded', limit: 'maxQuads', max: 2});
+    });
+
+    it('should limit the quads read by fromRDF', async function() {
+      const nquads = await jsonld.toRDF(doc, {format: 'application/n-quads'});
+      await jsonld.fromRDF(nquads, {limits: {maxQuads: 3}});
+      await _assertExceeded(jsonld.fromRDF(nquads, {limits: {maxQuads: 2}}),
+        {code: 'max quads exceeded', limit: 'maxQuads', max: 2});
+    });
+
+    it('should limit the quads to canonize', async function() {
+      await _assertExceeded(jsonld.canonize(doc, {
+        algorithm: 'URDNA2015',
+        format: 'application/n-quads',
+        limits: {maxQuads: 2}
+      }), {code: 'max quads exceeded', limit: 'maxQuads', max: 2});
+    });
+  });
+
+  describe('maxListLength', function() {
+    it('should limit @list values', async function() {
+      const doc = {'http://example.org/p': {'@list': [1, 2, 3]}};
+      await jsonld.expand(doc, {limits: {maxListLength: 3}});
+      await _assertExceeded(
+        jsonld.expand(doc, {limits: {maxListLength: 2}}),
+        {code: 'max list length exceeded', limit: 'maxListLength', max: 2});
+    });
+
+    it('should limit @list containers and nested lists', async function() {
+      const limits = {maxListLength: 2};
+      const error =
+        {code: 'max list length exceeded', limit: 'maxListLength', max: 2};
+      const context = {
+        list: {'@id': 'http://example.org/list', '@container': '@list'}
+      };
+      await _assertExceeded(
+        jsonld.expand({'@context': context, list: [1, 2, 3]}, {limits}),
+        error);
+      await _assertExceeded(
+        jsonld.expand({'@context': context, list: [[1, 2, 3]]}, {limits}),
+        error);
+    });
+
+    it('should limit lists read from RDF', async function() {
+      const doc = {'http://example.org/p': {'@list': [1, 2, 3]}};
+      const nquads = await jsonld.toRDF(doc, {format: 'application/n-quads'});
+      await jsonld.fromRDF(nquads, {limits: {maxListLength: 3}});
+      await _assertExceeded(
+        jsonld.fromRDF(nquads, {limits: {maxListLength: 2}}),
+        {code: 'max list length exceeded', limit: 'maxListLength', max: 2});
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for the canonical lexical forms of literals.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+// converts values of a datatype to RDF and gets the lexical forms
+async function _lexicalForms(values, options) {
+  const quads = await jsonld.toRDF({
+    '@id': 'http://example.org/a',
+    'http://example.org/p': {'@list': values}
+  }, options);
+  return quads
+    .filter(quad => quad.object.termType === 'Literal')
+    .map(quad => quad.object.value);
+}
+
+function _typed(datatype, ...values) {
+  return values.map(value => ({'@value': value, '@type': XSD + datatype}));
+}
+
+describe('canonical literals', function() {
+  it('should keep lexical forms by default', async function() {
+    const forms = await _lexicalForms(
+      _typed('integer', '+01', '1e3'), {eventHandler: () => assert.fail()});
+    assert.deepEqual(forms, ['+01', '1e3']);
+  });
+
+  it('should canonicalize integers and check ranges', async function() {
+    const events = [];
+    const forms = await _lexicalForms([
+      ..._typed('integer', '+0010', ' -0 ', 1e21, '123456789012345678901234'),
+      ..._typed('byte', '127', '128'),
+      ..._typed('unsignedLong', '18446744073709551615', '-1'),
+      ..._typed('int', '1.5')
+    ], {
+      canonicalLiterals: true,
+      eventHandler: ({event}) => events.push(event)
+    });
+    assert.deepEqual(forms, [
+      '10', '0', '1000000000000000000000', '123456789012345678901234',
+      '127', '128', '18446744073709551615', '-1', '1.5'
+    ]);
+    assert.deepEqual(events.map(({code}) => code), Array(3).fill(
+      'ill-typed literal'));
+    assert.deepEqual(events.map(({details}) => details.value),
+      ['128', '-1', '1.5']);
+  });
+
+  it('should canonicalize decimals', async function() {
+    const forms = await _lexicalForms(_typed('decimal',
+      '+001.500', '-0.0', '.5', '10.', 2.5e-7, 1.5e22, 3),
+    {canonicalLiterals: true});
+    assert.deepEqual(forms, [
+      '1.5', '0', '0.5', '10', '0.00000025', '15000000000000000000000', '3'
+    ]);
+  });
+
+  it('should canonicalize dateTimes to UTC', async function() {
+    const events = [];
+    const forms = await _lexicalForms(_typed('dateTime',
+      '2021-12-31T23:30:00.500-01:00',
+      '2021-06-01T02:00:00+02:00',
+      '2021-06-01T24:00:00',
+      '2020-02-29T12:00:00.000Z',
+      '2021-02-29T12:00:00Z',
+      '2021-06-01T12:00:00+15:00'
+    ), {
+      canonicalLiterals: true,
+      eventHandler: ({event}) => events.push(event.details.value)
+    });
+    assert.deepEqual(forms, [
+      '2022-01-01T00:30:00.5Z',
+      '2021-06-01T00:00:00Z',
+      '2021-06-02T00:00:00',
+      '2020-02-29T12:00:00Z',
+      '2021-02-29T12:00:00Z',
+      '2021-06-01T12:00:00+15:00'
+    ]);
+    assert.deepEqual(events,
+      ['2021-02-29T12:00:00Z', '2021-06-01T12:00:00+15:00']);
+  });
+
+  it('should canonicalize booleans and JSON', async function() {
+    const forms = await _lexicalForms([
+      ..._typed('boolean', '1', '0', 'true'),
+      {'@value': {b: [1.0, 'x'], a: null}, '@type': '@json'}
+    ], {canonicalLiterals: true});
+    assert.deepEqual(
+      forms, ['true', 'false', 'true', '{"a":null,"b":[1,"x"]}']);
+  });
+
+  it('should use datatype handlers', async function() {
+    const calls = [];
+    const forms = await _lexicalForms([
+      {'@value': 'ABC', '@type': 'http://example.org/code'},
+      {'@value': 'bad', '@type': 'http://example.org/code'},
+      ..._typed('integer', '+1')
+    ], {
+      datatypeHandlers: {
+        'http://example.org/code': (value, {datatype}) => {
+          calls.push(datatype);
+          return value === 'bad' ? null : value.toLowerCase();
+        },
+        // replaces the built-in handler
+        [XSD + 'integer']: value => `int:${value}`
+      },
+      canonicalLiterals: true,
+      eventHandler: ({event}) => calls.push(event.code)
+    });
+    assert.deepEqual(forms, ['abc', 'bad', 'int:+1']);
+    assert.deepEqual(calls, [
+      'http://example.org/code', 'http://example.org/code',
+      'ill-typed literal'
+    ]);
+  });
+
+  it('should canonize with canonical literals', async function() {
+    const doc = {
+      '@id': 'http://example.org/a',
+      'http://example.org/p': _typed('decimal', '01.10')
+    };
+    const canonical = await jsonld.canonize(doc, {canonicalLiterals: true});
+    assert.equal(canonical, '<http://example.org/a> <http://example.org/p> ' +
+      `"1.1"^^<${XSD}decimal> .\n`);
+  });
+});
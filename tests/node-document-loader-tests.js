@@ -4,11 +4,17 @@
  * @author goofballLogic
  */
 /* eslint-disable quote-props */
-const jsonld = require('..');
-const assert = require('assert');
-const express = require('express');
-const http = require('http');
-const https = require('https');
+import assert from 'assert';
+import express from 'express';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import jsonld from '../lib/index.js';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import * as remoteContextServer from './remote-context-server.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // local test server and url
 let _httpServer;
@@ -253,10 +259,21 @@ pjbO9zEyMn/Ksr6YsbaJ44GPJ5U9/ymu288GMA+aqN+jwQKW7Wo8SQ==
   });
 
   const documentLoaderType = 'node';
-  const documentLoaderHttpsOptions = {
-    // using self-signed cert for these local tests
-    strictSSL: false
-  };
+
+  // using self-signed cert for these local tests, `fetch` has no per-request
+  // option to disable certificate validation
+  let _rejectUnauthorized;
+  function _allowSelfSigned() {
+    _rejectUnauthorized = process.env.NODE_TLS_REJECT_UNAUTHORIZED;
+    process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
+  }
+  function _restoreRejectUnauthorized() {
+    if(_rejectUnauthorized === undefined) {
+      delete process.env.NODE_TLS_REJECT_UNAUTHORIZED;
+    } else {
+      process.env.NODE_TLS_REJECT_UNAUTHORIZED = _rejectUnauthorized;
+    }
+  }
 
   describe('When built with no options specified', function() {
     it('http loading should work', async function() {
@@ -267,17 +284,21 @@ pjbO9zEyMn/Ksr6YsbaJ44GPJ5U9/ymu288GMA+aqN+jwQKW7Wo8SQ==
     });
 
     it('https loading should work', async function() {
-      jsonld.useDocumentLoader(documentLoaderType, documentLoaderHttpsOptions);
+      jsonld.useDocumentLoader(documentLoaderType);
       const url = _makeHttpsUrl({type: 'data', id: 'd1'});
-      const expanded = await jsonld.expand(url);
-      assert.deepEqual(expanded, _data.d1.expanded);
+      _allowSelfSigned();
+      try {
+        const expanded = await jsonld.expand(url);
+        assert.deepEqual(expanded, _data.d1.expanded);
+      } finally {
+        _restoreRejectUnauthorized();
+      }
     });
   });
 
   describe('secure mode', function() {
     it('fail for secure mode with non-https', async function() {
       jsonld.useDocumentLoader(documentLoaderType, {
-        ...documentLoaderHttpsOptions,
         secure: true
       });
       const url = _makeHttpUrl({type: 'data', id: 'd0'});
@@ -464,4 +485,121 @@ pjbO9zEyMn/Ksr6YsbaJ44GPJ5U9/ymu288GMA+aqN+jwQKW7Wo8SQ==
       assert.equal(err.details.code, 'loading document failed');
     });
   });
+
+  describe('fetch option', function() {
+    it('uses a custom fetch implementation', async function() {
+      const requested = [];
+      jsonld.useDocumentLoader(documentLoaderType, {
+        fetch: async (url, options) => {
+          requested.push({url, options});
+          return new Response(JSON.stringify(_data.d1.content), {
+            headers: {'content-type': 'application/json'}
+          });
+        }
+      });
+      const url = 'https://example.com/custom';
+      const expanded = await jsonld.expand(url);
+      assert.deepEqual(expanded, _data.d1.expanded);
+      assert.equal(requested.length, 1);
+      assert.equal(requested[0].url, url);
+      assert.equal(requested[0].options.redirect, 'manual');
+    });
+
+    it('rejects the options of the loader before fetch', function() {
+      for(const [options, name] of [
+        [{strictSSL: false}, 'strictSSL'],
+        [{httpAgent: {}}, 'httpAgent'],
+        [{httpsAgent: {}}, 'httpsAgent']
+      ]) {
+        assert.throws(
+          () => jsonld.documentLoaders.node(options),
+          err => err instanceof TypeError && err.message.includes(`"${name}"`));
+      }
+      // the `fetch` behavior
+      jsonld.documentLoaders.node({strictSSL: true});
+    });
+
+    it('fails when fetch rejects', async function() {
+      jsonld.useDocumentLoader(documentLoaderType, {
+        fetch: async () => {
+          throw new TypeError('fetch failed');
+        }
+      });
+      let err;
+      try {
+        await jsonld.documentLoader('https://example.com/fail');
+      } catch(e) {
+        err = e;
+      }
+      assert.ok(err);
+      assert.equal(err.name, 'jsonld.LoadDocumentError');
+      assert.equal(err.details.code, 'loading document failed');
+      assert.equal(err.details.cause.message, 'fetch failed');
+    });
+  });
+});
+
+describe('Node.js document loader with remote contexts', function() {
+  let _server;
+  const _manifest = JSON.parse(
+    fs.readFileSync(path.join(__dirname, 'manifest.jsonld'), 'utf8'));
+
+  before(async function() {
+    _server = await remoteContextServer.listen();
+  });
+
+  after(function() {
+    _server.close();
+  });
+
+  for(const test of _manifest.sequence) {
+    // only expand tests using contexts from the local context server
+    if(!test['@type'].includes('jld:ExpandTest')) {
+      continue;
+    }
+    const input = JSON.parse(
+      fs.readFileSync(path.join(__dirname, test.input), 'utf8'));
+    if(!JSON.stringify(input).includes(
+      `http://localhost:${remoteContextServer.port}/`)) {
+      continue;
+    }
+    const expect = JSON.parse(
+      fs.readFileSync(path.join(__dirname, test.expect), 'utf8'));
+
+    it(test.name, async function() {
+      jsonld.useDocumentLoader('node');
+      const expanded = await jsonld.expand(input);
+      assert.deepEqual(expanded, expect);
+    });
+  }
+
+  it('should return the parsed remote context document', async function() {
+    jsonld.useDocumentLoader('node');
+    const url =
+      `http://localhost:${remoteContextServer.port}/context-1.jsonld`;
+    const remoteDoc = await jsonld.documentLoader(url);
+    assert.equal(remoteDoc.contextUrl, null);
+    assert.equal(remoteDoc.documentUrl, url);
+    assert.deepEqual(remoteDoc.document, {
+      '@context': {
+        term1: 'http://example.org/term1'
+      }
+    });
+    assert.equal(remoteDoc.headers['content-type'], 'application/ld+json');
+  });
+
+  it('should fail for a missing remote context', async function() {
+    jsonld.useDocumentLoader('node');
+    const url =
+      `http://localhost:${remoteContextServer.port}/missing.jsonld`;
+    let err;
+    try {
+      await jsonld.expand({'@context': url, term1: 'foo'});
+    } catch(e) {
+      err = e;
+    }
+    assert.ok(err);
+    assert.equal(err.details.code, 'loading remote context failed');
+    assert.equal(err.details.cause.details.httpStatusCode, 404);
+  });
 });
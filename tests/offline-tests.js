@@ -0,0 +1,89 @@
+/**
+ * Tests that the library loads and runs without network access.
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const _top = path.resolve(__dirname, '..');
+
+const REGEX_IMPORT =
+  /(?:^|\n)\s*(?:import|export)\s[^'"]*?from\s+['"]([^'"]+)['"]/g;
+
+// collect all modules reachable from the given entry point
+function _collectImports(file, found = new Map()) {
+  if(found.has(file)) {
+    return found;
+  }
+  const specifiers = [];
+  found.set(file, specifiers);
+  const source = fs.readFileSync(file, 'utf8');
+  for(const match of source.matchAll(REGEX_IMPORT)) {
+    const specifier = match[1];
+    specifiers.push(specifier);
+    if(specifier.startsWith('.')) {
+      _collectImports(path.resolve(path.dirname(file), specifier), found);
+    }
+  }
+  return found;
+}
+
+describe('offline distribution', function() {
+  for(const [entry, builtins] of [
+    ['JSONLD.js', true],
+    ['JSONLD.browser.js', false],
+    ['lib/contexts/index.js', false]
+  ]) {
+    it(`${entry} should only import local modules`, function() {
+      const modules = _collectImports(path.join(_top, entry));
+      assert.ok(modules.size > 1);
+      for(const [file, specifiers] of modules) {
+        for(const specifier of specifiers) {
+          assert.ok(
+            specifier.startsWith('./') || specifier.startsWith('../') ||
+            (builtins && specifier.startsWith('node:')),
+            `${path.relative(_top, file)} imports "${specifier}"`);
+        }
+      }
+    });
+  }
+
+  it('should canonize with the vendored URDNA2015', async function() {
+    const {JSONLD} = await import('../JSONLD.js');
+    const doc = {
+      '@id': 'https://example.com/1',
+      'http://schema.org/knows': {
+        'http://schema.org/name': 'Alice'
+      },
+      'http://schema.org/name': 'Bob'
+    };
+    const canonized = await JSONLD.canonize(doc, {
+      algorithm: 'URDNA2015',
+      format: 'application/n-quads'
+    });
+    assert.equal(
+      canonized,
+      '<https://example.com/1> <http://schema.org/knows> _:c14n0 .\n' +
+      '<https://example.com/1> <http://schema.org/name> "Bob" .\n' +
+      '_:c14n0 <http://schema.org/name> "Alice" .\n');
+  });
+
+  it('should canonize @json literals with the vendored JCS', async function() {
+    const {JSONLD} = await import('../JSONLD.js');
+    const doc = {
+      '@id': 'https://example.com/1',
+      'https://example.com/json': {
+        '@type': '@json',
+        '@value': {b: [1, 2], a: 'x'}
+      }
+    };
+    const nquads = await JSONLD.toRDF(doc, {format: 'application/n-quads'});
+    assert.equal(
+      nquads,
+      '<https://example.com/1> <https://example.com/json> ' +
+      '"{\\"a\\":\\"x\\",\\"b\\":[1,2]}"' +
+      '^^<http://www.w3.org/1999/02/22-rdf-syntax-ns#JSON> .\n');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for the RDF parser and serializer registries.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+const DOC = {
+  '@context': {ex: 'http://example.org/'},
+  '@id': 'ex:a',
+  'ex:p': {'@id': '_:b'}
+};
+
+// serialize a dataset as one line per quad with the context prefixes
+async function _serializeLines(dataset, {prefixes}) {
+  const prefix = Object.keys(prefixes).sort().join(',');
+  return dataset.map(({subject, predicate, object}) =>
+    `${prefix} ${subject.value} ${predicate.value} ${object.value}`)
+    .join('\n');
+}
+
+describe('RDF formats', function() {
+  afterEach(function() {
+    jsonld.unregisterRDFSerializer('text/x-lines');
+  });
+
+  it('should list the built-in formats', function() {
+    const {parsers, serializers} = jsonld.getRDFFormats();
+    for(const format of [
+      'application/n-quads', 'application/nquads', 'text/turtle',
+      'application/trig', 'application/n-triples', 'application/rdf+xml'
+    ]) {
+      assert(parsers.includes(format), format);
+    }
+    for(const format of [
+      'application/n-quads', 'application/nquads', 'text/turtle',
+      'application/trig', 'application/rdf+xml'
+    ]) {
+      assert(serializers.includes(format), format);
+    }
+  });
+
+  it('should use a registered async serializer in toRDF', async function() {
+    jsonld.registerRDFSerializer('text/x-lines', _serializeLines);
+    assert(jsonld.getRDFFormats().serializers.includes('text/x-lines'));
+    const lines = await jsonld.toRDF(DOC, {format: 'text/x-lines'});
+    assert.equal(lines, 'ex http://example.org/a http://example.org/p _:b0');
+  });
+
+  it('should not get prefixes for serializers that do not use them',
+    async function() {
+      jsonld.registerRDFSerializer(
+        'text/x-lines', _serializeLines, {prefixes: false});
+      const lines = await jsonld.toRDF(DOC, {format: 'text/x-lines'});
+      assert.equal(lines, ' http://example.org/a http://example.org/p _:b0');
+    });
+
+  it('should use a registered serializer in canonize', async function() {
+    jsonld.registerRDFSerializer('text/x-lines', _serializeLines);
+    const lines = await jsonld.canonize(DOC, {format: 'text/x-lines'});
+    assert.equal(lines, 'ex http://example.org/a http://example.org/p _:c14n0');
+  });
+
+  it('should keep the canonical blank node labels', async function() {
+    const turtle = await jsonld.canonize({
+      '@context': {ex: 'http://example.org/'},
+      '@id': 'ex:a',
+      'ex:p': {'ex:q': 'v'},
+      'ex:l': {'@list': ['x']}
+    }, {format: 'text/turtle'});
+    assert.equal(turtle,
+      '@prefix ex: <http://example.org/> .\n\n' +
+      'ex:a ex:l _:c14n0 ;\n' +
+      '  ex:p _:c14n1 .\n\n' +
+      '_:c14n0 <http://www.w3.org/1999/02/22-rdf-syntax-ns#first> "x" ;\n' +
+      '  <http://www.w3.org/1999/02/22-rdf-syntax-ns#rest> () .\n\n' +
+      '_:c14n1 ex:q "v" .\n');
+  });
+
+  it('should canonize any registered input format', async function() {
+    const nquads = await jsonld.canonize(
+      '@prefix ex: <http://example.org/> .\n' +
+      'ex:a ex:p [ ex:q "v" ] .\n',
+      {inputFormat: 'text/turtle', format: 'application/n-quads'});
+    assert.equal(nquads,
+      '<http://example.org/a> <http://example.org/p> _:c14n0 .\n' +
+      '_:c14n0 <http://example.org/q> "v" .\n');
+  });
+
+  it('should reject unregistered formats', async function() {
+    jsonld.registerRDFSerializer('text/x-lines', _serializeLines);
+    jsonld.unregisterRDFSerializer('text/x-lines');
+    assert(!jsonld.getRDFFormats().serializers.includes('text/x-lines'));
+    await assert.rejects(jsonld.toRDF(DOC, {format: 'text/x-lines'}), e => {
+      assert.equal(e.name, 'jsonld.UnknownFormat');
+      return true;
+    });
+    await assert.rejects(jsonld.canonize(DOC, {format: 'text/x-lines'}), e => {
+      assert.equal(e.name, 'jsonld.CanonizeError');
+      return true;
+    });
+  });
+});
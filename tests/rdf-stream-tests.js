@@ -0,0 +1,183 @@
+/**
+ * Tests for streaming RDF conversion.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+const DOC = {
+  '@context': {
+    ex: 'http://example.org/',
+    list: {'@id': 'ex:list', '@container': '@list'}
+  },
+  '@graph': [{
+    '@id': 'ex:a',
+    'ex:knows': {'@id': 'ex:b'},
+    list: [1, {'@list': ['nested']}, {'ex:q': 'v'}]
+  }, {
+    '@id': 'ex:b',
+    '@type': 'ex:T',
+    'ex:p': 'y'
+  }, {
+    '@id': 'ex:g',
+    '@graph': {'@id': 'ex:c', 'ex:p': 'z'}
+  }]
+};
+
+// get the lines of the sorted N-Quads of a document
+async function _getLines(doc) {
+  const nquads = await jsonld.toRDF(doc, {format: 'application/n-quads'});
+  return nquads.split(/(?<=\n)/);
+}
+
+async function _collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('fromRDFStream', function() {
+  it('should emit each node once the next subject is read', async function() {
+    const lines = await _getLines(DOC);
+    let read = 0;
+    async function* input() {
+      for(const line of lines) {
+        read++;
+        yield line;
+      }
+    }
+    const first = [];
+    for await (const node of jsonld.fromRDFStream(input())) {
+      first.push({node, read});
+      if(first.length === 2) {
+        break;
+      }
+    }
+    assert.deepEqual(first, [{
+      node: {
+        '@id': 'http://example.org/a',
+        'http://example.org/knows': [{'@id': 'http://example.org/b'}],
+        'http://example.org/list': [{'@id': '_:b1'}]
+      },
+      read: 3
+    }, {
+      node: {
+        '@id': 'http://example.org/b',
+        'http://example.org/p': [{'@value': 'y'}],
+        '@type': ['http://example.org/T']
+      },
+      read: 5
+    }]);
+  });
+
+  it('should convert the same dataset as fromRDF', async function() {
+    const lines = await _getLines(DOC);
+    const nodes = await _collect(jsonld.fromRDFStream(lines));
+    assert.equal(
+      await jsonld.canonize(nodes),
+      await jsonld.canonize(await jsonld.fromRDF(lines.join(''))));
+  });
+
+  it('should spill unsorted quads and convert lists', async function() {
+    const quads = await jsonld.toRDF(DOC);
+    const spillStore = new jsonld.MemorySpillStore();
+    const nodes = await _collect(jsonld.fromRDFStream(quads.reverse(), {
+      sorted: false,
+      maxBufferedQuads: 3,
+      spillStore
+    }));
+    assert.equal(spillStore.runs.size, 0);
+    assert.deepEqual(nodes.find(n => n['@id'] === 'http://example.org/a'), {
+      '@id': 'http://example.org/a',
+      'http://example.org/list': [{
+        '@list': [
+          {
+            '@value': '1',
+            '@type': 'http://www.w3.org/2001/XMLSchema#integer'
+          },
+          {'@list': [{'@value': 'nested'}]},
+          {'@id': '_:b0'}
+        ]
+      }],
+      'http://example.org/knows': [{'@id': 'http://example.org/b'}]
+    });
+    assert.deepEqual(await jsonld.fromRDF(quads), await jsonld.flatten(nodes));
+  });
+
+  it('should only convert lists read before their node', async function() {
+    const lines = await _getLines(DOC);
+    const list = nodes => nodes.find(
+      n => n['@id'] === 'http://example.org/a')['http://example.org/list'];
+    // the list nodes are sorted after the IRI subject that uses them
+    const sorted = await _collect(jsonld.fromRDFStream(lines));
+    assert.equal('@list' in list(sorted)[0], false);
+    const first = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#first';
+    assert(sorted.some(n => first in n));
+    const unsorted = await _collect(
+      jsonld.fromRDFStream(lines, {sorted: false}));
+    assert.equal('@list' in list(unsorted)[0], true);
+  });
+
+  it('should sort the remaining quads once out of order', async function() {
+    const lines = await _getLines(DOC);
+    lines.unshift(lines.pop());
+    const nodes = await _collect(jsonld.fromRDFStream(lines));
+    assert.equal(
+      await jsonld.canonize(nodes),
+      await jsonld.canonize(await jsonld.fromRDF(lines.join(''))));
+  });
+
+  it('should reject unsorted quads if sorted is true', async function() {
+    const lines = await _getLines(DOC);
+    await assert.rejects(
+      _collect(jsonld.fromRDFStream(lines.reverse(), {sorted: true})), e => {
+        assert.equal(e.name, 'jsonld.FromRdfError');
+        assert.equal(e.details.code, 'unsorted quads');
+        return true;
+      });
+  });
+});
+
+describe('toRDFStream', function() {
+  it('should output the same quads as toRDF', async function() {
+    const quads = await _collect(jsonld.toRDFStream(DOC));
+    assert.deepEqual(quads, await jsonld.toRDF(DOC));
+  });
+
+  it('should output N-Quads lines', async function() {
+    const lines = await _collect(
+      jsonld.toRDFStream(DOC, {format: 'application/n-quads'}));
+    assert(lines.every(line => line.endsWith(' .\n')));
+    assert.deepEqual(lines.sort(), await _getLines(DOC));
+  });
+
+  it('should round-trip through fromRDFStream', async function() {
+    const nodes = await _collect(jsonld.fromRDFStream(
+      jsonld.toRDFStream(DOC, {format: 'application/n-quads'}),
+      {spillStore: new jsonld.MemorySpillStore()}));
+    assert.equal(
+      await jsonld.canonize(nodes), await jsonld.canonize(DOC));
+  });
+
+  it('should check limits while streaming', async function() {
+    const quads = [];
+    await assert.rejects(async () => {
+      for await (const quad of jsonld.toRDFStream(
+        DOC, {limits: {maxQuads: 3}})) {
+        quads.push(quad);
+      }
+    }, e => {
+      assert.equal(e.details.limit, 'maxQuads');
+      return true;
+    });
+    assert.equal(quads.length, 2);
+  });
+
+  it('should reject formats other than N-Quads', function() {
+    assert.throws(() => jsonld.toRDFStream(DOC, {format: 'text/turtle'}), e => {
+      assert.equal(e.name, 'jsonld.UnknownFormat');
+      return true;
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for RDF/JS interoperability.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+const XSD_INTEGER = 'http://www.w3.org/2001/XMLSchema#integer';
+
+const DOC = {
+  '@context': {ex: 'http://example.org/'},
+  '@id': 'ex:a',
+  'ex:knows': {'ex:name': {'@value': 'Bob', '@language': 'en'}},
+  'ex:age': 5,
+  'ex:in': {'@id': 'ex:g', '@graph': {'@id': 'ex:b', 'ex:p': 'v'}}
+};
+
+// a minimal RDF/JS DatasetCore over a Set
+class Dataset {
+  constructor(quads) {
+    this.quads = new Set(quads);
+  }
+
+  get size() {
+    return this.quads.size;
+  }
+
+  [Symbol.iterator]() {
+    return this.quads[Symbol.iterator]();
+  }
+};
+
+async function _collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('RDF/JS', function() {
+  it('should create quads with a DataFactory', async function() {
+    const factory = new jsonld.DataFactory();
+    const quads = await jsonld.toRDF(DOC, {dataFactory: factory});
+    assert.equal(quads.length, 5);
+    const [name, age, inGraph, knows, p] = quads;
+    assert(age.equals(factory.quad(
+      factory.namedNode('http://example.org/a'),
+      factory.namedNode('http://example.org/age'),
+      factory.literal('5', factory.namedNode(XSD_INTEGER)))));
+    assert.equal(age.graph.termType, 'DefaultGraph');
+    assert(age.graph.equals(factory.defaultGraph()));
+    assert.equal(inGraph.object.value, 'http://example.org/g');
+    assert.deepEqual(
+      [knows.object.termType, knows.object.value], ['BlankNode', 'b0']);
+    assert(knows.object.equals(name.subject));
+    assert.equal(name.object.language, 'en');
+    assert.equal(name.object.datatype.value,
+      'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString');
+    assert(!name.object.equals(factory.literal('Bob', 'fr')));
+    assert(p.graph.equals(factory.namedNode('http://example.org/g')));
+    assert(!p.equals(age));
+  });
+
+  it('should use any DataFactory in toRDFStream', async function() {
+    const calls = [];
+    const factory = {
+      namedNode: value => ({termType: 'NamedNode', value}),
+      blankNode: value => ({termType: 'BlankNode', value}),
+      literal: (value, languageOrDatatype) =>
+        ({termType: 'Literal', value, languageOrDatatype}),
+      defaultGraph: () => ({termType: 'DefaultGraph', value: ''}),
+      quad: (...terms) => {
+        calls.push(terms.map(term => term.value));
+        return terms;
+      }
+    };
+    const quads = await _collect(
+      jsonld.toRDFStream(DOC, {dataFactory: factory}));
+    assert.equal(quads.length, 5);
+    assert.deepEqual(calls[3],
+      ['http://example.org/a', 'http://example.org/knows', 'b0', '']);
+  });
+
+  it('should convert an RDF/JS dataset from RDF', async function() {
+    const factory = new jsonld.DataFactory();
+    const quads = await jsonld.toRDF(DOC, {dataFactory: factory});
+    const expected = await jsonld.fromRDF(await jsonld.toRDF(DOC));
+    assert.deepEqual(await jsonld.fromRDF(new Dataset(quads)), expected);
+    // triples with no graph are in the default graph
+    assert.deepEqual(await jsonld.fromRDF([{
+      subject: factory.blankNode('x'),
+      predicate: factory.namedNode('http://example.org/p'),
+      object: factory.literal('v')
+    }]), [{'@id': '_:x', 'http://example.org/p': [{'@value': 'v'}]}]);
+    assert.deepEqual(await _collect(jsonld.fromRDFStream(quads, {
+      spillStore: new jsonld.MemorySpillStore()
+    })).then(nodes => jsonld.flatten(nodes)), expected);
+  });
+
+  it('should reject variables', async function() {
+    const factory = new jsonld.DataFactory();
+    await assert.rejects(jsonld.fromRDF([factory.quad(
+      {termType: 'Variable', value: 's'},
+      factory.namedNode('http://example.org/p'),
+      factory.literal('v'))]), e => {
+      assert.equal(e.name, 'jsonld.FromRdfError');
+      assert.deepEqual(e.details,
+        {code: 'invalid RDF term', termType: 'Variable', value: 's'});
+      return true;
+    });
+  });
+});
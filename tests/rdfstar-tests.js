@@ -0,0 +1,192 @@
+/**
+ * Tests for JSON-LD-star and RDF-star.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+const XSD_INTEGER = 'http://www.w3.org/2001/XMLSchema#integer';
+
+const CONTEXT = {'@vocab': 'http://example.org/'};
+
+const ANNOTATED = {
+  '@context': CONTEXT,
+  '@id': 'http://example.org/bob',
+  age: {'@value': 42, '@annotation': {source: {'@id': 'http://example.org/s'}}},
+  knows: {'@id': '_:x', name: 'X', '@annotation': {since: 'then'}}
+};
+
+const NQUADS =
+  '<< <http://example.org/bob> <http://example.org/age> ' +
+  `"42"^^<${XSD_INTEGER}> >> ` +
+  '<http://example.org/source> <http://example.org/s> .\n' +
+  '<< <http://example.org/bob> <http://example.org/knows> _:b0 >> ' +
+  '<http://example.org/since> "then" .\n' +
+  '<http://example.org/bob> <http://example.org/age> ' +
+  `"42"^^<${XSD_INTEGER}> .\n` +
+  '<http://example.org/bob> <http://example.org/knows> _:b0 .\n' +
+  '_:b0 <http://example.org/name> "X" .\n';
+
+async function _collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('RDF-star', function() {
+  it('should expand embedded nodes and annotations', async function() {
+    const expanded = await jsonld.expand({
+      '@context': CONTEXT,
+      '@id': {'@id': 'http://example.org/bob', age: 42},
+      certainty: {
+        '@value': 0.8,
+        '@annotation': {by: {'@id': 'http://example.org/me'}}
+      }
+    }, {rdfstar: true});
+    assert.deepEqual(expanded, [{
+      '@id': {
+        '@id': 'http://example.org/bob',
+        'http://example.org/age': [{'@value': 42}]
+      },
+      'http://example.org/certainty': [{
+        '@value': 0.8,
+        '@annotation': [{
+          'http://example.org/by': [{'@id': 'http://example.org/me'}]
+        }]
+      }]
+    }]);
+  });
+
+  it('should reject invalid embedded nodes and annotations', async function() {
+    await assert.rejects(jsonld.expand({
+      '@context': CONTEXT,
+      '@id': {'@id': 'http://example.org/bob', age: 42, name: 'Bob'},
+      certainty: 0.8
+    }, {rdfstar: true}), err => {
+      assert.equal(err.name, 'jsonld.SyntaxError');
+      assert.equal(err.details.code, 'invalid embedded node');
+      assert.equal(err.details.path, '/@id');
+      return true;
+    });
+    await assert.rejects(jsonld.expand({
+      '@context': CONTEXT,
+      '@id': 'http://example.org/bob',
+      age: {'@value': 42, '@annotation': {'@id': 'http://example.org/a'}}
+    }, {rdfstar: true}), err => err.details.code === 'invalid annotation');
+    await assert.rejects(jsonld.expand({
+      '@context': CONTEXT,
+      '@id': 'http://example.org/bob',
+      '@annotation': {certainty: 0.8}
+    }, {rdfstar: true}), err => err.details.code === 'invalid annotation');
+  });
+
+  it('should drop annotations without rdfstar', async function() {
+    const events = [];
+    const expanded = await jsonld.expand(ANNOTATED, {
+      eventHandler: ({event}) => events.push(event.code)
+    });
+    assert.deepEqual(expanded[0]['http://example.org/age'], [{'@value': 42}]);
+    assert(events.includes('annotation without rdfstar'));
+    await assert.rejects(jsonld.expand(ANNOTATED, {safe: true}),
+      {name: 'jsonld.ValidationError'});
+  });
+
+  it('should only define @annotation with rdfstar', async function() {
+    const doc = {
+      '@context': {'@annotation': 'http://example.org/annotation'},
+      '@id': 'http://example.org/bob'
+    };
+    const events = [];
+    assert.deepEqual(await jsonld.expand(doc, {
+      eventHandler: ({event}) => events.push(event.code)
+    }), []);
+    assert.deepEqual(events, ['reserved term', 'object with only @id']);
+    await assert.rejects(jsonld.expand(doc, {rdfstar: true}),
+      err => err.details.code === 'keyword redefinition');
+  });
+
+  it('should output annotations as quoted triples', async function() {
+    const nquads = await jsonld.toRDF(
+      ANNOTATED, {format: 'application/n-quads', rdfstar: true});
+    assert.equal(nquads, NQUADS);
+    const lines = await _collect(jsonld.toRDFStream(
+      ANNOTATED, {format: 'application/n-quads', rdfstar: true}));
+    assert.equal(lines.sort().join(''), NQUADS);
+  });
+
+  it('should round-trip N-Quads-star', async function() {
+    const expanded = await jsonld.fromRDF(
+      NQUADS, {format: 'application/n-quads', rdfstar: true});
+    assert.deepEqual(expanded[2], {
+      '@id': {
+        '@id': 'http://example.org/bob',
+        'http://example.org/age': [{'@value': '42', '@type': XSD_INTEGER}]
+      },
+      'http://example.org/source': [{'@id': 'http://example.org/s'}]
+    });
+    const nquads = await jsonld.toRDF(
+      expanded, {format: 'application/n-quads', rdfstar: true});
+    assert.equal(nquads, NQUADS);
+
+    const nodes = await _collect(jsonld.fromRDFStream(
+      NQUADS.split('\n').filter(line => line).reverse(),
+      {rdfstar: true, sorted: false, maxBufferedQuads: 2}));
+    assert.deepEqual(nodes, expanded);
+  });
+
+  it('should parse nested quoted triples and escapes', async function() {
+    const input =
+      '<< << _:a <http://example.org/p> "a\\"b\\u00E9" >> ' +
+      '<http://example.org/q> "x"@en >> <http://example.org/r> _:c ' +
+      '<http://example.org/g> .\n';
+    const expanded = await jsonld.fromRDF(
+      input, {format: 'application/n-quads', rdfstar: true});
+    assert.deepEqual(expanded[0]['@graph'][0]['@id'], {
+      '@id': {'@id': '_:a', 'http://example.org/p': [{'@value': 'a"bé'}]},
+      'http://example.org/q': [{'@value': 'x', '@language': 'en'}]
+    });
+    const nquads = await jsonld.toRDF(
+      expanded, {format: 'application/n-quads', rdfstar: true});
+    assert.equal(nquads, input.replace('\\u00E9', 'é')
+      .replace(/_:a/, '_:b0').replace(/_:c/, '_:b1'));
+  });
+
+  it('should reject quoted triples without rdfstar', async function() {
+    await assert.rejects(jsonld.fromRDF(
+      NQUADS, {format: 'application/n-quads'}));
+    const factory = new jsonld.DataFactory();
+    const quads = await jsonld.toRDF(
+      ANNOTATED, {rdfstar: true, dataFactory: factory});
+    assert(quads.some(quad => quad.subject.termType === 'Quad'));
+    await assert.rejects(jsonld.fromRDF(quads), err => {
+      assert.equal(err.name, 'jsonld.FromRdfError');
+      assert.equal(err.details.code, 'invalid RDF term');
+      assert.equal(err.details.termType, 'Quad');
+      return true;
+    });
+    const expanded = await jsonld.fromRDF(quads, {rdfstar: true});
+    assert.equal(expanded.length, 4);
+    await assert.rejects(jsonld.fromRDF(
+      '<< <http://example.org/a> <http://example.org/b> >> ' +
+      '<http://example.org/p> "x" .',
+      {format: 'application/n-quads', rdfstar: true}), err => {
+      assert.equal(err.name, 'jsonld.SyntaxError');
+      assert.equal(err.details.code, 'invalid RDF syntax');
+      assert.equal(err.details.line, 1);
+      // the column of ">>" where the object is expected
+      assert.equal(err.details.column, 50);
+      return true;
+    });
+  });
+
+  it('should compact embedded nodes and annotations', async function() {
+    const expanded = await jsonld.expand(ANNOTATED, {rdfstar: true});
+    const compacted =
+      await jsonld.compact(expanded, CONTEXT, {rdfstar: true});
+    assert.deepEqual(compacted.age, {
+      '@value': 42,
+      '@annotation': {source: {'@id': 'http://example.org/s'}}
+    });
+  });
+});
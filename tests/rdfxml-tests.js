@@ -0,0 +1,217 @@
+/**
+ * Tests for RDF/XML.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+
+// parse RDF/XML and serialize the dataset as N-Quads
+async function _toNQuads(xml) {
+  const doc = await jsonld.fromRDF(xml, {format: 'application/rdf+xml'});
+  return jsonld.toRDF(doc, {format: 'application/n-quads'});
+}
+
+describe('RDF/XML', function() {
+  describe('toRDF', function() {
+    it('should write descriptions with the context prefixes', async function() {
+      const xml = await jsonld.toRDF({
+        '@context': {ex: 'http://example.org/', schema: 'http://schema.org/'},
+        '@id': 'ex:a',
+        '@type': 'schema:Person',
+        'schema:name': [{'@value': 'A & <b>', '@language': 'en'}, 'plain'],
+        'schema:age': 5,
+        'http://other.example/terms#knows': {'@id': '_:b'}
+      }, {format: 'application/rdf+xml'});
+      assert.equal(xml,
+        '<?xml version="1.0" encoding="utf-8"?>\n' +
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"\n' +
+        '    xmlns:ns0="http://other.example/terms#"\n' +
+        '    xmlns:schema="http://schema.org/">\n' +
+        '  <rdf:Description rdf:about="http://example.org/a">\n' +
+        '    <rdf:type rdf:resource="http://schema.org/Person"/>\n' +
+        '    <ns0:knows rdf:nodeID="b0"/>\n' +
+        '    <schema:age rdf:datatype=' +
+        '"http://www.w3.org/2001/XMLSchema#integer">5</schema:age>\n' +
+        '    <schema:name xml:lang="en">A &amp; &lt;b&gt;</schema:name>\n' +
+        '    <schema:name>plain</schema:name>\n' +
+        '  </rdf:Description>\n' +
+        '</rdf:RDF>\n');
+    });
+
+    it('should round-trip through fromRDF', async function() {
+      const input = {
+        '@context': {ex: 'http://example.org/'},
+        '@id': 'ex:a',
+        'ex:knows': {'ex:name': 'Bob', 'ex:list': {'@list': [1, 'two']}},
+        'ex:xml': {'@value': '<b>x</b>', '@type': RDF + 'XMLLiteral'}
+      };
+      const xml = await jsonld.toRDF(input, {format: 'application/rdf+xml'});
+      const nquads = await jsonld.toRDF(
+        input, {format: 'application/n-quads'});
+      // compare canonized datasets as blank nodes are relabelled
+      assert.equal(
+        await jsonld.canonize(
+          await jsonld.fromRDF(xml, {format: 'application/rdf+xml'})),
+        await jsonld.canonize(
+          await jsonld.fromRDF(nquads, {format: 'application/n-quads'})));
+    });
+
+    it('should reject named graphs', async function() {
+      await assert.rejects(jsonld.toRDF({
+        '@id': 'http://example.org/g',
+        '@graph': {'@id': 'http://example.org/a', 'http://example.org/p': 'v'}
+      }, {format: 'application/rdf+xml'}), e => {
+        assert.equal(e.details.code, 'named graph in RDF/XML');
+        return true;
+      });
+    });
+  });
+
+  describe('fromRDF', function() {
+    it('should parse node and property elements', async function() {
+      const nquads = await _toNQuads(
+        '<?xml version="1.0"?>\n' +
+        '<!DOCTYPE rdf:RDF [\n' +
+        '  <!ENTITY xsd "http://www.w3.org/2001/XMLSchema#">\n' +
+        ']>\n' +
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"\n' +
+        '    xmlns:ex="http://example.org/"\n' +
+        '    xml:base="http://example.org/base/">\n' +
+        '  <!-- a typed node element -->\n' +
+        '  <ex:Person rdf:about="alice" ex:nick="Al" xml:lang="en">\n' +
+        '    <ex:name>Alice &amp; co</ex:name>\n' +
+        '    <ex:age rdf:datatype="&xsd;integer">42</ex:age>\n' +
+        '    <ex:motto xml:lang="">none</ex:motto>\n' +
+        '    <ex:knows rdf:nodeID="bob"/>\n' +
+        '    <ex:homepage rdf:resource="/alice"/>\n' +
+        '  </ex:Person>\n' +
+        '  <rdf:Description rdf:nodeID="bob" ex:name="Bob"/>\n' +
+        '</rdf:RDF>\n');
+      assert.equal(nquads,
+        '<http://example.org/base/alice> <http://example.org/age> ' +
+        '"42"^^<http://www.w3.org/2001/XMLSchema#integer> .\n' +
+        '<http://example.org/base/alice> <http://example.org/homepage> ' +
+        '<http://example.org/alice> .\n' +
+        '<http://example.org/base/alice> <http://example.org/knows> _:b0 .\n' +
+        '<http://example.org/base/alice> <http://example.org/motto> ' +
+        '"none" .\n' +
+        '<http://example.org/base/alice> <http://example.org/name> ' +
+        '"Alice & co"@en .\n' +
+        '<http://example.org/base/alice> <http://example.org/nick> ' +
+        '"Al"@en .\n' +
+        '<http://example.org/base/alice> <' + RDF + 'type> ' +
+        '<http://example.org/Person> .\n' +
+        '_:b0 <http://example.org/name> "Bob" .\n');
+    });
+
+    it('should resolve relative IRIs against the base option',
+      async function() {
+        const xml =
+          '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"\n' +
+          '    xmlns:ex="http://example.org/">\n' +
+          '  <rdf:Description rdf:about="a">\n' +
+          '    <ex:p rdf:ID="st" rdf:resource="#b"/>\n' +
+          '  </rdf:Description>\n' +
+          '  <rdf:Description rdf:about="c" xml:base="/other/">\n' +
+          '    <ex:p rdf:resource="d"/>\n' +
+          '  </rdf:Description>\n' +
+          '</rdf:RDF>\n';
+        const nquads = await jsonld.toRDF(await jsonld.fromRDF(xml, {
+          format: 'application/rdf+xml',
+          base: 'http://example.org/dir/doc'
+        }), {format: 'application/n-quads'});
+        assert.equal(nquads,
+          '<http://example.org/dir/a> <http://example.org/p> ' +
+          '<http://example.org/dir/doc#b> .\n' +
+          '<http://example.org/dir/doc#st> <' + RDF + 'object> ' +
+          '<http://example.org/dir/doc#b> .\n' +
+          '<http://example.org/dir/doc#st> <' + RDF + 'predicate> ' +
+          '<http://example.org/p> .\n' +
+          '<http://example.org/dir/doc#st> <' + RDF + 'subject> ' +
+          '<http://example.org/dir/a> .\n' +
+          '<http://example.org/dir/doc#st> <' + RDF + 'type> ' +
+          '<' + RDF + 'Statement> .\n' +
+          '<http://example.org/other/c> <http://example.org/p> ' +
+          '<http://example.org/other/d> .\n');
+      });
+
+    it('should parse parse types and containers', async function() {
+      const nquads = await _toNQuads(
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"\n' +
+        '    xmlns:ex="http://example.org/">\n' +
+        '  <rdf:Description rdf:about="http://example.org/a">\n' +
+        '    <ex:address rdf:parseType="Resource">\n' +
+        '      <ex:city>Paris</ex:city>\n' +
+        '    </ex:address>\n' +
+        '    <ex:bio rdf:parseType="Literal"><b>bold</b> text</ex:bio>\n' +
+        '    <ex:list rdf:parseType="Collection">\n' +
+        '      <rdf:Description rdf:about="http://example.org/x"/>\n' +
+        '    </ex:list>\n' +
+        '    <ex:seq>\n' +
+        '      <rdf:Seq><rdf:li>one</rdf:li><rdf:li>two</rdf:li></rdf:Seq>\n' +
+        '    </ex:seq>\n' +
+        '  </rdf:Description>\n' +
+        '</rdf:RDF>\n');
+      assert.equal(nquads,
+        '<http://example.org/a> <http://example.org/address> _:b0 .\n' +
+        '<http://example.org/a> <http://example.org/bio> ' +
+        '"<b>bold</b> text"^^<' + RDF + 'XMLLiteral> .\n' +
+        '<http://example.org/a> <http://example.org/list> _:b2 .\n' +
+        '<http://example.org/a> <http://example.org/seq> _:b1 .\n' +
+        '_:b0 <http://example.org/city> "Paris" .\n' +
+        '_:b1 <' + RDF + '_1> "one" .\n' +
+        '_:b1 <' + RDF + '_2> "two" .\n' +
+        '_:b1 <' + RDF + 'type> <' + RDF + 'Seq> .\n' +
+        '_:b2 <' + RDF + 'first> <http://example.org/x> .\n' +
+        '_:b2 <' + RDF + 'rest> <' + RDF + 'nil> .\n');
+    });
+
+    it('should report the line and column of errors', async function() {
+      await assert.rejects(_toNQuads(
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\n' +
+        '  <rdf:li/>\n' +
+        '</rdf:RDF>\n'), e => {
+        assert.equal(e.name, 'jsonld.SyntaxError');
+        assert.equal(e.message,
+          'RDF/XML parse error on line 2, column 3; "rdf:li" is not a valid ' +
+          'node element.');
+        assert.deepEqual(e.details, {
+          code: 'invalid RDF syntax',
+          format: 'rdf+xml',
+          line: 2,
+          column: 3
+        });
+        return true;
+      });
+    });
+
+    it('should report XML errors', async function() {
+      await assert.rejects(_toNQuads(
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\n' +
+        '  <ex:a/>\n' +
+        '</rdf:RDF>\n'), e => {
+        assert.deepEqual(e.details, {code: 'invalid XML', line: 2, column: 3});
+        return true;
+      });
+    });
+
+    it('should limit the expansion of nested entities', async function() {
+      // each entity references the previous one ten times
+      let entities = '<!ENTITY lol0 "lol">\n';
+      for(let i = 1; i < 8; ++i) {
+        entities += `<!ENTITY lol${i} "${`&lol${i - 1};`.repeat(10)}">\n`;
+      }
+      await assert.rejects(_toNQuads(
+        `<!DOCTYPE rdf:RDF [\n${entities}]>\n` +
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"\n' +
+        '  xmlns:ex="http://example.org/">\n' +
+        '  <rdf:Description ex:p="&lol7;"/>\n' +
+        '</rdf:RDF>\n'), e => {
+        assert.equal(e.details.code, 'invalid XML');
+        assert.match(e.message, /entities expand to more than/);
+        return true;
+      });
+    });
+  });
+});
@@ -1,6 +1,9 @@
-const cors = require('cors');
-const express = require('express');
-const path = require('path');
+import cors from 'cors';
+import express from 'express';
+import path from 'path';
+import {fileURLToPath} from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
 
@@ -8,6 +11,24 @@ app.use(cors());
 app.use(express.static(path.resolve(path.join(__dirname, 'contexts'))));
 
 const port = 8000;
-app.listen(port, function() {
-  console.log('Remote context test server running on port ' + port + '...');
+
+/**
+ * Starts the remote context server.
+ *
+ * @return a Promise that resolves to the listening `http.Server`.
+ */
+const listen = () => new Promise(resolve => {
+  const server = app.listen(port, function() {
+    resolve(server);
+  });
 });
+
+// run standalone when executed directly
+if(process.argv[1] && path.resolve(process.argv[1]) ===
+  fileURLToPath(import.meta.url)) {
+  listen().then(() => {
+    console.log('Remote context test server running on port ' + port + '...');
+  });
+}
+
+export { app, port, listen };
@@ -0,0 +1,261 @@
+/**
+ * Tests for safe mode.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+// assert that a promise rejects with a safe mode validation error
+async function _assertUnsafe(promise, {code, property, path}) {
+  await assert.rejects(promise, e => {
+    assert.equal(e.name, 'jsonld.ValidationError');
+    assert.equal(e.details.code, code);
+    if(property !== undefined) {
+      assert.equal(e.details.property, property);
+    }
+    if(path !== undefined) {
+      assert.equal(e.details.path, path);
+    }
+    return true;
+  });
+}
+
+describe('safe mode', function() {
+  describe('expand', function() {
+    it('should reject properties that do not expand', async function() {
+      const doc = {
+        '@context': {name: 'http://schema.org/name'},
+        '@id': 'http://example.org/a',
+        knows: [{name: 'Bob', nickname: 'bob'}]
+      };
+      // dropped without safe mode, leaving a free-floating node
+      assert.deepEqual(await jsonld.expand(doc), []);
+      await _assertUnsafe(jsonld.expand(doc, {safe: true}), {
+        code: 'invalid property',
+        property: 'knows',
+        path: '/knows'
+      });
+      delete doc.knows;
+      doc['http://example.org/knows'] = [{name: 'Bob', nickname: 'bob'}];
+      await _assertUnsafe(jsonld.expand(doc, {safe: true}), {
+        code: 'invalid property',
+        property: 'nickname',
+        path: '/http:~1~1example.org~1knows/0/nickname'
+      });
+    });
+
+    it('should reject relative @id and @type references', async function() {
+      await _assertUnsafe(jsonld.expand({
+        '@id': 'a',
+        'http://example.org/p': 'value'
+      }, {safe: true}), {
+        code: 'relative @id reference',
+        property: '@id',
+        path: '/@id'
+      });
+      await _assertUnsafe(jsonld.expand({
+        '@context': {
+          ref: {'@id': 'http://example.org/ref', '@type': '@id'}
+        },
+        ref: ['http://example.org/b', 'c']
+      }, {safe: true}), {
+        code: 'relative @id reference',
+        property: 'ref',
+        path: '/ref/1'
+      });
+      await _assertUnsafe(jsonld.expand({
+        '@type': 'Person',
+        'http://example.org/p': 'value'
+      }, {safe: true}), {
+        code: 'relative @type reference',
+        property: '@type',
+        path: '/@type'
+      });
+    });
+
+    it('should allow relative references with a base', async function() {
+      const expanded = await jsonld.expand({
+        '@id': 'a',
+        'http://example.org/p': 'value'
+      }, {safe: true, base: 'http://example.org/'});
+      assert.deepEqual(expanded, [{
+        '@id': 'http://example.org/a',
+        'http://example.org/p': [{'@value': 'value'}]
+      }]);
+    });
+
+    it('should reject dropped values and objects', async function() {
+      await _assertUnsafe(jsonld.expand({
+        '@graph': ['scalar', {'@id': 'http://example.org/a'}]
+      }, {safe: true}), {code: 'free-floating scalar', path: '/@graph/0'});
+      await _assertUnsafe(jsonld.expand({
+        '@graph': [{'@id': 'http://example.org/a'}]
+      }, {safe: true}), {code: 'object with only @id', path: '/@graph/0'});
+      await _assertUnsafe(jsonld.expand({
+        '@context': {'@vocab': 'http://example.org/'}
+      }, {safe: true}), {code: 'empty object', path: ''});
+      await _assertUnsafe(jsonld.expand({
+        'http://example.org/p': {'@value': null}
+      }, {safe: true}), {
+        code: 'null @value value',
+        property: 'http://example.org/p',
+        path: '/http:~1~1example.org~1p'
+      });
+      await _assertUnsafe(jsonld.expand({
+        'http://example.org/p': {'@language': 'en'}
+      }, {safe: true}), {code: 'object with only @language'});
+    });
+
+    it('should reject reserved terms and values', async function() {
+      await _assertUnsafe(jsonld.expand({
+        '@context': {'@reserved': 'http://example.org/reserved'},
+        'http://example.org/p': 'value'
+      }, {safe: true}), {code: 'reserved term', property: '@reserved'});
+      await _assertUnsafe(jsonld.expand({
+        '@id': '@reserved',
+        'http://example.org/p': 'value'
+      }, {safe: true}), {code: 'reserved @id value'});
+    });
+
+    it('should reject invalid language tags', async function() {
+      const doc = {
+        'http://example.org/p': {'@value': 'x', '@language': 'en_US!'}
+      };
+      // kept without safe mode
+      assert.deepEqual(await jsonld.expand(doc), [{
+        'http://example.org/p': [{'@value': 'x', '@language': 'en_us!'}]
+      }]);
+      await _assertUnsafe(jsonld.expand(doc, {safe: true}), {
+        code: 'invalid @language value',
+        path: '/http:~1~1example.org~1p/@language'
+      });
+      await _assertUnsafe(jsonld.expand({
+        '@context': {
+          label: {'@id': 'http://example.org/label', '@container': '@language'}
+        },
+        label: {en: 'x', 'en US': 'y'}
+      }, {safe: true}), {
+        code: 'invalid @language value',
+        path: '/label/en US'
+      });
+    });
+
+    it('should pass other events to the event handler', async function() {
+      const codes = [];
+      const expanded = await jsonld.expand({
+        '@context': {'@base': 'http://example.org/'},
+        '@id': 'a',
+        'http://example.org/p': 'value'
+      }, {
+        safe: true,
+        eventHandler: ({event}) => codes.push(event.code)
+      });
+      assert.deepEqual(expanded, [{
+        '@id': 'http://example.org/a',
+        'http://example.org/p': [{'@value': 'value'}]
+      }]);
+      assert.deepEqual(codes, ['relative IRI resolved']);
+    });
+
+    it('should allow documents without dropped data', async function() {
+      const doc = {
+        '@context': {
+          '@vocab': 'http://schema.org/',
+          knows: {'@type': '@id'}
+        },
+        '@id': 'http://example.org/a',
+        '@type': 'Person',
+        name: null,
+        knows: ['http://example.org/b', null],
+        description: {'@value': 'text', '@language': null}
+      };
+      assert.deepEqual(
+        await jsonld.expand(doc, {safe: true}), await jsonld.expand(doc));
+    });
+  });
+
+  describe('compact', function() {
+    it('should reject data dropped by expansion', async function() {
+      await _assertUnsafe(jsonld.compact({
+        '@id': 'http://example.org/a',
+        nickname: 'bob'
+      }, {'@vocab': 'http://example.org/'}, {safe: true}), {
+        code: 'invalid property',
+        property: 'nickname'
+      });
+    });
+
+    it('should reject values that compact to null', async function() {
+      const ctx = {
+        data: {'@id': 'http://example.org/data', '@type': '@json'}
+      };
+      const doc = [{
+        '@id': 'http://example.org/a',
+        'http://example.org/data': [{
+          '@list': [{'@value': null, '@type': '@json'}]
+        }]
+      }];
+      await _assertUnsafe(jsonld.compact(doc, ctx, {safe: true}), {
+        code: 'null compacted value',
+        property: 'data',
+        path: '/0/http:~1~1example.org~1data/0/@list/0'
+      });
+    });
+  });
+
+  describe('toRDF', function() {
+    it('should reject data dropped by expansion', async function() {
+      await _assertUnsafe(jsonld.toRDF({
+        '@id': 'a',
+        'http://example.org/p': 'value'
+      }, {safe: true}), {code: 'relative @id reference'});
+    });
+
+    it('should reject blank node predicates', async function() {
+      const doc = {
+        '@id': 'http://example.org/a',
+        '_:p': 'value'
+      };
+      assert.deepEqual(await jsonld.toRDF(doc), []);
+      await _assertUnsafe(
+        jsonld.toRDF(doc, {safe: true}), {code: 'blank node predicate'});
+      const dataset = await jsonld.toRDF(doc, {
+        safe: true,
+        produceGeneralizedRdf: true
+      });
+      assert.equal(dataset.length, 1);
+    });
+
+    it('should reject relative IRIs in expanded input', async function() {
+      await _assertUnsafe(jsonld.toRDF([{
+        '@id': 'http://example.org/a',
+        'http://example.org/p': [{'@id': 'b'}]
+      }], {safe: true, skipExpansion: true}), {
+        code: 'relative object reference',
+        property: 'http://example.org/p'
+      });
+    });
+  });
+
+  describe('canonize', function() {
+    it('should reject dropped data', async function() {
+      const doc = {
+        '@context': {name: 'http://schema.org/name'},
+        '@id': 'http://example.org/a',
+        name: 'Alice',
+        nickname: 'alice'
+      };
+      const options = {
+        algorithm: 'URDNA2015',
+        format: 'application/n-quads'
+      };
+      assert.equal(
+        await jsonld.canonize(doc, options),
+        '<http://example.org/a> <http://schema.org/name> "Alice" .\n');
+      await _assertUnsafe(jsonld.canonize(doc, {...options, safe: true}), {
+        code: 'invalid property',
+        property: 'nickname',
+        path: '/nickname'
+      });
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Tests for the static document loader and the well-known contexts pack.
+ */
+import assert from 'assert';
+import fs from 'fs';
+import jsonld from '../lib/index.js';
+import os from 'os';
+import path from 'path';
+import {contexts} from '../lib/contexts/index.js';
+
+const _url = 'https://example.com/context';
+const _document = {'@context': {term1: 'http://example.org/term1'}};
+
+// a document loader that must not be used
+function _offline(url) {
+  throw new Error(`Unexpected request for "${url}".`);
+}
+
+describe('static document loader', function() {
+  it('should load documents from an object', async function() {
+    const loader = jsonld.documentLoaders.static({
+      documents: {[_url]: _document}
+    });
+    const remoteDoc = await loader(_url);
+    assert.deepEqual(remoteDoc, {
+      contextUrl: null,
+      documentUrl: _url,
+      document: _document,
+      tag: 'static'
+    });
+    // documents are copied
+    remoteDoc.document['@context'] = 'changed';
+    assert.deepEqual((await loader(_url)).document, _document);
+  });
+
+  it('should load documents from a Map of JSON strings', async function() {
+    const loader = jsonld.documentLoaders.static({
+      documents: new Map([[_url, JSON.stringify(_document)]])
+    });
+    assert.deepEqual((await loader(_url)).document, _document);
+  });
+
+  it('should fail for invalid JSON strings', async function() {
+    const loader = jsonld.documentLoaders.static({
+      documents: {[_url]: '{'}
+    });
+    await assert.rejects(loader(_url), e => {
+      assert.equal(e.name, 'jsonld.LoadDocumentError');
+      assert.equal(e.details.url, _url);
+      assert.ok(e.details.cause instanceof SyntaxError);
+      return true;
+    });
+  });
+
+  it('should fail for unknown URLs without a fallback', async function() {
+    const loader = jsonld.documentLoaders.static({
+      documents: {[_url]: _document}
+    });
+    await assert.rejects(loader('https://example.com/other'), {
+      name: 'jsonld.LoadDocumentError',
+      details: {
+        code: 'loading document failed',
+        url: 'https://example.com/other'
+      }
+    });
+  });
+
+  it('should use the fallback document loader', async function() {
+    const requests = [];
+    const loader = jsonld.documentLoaders.static({
+      documents: {[_url]: _document},
+      documentLoader: async (url, options) => {
+        requests.push({url, options});
+        return {contextUrl: null, documentUrl: url, document: {}};
+      }
+    });
+    await loader(_url);
+    const options = {headers: {'if-none-match': '"v1"'}};
+    const remoteDoc = await loader('https://example.com/other', options);
+    assert.deepEqual(remoteDoc.document, {});
+    assert.deepEqual(requests, [{url: 'https://example.com/other', options}]);
+  });
+
+  it('should resolve static contexts once', async function() {
+    let loads = 0;
+    const url = 'https://example.com/static-once';
+    const loader = jsonld.documentLoaders.static({
+      documents: {[url]: _document}
+    });
+    const documentLoader = url => {
+      loads++;
+      return loader(url);
+    };
+    const doc = {'@context': url, term1: 'foo'};
+    await jsonld.expand(doc, {documentLoader});
+    const expanded = await jsonld.expand(doc, {documentLoader});
+    assert.deepEqual(expanded, [{
+      'http://example.org/term1': [{'@value': 'foo'}]
+    }]);
+    assert.equal(loads, 1);
+  });
+
+  describe('directory', function() {
+    let _directory;
+
+    before(function() {
+      _directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jsonld-static-'));
+      const write = (file, data) => {
+        file = path.join(_directory, file);
+        fs.mkdirSync(path.dirname(file), {recursive: true});
+        fs.writeFileSync(file, JSON.stringify(data));
+      };
+      write('example.com/context.jsonld', _document);
+      write('example.com/plain', {'@context': {term2: 'urn:term2'}});
+      write('example.com/data/index.json', {'@context': {term3: 'urn:t3'}});
+      write('example.com:8080/context.json', {'@context': {term4: 'urn:t4'}});
+    });
+
+    after(function() {
+      fs.rmSync(_directory, {recursive: true, force: true});
+    });
+
+    it('should load documents mirrored as files', async function() {
+      const loader = jsonld.documentLoaders.static({directory: _directory});
+      assert.deepEqual((await loader(_url)).document, _document);
+      assert.deepEqual(
+        (await loader('https://example.com/plain')).document,
+        {'@context': {term2: 'urn:term2'}});
+      assert.deepEqual(
+        (await loader('http://example.com/data/')).document,
+        {'@context': {term3: 'urn:t3'}});
+      assert.deepEqual(
+        (await loader('https://example.com:8080/context')).document,
+        {'@context': {term4: 'urn:t4'}});
+    });
+
+    it('should prefer documents over files', async function() {
+      const loader = jsonld.documentLoaders.static({
+        directory: _directory,
+        documents: {[_url]: {'@context': {}}}
+      });
+      assert.deepEqual((await loader(_url)).document, {'@context': {}});
+    });
+
+    it('should not read files outside the directory', async function() {
+      const loader = jsonld.documentLoaders.static({directory: _directory});
+      for(const url of [
+        'https://example.com/../../etc/passwd',
+        'https://example.com/%2e%2e/%2e%2e/etc/passwd',
+        'http://../secret.json',
+        'http://%2e%2e/secret.json',
+        'http://./secret.json',
+        'file:///etc/passwd'
+      ]) {
+        await assert.rejects(loader(url), {name: 'jsonld.LoadDocumentError'});
+      }
+    });
+
+    it('should fail without a file reader', function() {
+      assert.throws(() => jsonld.documentLoaders.static({
+        directory: _directory,
+        readFile: null
+      }), TypeError);
+    });
+  });
+});
+
+describe('well-known contexts pack', function() {
+  it('should contain frozen contexts', function() {
+    assert.ok(contexts.has('https://www.w3.org/2018/credentials/v1'));
+    for(const context of contexts.values()) {
+      assert.ok(Object.isFrozen(context));
+      assert.ok(Object.isFrozen(context['@context']));
+    }
+    assert.throws(() => contexts.set(_url, _document), TypeError);
+    assert.throws(() => contexts.delete(_url), TypeError);
+  });
+
+  it('should expand a credential without the network', async function() {
+    const documentLoader = jsonld.documentLoaders.static({
+      documents: contexts,
+      documentLoader: _offline
+    });
+    const credential = {
+      '@context': 'https://www.w3.org/2018/credentials/v1',
+      id: 'urn:uuid:1',
+      type: ['VerifiableCredential'],
+      issuer: 'did:example:issuer',
+      issuanceDate: '2021-01-01T00:00:00Z',
+      credentialSubject: {id: 'did:example:subject'}
+    };
+    const expanded = await jsonld.expand(credential, {documentLoader});
+    assert.deepEqual(expanded, [{
+      '@id': 'urn:uuid:1',
+      '@type': ['https://www.w3.org/2018/credentials#VerifiableCredential'],
+      'https://www.w3.org/2018/credentials#credentialSubject': [
+        {'@id': 'did:example:subject'}
+      ],
+      'https://www.w3.org/2018/credentials#issuanceDate': [{
+        '@type': 'http://www.w3.org/2001/XMLSchema#dateTime',
+        '@value': '2021-01-01T00:00:00Z'
+      }],
+      'https://www.w3.org/2018/credentials#issuer': [
+        {'@id': 'did:example:issuer'}
+      ]
+    }]);
+  });
+
+  it('should resolve every context in the pack', async function() {
+    const documentLoader = jsonld.documentLoaders.static({
+      documents: contexts,
+      documentLoader: _offline
+    });
+    for(const url of contexts.keys()) {
+      await jsonld.processContext(
+        await jsonld.processContext(null, null), url, {documentLoader});
+    }
+  });
+
+  it('should expand schema.org data without the network', async function() {
+    const documentLoader = jsonld.documentLoaders.static({
+      documents: contexts,
+      documentLoader: _offline
+    });
+    const expanded = await jsonld.expand({
+      '@context': 'https://schema.org',
+      '@type': 'Event',
+      name: 'Launch',
+      startDate: '2021-01-01',
+      url: 'https://example.com/launch'
+    }, {documentLoader});
+    assert.deepEqual(expanded, [{
+      '@type': ['http://schema.org/Event'],
+      'http://schema.org/name': [{'@value': 'Launch'}],
+      'http://schema.org/startDate': [
+        {'@type': 'http://schema.org/Date', '@value': '2021-01-01'}
+      ],
+      'http://schema.org/url': [{'@id': 'https://example.com/launch'}]
+    }]);
+  });
+
+  it('should compact activities without the network', async function() {
+    const documentLoader = jsonld.documentLoaders.static({
+      documents: contexts,
+      documentLoader: _offline
+    });
+    const context = 'https://www.w3.org/ns/activitystreams';
+    const activity = {
+      '@context': context,
+      type: 'Note',
+      content: 'Hello'
+    };
+    const compacted = await jsonld.compact(
+      activity, context, {documentLoader});
+    assert.deepEqual(compacted, activity);
+  });
+});
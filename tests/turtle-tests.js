@@ -0,0 +1,371 @@
+/**
+ * Tests for Turtle, TriG and N-Triples.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+// assert that Turtle or TriG output parses to the same dataset as N-Quads
+async function _assertRoundTrip(input, format) {
+  const text = await jsonld.toRDF(input, {format});
+  const nquads = await jsonld.toRDF(input, {format: 'application/n-quads'});
+  assert.deepEqual(
+    await jsonld.fromRDF(text, {format}),
+    await jsonld.fromRDF(nquads, {format: 'application/n-quads'}));
+}
+
+describe('Turtle', function() {
+  describe('toRDF', function() {
+    it('should abbreviate IRIs with the context prefixes', async function() {
+      const turtle = await jsonld.toRDF({
+        '@context': {
+          '@vocab': 'http://schema.org/',
+          ex: 'http://example.org/',
+          xsd: 'http://www.w3.org/2001/XMLSchema#'
+        },
+        '@id': 'ex:alice',
+        '@type': 'Person',
+        name: ['Alice', {'@value': 'Alicia', '@language': 'es'}],
+        birthDate: {'@value': '1980-01-01', '@type': 'xsd:date'},
+        url: {'@id': 'http://other.example/alice'}
+      }, {format: 'text/turtle'});
+      assert.equal(turtle,
+        '@prefix : <http://schema.org/> .\n' +
+        '@prefix ex: <http://example.org/> .\n' +
+        '@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .\n' +
+        '\n' +
+        'ex:alice a :Person ;\n' +
+        '  :birthDate "1980-01-01"^^xsd:date ;\n' +
+        '  :name "Alice", "Alicia"@es ;\n' +
+        '  :url <http://other.example/alice> .\n');
+    });
+
+    it('should use the expandContext prefixes', async function() {
+      const turtle = await jsonld.toRDF({
+        '@id': 'ex:a',
+        'ex:p': 'value'
+      }, {
+        format: 'text/turtle',
+        expandContext: {ex: 'http://example.org/'}
+      });
+      assert.equal(turtle,
+        '@prefix ex: <http://example.org/> .\n' +
+        '\n' +
+        'ex:a ex:p "value" .\n');
+    });
+
+    it('should write numbers, booleans and escaped strings', async function() {
+      const turtle = await jsonld.toRDF({
+        '@id': 'http://example.org/a',
+        'http://example.org/p': [
+          42, 1.5, true, 'say "hi"\n',
+          {
+            '@value': '1.50',
+            '@type': 'http://www.w3.org/2001/XMLSchema#decimal'
+          }
+        ]
+      }, {format: 'text/turtle'});
+      assert.equal(turtle,
+        '<http://example.org/a> <http://example.org/p> 42, 1.5E0, true, ' +
+        '"say \\"hi\\"\\n", 1.50 .\n');
+    });
+
+    it('should nest blank nodes and lists', async function() {
+      const turtle = await jsonld.toRDF({
+        '@context': {
+          ex: 'http://example.org/',
+          list: {'@id': 'ex:list', '@container': '@list'}
+        },
+        '@id': 'ex:a',
+        'ex:knows': {'ex:name': 'Bob'},
+        list: ['a', {'ex:name': 'c'}],
+        'ex:empty': {'@list': []}
+      }, {format: 'text/turtle'});
+      assert.equal(turtle,
+        '@prefix ex: <http://example.org/> .\n' +
+        '\n' +
+        'ex:a ex:empty () ;\n' +
+        '  ex:knows [\n' +
+        '    ex:name "Bob"\n' +
+        '  ] ;\n' +
+        '  ex:list ( "a" [\n' +
+        '    ex:name "c"\n' +
+        '  ] ) .\n');
+    });
+
+    it('should label shared and cyclic blank nodes', async function() {
+      const turtle = await jsonld.toRDF([
+        {'@id': '_:a', 'http://example.org/p': {'@id': '_:b'}},
+        {'@id': '_:b', 'http://example.org/p': {'@id': '_:a'}},
+        {'@id': 'http://example.org/c', 'http://example.org/p': {'@id': '_:d'}},
+        {'@id': 'http://example.org/e', 'http://example.org/p': {'@id': '_:d'}}
+      ], {format: 'text/turtle'});
+      assert.equal(turtle,
+        '<http://example.org/c> <http://example.org/p> _:b2 .\n' +
+        '\n' +
+        '<http://example.org/e> <http://example.org/p> _:b2 .\n' +
+        '\n' +
+        '_:b0 <http://example.org/p> [\n' +
+        '    <http://example.org/p> _:b0\n' +
+        '  ] .\n');
+    });
+
+    it('should reject named graphs', async function() {
+      await assert.rejects(jsonld.toRDF({
+        '@id': 'http://example.org/g',
+        '@graph': {'@id': 'http://example.org/a', 'http://example.org/p': 'v'}
+      }, {format: 'text/turtle'}), e => {
+        assert.equal(e.details.code, 'named graph in turtle');
+        return true;
+      });
+    });
+
+    it('should round-trip through fromRDF', async function() {
+      await _assertRoundTrip({
+        '@context': {
+          ex: 'http://example.org/',
+          list: {'@id': 'ex:list', '@container': '@list'}
+        },
+        '@id': 'ex:a',
+        '@type': 'ex:T',
+        'ex:knows': {'ex:name': {'@value': 'Bob', '@language': 'en'}},
+        list: [1, 2.5, false, {'ex:name': 'c'}],
+        'ex:text': 'multi\nline "quoted"'
+      }, 'text/turtle');
+    });
+  });
+
+  describe('fromRDF', function() {
+    it('should parse directives and abbreviations', async function() {
+      const nquads = await jsonld.toRDF(await jsonld.fromRDF(
+        '@prefix ex: <http://example.org/> .\n' +
+        'PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>\n' +
+        '@base <http://example.org/base/> .\n' +
+        '# a comment\n' +
+        '<a> a ex:T ;\n' +
+        '  ex:p 1, -2.5, 1e3, true, "x"@en, \'y\'^^xsd:date ;\n' +
+        '  ex:q """two\nlines""", "\\u00e9" .\n',
+        {format: 'text/turtle'}), {format: 'application/n-quads'});
+      assert.equal(nquads,
+        '<http://example.org/base/a> <http://example.org/p> ' +
+        '"-2.5"^^<http://www.w3.org/2001/XMLSchema#decimal> .\n' +
+        '<http://example.org/base/a> <http://example.org/p> ' +
+        '"1"^^<http://www.w3.org/2001/XMLSchema#integer> .\n' +
+        '<http://example.org/base/a> <http://example.org/p> ' +
+        '"1.0E3"^^<http://www.w3.org/2001/XMLSchema#double> .\n' +
+        '<http://example.org/base/a> <http://example.org/p> ' +
+        '"true"^^<http://www.w3.org/2001/XMLSchema#boolean> .\n' +
+        '<http://example.org/base/a> <http://example.org/p> "x"@en .\n' +
+        '<http://example.org/base/a> <http://example.org/p> ' +
+        '"y"^^<http://www.w3.org/2001/XMLSchema#date> .\n' +
+        '<http://example.org/base/a> <http://example.org/q> "two\\nlines" .\n' +
+        '<http://example.org/base/a> <http://example.org/q> "\u00e9" .\n' +
+        '<http://example.org/base/a> ' +
+        '<http://www.w3.org/1999/02/22-rdf-syntax-ns#type> ' +
+        '<http://example.org/T> .\n');
+    });
+
+    it('should parse collections and blank nodes', async function() {
+      const doc = await jsonld.fromRDF(
+        '@prefix ex: <http://example.org/> .\n' +
+        'ex:a ex:list ( 1 [ ex:p "v" ] ) ; ex:empty () .\n' +
+        '[ ex:p _:x ] .\n' +
+        '_:x ex:p [] .\n',
+        {format: 'text/turtle'});
+      assert.deepEqual(doc, [{
+        '@id': '_:b0',
+        'http://example.org/p': [{'@value': 'v'}]
+      }, {
+        '@id': '_:b3',
+        'http://example.org/p': [{'@id': '_:b4'}]
+      }, {
+        '@id': '_:b4',
+        'http://example.org/p': [{'@id': '_:b5'}]
+      }, {
+        '@id': 'http://example.org/a',
+        'http://example.org/list': [{
+          '@list': [
+            {
+              '@value': '1',
+              '@type': 'http://www.w3.org/2001/XMLSchema#integer'
+            },
+            {'@id': '_:b0'}
+          ]
+        }],
+        'http://example.org/empty': [{'@list': []}]
+      }]);
+    });
+
+    it('should resolve relative IRIs against the base option',
+      async function() {
+        const doc = await jsonld.fromRDF('<a> <b> <c> .\n', {
+          format: 'text/turtle',
+          base: 'http://example.org/'
+        });
+        assert.deepEqual(doc, [{
+          '@id': 'http://example.org/a',
+          'http://example.org/b': [{'@id': 'http://example.org/c'}]
+        }]);
+        // @base is resolved against the base option
+        const nquads = await jsonld.toRDF(await jsonld.fromRDF(
+          '@base <d/> .\n<a> <b> <c> .\n',
+          {format: 'application/trig', base: 'http://example.org/'}),
+        {format: 'application/n-quads'});
+        assert.equal(nquads,
+          '<http://example.org/d/a> <http://example.org/d/b> ' +
+          '<http://example.org/d/c> .\n');
+      });
+
+    it('should reject relative IRIs without a base IRI', async function() {
+      await assert.rejects(jsonld.fromRDF(
+        '<http://example.org/a> <b> <c> .\n',
+        {format: 'text/turtle'}), e => {
+        assert.equal(e.name, 'jsonld.SyntaxError');
+        assert.equal(e.message,
+          'Turtle parse error on line 1, column 24; relative IRI "b" ' +
+          'without a base IRI, found "<b> <c> .".');
+        return true;
+      });
+    });
+
+    it('should report the line and column of errors', async function() {
+      await assert.rejects(jsonld.fromRDF(
+        '@prefix ex: <http://example.org/> .\n' +
+        'ex:a ex:p ex:b ;\n' +
+        '  foo:p ex:c .\n',
+        {format: 'text/turtle'}), e => {
+        assert.equal(e.name, 'jsonld.SyntaxError');
+        assert.equal(e.message,
+          'Turtle parse error on line 3, column 3; undefined prefix "foo:", ' +
+          'found "foo:p ex:c".');
+        assert.deepEqual(e.details, {
+          code: 'invalid RDF syntax',
+          format: 'turtle',
+          line: 3,
+          column: 3
+        });
+        return true;
+      });
+    });
+  });
+});
+
+describe('TriG', function() {
+  describe('toRDF', function() {
+    it('should write named graphs', async function() {
+      const trig = await jsonld.toRDF({
+        '@context': {ex: 'http://example.org/'},
+        '@id': 'ex:g',
+        'ex:p': 'in default graph',
+        '@graph': {'@id': 'ex:a', 'ex:q': {'ex:r': 'v'}}
+      }, {format: 'application/trig'});
+      assert.equal(trig,
+        '@prefix ex: <http://example.org/> .\n' +
+        '\n' +
+        'ex:g ex:p "in default graph" .\n' +
+        '\n' +
+        'ex:g {\n' +
+        '  ex:a ex:q [\n' +
+        '      ex:r "v"\n' +
+        '    ] .\n' +
+        '}\n');
+    });
+
+    it('should write a subject in each of its graphs', async function() {
+      const input = {
+        '@context': {ex: 'http://example.org/'},
+        '@graph': [{
+          '@id': 'ex:g1',
+          '@graph': {'@id': 'ex:s', 'ex:p': 'in g1', 'ex:q': {'ex:r': 'v'}}
+        }, {
+          '@id': 'ex:g2',
+          '@graph': {'@id': 'ex:s', 'ex:p': 'in g2', 'ex:q': {'ex:r': 'w'}}
+        }]
+      };
+      const trig = await jsonld.toRDF(input, {format: 'application/trig'});
+      assert.equal(trig,
+        '@prefix ex: <http://example.org/> .\n' +
+        '\n' +
+        'ex:g1 {\n' +
+        '  ex:s ex:p "in g1" ;\n' +
+        '    ex:q [\n' +
+        '      ex:r "v"\n' +
+        '    ] .\n' +
+        '}\n' +
+        '\n' +
+        'ex:g2 {\n' +
+        '  ex:s ex:p "in g2" ;\n' +
+        '    ex:q [\n' +
+        '      ex:r "w"\n' +
+        '    ] .\n' +
+        '}\n');
+      await _assertRoundTrip(input, 'application/trig');
+    });
+
+    it('should round-trip through fromRDF', async function() {
+      await _assertRoundTrip({
+        '@context': {ex: 'http://example.org/'},
+        '@id': 'ex:g',
+        'ex:p': 'in default graph',
+        '@graph': [
+          {'@id': 'ex:a', 'ex:q': {'ex:r': 'v'}},
+          {'@id': 'ex:b', 'ex:q': {'@list': ['x', 'y']}}
+        ]
+      }, 'application/trig');
+    });
+  });
+
+  describe('fromRDF', function() {
+    it('should parse named graphs', async function() {
+      const nquads = await jsonld.toRDF(await jsonld.fromRDF(
+        '@prefix ex: <http://example.org/> .\n' +
+        'ex:g { ex:a ex:p ex:b . ex:a ex:p ex:c }\n' +
+        'GRAPH _:g { ex:a ex:p "v" . }\n' +
+        '{ ex:d ex:p ex:e }\n' +
+        'ex:f ex:p ex:g .\n',
+        {format: 'application/trig'}), {format: 'application/n-quads'});
+      assert.equal(nquads,
+        '<http://example.org/a> <http://example.org/p> "v" _:b0 .\n' +
+        '<http://example.org/a> <http://example.org/p> ' +
+        '<http://example.org/b> <http://example.org/g> .\n' +
+        '<http://example.org/a> <http://example.org/p> ' +
+        '<http://example.org/c> <http://example.org/g> .\n' +
+        '<http://example.org/d> <http://example.org/p> ' +
+        '<http://example.org/e> .\n' +
+        '<http://example.org/f> <http://example.org/p> ' +
+        '<http://example.org/g> .\n');
+    });
+  });
+});
+
+describe('N-Triples', function() {
+  describe('fromRDF', function() {
+    it('should parse triples', async function() {
+      const doc = await jsonld.fromRDF(
+        '<http://example.org/a> <http://example.org/p> _:x .\n' +
+        '_:x <http://example.org/p> "v\\u00e9"@en .\n',
+        {format: 'application/n-triples'});
+      assert.deepEqual(doc, [{
+        '@id': '_:b0',
+        'http://example.org/p': [{'@value': 'v\u00e9', '@language': 'en'}]
+      }, {
+        '@id': 'http://example.org/a',
+        'http://example.org/p': [{'@id': '_:b0'}]
+      }]);
+    });
+
+    it('should reject Turtle abbreviations', async function() {
+      await assert.rejects(jsonld.fromRDF(
+        '<http://example.org/a> <http://example.org/p> "v" ;\n' +
+        '  <http://example.org/q> "w" .\n',
+        {format: 'application/n-triples'}), e => {
+        assert.deepEqual(e.details, {
+          code: 'invalid RDF syntax',
+          format: 'n-triples',
+          line: 1,
+          column: 51
+        });
+        return true;
+      });
+    });
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * Tests for URL policies.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+import * as remoteContextServer from './remote-context-server.js';
+
+const _context = {'@context': {term1: 'http://example.org/term1'}};
+
+// assert that a promise rejects with a URL policy violation
+async function _assertViolation(promise, url) {
+  await assert.rejects(promise, e => {
+    assert.equal(e.name, 'jsonld.UrlPolicyError');
+    assert.equal(e.details.code, 'url policy violation');
+    if(url) {
+      assert.equal(e.details.url, url);
+    }
+    return true;
+  });
+}
+
+// resolves any hostname to a public address, without network access
+const _lookup = async () => ['93.184.216.34'];
+
+// a document loader that returns the test context for any URL
+function _loader() {
+  const loader = async url => {
+    loader.requests.push(url);
+    return {contextUrl: null, documentUrl: url, document: _context};
+  };
+  loader.requests = [];
+  return loader;
+}
+
+describe('URL policy', function() {
+  describe('check', function() {
+    it('should allow public URLs by default', async function() {
+      const policy = new jsonld.UrlPolicy();
+      await policy.check('https://example.com/context');
+      await policy.check('http://93.184.216.34/context');
+      await policy.check('http://[2606:2800:220:1::]/context');
+    });
+
+    it('should deny other protocols', async function() {
+      const policy = new jsonld.UrlPolicy();
+      await _assertViolation(policy.check('file:///etc/passwd'));
+      await _assertViolation(policy.check('ftp://example.com/context'));
+      await _assertViolation(policy.check('relative/context'));
+    });
+
+    it('should only allow allowlisted URLs', async function() {
+      const policy = new jsonld.UrlPolicy({
+        allow: [
+          'w3id.org',
+          '*.example.org',
+          'https://example.com/contexts',
+          /^https:\/\/schema\.org\/$/
+        ]
+      });
+      for(const url of [
+        'https://w3id.org/security/v2',
+        'https://www.example.org/context',
+        'https://example.com/contexts',
+        'https://example.com/contexts/v1',
+        'https://schema.org/'
+      ]) {
+        await policy.check(url);
+      }
+      for(const url of [
+        'https://www.w3id.org/security/v2',
+        'https://example.org/context',
+        'https://example.com/contexts-evil/v1',
+        'https://example.com.evil.org/contexts/v1',
+        'http://example.com/contexts/v1',
+        'https://schema.org/Person'
+      ]) {
+        await _assertViolation(policy.check(url), url);
+      }
+    });
+
+    it('should deny denylisted URLs', async function() {
+      const policy = new jsonld.UrlPolicy({
+        allow: ['*.example.com'],
+        deny: ['internal.example.com', 'https://www.example.com/private/']
+      });
+      await policy.check('https://www.example.com/public/context');
+      await _assertViolation(
+        policy.check('https://internal.example.com/context'));
+      await _assertViolation(
+        policy.check('https://www.example.com/private/context'));
+    });
+
+    it('should deny private addresses', async function() {
+      const policy = new jsonld.UrlPolicy();
+      for(const url of [
+        'http://localhost:8000/context',
+        'http://api.localhost/context',
+        'http://127.0.0.1/context',
+        'http://2130706433/context',
+        'http://0x7f.1/context',
+        'http://10.1.2.3/context',
+        'http://172.20.0.1/context',
+        'http://192.168.1.1/context',
+        'http://169.254.169.254/latest/meta-data',
+        'http://100.64.0.1/context',
+        'http://0.0.0.0/context',
+        'http://[::1]/context',
+        'http://[::]/context',
+        'http://[::ffff:127.0.0.1]/context',
+        'http://[::127.0.0.1]/context',
+        'http://[64:ff9b::a00:1]/context',
+        'http://[fd00::1]/context',
+        'http://[fe80::1]/context'
+      ]) {
+        await _assertViolation(policy.check(url), url);
+      }
+      await new jsonld.UrlPolicy({allowPrivate: true})
+        .check('http://127.0.0.1/context');
+    });
+
+    it('should deny hostnames of private addresses', async function() {
+      const policy = new jsonld.UrlPolicy({
+        lookup: async hostname => ({
+          'public.example': ['93.184.216.34'],
+          'mixed.example': ['93.184.216.34', '::ffff:10.0.0.1'],
+          'private.example': ['192.168.0.10']
+        })[hostname] || Promise.reject(new Error('ENOTFOUND'))
+      });
+      await policy.check('https://public.example/context');
+      await _assertViolation(policy.check('https://mixed.example/context'));
+      await _assertViolation(policy.check('https://private.example/context'));
+    });
+
+    it('should deny hostnames that cannot be resolved', async function() {
+      const error = new Error('EAI_AGAIN');
+      const policy = new jsonld.UrlPolicy({
+        lookup: async () => Promise.reject(error)
+      });
+      await assert.rejects(policy.check('https://example.com/context'), e => {
+        assert.equal(e.name, 'jsonld.UrlPolicyError');
+        assert.equal(e.details.code, 'url policy violation');
+        assert.equal(e.details.cause, error);
+        return true;
+      });
+      const documentLoader = _loader();
+      await assert.rejects(jsonld.expand(
+        {'@context': 'https://example.com/context'},
+        {documentLoader, urlPolicy: policy}));
+      assert.equal(documentLoader.requests.length, 0);
+      // addresses are not resolved when private addresses are allowed
+      await new jsonld.UrlPolicy({allowPrivate: true, lookup: async () => {
+        throw error;
+      }}).check('https://example.com/context');
+    });
+
+    it('should resolve hostnames in Node.js', async function() {
+      let urlPolicy;
+      await jsonld.expand({'@context': 'https://example.com/context'}, {
+        documentLoader: async (url, options) => {
+          urlPolicy = options.urlPolicy;
+          return {contextUrl: null, documentUrl: url, document: _context};
+        },
+        urlPolicy: {allowPrivate: true}
+      });
+      // `localhost` resolves without network access
+      const addresses = await urlPolicy.lookup('localhost');
+      assert.ok(addresses.some(a => a === '127.0.0.1' || a === '::1'));
+    });
+  });
+
+  describe('processing', function() {
+    it('should not dereference denied contexts when expanding',
+      async function() {
+        const documentLoader = _loader();
+        const url = 'http://169.254.169.254/latest/meta-data';
+        await _assertViolation(
+          jsonld.expand({'@context': url, term1: 'foo'},
+            {documentLoader, urlPolicy: {}}),
+          url);
+        assert.deepEqual(documentLoader.requests, []);
+      });
+
+    it('should dereference allowed contexts', async function() {
+      const documentLoader = _loader();
+      const url = 'https://example.com/context';
+      const expanded = await jsonld.expand({'@context': url, term1: 'foo'}, {
+        documentLoader,
+        urlPolicy: new jsonld.UrlPolicy({allow: ['example.com']})
+      });
+      assert.deepEqual(expanded, [{
+        'http://example.org/term1': [{'@value': 'foo'}]
+      }]);
+      assert.deepEqual(documentLoader.requests, [url]);
+    });
+
+    it('should apply to documents, compaction, framing and toRDF',
+      async function() {
+        const documentLoader = _loader();
+        const urlPolicy = {allow: ['example.com']};
+        const denied = 'https://example.org/context';
+        const doc = {'@context': denied, term1: 'foo'};
+        await _assertViolation(
+          jsonld.expand(denied, {documentLoader, urlPolicy}), denied);
+        await _assertViolation(
+          jsonld.compact(doc, {}, {documentLoader, urlPolicy}), denied);
+        await _assertViolation(
+          jsonld.compact({}, denied, {documentLoader, urlPolicy}), denied);
+        await _assertViolation(
+          jsonld.frame(doc, {}, {documentLoader, urlPolicy}), denied);
+        await _assertViolation(
+          jsonld.toRDF(doc, {documentLoader, urlPolicy}), denied);
+        assert.deepEqual(documentLoader.requests, []);
+      });
+
+    it('should check the final document URL', async function() {
+      const url = 'https://example.com/context';
+      const urlPolicy = {allow: ['example.com'], lookup: _lookup};
+      const documentLoader = async () => ({
+        contextUrl: null,
+        documentUrl: 'https://example.org/context',
+        document: _context
+      });
+      await _assertViolation(
+        jsonld.expand({'@context': url}, {documentLoader, urlPolicy}),
+        'https://example.org/context');
+    });
+
+    it('should check loaders wrapped by other policies', async function() {
+      const requests = [];
+      const documentLoader = new jsonld.UrlPolicy({allowPrivate: true})
+        .wrapLoader(async url => {
+          requests.push(url);
+          return {contextUrl: null, documentUrl: url, document: _context};
+        });
+      const url = 'http://127.0.0.1/ctx';
+      await _assertViolation(jsonld.expand({'@context': url}, {
+        documentLoader,
+        urlPolicy: {allow: ['example.com']}
+      }), url);
+      assert.deepEqual(requests, []);
+    });
+
+    it('should limit the size of string documents', async function() {
+      const documentLoader = async url => ({
+        contextUrl: null,
+        documentUrl: url,
+        document: JSON.stringify(_context)
+      });
+      const doc = {'@context': 'https://example.com/context', term1: 'foo'};
+      await _assertViolation(jsonld.expand(doc, {
+        documentLoader,
+        urlPolicy: {maxDocumentSize: 10, lookup: _lookup}
+      }), 'https://example.com/context');
+      await jsonld.expand(doc, {
+        documentLoader,
+        urlPolicy: {maxDocumentSize: 1000, lookup: _lookup}
+      });
+    });
+  });
+
+  describe('with the node document loader', function() {
+    // a `fetch` that answers from a map of URL to `Response` options
+    function _fetch(responses) {
+      const fetch = async url => {
+        fetch.requests.push(url);
+        const {body = null, ...init} = responses[url] || {status: 404};
+        return new Response(body, init);
+      };
+      fetch.requests = [];
+      return fetch;
+    }
+
+    it('should not follow redirects to private addresses', async function() {
+      const fetch = _fetch({
+        'https://example.com/context': {
+          status: 302,
+          headers: {location: 'http://127.0.0.1:8000/context'}
+        }
+      });
+      const documentLoader = jsonld.documentLoaders.node({fetch});
+      await _assertViolation(jsonld.expand(
+        {'@context': 'https://example.com/context'},
+        {documentLoader, urlPolicy: {lookup: _lookup}}),
+      'http://127.0.0.1:8000/context');
+      assert.deepEqual(fetch.requests, ['https://example.com/context']);
+    });
+
+    it('should stop reading documents over the size limit',
+      async function() {
+        const body = JSON.stringify(_context);
+        // streamed without a `content-length` header
+        const stream = () => new ReadableStream({
+          start(controller) {
+            controller.enqueue(new TextEncoder().encode(body));
+            controller.close();
+          }
+        });
+        const headers = {'content-type': 'application/ld+json'};
+        const fetch = _fetch({
+          'https://example.com/sized': {
+            body,
+            headers: {...headers, 'content-length': String(body.length)}
+          },
+          'https://example.com/streamed': {body: stream(), headers}
+        });
+        const documentLoader = jsonld.documentLoaders.node({fetch});
+        for(const url of [
+          'https://example.com/sized',
+          'https://example.com/streamed'
+        ]) {
+          await _assertViolation(jsonld.expand({'@context': url}, {
+            documentLoader,
+            urlPolicy: {maxDocumentSize: 16, lookup: _lookup}
+          }), url);
+        }
+
+        const remoteDoc = await documentLoader('https://example.com/sized', {
+          urlPolicy: new jsonld.UrlPolicy({maxDocumentSize: 1000})
+        });
+        assert.deepEqual(remoteDoc.document, _context);
+      });
+
+    it('should deny the local context server', async function() {
+      const server = await remoteContextServer.listen();
+      try {
+        const url =
+          `http://localhost:${remoteContextServer.port}/context-1.jsonld`;
+        const documentLoader = jsonld.documentLoaders.node();
+        const doc = {'@context': url, term1: 'foo'};
+        await _assertViolation(
+          jsonld.expand(doc, {documentLoader, urlPolicy: {}}), url);
+        const expanded = await jsonld.expand(doc, {
+          documentLoader,
+          urlPolicy: {allow: ['localhost'], allowPrivate: true}
+        });
+        assert.deepEqual(expanded, [{
+          'http://example.org/term1': [{'@value': 'foo'}]
+        }]);
+      } finally {
+        server.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for jsonld.validateFrame.
+ */
+import assert from 'assert';
+import jsonld from '../lib/index.js';
+
+const CONTEXT = {
+  '@vocab': 'http://example.org/',
+  knows: {'@type': '@id'},
+  age: {'@type': 'http://www.w3.org/2001/XMLSchema#integer'},
+  hidden: null
+};
+
+// validates a frame and gets the code and path of each issue
+async function _issues(frame, options) {
+  const report = await jsonld.validateFrame(
+    {'@context': CONTEXT, ...frame}, options);
+  assert.equal(report.valid, report.issues.length === 0);
+  return report.issues.map(({code, path}) => [code, path]);
+}
+
+describe('jsonld.validateFrame', function() {
+  it('should accept a valid frame', async function() {
+    assert.deepEqual(await jsonld.validateFrame({
+      '@context': CONTEXT,
+      '@type': 'Person',
+      '@explicit': true,
+      knows: {'@embed': '@never', '@id': 'http://example.org/bob'},
+      age: {'@default': 42}
+    }), {valid: true, issues: []});
+  });
+
+  it('should accept a valid frame with a relative @id', async function() {
+    const events = [];
+    assert.deepEqual(await jsonld.validateFrame({
+      '@context': CONTEXT,
+      '@id': 'rel',
+      name: {}
+    }, {
+      base: 'http://example.org/doc',
+      eventHandler: ({event}) => events.push([event.code, event.level])
+    }), {valid: true, issues: []});
+    // events that are not issues are passed on
+    assert.deepEqual(events, [['relative IRI resolved', 'info']]);
+  });
+
+  it('should report unmapped terms', async function() {
+    assert.deepEqual(await _issues({
+      '@context': [CONTEXT, {'@vocab': null}],
+      name: {},
+      hidden: {},
+      knows: {nickname: {}}
+    }), [
+      ['invalid property', '/hidden'],
+      ['invalid property', '/knows/nickname'],
+      ['invalid property', '/name']
+    ]);
+  });
+
+  it('should report invalid flags', async function() {
+    assert.deepEqual(await _issues({
+      '@explicit': 'yes',
+      knows: {'@embed': '@nevr'}
+    }), [
+      ['invalid frame flag', '/0/@explicit'],
+      ['invalid @embed value', '/0/http:~1~1example.org~1knows/0/@embed']
+    ]);
+    assert.deepEqual(
+      await _issues({'@context': {...CONTEXT, '@version': 1.1}},
+        {embed: '@last'}),
+      [['invalid @embed value', '/0/@embed']]);
+  });
+
+  it('should report unreachable sub-frames', async function() {
+    assert.deepEqual(await _issues({
+      knows: {
+        '@embed': '@never',
+        // used to match nodes
+        name: {},
+        owner: {'@id': 'http://example.org/bob'},
+        // only used to embed nodes
+        pet: {'@type': 'Dog'},
+        '@reverse': {knows: {}}
+      }
+    }), [[
+      'unreachable frame',
+      '/0/http:~1~1example.org~1knows/0/@reverse/http:~1~1example.org~1knows'
+    ], [
+      'unreachable frame',
+      '/0/http:~1~1example.org~1knows/0/http:~1~1example.org~1pet'
+    ]]);
+    // top-level nodes are always embedded
+    assert.deepEqual(
+      await _issues({'@embed': '@never', pet: {'@type': 'Dog'}}), []);
+  });
+
+  it('should report conflicting default values', async function() {
+    const issues = await jsonld.validateFrame({
+      '@context': CONTEXT,
+      knows: {'@default': 5},
+      age: [{'@default': 'n/a'}],
+      name: {'@default': 'none'}
+    });
+    assert.deepEqual(issues.issues.map(({code, path, details}) =>
+      [code, path, details.value]), [
+      ['conflicting @default value', '/age/0/@default', 'n/a'],
+      ['conflicting @default value', '/knows/@default', 5]
+    ]);
+  });
+
+  it('should report frames that cannot be expanded', async function() {
+    const report = await jsonld.validateFrame({
+      '@context': {name: {'@id': 5}}
+    });
+    assert.equal(report.valid, false);
+    assert.equal(report.issues.length, 1);
+    assert.equal(report.issues[0].code, 'invalid IRI mapping');
+    assert.equal(report.issues[0].path, '/@context');
+  });
+
+  it('should emit conflicting defaults when framing', async function() {
+    const events = [];
+    await jsonld.frame({
+      '@context': CONTEXT,
+      '@id': 'http://example.org/a',
+      name: 'A'
+    }, {
+      '@context': CONTEXT,
+      age: {'@default': 'n/a'}
+    }, {eventHandler: ({event}) => events.push(event.code)});
+    assert.deepEqual(events, ['conflicting @default value']);
+  });
+});